@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Local analytics collector: a file-backed stand-in for the analytics sink
+ *
+ * Accepts the batches js/analytics.js sends (POST /events, JSON body
+ * { events }, any content type), checks each event against the catalog and
+ * appends the valid ones to a JSON Lines file. GET /events?agentId=&since=
+ * returns an agency's events for the stats page, to requests carrying the
+ * read token (Authorization: Bearer <token>). Invalid events are skipped
+ * and counted in the response.
+ *
+ * It listens on 127.0.0.1 unless given --host, and only answers CORS
+ * requests from the --origin list, so other sites cannot read the events.
+ *
+ * Usage:
+ *   node js/analytics-collector.js [--port 8787] [--host 127.0.0.1]
+ *     [--file analytics-events.jsonl] [--origin http://localhost:8080,...]
+ *     [--token <read token>]
+ *
+ * The read token can also come from ANALYTICS_READ_TOKEN; without either, a
+ * random one is made and printed at startup. Then point the site at it
+ * before js/analytics.js loads:
+ *   <script>
+ *       window.ANALYTICS_ENDPOINT = 'http://localhost:8787/events';
+ *       window.ANALYTICS_READ_TOKEN = '<read token>'; // stats page only
+ *   </script>
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { validateEvent } = require('./analytics.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_ORIGINS = ['http://localhost:8080', 'http://127.0.0.1:8080'];
+
+/**
+ * Read the events stored so far
+ * @param {string} file - JSON Lines file
+ * @returns {Object[]}
+ */
+function readEvents(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * Check the shape of a stored event record (see createEvent in js/analytics.js)
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateRecord(event) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return ['event is not an object'];
+    }
+    const errors = validateEvent(event.name, event.props || {});
+    if (typeof event.path !== 'string') errors.push('path should be a string');
+    if (Number.isNaN(Date.parse(event.occurredAt))) errors.push('occurredAt should be a date');
+    return errors;
+}
+
+/**
+ * Whether a request carries the read token
+ */
+function hasReadToken(req, token) {
+    const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} options - { file, token, origins }
+ *   token   - required to read events back
+ *   origins - sites allowed to call it from the browser (CORS)
+ * @returns {http.Server}
+ */
+function createCollector({ file, token, origins = DEFAULT_ORIGINS }) {
+    if (!token) throw new Error('A read token is required');
+
+    return http.createServer(async (req, res) => {
+        const origin = req.headers.origin;
+        const cors = origins.includes(origin)
+            ? {
+                'Access-Control-Allow-Origin': origin,
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+            }
+            : {};
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', 'Vary': 'Origin', ...cors });
+            res.end(body === undefined ? '' : JSON.stringify(body));
+        };
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/events') return send(404, { message: 'Not found' });
+        if (req.method === 'OPTIONS') return send(204);
+
+        try {
+            if (req.method === 'POST') {
+                const { events } = JSON.parse(await readBody(req));
+                if (!Array.isArray(events)) return send(400, { message: 'Body should be { events: [...] }' });
+
+                const valid = events.filter(event => validateRecord(event).length === 0);
+                if (valid.length > 0) {
+                    fs.appendFileSync(file, valid.map(event => JSON.stringify(event)).join('\n') + '\n');
+                }
+                return send(202, { accepted: valid.length, rejected: events.length - valid.length });
+            }
+
+            if (req.method === 'GET') {
+                if (!hasReadToken(req, token)) return send(401, { message: 'A valid read token is required' });
+                const agentId = url.searchParams.get('agentId');
+                if (!agentId) return send(400, { message: 'agentId is required' });
+                const since = new Date(url.searchParams.get('since') || 0);
+                const events = readEvents(file)
+                    .filter(event => event.props.agentId === agentId && new Date(event.occurredAt) >= since);
+                return send(200, { events });
+            }
+
+            return send(405, { message: `Method ${req.method} not supported` });
+        } catch (err) {
+            return send(400, { message: err.message });
+        }
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    const file = option('--file', 'analytics-events.jsonl');
+    const port = parseInt(option('--port', '8787'), 10);
+    const host = option('--host', DEFAULT_HOST);
+    const origins = option('--origin', DEFAULT_ORIGINS.join(',')).split(',').map(entry => entry.trim()).filter(Boolean);
+    const given = option('--token', process.env.ANALYTICS_READ_TOKEN);
+    const token = given || crypto.randomBytes(18).toString('base64url');
+
+    createCollector({ file, token, origins }).listen(port, host, () => {
+        console.log(`📊 Analytics collector on http://${host}:${port}/events, writing ${file}`);
+        console.log(`ℹ️ Browser access from: ${origins.join(', ')}`);
+        if (!given) console.log(`ℹ️ Read token (set window.ANALYTICS_READ_TOKEN on the stats page): ${token}`);
+    });
+}
+
+module.exports = { createCollector, readEvents, validateRecord };
@@ -0,0 +1,418 @@
+/**
+ * Privacy-respecting analytics for Reviews Realty
+ * Events come from a fixed catalog (ANALYTICS_EVENTS) and carry no personal
+ * data: no user or session ids, no cookies, no search text, and only the
+ * page path without its query string. Nothing is recorded until the visitor accepts the
+ * consent banner, and Do Not Track / Global Privacy Control count as a no.
+ *
+ * Events are queued and sent in batches to the active sink (see
+ * analyticsSinks): when a batch is full, after a short delay and when the
+ * page is hidden. The same sink answers the per-agency stats page.
+ */
+
+const ANALYTICS_CONSENT_KEY = 'reviewsrealty_analytics_consent';
+
+const ANALYTICS_CONFIG = {
+    batchSize: 10,          // events per request
+    flushDelayMs: 5000,     // longest an event waits before its batch is sent
+    maxQueue: 200           // events kept while the sink is failing
+};
+
+/**
+ * Event catalog: properties allowed on each event, with the same rules as
+ * the importer's RECORD_SCHEMA. Properties not listed are rejected, so
+ * nothing personal can slip in; long strings are cut to maxLength.
+ */
+const ANALYTICS_EVENTS = {
+    // Counted by size only (searchQueryWords): what people type can name
+    // them or someone else
+    search_performed: {
+        words: { type: 'integer', required: true, min: 1, max: 5 },
+        results: { type: 'integer', required: true, min: 0 }
+    },
+    filter_applied: {
+        filter: { type: 'string', required: true, enum: ['city', 'type', 'service', 'rating', 'radius', 'point'] },
+        value: { type: 'string', maxLength: 50 }
+    },
+    profile_viewed: {
+        agentId: { type: 'string', required: true }
+    },
+    website_clicked: {
+        agentId: { type: 'string', required: true },
+        placement: { type: 'string', enum: ['header', 'sidebar'] }
+    },
+    phone_clicked: {
+        agentId: { type: 'string', required: true }
+    },
+    review_started: {
+        agentId: { type: 'string', required: true }
+    },
+    review_submitted: {
+        agentId: { type: 'string', required: true },
+        rating: { type: 'integer', required: true, min: 1, max: 5 },
+        verified: { type: 'boolean' }
+    },
+    lead_submitted: {
+        agentId: { type: 'string', required: true },
+        repeat: { type: 'boolean' }
+    },
+    // Sent by the embedded rating widget (js/widget.js) rather than trackEvent;
+    // it describes where the widget is embedded, not the visitor
+    widget_viewed: {
+        agentId: { type: 'string', required: true },
+        domain: { type: 'string', required: true, maxLength: 100 },
+        variant: { type: 'string', required: true, enum: ['script', 'iframe'] }
+    }
+};
+
+/**
+ * Events counted on the agency stats page, in display order
+ */
+const AGENCY_STAT_EVENTS = ['profile_viewed', 'website_clicked', 'phone_clicked', 'review_started', 'review_submitted', 'lead_submitted', 'widget_viewed'];
+
+const analyticsQueue = [];
+let analyticsSink = null;
+let analyticsTimer = null;
+
+/**
+ * Check an event against the catalog
+ * @param {string} name - Event name from ANALYTICS_EVENTS
+ * @param {Object} props - Event properties
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateEvent(name, props = {}) {
+    const schema = ANALYTICS_EVENTS[name];
+    if (!schema) return [`unknown event ${name}`];
+
+    const errors = Object.keys(props)
+        .filter(field => !schema[field])
+        .map(field => `${field} is not part of ${name}`);
+
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = props[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(`${field} is required`);
+            return;
+        }
+
+        if (rule.type === 'integer' ? !Number.isInteger(value) : typeof value !== rule.type) {
+            errors.push(`${field} should be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`);
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${field} should be one of ${rule.enum.join(', ')}`);
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push(`${field} should be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push(`${field} should be at most ${rule.max}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Size of a search for search_performed: its number of words, 5 standing
+ * for five or more
+ */
+function searchQueryWords(query) {
+    return Math.min(Math.max(String(query || '').trim().split(/\s+/).filter(Boolean).length, 1), 5);
+}
+
+/**
+ * Build the record sent to the sink. String properties are trimmed and cut
+ * to the catalog's maxLength.
+ * @returns {{ name: string, props: Object, path: string, locale: string, occurredAt: string }}
+ */
+function createEvent(name, props = {}, { path = '/', locale = 'en', now = new Date() } = {}) {
+    const schema = ANALYTICS_EVENTS[name] || {};
+    const cleaned = {};
+    Object.entries(props).forEach(([field, value]) => {
+        const maxLength = schema[field]?.maxLength;
+        cleaned[field] = typeof value === 'string'
+            ? value.trim().slice(0, maxLength || undefined)
+            : value;
+    });
+    return { name, props: cleaned, path, locale, occurredAt: now.toISOString() };
+}
+
+/**
+ * Count an agency's events per type and per day
+ * @param {Object[]} events - Event records (see createEvent) for one agency
+ * @param {Object} [options] - { days, now }: the window ending today
+ * @returns {{ totals: Object, daily: Object[], clickRate: number|null, widgetDomains: Object[] }}
+ *   totals        - { [event]: count } for AGENCY_STAT_EVENTS
+ *   daily         - [{ date: 'YYYY-MM-DD', [event]: count }], oldest first, one entry per day
+ *   clickRate     - website and phone clicks per profile view, or null without views
+ *   widgetDomains - [{ domain, views }] for the embedded widget, most views first
+ */
+function summarizeAgencyEvents(events, { days = 30, now = new Date() } = {}) {
+    const empty = () => Object.fromEntries(AGENCY_STAT_EVENTS.map(name => [name, 0]));
+    const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const daily = Array.from({ length: days }, (_, i) => ({
+        date: new Date(today - (days - 1 - i) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+        ...empty()
+    }));
+    const byDate = new Map(daily.map(day => [day.date, day]));
+    const totals = empty();
+    const domains = new Map();
+
+    events.forEach(event => {
+        const day = byDate.get(String(event.occurredAt).slice(0, 10));
+        if (!day || !(event.name in totals)) return;
+        day[event.name]++;
+        totals[event.name]++;
+        if (event.name === 'widget_viewed') {
+            domains.set(event.props.domain, (domains.get(event.props.domain) || 0) + 1);
+        }
+    });
+
+    const clicks = totals.website_clicked + totals.phone_clicked;
+    return {
+        totals,
+        daily,
+        clickRate: totals.profile_viewed > 0 ? clicks / totals.profile_viewed : null,
+        widgetDomains: [...domains]
+            .map(([domain, views]) => ({ domain, views }))
+            .sort((a, b) => b.views - a.views || a.domain.localeCompare(b.domain))
+    };
+}
+
+// Consent
+
+/**
+ * The visitor's analytics choice: 'granted', 'denied' or null (not asked yet)
+ */
+function getAnalyticsConsent() {
+    if (typeof navigator !== 'undefined' && (navigator.doNotTrack === '1' || navigator.globalPrivacyControl)) {
+        return 'denied';
+    }
+    return storage.get(ANALYTICS_CONSENT_KEY);
+}
+
+/**
+ * Record the visitor's choice. Declining drops anything still queued.
+ */
+function setAnalyticsConsent(granted) {
+    storage.set(ANALYTICS_CONSENT_KEY, granted ? 'granted' : 'denied');
+    if (!granted) analyticsQueue.length = 0;
+    document.getElementById('analytics-consent')?.remove();
+}
+
+/**
+ * Ask for consent at the bottom of the page (also used by the
+ * "Analytics preferences" footer link to change an earlier answer)
+ */
+function showConsentBanner() {
+    if (document.getElementById('analytics-consent')) return;
+    document.body.appendChild(createElement(html`
+        <div id="analytics-consent" role="dialog" aria-live="polite" class="fixed bottom-4 left-4 right-4 md:left-auto md:max-w-md bg-white rounded-xl shadow-lg border p-4 z-50">
+            <p class="text-sm text-gray-600">
+                ${t('We count searches, profile views and clicks anonymously so agencies can see how their profiles perform. No cookies, no personal data.')}
+            </p>
+            <div class="flex justify-end gap-2 mt-3">
+                <button onclick="setAnalyticsConsent(false)" class="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">${t('No thanks')}</button>
+                <button onclick="setAnalyticsConsent(true)" class="px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-secondary transition">${t('Allow')}</button>
+            </div>
+        </div>
+    `));
+}
+
+// Sinks
+
+/**
+ * Where batches go. Each sink exposes:
+ *   name                       - label used in logs
+ *   send(events, { unloading }) - resolves once the batch is handed over
+ *   getEvents({ agentId, since }) - resolves to the agency's event records
+ *   restricted                 - true when only the agency's owners (and
+ *                                admins) may read its events
+ */
+const analyticsSinks = {
+    // Collector endpoint (js/analytics-collector.js or anything accepting
+    // the same POST body). Batches go out as beacons, which survive the page
+    // unloading; text/plain avoids a CORS preflight. Reading events back
+    // needs the collector's read token.
+    endpoint({ url, token = null }) {
+        return {
+            name: `endpoint (${url})`,
+            async send(events) {
+                const body = JSON.stringify({ events });
+                if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) {
+                    return;
+                }
+                const response = await fetch(url, { method: 'POST', body, keepalive: true });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+            },
+            async getEvents({ agentId, since }) {
+                const query = new URLSearchParams({ agentId, since: since.toISOString() });
+                const response = await fetch(`${url}?${query}`, {
+                    headers: token ? { Authorization: `Bearer ${token}` } : {}
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                return (await response.json()).events;
+            }
+        };
+    },
+
+    // `analytics_events` table via the helpers in supabase-config.js
+    supabase({ client = null } = {}) {
+        const getClient = () => client || window.ReviewsRealty;
+        return {
+            name: 'supabase',
+            restricted: true,
+            async send(events) {
+                const { error } = await getClient().db.recordEvents(events);
+                if (error) throw new Error(error.message);
+            },
+            async getEvents({ agentId, since }) {
+                const { data, error } = await getClient().db.getAgentEvents(agentId, { since });
+                if (error) throw new Error(error.message);
+                return data;
+            }
+        };
+    },
+
+    // In-memory list (tests, previews); `events` holds everything sent
+    memory(events = []) {
+        return {
+            name: 'memory',
+            events,
+            async send(batch) {
+                events.push(...batch);
+            },
+            async getEvents({ agentId, since }) {
+                return events.filter(event => event.props.agentId === agentId && new Date(event.occurredAt) >= since);
+            }
+        };
+    },
+
+    // Development: log batches instead of sending them
+    console() {
+        return {
+            name: 'console',
+            async send(events) {
+                console.log('📊 Analytics batch:', events);
+            },
+            async getEvents() {
+                return [];
+            }
+        };
+    }
+};
+
+/**
+ * Get the active sink, building the default on first use: the collector
+ * in window.ANALYTICS_ENDPOINT, else Supabase, else the console
+ */
+function getAnalyticsSink() {
+    if (!analyticsSink) {
+        if (typeof window !== 'undefined' && window.ANALYTICS_ENDPOINT) {
+            analyticsSink = analyticsSinks.endpoint({ url: window.ANALYTICS_ENDPOINT, token: window.ANALYTICS_READ_TOKEN || null });
+        } else if (typeof window !== 'undefined' && window.ReviewsRealty) {
+            analyticsSink = analyticsSinks.supabase();
+        } else {
+            analyticsSink = analyticsSinks.console();
+        }
+    }
+    return analyticsSink;
+}
+
+/**
+ * Replace the active sink
+ */
+function setAnalyticsSink(sink) {
+    analyticsSink = sink;
+}
+
+// Queue
+
+/**
+ * Record an event, if the visitor has allowed analytics
+ * @param {string} name - Event name from ANALYTICS_EVENTS
+ * @param {Object} [props] - Event properties
+ * @returns {boolean} Whether the event was queued
+ * @example trackEvent('phone_clicked', { agentId: 'kalogirou' })
+ */
+function trackEvent(name, props = {}) {
+    if (getAnalyticsConsent() !== 'granted') return false;
+
+    const errors = validateEvent(name, props);
+    if (errors.length > 0) {
+        console.warn(`⚠️ Analytics event ${name} dropped: ${errors.join('; ')}`);
+        return false;
+    }
+
+    analyticsQueue.push(createEvent(name, props, {
+        path: window.location.pathname,
+        locale: typeof getLocale === 'function' ? getLocale() : 'en'
+    }));
+    analyticsQueue.splice(0, Math.max(0, analyticsQueue.length - ANALYTICS_CONFIG.maxQueue));
+
+    if (analyticsQueue.length >= ANALYTICS_CONFIG.batchSize) {
+        flushAnalytics();
+    } else if (!analyticsTimer) {
+        analyticsTimer = setTimeout(flushAnalytics, ANALYTICS_CONFIG.flushDelayMs);
+    }
+    return true;
+}
+
+/**
+ * Send everything queued, one batch at a time. A failed batch goes back to
+ * the front of the queue for the next flush.
+ */
+async function flushAnalytics() {
+    clearTimeout(analyticsTimer);
+    analyticsTimer = null;
+
+    const sink = getAnalyticsSink();
+    while (analyticsQueue.length > 0) {
+        const batch = analyticsQueue.splice(0, ANALYTICS_CONFIG.batchSize);
+        try {
+            await sink.send(batch);
+        } catch (err) {
+            console.log(`⚠️ ${sink.name} error:`, err.message);
+            analyticsQueue.unshift(...batch);
+            analyticsQueue.splice(ANALYTICS_CONFIG.maxQueue);
+            return;
+        }
+    }
+}
+
+/**
+ * Profile views and outbound clicks for one agency
+ * @param {string} agentId
+ * @param {Object} [options] - { days } to look back (default 30)
+ * @returns {Promise<Object>} See summarizeAgencyEvents
+ */
+async function loadAgencyStats(agentId, { days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const events = await getAnalyticsSink().getEvents({ agentId, since });
+    return summarizeAgencyEvents(events, { days });
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (getAnalyticsConsent() === null) showConsentBanner();
+    });
+    // Beacons still go out while the page is being hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANALYTICS_EVENTS,
+        AGENCY_STAT_EVENTS,
+        validateEvent,
+        searchQueryWords,
+        createEvent,
+        summarizeAgencyEvents
+    };
+}
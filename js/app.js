@@ -1,60 +1,171 @@
 /**
  * Shared utilities for AgentScore
+ * Markup helpers return SafeHtml (see html.js), so js/html.js loads first.
  */
 
 /**
  * Render star rating HTML
  * @param {number} rating - Rating from 1 to 5
- * @returns {string} HTML string of stars
+ * @returns {SafeHtml} Star icons
  */
 function renderStars(rating) {
     const fullStars = Math.floor(rating);
     const hasHalfStar = rating % 1 >= 0.5;
     const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
     
-    let html = '';
+    let markup = '';
     
     // Full stars
     for (let i = 0; i < fullStars; i++) {
-        html += `<svg class="w-4 h-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20">
+        markup += `<svg class="w-4 h-4 text-yellow-400" fill="currentColor" viewBox="0 0 20 20">
             <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
         </svg>`;
     }
     
     // Half star
     if (hasHalfStar) {
-        html += `<svg class="w-4 h-4 text-yellow-400" viewBox="0 0 20 20">
+        const gradientId = `half-star-${Math.random().toString(36).substr(2, 9)}`;
+        markup += `<svg class="w-4 h-4 text-yellow-400" viewBox="0 0 20 20">
             <defs>
-                <linearGradient id="half-star-${Math.random().toString(36).substr(2, 9)}">
+                <linearGradient id="${gradientId}">
                     <stop offset="50%" stop-color="currentColor"/>
                     <stop offset="50%" stop-color="#D1D5DB"/>
                 </linearGradient>
             </defs>
-            <path fill="url(#half-star-${Math.random().toString(36).substr(2, 9)})" d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
+            <path fill="url(#${gradientId})" d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
         </svg>`;
     }
     
     // Empty stars
     for (let i = 0; i < emptyStars; i++) {
-        html += `<svg class="w-4 h-4 text-gray-300" fill="currentColor" viewBox="0 0 20 20">
+        markup += `<svg class="w-4 h-4 text-gray-300" fill="currentColor" viewBox="0 0 20 20">
             <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
         </svg>`;
     }
     
-    return html;
+    // Built from constants only
+    return trustedHtml(markup);
 }
 
 /**
- * Format number with K/M suffix
+ * Format a rating for display, or "Not yet rated" when there is none
+ * @param {number|null} rating - Rating from 1 to 5
+ * @returns {string}
  */
-function formatNumber(num) {
-    if (num >= 1000000) {
-        return (num / 1000000).toFixed(1) + 'M';
+function formatRating(rating) {
+    return typeof rating === 'number' ? rating.toFixed(1) : t('Not yet rated');
+}
+
+/**
+ * Render the rating next to its stars, or a "Not yet rated" label
+ * @param {number|null} rating - Rating from 1 to 5
+ * @returns {SafeHtml}
+ */
+function renderRatingSummary(rating) {
+    if (typeof rating !== 'number') {
+        return html`<span class="text-sm text-gray-400">${t('Not yet rated')}</span>`;
     }
-    if (num >= 1000) {
-        return (num / 1000).toFixed(1) + 'K';
+    return html`${renderStars(rating)}<span class="text-gray-600 ml-1">${rating.toFixed(1)}</span>`;
+}
+
+/**
+ * Format an AgentScore result (see computeAgentScore) for display
+ * @param {Object} details - { score, low, high, effectiveReviews }
+ * @returns {string}
+ */
+function formatAgentScore(details) {
+    if (!details || details.effectiveReviews === 0) {
+        return t('AgentScore: not enough reviews yet');
     }
-    return num.toString();
+    return t('AgentScore {score} (95% range {low}–{high})', {
+        score: details.score.toFixed(2),
+        low: details.low.toFixed(2),
+        high: details.high.toFixed(2)
+    });
+}
+
+/**
+ * Labels for agent fields shown in the data sources panel
+ */
+const PROVENANCE_LABELS = {
+    rating: 'Rating',
+    reviewCount: 'Review count',
+    ads: 'Active listings',
+    projects: 'Projects',
+    website: 'Website',
+    phone: 'Phone',
+    email: 'Email',
+    address: 'Address',
+    established: 'Established',
+    description: 'Description',
+    featured_project: 'Featured project',
+    specialties: 'Specialties',
+    services: 'Services',
+    tags: 'Tags'
+};
+
+/**
+ * Render where each of an agent's attributes came from
+ * @param {Object} provenance - Map of field to { source, verifiedAt }
+ * @returns {SafeHtml}
+ */
+function renderProvenance(provenance = {}) {
+    const rows = Object.keys(PROVENANCE_LABELS)
+        .filter(field => provenance[field])
+        .map(field => {
+            const { source, verifiedAt } = provenance[field];
+            const sourceLabel = t((typeof DATA_SOURCES !== 'undefined' && DATA_SOURCES[source]) || source);
+            const verified = verifiedAt
+                ? t('verified {date}', { date: formatCalendarDate(verifiedAt) })
+                : t('not yet verified');
+            return html`
+                <li class="flex justify-between gap-2 text-sm">
+                    <span class="text-gray-500">${t(PROVENANCE_LABELS[field])}</span>
+                    <span class="text-right text-gray-700">${sourceLabel}<span class="block text-xs text-gray-400">${verified}</span></span>
+                </li>
+            `;
+        });
+
+    if (rows.length === 0) {
+        return html`<p class="text-sm text-gray-400">${t('No sourced data yet')}</p>`;
+    }
+    return html`<ul class="space-y-2">${rows}</ul>`;
+}
+
+/**
+ * Render per-dimension review averages as bars
+ * @param {Object} dimensions - { [dimension]: { average, count } } from aggregateReviewDimensions
+ * @returns {SafeHtml}
+ */
+function renderDimensionBreakdown(dimensions = {}) {
+    const rows = Object.keys(ALL_REVIEW_DIMENSIONS)
+        .filter(dimension => dimensions[dimension])
+        .map(dimension => {
+            const { average, count } = dimensions[dimension];
+            return html`
+                <div class="text-sm">
+                    <div class="flex justify-between mb-1">
+                        <span class="text-gray-600">${t(ALL_REVIEW_DIMENSIONS[dimension])}</span>
+                        <span class="text-gray-800 font-medium" title="${t('{count} ratings', { count })}">${average.toFixed(1)}</span>
+                    </div>
+                    <div class="bg-gray-200 rounded-full h-2">
+                        <div class="bg-primary h-2 rounded-full" style="width: ${(average / 5) * 100}%"></div>
+                    </div>
+                </div>
+            `;
+        });
+
+    if (rows.length === 0) {
+        return html`<p class="text-sm text-gray-400">${t('No detailed ratings yet')}</p>`;
+    }
+    return html`${rows}`;
+}
+
+/**
+ * Format a number compactly for the current locale (1.2K, 1,2 χιλ., 1,2 тыс.)
+ */
+function formatNumber(num) {
+    return new Intl.NumberFormat(getIntlLocale(), { notation: 'compact', maximumFractionDigits: 1 }).format(num);
 }
 
 /**
@@ -102,11 +213,13 @@ function debounce(func, wait) {
 }
 
 /**
- * Create element from HTML string
+ * Create an element from markup built with html`` (a plain string is
+ * inserted as text)
+ * @param {SafeHtml} markup
  */
-function createElement(html) {
+function createElement(markup) {
     const template = document.createElement('template');
-    template.innerHTML = html.trim();
+    template.innerHTML = html`${markup}`.toString().trim();
     return template.content.firstChild;
 }
 
@@ -121,7 +234,7 @@ function showToast(message, type = 'info') {
         warning: 'bg-yellow-500'
     };
     
-    const toast = createElement(`
+    const toast = createElement(html`
         <div class="fixed bottom-4 right-4 ${colors[type]} text-white px-6 py-3 rounded-lg shadow-lg z-50 transform translate-y-20 opacity-0 transition-all duration-300">
             ${message}
         </div>
@@ -171,10 +284,13 @@ const storage = {
     }
 };
 
-/**
- * Analytics placeholder (for future implementation)
- */
-function trackEvent(category, action, label = null, value = null) {
-    // Placeholder for analytics tracking
-    console.log('Track:', { category, action, label, value });
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        renderStars,
+        formatRating,
+        renderRatingSummary,
+        formatAgentScore,
+        formatNumber,
+        truncateText
+    };
 }
@@ -0,0 +1,940 @@
+#!/usr/bin/env node
+/**
+ * Build static, crawlable pages from the canonical agent data
+ *
+ * Copies the site into an output directory and adds:
+ *   agents/<id>.html       one page per agency (template: agent-profile.html)
+ *   developers/<id>.html   one page per developer (template: developer-profile.html)
+ *   projects/<id>.html     one page per developer project (template: project.html
+ *                          + data/projects.json)
+ *   <city>.html            one page per city (templates/city.html + data/cities.json)
+ *   <locale>/<city>.html   the city pages in the other languages, under translated
+ *                          slugs (el/lemesos.html), linked with hreflang alternates
+ *   widget/<id>.json       each agency's rating widget data (see js/widget.js)
+ *   sitemap.xml, robots.txt
+ *
+ * Only the public site is copied (SITE_FILES): the Node tools, Mission
+ * Control and the test pages stay out of the output.
+ *
+ * Profile pages are the usual profile templates with the header, contact
+ * details, schema.org JSON-LD, canonical URL and Open Graph tags filled in,
+ * so search engines see the content without running any script. The page
+ * scripts still run on top of it (reviews, AgentScore, claim UI), reading
+ * the agent id from `data-agent-id` on <body> instead of the query string.
+ *
+ * Usage:
+ *   node js/build-pages.js [options]
+ *
+ * Options:
+ *   --file <path>       Agents JSON (default: all-agents-with-reviews.json)
+ *   --out <dir>         Output directory (default: dist)
+ *   --base-url <url>    Absolute site URL for canonical links (default: https://<CNAME>)
+ *   --reviews <path>    Published reviews (JSON array of `reviews` rows), for the
+ *                       AgentScores and the widgets' latest reviews
+ *   --usage-endpoint <url>  Where widgets report their views (an analytics
+ *                       collector); without it, widget views are not counted
+ *   --root-cities       Only rewrite the English city pages at the repo root
+ *                       (limassol.html, ...), for serving the repo directly;
+ *                       they link to the query-string profile pages
+ *
+ * Environment:
+ *   SUPABASE_URL, SUPABASE_ANON_KEY  Written into the output's js/config.js, so
+ *                       the deployed pages use that project instead of the
+ *                       static JSON data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeAgent, flattenRecords, compareAgents, slugify } = require('./data.js');
+const { resolveEntities } = require('./resolve.js');
+const { scoreAgents } = require('./score.js');
+const { firstPartyStatsByAgent } = require('./reviews.js');
+const { escapeHtml, html, trustedHtml } = require('./html.js');
+const { renderStars, renderRatingSummary } = require('./app.js');
+const { LOCALES, DEFAULT_LOCALE, LOCALE_PARAM, getLocale, setLocale, t } = require('./i18n.js');
+const { risingAgencies, mostImproved } = require('./trends.js');
+const { setGeoData, servesArea } = require('./geo.js');
+const { PROJECT_STATUS, validateProject, normalizeProject } = require('./projects.js');
+
+// app.js helpers translate through the page-global t() and build markup
+// with the page-global html tag, as in the browser
+global.t = t;
+global.html = html;
+global.trustedHtml = trustedHtml;
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_FILE = path.join(ROOT, 'all-agents-with-reviews.json');
+const SNAPSHOT_FILE = path.join(ROOT, 'data', 'agent-snapshots.json');
+const PROJECT_FILE = path.join(ROOT, 'data', 'projects.json');
+const GEO_FILE = path.join(ROOT, 'data', 'cyprus-districts.json');
+
+/**
+ * What gets copied into the output next to the generated pages: the public
+ * pages and the scripts and data they load, nothing else (no Node tools,
+ * Mission Control, test pages or hand-written city pages, which the build
+ * generates). Add new public files here.
+ */
+const SITE_FILES = [
+    'CNAME',
+    'index.html',
+    'agents.html',
+    'developers.html',
+    'agent-profile.html',
+    'developer-profile.html',
+    'project.html',
+    'compare.html',
+    'shortlists.html',
+    'leads.html',
+    'moderation.html',
+    'agency-stats.html',
+    'widget.html',
+    'reviews-realty-vs-google-reviews.html',
+    'all-agents-with-reviews.json',
+    'manifest.webmanifest',
+    'sw.js',
+    'favicon.svg',
+    'favicon.ico',
+    'js/html.js',
+    'js/config.js',
+    'js/app.js',
+    'js/i18n.js',
+    'js/locales/el.js',
+    'js/locales/ru.js',
+    'js/moderation.js',
+    'js/reviews.js',
+    'js/search.js',
+    'js/supabase-config.js',
+    'js/score.js',
+    'js/resolve.js',
+    'js/data.js',
+    'js/analytics.js',
+    'js/trends.js',
+    'js/projects.js',
+    'js/geo.js',
+    'js/compare.js',
+    'js/claim.js',
+    'js/shortlists.js',
+    'js/leads.js',
+    'js/offline.js',
+    'js/widget.js',
+    'data/projects.json',
+    'data/agent-snapshots.json',
+    'data/cyprus-districts.json'
+];
+
+/**
+ * Hand-written pages listed in the sitemap besides the generated ones
+ */
+const SITEMAP_PAGES = ['index.html', 'agents.html', 'developers.html', 'reviews-realty-vs-google-reviews.html'];
+
+const TOP_AGENTS_PER_CITY = 3;
+
+// Latest reviews in each agency's widget data
+const WIDGET_REVIEW_COUNT = 3;
+
+/**
+ * Replace {{placeholders}} in a template (values are inserted as-is)
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Replace the content of the element with the given id. Only meant for
+ * elements that do not nest another element of the same tag. A `data-i18n`
+ * marker is dropped, since the template text it names is gone.
+ */
+function setElementContent(html, id, content) {
+    const pattern = new RegExp(`(<(\\w+)[^>]*\\sid="${id}"[^>]*>)[\\s\\S]*?(</\\2>)`);
+    if (!pattern.test(html)) throw new Error(`Template has no #${id}`);
+    return html.replace(pattern, (match, open, tag, close) => `${open.replace(/\sdata-i18n(?=[\s>])/, '')}${content}${close}`);
+}
+
+/**
+ * Set an attribute on the element with the given id
+ */
+function setElementAttribute(html, id, name, value) {
+    const pattern = new RegExp(`<\\w+[^>]*\\sid="${id}"[^>]*>`);
+    return html.replace(pattern, tag => {
+        const attribute = new RegExp(`\\s${name}="[^"]*"`);
+        const replacement = ` ${name}="${escapeHtml(value)}"`;
+        return attribute.test(tag) ? tag.replace(attribute, replacement) : tag.replace(/\s*>$/, `${replacement}>`);
+    });
+}
+
+/**
+ * Remove the `hidden` class from the element with the given id
+ */
+function unhideElement(html, id) {
+    const pattern = new RegExp(`(<\\w+[^>]*\\sid="${id}"[^>]*\\sclass=")hidden\\s*`);
+    return html.replace(pattern, '$1');
+}
+
+/**
+ * Serialize JSON-LD for a <script type="application/ld+json"> block
+ */
+function renderJsonLd(data) {
+    return JSON.stringify(data, null, 4)
+        .replace(/</g, '\\u003c')
+        .split('\n')
+        .map(line => `    ${line}`)
+        .join('\n');
+}
+
+/**
+ * Canonical and Open Graph tags for a page
+ * @param {Object} page - { title, description, url, image }
+ */
+function renderMetaTags({ title, description, url, image = null }) {
+    return [
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        '<meta property="og:type" content="website">',
+        '<meta property="og:site_name" content="Reviews Realty">',
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        image ? `<meta property="og:image" content="${escapeHtml(image)}">` : null,
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`
+    ].filter(Boolean).map(tag => `    ${tag}`).join('\n');
+}
+
+/**
+ * Path of an agent's generated page, relative to the site root
+ */
+function profilePath(agent) {
+    return `${agent.type === 'developer' ? 'developers' : 'agents'}/${encodeURIComponent(agent.id)}.html`;
+}
+
+/**
+ * Path of a project's generated page, relative to the site root
+ */
+function projectPath(project) {
+    return `projects/${encodeURIComponent(project.id)}.html`;
+}
+
+/**
+ * Path of an agency's widget data, relative to the site root
+ */
+function widgetPath(agent) {
+    return `widget/${encodeURIComponent(agent.id)}.json`;
+}
+
+/**
+ * Path of a city's generated page, relative to the site root
+ * @param {string|Object} city - City name, or its data/cities.json entry (for translated slugs)
+ * @param {string} [locale] - Other languages live in a directory per locale
+ */
+function cityPath(city, locale = DEFAULT_LOCALE) {
+    const { name, slugs = {} } = typeof city === 'string' ? { name: city } : city;
+    const slug = `${slugs[locale] || slugify(name)}.html`;
+    return locale === DEFAULT_LOCALE ? slug : `${locale}/${slug}`;
+}
+
+/**
+ * A city's copy in the given locale: its `translations[locale]` entry over
+ * the English, with the name from the message catalogs when not given
+ */
+function localizeCity(city, locale) {
+    if (locale === DEFAULT_LOCALE) return city;
+    const translation = (city.translations || {})[locale] || {};
+    return { ...city, name: t(city.name), ...translation };
+}
+
+/**
+ * Translate the `data-i18n` elements of a template for the current locale
+ * and drop the markers. {{placeholders}} in the text become {params} of the
+ * message, so "Top Rated Agents in {{city}}" is looked up as
+ * "Top Rated Agents in {city}" and filled in by fillTemplate afterwards.
+ */
+function translateTemplate(template) {
+    return template.replace(/<(\w+)([^>]*?)\sdata-i18n([^>]*)>([^<]*)<\/\1>/g, (match, tag, before, after, text) => {
+        const message = text.replace(/\s+/g, ' ').trim().replace(/\{\{(\w+)\}\}/g, '{$1}');
+        const translated = t(message).replace(/\{(\w+)\}/g, '{{$1}}');
+        const padding = text.match(/^\s*/)[0];
+        return `<${tag}${before}${after}>${padding}${translated}${text.match(/\s*$/)[0]}</${tag}>`;
+    });
+}
+
+/**
+ * schema.org RealEstateAgent (with AggregateRating when rated) for an agent
+ */
+function agentStructuredData(agent, url) {
+    const sameAs = [agent.website, agent.url].filter(link => /^https?:\/\//.test(link || ''));
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'RealEstateAgent',
+        '@id': url,
+        name: agent.name,
+        url,
+        description: agent.description || undefined,
+        image: agent.logoUrl || undefined,
+        telephone: agent.phone || undefined,
+        email: agent.email || undefined,
+        foundingDate: agent.established ? String(agent.established) : undefined,
+        address: {
+            '@type': 'PostalAddress',
+            streetAddress: agent.address || undefined,
+            addressLocality: agent.location,
+            addressCountry: 'CY'
+        },
+        sameAs: sameAs.length ? [...new Set(sameAs)] : undefined
+    };
+    if (typeof agent.rating === 'number' && agent.reviewCount > 0) {
+        data.aggregateRating = {
+            '@type': 'AggregateRating',
+            ratingValue: agent.rating,
+            reviewCount: agent.reviewCount,
+            bestRating: 5,
+            worstRating: 1
+        };
+    }
+    return data;
+}
+
+/**
+ * One-line summary used for meta descriptions
+ */
+function describeAgent(agent) {
+    const kind = agent.type === 'developer' ? 'property developer' : 'real estate agency';
+    const rating = typeof agent.rating === 'number'
+        ? ` Rated ${agent.rating.toFixed(1)}/5 from ${agent.reviewCount} reviews.`
+        : '';
+    return `${agent.name} is a ${kind} in ${agent.location}, Cyprus.${rating} Read client reviews and compare with other ${agent.location} professionals.`;
+}
+
+/**
+ * Render an agent's static profile page from the profile template
+ * @param {string} template - agent-profile.html or developer-profile.html
+ * @param {Object} agent - Canonical agent
+ * @param {string} baseUrl - Absolute site URL
+ */
+function renderProfilePage(template, agent, baseUrl) {
+    // Profiles are generated in English; the page scripts translate them in the browser
+    setLocale(DEFAULT_LOCALE, { persist: false });
+    const pagePath = profilePath(agent);
+    const url = `${baseUrl}/${pagePath}`;
+    const title = `${agent.name} - Reviews Realty`;
+    const description = describeAgent(agent);
+    let html = template;
+
+    // Generated pages live one directory down; resolve the template's relative links from the root
+    html = html.replace('<meta charset="UTF-8">', '<meta charset="UTF-8">\n    <base href="../">');
+    html = html.replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`);
+    html = html.replace('</head>', [
+        `    <meta name="description" content="${escapeHtml(description)}">`,
+        renderMetaTags({ title, description, url, image: agent.logoUrl }),
+        '    <script type="application/ld+json">',
+        renderJsonLd(agentStructuredData(agent, url)),
+        '    </script>',
+        '</head>'
+    ].join('\n'));
+    html = html.replace('<body class="font-sans bg-gray-50">', `<body class="font-sans bg-gray-50" data-agent-id="${escapeHtml(agent.id)}">`);
+
+    html = setElementContent(html, 'breadcrumb-name', escapeHtml(agent.name));
+    html = setElementContent(html, 'breadcrumb-city', escapeHtml(agent.location));
+    html = setElementContent(html, 'agent-logo', agent.logoUrl
+        ? `<img src="${escapeHtml(agent.logoUrl)}" alt="${escapeHtml(agent.name)} logo" class="w-full h-full object-contain rounded-xl">`
+        : escapeHtml(agent.name.charAt(0).toUpperCase()));
+    html = setElementContent(html, 'agent-name', escapeHtml(agent.name));
+    html = html.replace('<span data-i18n>Location</span>', `<span>${escapeHtml(t('{city}, Cyprus', { city: agent.location }))}</span>`);
+
+    if (typeof agent.rating === 'number') {
+        html = setElementContent(html, 'agent-rating', agent.rating.toFixed(1));
+        html = setElementContent(html, 'agent-stars', renderStars(agent.rating));
+        html = setElementContent(html, 'agent-review-count', t('Based on {count} reviews', { count: agent.reviewCount }));
+    } else {
+        html = setElementContent(html, 'agent-rating', '–');
+        html = setElementContent(html, 'agent-review-count', t('Not yet rated'));
+    }
+
+    const badges = [...new Set([...agent.services, ...agent.specialties, ...agent.tags])];
+    html = setElementContent(html, 'agent-tags', badges
+        .map(label => `<span class="bg-blue-50 text-blue-700 px-3 py-1 rounded-full text-sm">${escapeHtml(label)}</span>`)
+        .join(''));
+
+    if (agent.description) {
+        html = setElementContent(html, 'agent-description', escapeHtml(agent.description));
+        html = unhideElement(html, 'agent-description');
+    }
+
+    html = setElementAttribute(html, 'agent-website', 'href', agent.url);
+    html = setElementAttribute(html, 'sidebar-website', 'href', agent.url);
+    let hostname = agent.url;
+    try {
+        hostname = new URL(agent.url).hostname;
+    } catch {
+        // not an absolute URL, show it as-is
+    }
+    html = setElementContent(html, 'sidebar-website', escapeHtml(hostname));
+
+    if (agent.phone) {
+        html = setElementContent(html, 'sidebar-phone', escapeHtml(agent.phone));
+        html = setElementAttribute(html, 'sidebar-phone', 'href', `tel:${agent.phone.replace(/\s+/g, '')}`);
+        html = unhideElement(html, 'contact-phone');
+    }
+    html = setElementContent(html, 'sidebar-listings', t('{count} active listings', { count: agent.ads }));
+    html = setElementContent(html, 'sidebar-location', escapeHtml(t('{city}, Cyprus', { city: agent.location })));
+
+    // With <base> set, bare fragment links would point at the home page
+    return html.replace(/href="#/g, `href="${pagePath}#`);
+}
+
+/**
+ * Render a project's static page from project.html
+ * @param {string} template - project.html
+ * @param {Object} project - Project (see js/projects.js)
+ * @param {Object} developer - The developer's canonical agent
+ * @param {string} baseUrl - Absolute site URL
+ */
+function renderProjectPage(template, project, developer, baseUrl) {
+    setLocale(DEFAULT_LOCALE, { persist: false });
+    const pagePath = projectPath(project);
+    const url = `${baseUrl}/${pagePath}`;
+    const title = `${project.name} - Reviews Realty`;
+    const place = project.location ? ` in ${project.location}` : '';
+    const description = `${project.name} is a project by ${developer.name}${place}, Cyprus. Read reviews of its build quality and delivery timeliness.`;
+    let html = template;
+
+    html = html.replace('<meta charset="UTF-8">', '<meta charset="UTF-8">\n    <base href="../">');
+    html = html.replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)}</title>`);
+    html = html.replace('</head>', [
+        `    <meta name="description" content="${escapeHtml(description)}">`,
+        renderMetaTags({ title, description, url }),
+        '</head>'
+    ].join('\n'));
+    html = html.replace('<body class="font-sans bg-gray-50">', `<body class="font-sans bg-gray-50" data-project-id="${escapeHtml(project.id)}">`);
+
+    html = setElementContent(html, 'breadcrumb-name', escapeHtml(project.name));
+    html = setElementContent(html, 'breadcrumb-developer', escapeHtml(developer.name));
+    html = setElementAttribute(html, 'breadcrumb-developer', 'href', profilePath(developer));
+    html = setElementContent(html, 'project-name', escapeHtml(project.name));
+    html = setElementContent(html, 'project-developer', escapeHtml(developer.name));
+    html = setElementAttribute(html, 'project-developer', 'href', profilePath(developer));
+    if (project.location) {
+        html = setElementContent(html, 'project-location', escapeHtml(`· ${t('{city}, Cyprus', { city: project.location })}`));
+    }
+    if (project.status) {
+        html = setElementContent(html, 'project-status', escapeHtml(PROJECT_STATUS[project.status]));
+        html = unhideElement(html, 'project-status');
+    }
+    return html;
+}
+
+/**
+ * Projects from data/projects.json whose developer is in the build; the
+ * rest are reported and left out
+ */
+function loadProjects(file, agents) {
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8')).filter(raw => {
+        const errors = validateProject(raw);
+        if (errors.length > 0) {
+            console.log(`⚠️ Skipping project ${raw.id || raw.name}: ${errors.join('; ')}`);
+            return false;
+        }
+        if (!agents.some(agent => agent.id === raw.developerId && agent.type === 'developer')) {
+            console.log(`⚠️ Skipping project ${raw.id}: unknown developer ${raw.developerId}`);
+            return false;
+        }
+        return true;
+    }).map(normalizeProject);
+}
+
+/**
+ * Published reviews, newest first
+ * @param {string} file - JSON array of `reviews` rows (agent_id, rating,
+ *   title, content, status, verification_status, created_at), e.g.
+ *   exported from Supabase
+ */
+function loadPublishedReviews(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+        .filter(row => row.status === undefined || row.status === 'published')
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+/**
+ * Reviews to show in the widgets, by agent id (in the order given)
+ */
+function groupReviewsByAgent(rows) {
+    const byAgent = {};
+    rows.forEach(row => {
+        (byAgent[row.agent_id] = byAgent[row.agent_id] || []).push(row);
+    });
+    return byAgent;
+}
+
+/**
+ * An agency's widget data (widget/<id>.json, read by js/widget.js): rating,
+ * stars (`renderStars`), review count, AgentScore, the latest reviews and
+ * the widget's text in every language
+ * @param {Object} agent - Canonical agent
+ * @param {Object} options - { baseUrl, reviews: the agency's published
+ *   reviews, newest first, usageEndpoint: where widgets report their views }
+ */
+function renderWidgetData(agent, { baseUrl, reviews = [], usageEndpoint = null }) {
+    const rated = typeof agent.rating === 'number';
+    const sample = agent.sampleReview;
+    const sampleText = typeof sample === 'string' ? sample : (sample && (sample.text || sample.content)) || '';
+    const latest = reviews.length > 0
+        ? reviews.slice(0, WIDGET_REVIEW_COUNT).map(review => ({
+            rating: review.rating,
+            stars: String(renderStars(review.rating)),
+            title: review.title || null,
+            text: review.content || '',
+            date: String(review.created_at).slice(0, 10),
+            source: 'reviewsrealty'
+        }))
+        // Without first-party reviews, Google's sample review stands in
+        : sampleText ? [{
+            rating: sample.rating || null,
+            stars: sample.rating ? String(renderStars(sample.rating)) : '',
+            title: sample.title || null,
+            text: sampleText,
+            date: null,
+            source: 'google'
+        }] : [];
+
+    const labels = {};
+    Object.keys(LOCALES).forEach(locale => {
+        setLocale(locale, { persist: false });
+        labels[locale] = {
+            rating: rated
+                ? agent.rating.toLocaleString(LOCALES[locale].intl, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                : '–',
+            reviews: rated ? t('{count} reviews', { count: agent.reviewCount || 0 }) : t('Not yet rated'),
+            score: agent.scoreDetails && agent.scoreDetails.effectiveReviews > 0
+                ? t('AgentScore {score}', { score: agent.score.toFixed(2) })
+                : null,
+            more: t('Read all reviews on Reviews Realty'),
+            google: t('Google review')
+        };
+    });
+    setLocale(DEFAULT_LOCALE, { persist: false });
+
+    return {
+        id: agent.id,
+        name: agent.name,
+        type: agent.type,
+        url: `${baseUrl}/${profilePath(agent)}`,
+        rating: rated ? agent.rating : null,
+        reviewCount: agent.reviewCount || 0,
+        score: agent.score,
+        stars: rated ? String(renderStars(agent.rating)) : '',
+        reviews: latest,
+        labels,
+        usageEndpoint
+    };
+}
+
+/**
+ * Profile link from a city page, in the current locale (carried as ?lang=
+ * so the profile opens in the same language). City pages served from the
+ * repo root link to the query-string profile pages, as there are no
+ * generated ones there.
+ */
+function cityProfileHref(agent, { servedFromRoot = false } = {}) {
+    const locale = getLocale();
+    const page = servedFromRoot
+        ? `${agent.type === 'developer' ? 'developer-profile.html' : 'agent-profile.html'}?id=${encodeURIComponent(agent.id)}`
+        : profilePath(agent);
+    if (locale === DEFAULT_LOCALE) return page;
+    return `${page}${page.includes('?') ? '&' : '?'}${LOCALE_PARAM}=${locale}`;
+}
+
+/**
+ * Card for an agent in a city's top lists (in the current locale)
+ * @param {Object} options - { servedFromRoot } (see cityProfileHref)
+ */
+function renderCityCard(agent, options) {
+    const href = escapeHtml(cityProfileHref(agent, options));
+    return `
+                <div class="bg-white rounded-xl shadow-sm overflow-hidden hover:shadow-md transition">
+                    <div class="p-6">
+                        <div class="flex items-start gap-4">
+                            <div class="w-16 h-16 bg-primary/10 rounded-lg flex items-center justify-center text-2xl font-bold text-primary">
+                                ${escapeHtml(agent.name.charAt(0))}
+                            </div>
+                            <div class="flex-1">
+                                <h3 class="font-semibold text-gray-800">${escapeHtml(agent.name)}</h3>
+                                <p class="text-sm text-gray-500">${escapeHtml(t(agent.location))}</p>
+                                <div class="flex items-center gap-2 mt-2">
+                                    ${renderRatingSummary(agent.rating)}
+                                    <span class="text-sm text-gray-400">${t('({count} reviews)', { count: agent.reviewCount || 0 })}</span>
+                                </div>
+                                ${agent.specialties.length ? `<p class="text-sm text-gray-600 mt-2">${escapeHtml(agent.specialties.slice(0, 2).map(specialty => t(specialty)).join(', '))}</p>` : ''}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="border-t px-6 py-3 bg-gray-50">
+                        <a href="${href}" class="text-primary text-sm font-medium hover:underline">${t('View Profile →')}</a>
+                    </div>
+                </div>`;
+}
+
+/**
+ * Row in a city's "Rising" / "Most improved" lists
+ * @param {Object} options - { servedFromRoot } (see cityProfileHref)
+ */
+function renderTrendItem(agent, change, options) {
+    const locale = getLocale();
+    const href = escapeHtml(cityProfileHref(agent, options));
+    const rating = value => value.toLocaleString(LOCALES[locale].intl, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const text = change.newReviews !== undefined
+        ? t('+{count} reviews', { count: change.newReviews })
+        : `★ ${rating(change.from)} → ${rating(change.to)}`;
+    return `
+                    <li class="py-3 flex items-center justify-between gap-4">
+                        <a href="${href}" class="font-medium text-gray-800 hover:text-primary">${escapeHtml(agent.name)}</a>
+                        <span class="text-sm font-medium text-green-600 whitespace-nowrap">${escapeHtml(text)}</span>
+                    </li>`;
+}
+
+/**
+ * Render a city page from templates/city.html
+ * @param {string} template
+ * @param {Object} city - Entry from data/cities.json ({ name, slugs, tagline, keywords,
+ *   highlights, faqs, translations })
+ * @param {Object[]} agents - Canonical agents serving the city (cityAgents)
+ * @param {Object} context - { baseUrl, cities, locale, snapshots, servedFromRoot }
+ *   (cities: the data/cities.json entry, or name, of every city, for the footer;
+ *   locale defaults to English; snapshots: data/agent-snapshots.json, for the
+ *   trend lists; servedFromRoot: for the repo root rather than the build, see
+ *   --root-cities)
+ */
+function renderCityPage(template, city, agents, { baseUrl, cities, locale = DEFAULT_LOCALE, snapshots = [], servedFromRoot = false }) {
+    setLocale(locale, { persist: false });
+    const copy = localizeCity(city, locale);
+    const pagePath = cityPath(city, locale);
+    const url = `${baseUrl}/${pagePath}`;
+    const heading = t('Best Real Estate Agents & Developers in {city}', { city: copy.name });
+    const title = `${heading} | Reviews Realty`;
+    const description = t('Find the top-rated real estate agents and property developers in {city}, Cyprus. Read verified reviews, compare ratings, and choose the right partner for your property needs.', { city: copy.name });
+    const top = type => agents
+        .filter(agent => agent.type === type)
+        .sort((a, b) => compareAgents(a, b, 'score'))
+        .slice(0, TOP_AGENTS_PER_CITY);
+    const rising = risingAgencies(agents, snapshots);
+    const improved = mostImproved(agents, snapshots);
+    const rated = agents.filter(agent => typeof agent.rating === 'number');
+    const averageRating = rated.length
+        ? (rated.reduce((sum, agent) => sum + agent.rating, 0) / rated.length).toLocaleString(LOCALES[locale].intl, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        : '–';
+
+    const structuredData = {
+        '@context': 'https://schema.org',
+        '@type': 'WebPage',
+        name: heading,
+        description: t('Find top-rated real estate agents and developers in {city}, Cyprus', { city: copy.name }),
+        url,
+        inLanguage: locale,
+        mainEntity: {
+            '@type': 'ItemList',
+            itemListElement: [...agents].sort((a, b) => compareAgents(a, b, 'score')).map((agent, index) => {
+                const agentUrl = `${baseUrl}/${profilePath(agent)}`;
+                const { '@context': context, ...item } = agentStructuredData(agent, agentUrl);
+                return { '@type': 'ListItem', position: index + 1, item };
+            })
+        }
+    };
+
+    let html = fillTemplate(translateTemplate(template), {
+        lang: locale,
+        title: escapeHtml(title),
+        description: escapeHtml(description),
+        keywords: escapeHtml(copy.keywords || `${copy.name} real estate agents, ${copy.name} property developers, Cyprus real estate`),
+        meta: renderMetaTags({ title, description, url }),
+        alternates: Object.keys(LOCALES)
+            .map(code => `    <link rel="alternate" hreflang="${code}" href="${escapeHtml(`${baseUrl}/${cityPath(city, code)}`)}">`)
+            .concat(`    <link rel="alternate" hreflang="x-default" href="${escapeHtml(`${baseUrl}/${cityPath(city)}`)}">`)
+            .join('\n'),
+        languageLinks: Object.entries(LOCALES)
+            .map(([code, { name }]) => (code === locale
+                ? `                        <span class="font-medium text-gray-800">${name}</span>`
+                : `                        <a href="${escapeHtml(servedFromRoot ? `${baseUrl}/${cityPath(city, code)}` : cityPath(city, code))}" hreflang="${code}" class="text-gray-500 hover:text-primary">${name}</a>`))
+            .join('\n'),
+        jsonLd: renderJsonLd(structuredData),
+        city: escapeHtml(copy.name),
+        cityParam: encodeURIComponent(city.name),
+        tagline: escapeHtml(copy.tagline || copy.name),
+        professionalCount: agents.length,
+        reviewCount: agents.reduce((sum, agent) => sum + (agent.reviewCount || 0), 0).toLocaleString(LOCALES[locale].intl),
+        averageRating,
+        highlights: (copy.highlights || []).map(({ icon, title: heading, text }) => `
+                <div class="bg-white rounded-xl p-6 shadow-sm">
+                    <div class="text-3xl mb-3">${icon}</div>
+                    <h3 class="font-semibold text-gray-800 mb-2">${escapeHtml(heading)}</h3>
+                    <p class="text-gray-600">${escapeHtml(text)}</p>
+                </div>`).join(''),
+        topAgents: top('agent').map(agent => renderCityCard(agent, { servedFromRoot })).join(''),
+        topDevelopers: top('developer').map(agent => renderCityCard(agent, { servedFromRoot })).join(''),
+        risingAgencies: rising.map(({ agent, newReviews }) => renderTrendItem(agent, { newReviews }, { servedFromRoot })).join(''),
+        mostImproved: improved.map(({ agent, from, to }) => renderTrendItem(agent, { from, to }, { servedFromRoot })).join(''),
+        faqs: (copy.faqs || []).map(({ question, answer }) => `
+                <div class="bg-white rounded-xl p-6 shadow-sm">
+                    <h3 class="font-semibold text-gray-800 mb-2">${escapeHtml(question)}</h3>
+                    <p class="text-gray-600">${escapeHtml(answer)}</p>
+                </div>`).join(''),
+        cityLinks: cities
+            .map(entry => `                        <li><a href="${cityPath(entry, locale)}" class="hover:text-white">${escapeHtml(localizeCity(typeof entry === 'string' ? { name: entry } : entry, locale).name)}</a></li>`)
+            .join('\n')
+    });
+
+    if (rising.length > 0) html = unhideElement(html, 'city-rising-card');
+    if (improved.length > 0) html = unhideElement(html, 'city-improved-card');
+    if (rising.length > 0 || improved.length > 0) html = unhideElement(html, 'city-trends');
+
+    if (locale !== DEFAULT_LOCALE) {
+        // Translated pages live one directory down; links to the other pages
+        // keep the language through ?lang=
+        html = html.replace('<meta charset="UTF-8">', '<meta charset="UTF-8">\n    <base href="../">');
+        html = html.replace(/href="((?:index|agents|developers)\.html)(\?[^"#]*)?(#[^"]*)?"/g,
+            (match, page, query = '', hash = '') => `href="${page}${query ? `${query}&` : '?'}${LOCALE_PARAM}=${locale}${hash}"`);
+        html = html.replace(/href="#/g, `href="${pagePath}#`);
+    }
+    return html;
+}
+
+/**
+ * sitemap.xml for a list of absolute URLs
+ */
+function renderSitemap(urls) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(url => `  <url><loc>${escapeHtml(url)}</loc></url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Load, resolve and score agents the same way the site does (see
+ * prepareAgents in data.js), with first-party stats from the published
+ * reviews
+ */
+function loadAgents(file, reviews = []) {
+    const records = flattenRecords(JSON.parse(fs.readFileSync(file, 'utf8')));
+    const { agents, ambiguous } = resolveEntities([
+        { source: 'listing', agents: records.map(raw => normalizeAgent(raw, 'listing')) }
+    ]);
+    ambiguous.forEach(({ a, b }) => {
+        console.log(`⚠️ Possible duplicate agents, left unmerged: ${a.id} / ${b.id}`);
+    });
+    return scoreAgents(agents, { firstPartyStats: firstPartyStatsByAgent(reviews) });
+}
+
+/**
+ * Throw unless `out` is safe to clear before a build: never the site
+ * itself, a directory above it, or a git checkout
+ */
+function checkOutDir(out) {
+    const real = dir => (fs.existsSync(dir) ? fs.realpathSync(dir) : path.resolve(dir));
+    const target = real(out);
+    const fromTarget = path.relative(target, real(ROOT));
+    if (!fromTarget.startsWith('..') && !path.isAbsolute(fromTarget)) {
+        throw new Error(`Refusing to clear ${target}: it contains the site`);
+    }
+    if (fs.existsSync(path.join(target, '.git'))) {
+        throw new Error(`Refusing to clear ${target}: it is a git checkout`);
+    }
+}
+
+/**
+ * Copy the public files of the site (SITE_FILES) into the output directory
+ */
+function copySite(out) {
+    SITE_FILES.forEach(file => {
+        fs.mkdirSync(path.dirname(path.join(out, file)), { recursive: true });
+        fs.copyFileSync(path.join(ROOT, file), path.join(out, file));
+    });
+}
+
+/**
+ * js/config.js with a Supabase project's URL and anon key
+ */
+function renderConfig({ url, anonKey }) {
+    return [
+        '// Written by js/build-pages.js',
+        `window.SUPABASE_URL = ${JSON.stringify(url)};`,
+        `window.SUPABASE_ANON_KEY = ${JSON.stringify(anonKey)};`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Agents on a city's page: based in it or serving it, by the same rule as
+ * the agents.html location filter (servesArea in js/geo.js)
+ */
+function cityAgents(agents, city) {
+    return agents.filter(agent => servesArea(agent, city.name));
+}
+
+/**
+ * The cities that get a page: those with copy in data/cities.json first
+ * (in that order), then any other city agents are based in, each as its
+ * data/cities.json entry or { name }; only cities with agents
+ */
+function loadCities(agents) {
+    setGeoData(JSON.parse(fs.readFileSync(GEO_FILE, 'utf8')));
+    const cityCopy = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'cities.json'), 'utf8'));
+    return [...new Set([...cityCopy.map(city => city.name), ...agents.map(agent => agent.location)])]
+        .map(name => cityCopy.find(entry => entry.name === name) || { name })
+        .filter(city => cityAgents(agents, city).length > 0);
+}
+
+function loadSnapshots() {
+    return fs.existsSync(SNAPSHOT_FILE) ? JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8')) : [];
+}
+
+function writePage(out, pagePath, html) {
+    const file = path.join(out, decodeURIComponent(pagePath));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+}
+
+/**
+ * Build the site
+ * @param {Object} options - { file, out, baseUrl, reviews, usageEndpoint, supabase }
+ *   supabase - { url, anonKey } for js/config.js; without it the copied one is kept
+ * @returns {{ agents: number, projects: number, cities: number, locales: number, urls: string[] }}
+ */
+function buildPages({ file = DEFAULT_FILE, out = path.join(ROOT, 'dist'), baseUrl, reviews = null, usageEndpoint = null, supabase = null }) {
+    const publishedReviews = reviews ? loadPublishedReviews(reviews) : [];
+    const agents = loadAgents(file, publishedReviews);
+    const templates = {
+        agent: fs.readFileSync(path.join(ROOT, 'agent-profile.html'), 'utf8'),
+        developer: fs.readFileSync(path.join(ROOT, 'developer-profile.html'), 'utf8'),
+        project: fs.readFileSync(path.join(ROOT, 'project.html'), 'utf8'),
+        city: fs.readFileSync(path.join(ROOT, 'templates', 'city.html'), 'utf8')
+    };
+    const snapshots = loadSnapshots();
+    const projects = loadProjects(PROJECT_FILE, agents);
+    const widgetReviews = groupReviewsByAgent(publishedReviews);
+    const cities = loadCities(agents);
+
+    checkOutDir(out);
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+    copySite(out);
+    if (supabase) {
+        fs.writeFileSync(path.join(out, 'js', 'config.js'), renderConfig(supabase));
+    }
+
+    const urls = SITEMAP_PAGES.map(page => `${baseUrl}/${page === 'index.html' ? '' : page}`);
+
+    cities.forEach(city => {
+        Object.keys(LOCALES).forEach(locale => {
+            const html = renderCityPage(templates.city, city, cityAgents(agents, city), { baseUrl, cities, locale, snapshots });
+            writePage(out, cityPath(city, locale), html);
+            urls.push(`${baseUrl}/${cityPath(city, locale)}`);
+        });
+    });
+
+    agents.forEach(agent => {
+        const template = agent.type === 'developer' ? templates.developer : templates.agent;
+        writePage(out, profilePath(agent), renderProfilePage(template, agent, baseUrl));
+        urls.push(`${baseUrl}/${profilePath(agent)}`);
+        const widget = renderWidgetData(agent, { baseUrl, reviews: widgetReviews[agent.id], usageEndpoint });
+        writePage(out, widgetPath(agent), JSON.stringify(widget));
+    });
+
+    projects.forEach(project => {
+        const developer = agents.find(agent => agent.id === project.developerId);
+        writePage(out, projectPath(project), renderProjectPage(templates.project, project, developer, baseUrl));
+        urls.push(`${baseUrl}/${projectPath(project)}`);
+    });
+
+    fs.writeFileSync(path.join(out, 'sitemap.xml'), renderSitemap(urls));
+    fs.writeFileSync(path.join(out, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${baseUrl}/sitemap.xml\n`);
+
+    return { agents: agents.length, projects: projects.length, cities: cities.length, locales: Object.keys(LOCALES).length, urls };
+}
+
+/**
+ * Rewrite the English city pages at the repo root with the same renderer
+ * as the built ones, for serving the repo directly (--root-cities)
+ * @param {Object} options - { file, baseUrl, reviews }
+ * @returns {string[]} The pages written, relative to the repo root
+ */
+function buildRootCityPages({ file = DEFAULT_FILE, baseUrl, reviews = null }) {
+    const agents = loadAgents(file, reviews ? loadPublishedReviews(reviews) : []);
+    const template = fs.readFileSync(path.join(ROOT, 'templates', 'city.html'), 'utf8');
+    const snapshots = loadSnapshots();
+    const cities = loadCities(agents);
+    return cities.map(city => {
+        const html = renderCityPage(template, city, cityAgents(agents, city), { baseUrl, cities, snapshots, servedFromRoot: true });
+        writePage(ROOT, cityPath(city), html);
+        return cityPath(city);
+    });
+}
+
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+        if (arg === '--file') options.file = path.resolve(value());
+        else if (arg === '--out') options.out = path.resolve(value());
+        else if (arg === '--base-url') options.baseUrl = value().replace(/\/$/, '');
+        else if (arg === '--reviews') options.reviews = path.resolve(value());
+        else if (arg === '--usage-endpoint') options.usageEndpoint = value();
+        else if (arg === '--root-cities') options.rootCities = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+        options.supabase = { url: process.env.SUPABASE_URL, anonKey: process.env.SUPABASE_ANON_KEY };
+    }
+
+    if (!options.baseUrl) {
+        const domain = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+        options.baseUrl = `https://${domain}`;
+    }
+
+    try {
+        if (options.rootCities) {
+            const pages = buildRootCityPages(options);
+            console.log(`✅ Wrote ${pages.length} city pages at the repo root: ${pages.join(', ')}`);
+        } else {
+            const { agents, projects, cities, locales, urls } = buildPages(options);
+            console.log(`✅ Built ${agents} profile pages, ${projects} project pages and ${cities} city pages in ${locales} languages (${urls.length} URLs in sitemap.xml)`);
+        }
+    } catch (err) {
+        console.error('❌ Build failed:', err.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    escapeHtml,
+    profilePath,
+    projectPath,
+    widgetPath,
+    cityPath,
+    localizeCity,
+    translateTemplate,
+    agentStructuredData,
+    renderProfilePage,
+    renderProjectPage,
+    renderWidgetData,
+    renderCityPage,
+    renderSitemap,
+    loadAgents,
+    cityAgents,
+    buildPages,
+    buildRootCityPages
+};
@@ -0,0 +1,394 @@
+/**
+ * Agency claim flow for profile pages
+ * An agency proves it owns a listing with a code sent to an address at its
+ * listed email or website domain. Verified owners get the "Verified" badge
+ * and can edit description, phone, logo, services and specialties, post
+ * one public reply per review, see their profile stats and answer enquiries
+ * in the lead inbox.
+ *
+ * Expects #verified-badge, #claim-profile-btn, #edit-profile-btn,
+ * #invite-client-btn, #agency-stats-link and #lead-inbox-link on the page;
+ * the modals are created on first use.
+ */
+
+const SERVICE_OPTIONS = ['Sales', 'Rentals', 'Commercial', 'Property Management', 'Investment'];
+
+let claimAgent = null;
+let activeClaimId = null;
+let isClaimOwner = false;
+
+/**
+ * Domains an agency can be claimed from (listed email and website)
+ */
+function getClaimDomains(agent) {
+    const domains = new Set();
+    if (agent.email && agent.email.includes('@')) {
+        domains.add(agent.email.split('@')[1].toLowerCase());
+    }
+    if (agent.website) {
+        try {
+            domains.add(new URL(agent.website).hostname.replace(/^www\./, '').toLowerCase());
+        } catch {
+            // Not a URL we can read a domain from
+        }
+    }
+    return [...domains];
+}
+
+/**
+ * Whether an email may be used to claim an agency. This only saves a round
+ * trip: the claim-verification edge function (supabase/functions) applies
+ * the same rule server-side.
+ */
+function isEligibleClaimEmail(email, agent) {
+    const normalized = email.trim().toLowerCase();
+    if (agent.email && normalized === agent.email.toLowerCase()) return true;
+
+    const domain = normalized.split('@')[1];
+    return Boolean(domain) && getClaimDomains(agent).some(d => domain === d || domain.endsWith('.' + d));
+}
+
+/**
+ * Show the badge and the claim or edit button for an agency
+ */
+async function initClaimUI(agent) {
+    claimAgent = agent;
+
+    document.getElementById('verified-badge').classList.toggle('hidden', !agent.verified);
+
+    isClaimOwner = false;
+    if (window.ReviewsRealty) {
+        try {
+            isClaimOwner = await window.ReviewsRealty.claims.isOwner(agent.id);
+        } catch (err) {
+            console.log('Error checking agency ownership:', err);
+        }
+    }
+
+    document.getElementById('edit-profile-btn').classList.toggle('hidden', !isClaimOwner);
+    document.getElementById('invite-client-btn').classList.toggle('hidden', !isClaimOwner);
+    document.getElementById('agency-stats-link').classList.toggle('hidden', !isClaimOwner);
+    document.getElementById('agency-stats-link').href = `agency-stats.html?id=${encodeURIComponent(agent.id)}`;
+    document.getElementById('lead-inbox-link').classList.toggle('hidden', !isClaimOwner);
+    document.getElementById('lead-inbox-link').href = `leads.html?id=${encodeURIComponent(agent.id)}`;
+    document.getElementById('claim-profile-btn').classList.toggle('hidden', isClaimOwner || agent.verified);
+}
+
+// Claim modal
+
+function ensureClaimModal() {
+    if (document.getElementById('claim-modal')) return;
+
+    document.body.appendChild(createElement(html`
+        <div id="claim-modal" class="fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center p-4">
+            <div class="bg-white rounded-xl max-w-md w-full p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold text-gray-800">${t('Claim this profile')}</h3>
+                    <button onclick="closeClaimModal()" class="text-gray-400 hover:text-gray-600">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <form id="claim-request-form" class="space-y-4">
+                    <p class="text-sm text-gray-600">
+                        ${trustedHtml(t('We\'ll send a verification code to an address at {domains}.', {
+                            domains: '<span id="claim-domains" class="font-medium text-gray-800"></span>'
+                        }))}
+                    </p>
+                    <div>
+                        <label for="claim-email" class="block text-sm font-medium text-gray-700 mb-1">${t('Work email')}</label>
+                        <input type="email" id="claim-email" required class="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50">
+                    </div>
+                    <button type="submit" class="w-full bg-primary text-white py-2 rounded-lg hover:bg-secondary transition font-medium">
+                        ${t('Send Code')}
+                    </button>
+                </form>
+
+                <form id="claim-verify-form" class="space-y-4 hidden">
+                    <p class="text-sm text-gray-600">${t('Enter the 6-digit code we emailed you.')}</p>
+                    <input type="text" id="claim-code" inputmode="numeric" autocomplete="one-time-code" maxlength="6" required
+                           class="w-full px-4 py-2 border rounded-lg text-center tracking-widest text-lg focus:outline-none focus:ring-2 focus:ring-primary/50">
+                    <button type="submit" class="w-full bg-primary text-white py-2 rounded-lg hover:bg-secondary transition font-medium">
+                        ${t('Verify')}
+                    </button>
+                    <button type="button" onclick="resendClaimCode()" class="w-full text-primary hover:underline text-sm">
+                        ${t('Resend code')}
+                    </button>
+                </form>
+
+                <div id="claim-feedback" class="hidden mt-4"></div>
+            </div>
+        </div>
+    `));
+
+    document.getElementById('claim-request-form').addEventListener('submit', handleClaimRequest);
+    document.getElementById('claim-verify-form').addEventListener('submit', handleClaimVerify);
+}
+
+async function openClaimModal() {
+    const user = window.ReviewsRealty ? await window.ReviewsRealty.auth.getUser() : null;
+    if (!user) {
+        openAuthModal();
+        return;
+    }
+
+    ensureClaimModal();
+    const domains = getClaimDomains(claimAgent);
+    document.getElementById('claim-domains').textContent = domains.length
+        ? domains.join(` ${t('or')} `)
+        : t('the agency\'s listed domain');
+    document.getElementById('claim-request-form').classList.remove('hidden');
+    document.getElementById('claim-verify-form').classList.add('hidden');
+    document.getElementById('claim-feedback').classList.add('hidden');
+    document.getElementById('claim-modal').classList.remove('hidden');
+}
+
+function closeClaimModal() {
+    document.getElementById('claim-modal').classList.add('hidden');
+}
+
+function showClaimFeedback(message, type) {
+    const feedback = document.getElementById('claim-feedback');
+    feedback.textContent = message;
+    feedback.className = `mt-4 p-3 rounded-lg text-sm ${type === 'error' ? 'bg-red-50 text-red-600' : 'bg-green-50 text-green-600'}`;
+}
+
+async function handleClaimRequest(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('claim-email').value.trim();
+    if (!isEligibleClaimEmail(email, claimAgent)) {
+        showClaimFeedback(t('Please use an address at the agency\'s own email or website domain.'), 'error');
+        return;
+    }
+
+    const { data, error } = await window.ReviewsRealty.claims.requestClaim({ agentId: claimAgent.id, email });
+    if (error) {
+        showClaimFeedback(error.message || t('Failed to start the claim'), 'error');
+        return;
+    }
+
+    activeClaimId = data.id;
+    document.getElementById('claim-request-form').classList.add('hidden');
+    document.getElementById('claim-verify-form').classList.remove('hidden');
+    showClaimFeedback(t('Code sent to {email}', { email }), 'success');
+}
+
+async function resendClaimCode() {
+    if (!activeClaimId) return;
+    const { error } = await window.ReviewsRealty.claims.resendCode(activeClaimId);
+    showClaimFeedback(error ? (error.message || t('Failed to resend the code')) : t('Code sent again'), error ? 'error' : 'success');
+}
+
+async function handleClaimVerify(e) {
+    e.preventDefault();
+
+    const code = document.getElementById('claim-code').value;
+    const { error } = await window.ReviewsRealty.claims.verifyClaim({ claimId: activeClaimId, code });
+    if (error) {
+        showClaimFeedback(error.message || t('That code did not work'), 'error');
+        return;
+    }
+
+    closeClaimModal();
+    showToast(t('Profile verified - you can now edit it.'), 'success');
+    claimAgent.verified = true;
+    await initClaimUI(claimAgent);
+}
+
+// Owner edit modal
+
+function ensureEditProfileModal() {
+    if (document.getElementById('edit-profile-modal')) return;
+
+    document.body.appendChild(createElement(html`
+        <div id="edit-profile-modal" class="fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center p-4">
+            <div class="bg-white rounded-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold text-gray-800">${t('Edit profile')}</h3>
+                    <button onclick="closeEditProfileModal()" class="text-gray-400 hover:text-gray-600">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <form id="edit-profile-form" class="space-y-4">
+                    <div>
+                        <label for="edit-description" class="block text-sm font-medium text-gray-700 mb-1">${t('Description')}</label>
+                        <textarea id="edit-description" rows="4" maxlength="2000" class="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50 resize-none"></textarea>
+                    </div>
+                    <div>
+                        <label for="edit-phone" class="block text-sm font-medium text-gray-700 mb-1">${t('Phone')}</label>
+                        <input type="tel" id="edit-phone" class="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50">
+                    </div>
+                    <div>
+                        <label for="edit-logo" class="block text-sm font-medium text-gray-700 mb-1">${t('Logo')}</label>
+                        <input type="file" id="edit-logo" accept="image/png,image/jpeg,image/svg+xml,image/webp" class="w-full text-sm">
+                    </div>
+                    <div>
+                        <p class="block text-sm font-medium text-gray-700 mb-1">${t('Services')}</p>
+                        <div id="edit-services" class="grid grid-cols-2 gap-2 text-sm">
+                            ${SERVICE_OPTIONS.map(service => html`
+                                <label class="flex items-center gap-2">
+                                    <input type="checkbox" value="${service}"> ${t(service)}
+                                </label>
+                            `)}
+                        </div>
+                    </div>
+                    <div>
+                        <label for="edit-specialties" class="block text-sm font-medium text-gray-700 mb-1">${t('Specialties (comma separated)')}</label>
+                        <input type="text" id="edit-specialties" class="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50">
+                    </div>
+                    <button type="submit" id="save-profile-btn" class="w-full bg-primary text-white py-2 rounded-lg hover:bg-secondary transition font-medium">
+                        ${t('Save Changes')}
+                    </button>
+                    <div id="edit-profile-feedback" class="hidden"></div>
+                </form>
+            </div>
+        </div>
+    `));
+
+    document.getElementById('edit-profile-form').addEventListener('submit', handleProfileEdit);
+}
+
+function openEditProfileModal() {
+    ensureEditProfileModal();
+
+    document.getElementById('edit-description').value = claimAgent.description || '';
+    document.getElementById('edit-phone').value = claimAgent.phone || '';
+    document.getElementById('edit-logo').value = '';
+    document.getElementById('edit-specialties').value = (claimAgent.specialties || []).join(', ');
+    document.querySelectorAll('#edit-services input').forEach(input => {
+        input.checked = (claimAgent.services || []).includes(input.value);
+    });
+    document.getElementById('edit-profile-feedback').classList.add('hidden');
+    document.getElementById('edit-profile-modal').classList.remove('hidden');
+}
+
+function closeEditProfileModal() {
+    document.getElementById('edit-profile-modal').classList.add('hidden');
+}
+
+async function handleProfileEdit(e) {
+    e.preventDefault();
+
+    const feedback = document.getElementById('edit-profile-feedback');
+    const saveBtn = document.getElementById('save-profile-btn');
+    saveBtn.disabled = true;
+    saveBtn.textContent = t('Saving...');
+
+    try {
+        const fields = {
+            description: document.getElementById('edit-description').value.trim() || null,
+            phone: document.getElementById('edit-phone').value.trim() || null,
+            services: [...document.querySelectorAll('#edit-services input:checked')].map(input => input.value),
+            specialties: document.getElementById('edit-specialties').value
+                .split(',')
+                .map(s => s.trim())
+                .filter(Boolean)
+        };
+
+        const logo = document.getElementById('edit-logo').files[0];
+        if (logo) {
+            const { data, error } = await window.ReviewsRealty.claims.uploadLogo(claimAgent.id, logo);
+            if (error) throw error;
+            fields.logoUrl = data.url;
+        }
+
+        const { error } = await window.ReviewsRealty.claims.updateAgentProfile(claimAgent.id, fields);
+        if (error) throw error;
+
+        closeEditProfileModal();
+        showToast(t('Profile updated'), 'success');
+        setTimeout(() => window.location.reload(), 1000);
+    } catch (err) {
+        feedback.textContent = err.message || t('Failed to save changes');
+        feedback.className = 'p-3 rounded-lg bg-red-50 text-red-600 text-sm';
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = t('Save Changes');
+    }
+}
+
+// Client invites
+
+/**
+ * Create a single-use review invite and copy its link for the owner
+ */
+async function createInviteLink() {
+    const { data, error } = await window.ReviewsRealty.claims.createReviewInvite(claimAgent.id);
+    if (error) {
+        showToast(error.message || t('Failed to create an invite'), 'error');
+        return;
+    }
+
+    const url = `${window.location.origin}${window.location.pathname}?id=${encodeURIComponent(claimAgent.id)}&invite=${data.token}`;
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast(t('Invite link copied - send it to your client. It works once and expires in 30 days.'), 'success');
+    } catch {
+        prompt(t('Send this link to your client (single use, expires in 30 days):'), url);
+    }
+}
+
+// Owner replies to reviews
+
+/**
+ * Threaded agency reply under a review, plus the reply form for owners.
+ * Only first-party reviews can be replied to.
+ */
+function renderReviewResponse(review) {
+    const response = review.response;
+    const canReply = isClaimOwner && review.source === 'Reviews Realty';
+    if (!response && !canReply) return '';
+
+    const edited = response && response.updated_at &&
+        new Date(response.updated_at) - new Date(response.created_at) > 60 * 1000;
+
+    return html`
+        ${response ? html`
+            <div class="mt-4 ml-4 pl-4 border-l-2 border-primary/30">
+                <p class="text-sm font-medium text-gray-800">${t('Response from {name}', { name: claimAgent.name })}</p>
+                <p class="text-xs text-gray-500" title="${formatDateTime(response.created_at)}">
+                    ${formatCalendarDate(response.created_at)}${edited ? ` · ${t('edited {date}', { date: formatCalendarDate(response.updated_at) })}` : ''}
+                </p>
+                <p class="text-gray-600 text-sm mt-2 whitespace-pre-line">${response.content}</p>
+            </div>
+        ` : ''}
+        ${canReply ? html`
+            <button data-review-id="${review.id}" onclick="toggleResponseForm(this.dataset.reviewId)" class="mt-3 text-sm text-primary hover:underline">
+                ${response ? t('Edit reply') : t('Reply publicly')}
+            </button>
+            <div id="response-form-${review.id}" class="hidden mt-3">
+                <textarea id="response-text-${review.id}" rows="3" maxlength="1000"
+                          class="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50 resize-none text-sm"
+                          placeholder="${t('Your public reply as {name}', { name: claimAgent.name })}">${response ? response.content : ''}</textarea>
+                <div class="flex justify-end gap-2 mt-2">
+                    <button data-review-id="${review.id}" onclick="toggleResponseForm(this.dataset.reviewId)" class="px-4 py-2 text-sm rounded-lg border hover:bg-gray-50 transition">${t('Cancel')}</button>
+                    <button data-review-id="${review.id}" onclick="submitReviewResponse(this.dataset.reviewId)" class="px-4 py-2 text-sm rounded-lg bg-primary text-white hover:bg-secondary transition">
+                        ${response ? t('Update Reply') : t('Post Reply')}
+                    </button>
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
+function toggleResponseForm(reviewId) {
+    document.getElementById(`response-form-${reviewId}`).classList.toggle('hidden');
+}
+
+async function submitReviewResponse(reviewId) {
+    const content = document.getElementById(`response-text-${reviewId}`).value;
+    const { error } = await window.ReviewsRealty.db.respondToReview(reviewId, content);
+    if (error) {
+        showToast(error.message || t('Failed to post reply'), 'error');
+        return;
+    }
+
+    showToast(t('Reply posted - the reviewer has been notified.'), 'success');
+    await loadReviews();
+}
@@ -0,0 +1,171 @@
+/**
+ * Side-by-side agency comparison for Reviews Realty
+ * The selected agencies travel in the `compare` URL parameter as a
+ * comma-separated list of ids, so any comparison can be shared as a link.
+ */
+
+const COMPARE_PARAM = 'compare';
+const COMPARE_LIMITS = { min: 2, max: 4 };
+
+/**
+ * Parse agent ids from the `compare` URL parameter
+ * @param {string|null} value - e.g. "century-21-cyprus,kalogirou-real-estate"
+ * @returns {string[]} Distinct ids, at most COMPARE_LIMITS.max
+ */
+function parseCompareIds(value) {
+    const ids = String(value || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    return [...new Set(ids)].slice(0, COMPARE_LIMITS.max);
+}
+
+/**
+ * Add or remove an id from a selection
+ * @returns {string[]} The new selection (unchanged when adding to a full one)
+ */
+function toggleCompareId(ids, id) {
+    if (ids.includes(id)) return ids.filter(existing => existing !== id);
+    if (ids.length >= COMPARE_LIMITS.max) return ids;
+    return [...ids, id];
+}
+
+/**
+ * Link to the comparison view for a selection
+ */
+function compareUrl(ids) {
+    return `compare.html?${COMPARE_PARAM}=${ids.map(encodeURIComponent).join(',')}`;
+}
+
+/**
+ * Indexes of the best values in a row (none when fewer than two agencies
+ * have a value or they are all equal)
+ * @param {(number|null)[]} values
+ * @param {boolean} [higherIsBetter=true]
+ */
+function bestIndexes(values, higherIsBetter = true) {
+    const present = values.filter(value => typeof value === 'number');
+    if (present.length < 2 || present.every(value => value === present[0])) return [];
+    const best = higherIsBetter ? Math.max(...present) : Math.min(...present);
+    return values.reduce((indexes, value, index) => (value === best ? [...indexes, index] : indexes), []);
+}
+
+/**
+ * Rows of the comparison table
+ * @param {Object[]} agents - Canonical agents, in column order
+ * @param {Object} [firstParty] - { [agentId]: { stats, scoreDetails, reviews } }, where
+ *   stats comes from db.getAgentStats, scoreDetails from computeAgentScore and
+ *   reviews are the most recent published reviews
+ * @returns {{ label: string, cells: Array<SafeHtml|string>, best: number[] }[]} cells are markup or text
+ */
+function buildComparisonRows(agents, firstParty = {}) {
+    const info = agents.map(agent => firstParty[agent.id] || {});
+    const numberRow = (label, values, format, higherIsBetter = true) => ({
+        label,
+        cells: values.map(value => (typeof value === 'number' ? format(value) : html`<span class="text-gray-400">–</span>`)),
+        best: bestIndexes(values, higherIsBetter)
+    });
+    const listRow = (label, lists) => ({
+        label,
+        cells: lists.map(list => (list.length
+            ? html`<div class="flex flex-wrap gap-1">${list.map(item => html`<span class="bg-blue-50 text-blue-700 px-2 py-0.5 rounded-full text-xs">${t(item)}</span>`)}</div>`
+            : html`<span class="text-gray-400">–</span>`)),
+        best: []
+    });
+
+    const rows = [
+        numberRow('AgentScore',
+            agents.map((agent, i) => {
+                const details = info[i].scoreDetails || agent.scoreDetails;
+                return details && details.effectiveReviews > 0 ? details.score : null;
+            }),
+            score => score.toFixed(2)),
+        {
+            label: t('Rating'),
+            cells: agents.map(agent => html`<div class="flex items-center gap-1">${renderRatingSummary(agent.rating)}</div>`),
+            best: bestIndexes(agents.map(agent => agent.rating))
+        },
+        numberRow(t('Google reviews'), agents.map(agent => agent.reviewCount ?? null), count => String(count)),
+        numberRow(t('Reviews Realty reviews'),
+            info.map(({ stats }) => stats ? stats.reviewCount : null),
+            count => String(count)),
+        numberRow(t('Verified client reviews'),
+            info.map(({ stats }) => stats ? stats.verifiedCount : null),
+            count => String(count)),
+        numberRow(t('Active listings'), agents.map(agent => agent.ads ?? null), count => String(count)),
+        numberRow(t('Established'), agents.map(agent => Number(agent.established) || null), year => String(year), false),
+        listRow(t('Services'), agents.map(agent => agent.services || [])),
+        listRow(t('Tags'), agents.map(agent => agent.tags || []))
+    ];
+
+    // Project dimensions only apply to developers with reviewed projects
+    Object.entries(ALL_REVIEW_DIMENSIONS).forEach(([dimension, label]) => {
+        if (PROJECT_REVIEW_DIMENSIONS[dimension] && !info.some(({ stats }) => stats?.dimensions?.[dimension])) return;
+        rows.push(numberRow(t(label),
+            info.map(({ stats }) => stats?.dimensions?.[dimension]?.average ?? null),
+            average => average.toFixed(1)));
+    });
+
+    rows.push({
+        label: t('Recent reviews'),
+        cells: info.map(({ reviews = [] }) => (reviews.length
+            ? reviews.map(review => html`
+                <div class="mb-3 last:mb-0">
+                    <div class="flex items-center gap-1">${renderStars(review.rating)}</div>
+                    <p class="text-sm font-medium text-gray-800 mt-1">${review.title || ''}</p>
+                    <p class="text-sm text-gray-600">${truncateText(review.content || '', 140)}</p>
+                    <p class="text-xs text-gray-400 mt-1">${formatCalendarDate(review.created_at)}</p>
+                </div>
+            `)
+            : html`<span class="text-gray-400">${t('No reviews yet')}</span>`)),
+        best: []
+    });
+
+    return rows;
+}
+
+/**
+ * Render the comparison table
+ * @param {Object[]} agents - Canonical agents, in column order
+ * @param {Object} [firstParty] - See buildComparisonRows
+ * @returns {SafeHtml}
+ */
+function renderComparison(agents, firstParty = {}) {
+    const header = agents.map((agent, index) => html`
+        <th class="p-4 text-left align-top min-w-[12rem]">
+            <a href="${agent.type === 'developer' ? 'developer-profile.html' : 'agent-profile.html'}?id=${encodeURIComponent(agent.id)}"
+               class="font-semibold text-gray-800 hover:text-primary">${agent.name}</a>
+            <p class="text-sm font-normal text-gray-500">${t(agent.location)}</p>
+            <button onclick="removeFromComparison(${index})" class="text-xs font-normal text-gray-400 hover:text-red-600 mt-1">${t('Remove')}</button>
+        </th>
+    `);
+
+    const body = buildComparisonRows(agents, firstParty).map(row => html`
+        <tr class="border-t">
+            <th class="p-4 text-left text-sm font-medium text-gray-600 align-top">${row.label}</th>
+            ${row.cells.map((cell, index) => html`
+                <td class="p-4 align-top ${row.best.includes(index) ? 'bg-green-50 font-semibold text-green-800' : 'text-gray-800'}">${cell}</td>
+            `)}
+        </tr>
+    `);
+
+    return html`
+        <table class="w-full bg-white rounded-xl shadow-sm">
+            <thead><tr><th class="p-4"></th>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPARE_PARAM,
+        COMPARE_LIMITS,
+        parseCompareIds,
+        toggleCompareId,
+        compareUrl,
+        bestIndexes,
+        buildComparisonRows,
+        renderComparison
+    };
+}
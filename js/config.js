@@ -0,0 +1,12 @@
+/**
+ * Site configuration, loaded before js/supabase-config.js
+ *
+ * Leave the Supabase values empty to run on the static JSON data. To use a
+ * Supabase project, fill in its URL and anon (public) key here, or set
+ * SUPABASE_URL and SUPABASE_ANON_KEY when running js/build-pages.js, which
+ * writes them into dist/js/config.js. The anon key is public by design: the
+ * row-level security policies in supabase/migrations decide what it may do.
+ */
+
+window.SUPABASE_URL = window.SUPABASE_URL || '';
+window.SUPABASE_ANON_KEY = window.SUPABASE_ANON_KEY || '';
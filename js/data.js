@@ -1,220 +1,708 @@
 /**
  * Agent data loader for AgentScore
- * Loads from Supabase with fallback to local JSON
+ * Every page reads agents through a data-source adapter (static JSON,
+ * Supabase REST or an in-memory fixture). Adapters return records in the
+ * canonical agent schema produced by normalizeAgent().
  */
 
 // Cache for loaded agents
 let agentCache = null;
 let useSupabase = false; // Using JSON data with 20 real agents & developers
+let dataAdapter = null;
+let firstPartyStatsRequest = null;
+let populationPriorRequest = null;
 
 /**
- * Load agent data - tries Supabase first, falls back to JSON
+ * Canonical agent schema shared by every page:
+ * {
+ *   id, name, type ('agent' | 'developer'), location, url, website,
+ *   phone, email, address, logoUrl, ads, projects, rating, reviewCount,
+ *   established, description, featured_project, specialties,
+ *   sampleReview, services, tags, coordinates, serviceAreas, verified,
+ *   provenance, aliases
+ * }
+ *
+ * Values we do not have are null (or [] for lists) - nothing is invented.
+ * `provenance` maps each populated field to { source, verifiedAt }, where
+ * source is a key of DATA_SOURCES and verifiedAt is an ISO date or null.
+ * `aliases` lists other ids and names the same business is known by (see
+ * resolve.js), so old profile links keep working.
+ * `coordinates` is the office location ({ lat, lng }) and `serviceAreas`
+ * the towns, villages and "<Name> District"s the agent covers (see geo.js).
  */
-async function loadAgentData() {
-    if (agentCache) {
-        return agentCache;
+
+/**
+ * Where an attribute came from
+ */
+const DATA_SOURCES = {
+    google: 'Google',
+    bazaraki: 'Bazaraki',
+    agency: 'Agency-submitted',
+    reviews: 'User reviews',
+    editor: 'Editor'
+};
+
+/**
+ * Default source per canonical field for each raw format. Raw records can
+ * override these with a `provenance` object keyed by canonical field.
+ */
+const FIELD_SOURCES = {
+    listing: {
+        rating: 'google', reviewCount: 'google', sampleReview: 'google',
+        ads: 'bazaraki', url: 'bazaraki'
+    },
+    directory: {
+        rating: 'google', reviewCount: 'google', ads: 'bazaraki'
+    },
+    supabase: {
+        rating: 'google', reviewCount: 'google', sampleReview: 'google',
+        ads: 'bazaraki', url: 'bazaraki'
     }
+};
 
-    // Try Supabase first
-    if (useSupabase && window.AgentScore) {
-        try {
-            console.log('📡 Loading agents from Supabase...');
-            const { data, error } = await window.AgentScore.db.getAgents({ limit: 500 });
-            
-            if (!error && data && data.length > 0) {
-                console.log(`✅ Loaded ${data.length} agents from Supabase`);
-                agentCache = data.map(agent => transformSupabaseAgent(agent));
-                return agentCache;
-            }
-            console.log('⚠️ Supabase returned no data, falling back to JSON');
-        } catch (err) {
-            console.log('⚠️ Supabase error, falling back to JSON:', err.message);
-        }
+const PROVENANCE_FIELDS = [
+    'website', 'phone', 'email', 'address', 'ads', 'projects', 'rating',
+    'reviewCount', 'established', 'description', 'featured_project',
+    'specialties', 'sampleReview', 'services', 'tags', 'logoUrl',
+    'coordinates', 'serviceAreas'
+];
+
+/**
+ * Build { lat, lng } from raw values, or null when either is missing
+ */
+function toCoordinates(lat, lng) {
+    if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+    const point = { lat: Number(lat), lng: Number(lng) };
+    return Number.isFinite(point.lat) && Number.isFinite(point.lng) ? point : null;
+}
+
+/**
+ * Build the provenance map for a normalized agent
+ * @param {Object} agent - Normalized agent (without provenance)
+ * @param {string} format - Raw format the agent came from
+ * @param {Object} [overrides] - Raw `provenance` ({ field: { source, verified_at } })
+ */
+function buildProvenance(agent, format, overrides = {}) {
+    const defaults = FIELD_SOURCES[format] || {};
+    const provenance = {};
+
+    PROVENANCE_FIELDS.forEach(field => {
+        const value = agent[field];
+        if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return;
+
+        const override = overrides[field] || {};
+        provenance[field] = {
+            source: override.source || defaults[field] || 'editor',
+            verifiedAt: override.verified_at || override.verifiedAt || overrides.verified_at || null
+        };
+    });
+
+    return provenance;
+}
+
+/**
+ * Normalizers for each raw format we ingest
+ */
+const agentNormalizers = {
+    // all-agents-with-reviews.json (Bazaraki scrape + Google ratings)
+    listing(raw) {
+        return {
+            id: raw.id || slugify(raw.name),
+            name: raw.name,
+            type: raw.type || 'agent',
+            location: raw.location,
+            url: raw.url || raw.website || '#',
+            website: raw.website || null,
+            phone: raw.phone || null,
+            email: raw.email || null,
+            address: raw.address || null,
+            logoUrl: raw.logo_url || null,
+            ads: raw.ads || 0,
+            projects: null,
+            rating: raw.google_rating || null,
+            reviewCount: raw.google_review_count || null,
+            established: raw.established || null,
+            description: raw.description || null,
+            featured_project: raw.featured_project || null,
+            specialties: raw.specialties || [],
+            sampleReview: raw.google_reviews?.[0] || null,
+            services: raw.services || [],
+            tags: raw.tags || [],
+            coordinates: toCoordinates(raw.lat, raw.lng),
+            serviceAreas: raw.service_areas || [],
+            verified: Boolean(raw.verified)
+        };
+    },
+
+    // data/agents-developers.json ({ agents: [...], developers: [...] })
+    directory(raw) {
+        return {
+            id: raw.id || slugify(raw.name),
+            name: raw.name,
+            type: raw.type || 'agent',
+            location: raw.city,
+            url: raw.website || '#',
+            website: raw.website || null,
+            phone: raw.phone || null,
+            email: raw.email || null,
+            address: raw.address || null,
+            logoUrl: raw.logoUrl || null,
+            ads: raw.listings || 0,
+            projects: raw.projects ?? null,
+            rating: raw.rating || null,
+            reviewCount: raw.reviewCount || null,
+            established: raw.established || null,
+            description: raw.description || null,
+            featured_project: raw.featuredProject || null,
+            specialties: raw.specialties || [],
+            sampleReview: null,
+            services: raw.services || [],
+            tags: raw.tags || [],
+            coordinates: toCoordinates(raw.coordinates?.lat, raw.coordinates?.lng),
+            serviceAreas: raw.serviceAreas || [],
+            verified: Boolean(raw.verified)
+        };
+    },
+
+    // Supabase `agents` table rows
+    supabase(raw) {
+        return {
+            id: raw.id,
+            name: raw.name,
+            type: raw.type || 'agent',
+            location: raw.location,
+            url: raw.bazaraki_url || raw.website || '#',
+            website: raw.website || null,
+            phone: raw.phone || null,
+            email: raw.email || null,
+            address: raw.address || null,
+            logoUrl: raw.logo_url || null,
+            ads: raw.listing_count || 0,
+            projects: null,
+            rating: raw.google_rating || null,
+            reviewCount: raw.google_reviews_count || null,
+            established: raw.established || null,
+            description: raw.description || null,
+            featured_project: raw.featured_project || null,
+            specialties: raw.specialties || [],
+            sampleReview: raw.sample_review || null,
+            services: raw.services || [],
+            tags: raw.tags || [],
+            coordinates: toCoordinates(raw.latitude, raw.longitude),
+            serviceAreas: raw.service_areas || [],
+            verified: Boolean(raw.verified)
+        };
     }
+};
 
-    // Fallback to local JSON
-    try {
-        console.log('📁 Loading agents from local JSON...');
-        const response = await fetch('./all-agents-with-reviews.json');
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        const rawAgents = await response.json();
-        console.log('📋 Raw agents loaded:', rawAgents.length);
-        agentCache = rawAgents.map(agent => enhanceAgent(agent));
-        console.log(`✅ Loaded ${agentCache.length} agents from JSON`);
-        return agentCache;
-    } catch (error) {
-        console.error('❌ Error loading agent data:', error);
-        return getFallbackData();
+/**
+ * Normalize a raw record into the canonical agent schema
+ * @param {Object} raw - Record as stored by the source
+ * @param {string} format - One of the keys of agentNormalizers
+ * @returns {Object} Canonical agent
+ */
+function normalizeAgent(raw, format = 'listing') {
+    const normalize = agentNormalizers[format];
+    if (!normalize) {
+        throw new Error(`Unknown agent format: ${format}`);
     }
+    const agent = normalize(raw);
+    if (typeof agent.rating === 'number') {
+        agent.rating = Math.round(agent.rating * 10) / 10;
+    }
+    agent.provenance = buildProvenance(agent, format, raw.provenance || {});
+    return agent;
 }
 
 /**
- * Load a single agent by ID (Supabase) or name (fallback)
+ * Normalize raw records, merge duplicates (see resolve.js) and score them
+ * (see score.js), against each other unless a prior is given
+ * @param {Object} [scoring]
+ * @param {Object} [scoring.firstPartyStats] - Map of agent id to first-party
+ *   review stats (see loadFirstPartyStats), so list scores match the profile pages
+ * @param {number} [scoring.priorMean] - The whole directory's prior, for
+ *   records that are only part of it (see loadPopulationPrior)
  */
-async function loadAgentById(id) {
-    // Try Supabase first (id is UUID)
-    if (useSupabase && window.AgentScore) {
-        try {
-            const { data, error } = await window.AgentScore.db.getAgent(id);
-            if (!error && data) {
-                return transformSupabaseAgent(data);
-            }
-        } catch (err) {
-            console.log('Agent not found in Supabase, trying by name...');
-        }
+function prepareAgents(records, format, { firstPartyStats = {}, priorMean } = {}) {
+    const { agents, ambiguous } = resolveEntities([
+        { source: format, agents: flattenRecords(records).map(raw => normalizeAgent(raw, format)) }
+    ]);
+    ambiguous.forEach(({ a, b }) => {
+        console.log(`⚠️ Possible duplicate agents, left unmerged: ${a.id} / ${b.id}`);
+    });
+    return scoreAgents(agents, { firstPartyStats, priorMean });
+}
+
+/**
+ * Published first-party review stats for every agent, by id, from
+ * db.getFirstPartyStats. Fetched once per page; empty without Supabase.
+ */
+function loadFirstPartyStats() {
+    if (!firstPartyStatsRequest) {
+        const client = typeof window !== 'undefined' ? window.ReviewsRealty : null;
+        firstPartyStatsRequest = !client
+            ? Promise.resolve({})
+            : client.db.getFirstPartyStats()
+                .then(({ data, error }) => {
+                    if (error) throw new Error(error.message);
+                    return data;
+                })
+                .catch(err => {
+                    console.log('⚠️ First-party review stats unavailable:', err.message);
+                    return {};
+                });
     }
-    
-    // Fallback: load all and find by name
-    const agents = await loadAgentData();
-    return agents.find(a => a.name === id || a.id === id);
+    return firstPartyStatsRequest;
 }
 
 /**
- * Transform Supabase agent to frontend format
+ * Population prior over every agent in Supabase, from
+ * db.getPopulationPrior. Fetched once per page, so a single agent or a page
+ * of them is scored like the whole directory.
  */
-function transformSupabaseAgent(agent) {
-    return {
-        id: agent.id,
-        name: agent.name,
-        location: agent.location,
-        url: agent.bazaraki_url || agent.website || '#',
-        website: agent.website,
-        ads: agent.listing_count || 0,
-        rating: agent.google_rating || generateRating(agent.name),
-        reviewCount: agent.google_reviews_count || 0,
-        email: agent.email,
-        phone: agent.phone,
-        logoUrl: agent.logo_url,
-        sampleReview: agent.sample_review,
-        services: generateServices(hashString(agent.name)),
-        tags: generateTags(hashString(agent.name), agent.location)
-    };
+function loadPopulationPrior(client) {
+    if (!populationPriorRequest) {
+        populationPriorRequest = client.db.getPopulationPrior()
+            .then(({ data, error }) => {
+                if (error) throw new Error(error.message);
+                return data;
+            })
+            .catch(err => {
+                populationPriorRequest = null;
+                throw err;
+            });
+    }
+    return populationPriorRequest;
+}
+
+/**
+ * Flatten a raw payload into a list of records.
+ * Accepts a plain array or an object of arrays (e.g. { agents, developers }).
+ */
+function flattenRecords(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (!payload || typeof payload !== 'object') return [];
+    return Object.values(payload).filter(Array.isArray).flat();
+}
+
+/**
+ * Find an agent by id, falling back to its aliases and normalized name
+ * (legacy name links, directory ids, old slugs)
+ */
+function findAgent(agents, id) {
+    return agents.find(a => a.id === id) || agents.find(a => matchesAgentRef(a, id)) || null;
+}
+
+/**
+ * Sort options for agent listings: canonical field, direction
+ */
+const AGENT_SORTS = {
+    score: { field: 'score', ascending: false },
+    rating: { field: 'rating', ascending: false },
+    listings: { field: 'ads', ascending: false },
+    reviews: { field: 'reviewCount', ascending: false },
+    name: { field: 'name', ascending: true },
+    distance: { field: 'distanceKm', ascending: true }, // only set by `near` queries
+    relevance: { field: 'searchScore', ascending: false } // only set by `search` queries
+};
+
+/**
+ * Compare two agents for a sort option. Missing values sort last and ties
+ * are broken by id so pagination is stable.
+ */
+function compareAgents(a, b, sort = 'rating') {
+    const { field, ascending } = AGENT_SORTS[sort] || AGENT_SORTS.rating;
+    const av = a[field] ?? null;
+    const bv = b[field] ?? null;
+
+    if (av !== bv) {
+        if (av === null) return 1;
+        if (bv === null) return -1;
+        const diff = typeof av === 'string' ? av.localeCompare(bv) : av - bv;
+        if (diff !== 0) return ascending ? diff : -diff;
+    }
+    return String(a.id).localeCompare(String(b.id));
 }
 
 /**
- * Enhance raw JSON agent data with ratings
+ * Opaque keyset cursor: last row's sort value + id
  */
-function enhanceAgent(agent) {
-    const nameHash = hashString(agent.name);
-    const rating = agent.google_rating || (3.5 + (nameHash % 15) / 10);
-    const reviewCount = agent.google_review_count || Math.max(Math.floor(Math.min(agent.ads, 200) * 0.3), 3);
-    
+function encodeCursor(value, id) {
+    return btoa(encodeURIComponent(JSON.stringify({ v: value, id })));
+}
+
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(decodeURIComponent(atob(cursor)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Filter, sort and paginate canonical agents in memory.
+ * Mirrors db.getAgents so static and fixture sources behave like Supabase.
+ * `location` matches agents based in or serving that town or district and
+ * `near` ({ lat, lng, radiusKm }) keeps agents serving within radiusKm of
+ * the point, with `distanceKm` set on the returned copies (see geo.js).
+ * `search` runs the fuzzy multilingual index (see search.js) and sets
+ * `searchScore` and `searchMatch` ({ terms, fields }) on the copies.
+ * @param {Object[]} agents - Canonical agents
+ * @param {Object} params - { location, near, search, minRating, type, services, tags, sort, cursor, limit }
+ * @returns {{ agents: Object[], total: number, nextCursor: string|null }}
+ */
+function queryAgentList(agents, {
+    location,
+    near,
+    search,
+    minRating,
+    type,
+    services,
+    tags,
+    sort = 'rating',
+    cursor,
+    limit = 12
+} = {}) {
+    let candidates = near ? agentsNear(agents, near) : agents;
+    if (search) {
+        const found = new Map(searchAgents(agents, search).map(match => [match.id, match]));
+        candidates = candidates
+            .filter(agent => found.has(agent.id))
+            .map(agent => {
+                const { score, terms, fields } = found.get(agent.id);
+                return { ...agent, searchScore: score, searchMatch: { terms, fields } };
+            });
+    }
+    const matches = candidates.filter(agent => {
+        if (location && !servesArea(agent, location)) return false;
+        if (minRating && !(agent.rating >= minRating)) return false;
+        if (type && agent.type !== type) return false;
+        if (services && !services.every(s => (agent.services || []).includes(s))) return false;
+        if (tags && !tags.every(t => (agent.tags || []).includes(t))) return false;
+        return true;
+    });
+
+    const sorted = matches.sort((a, b) => compareAgents(a, b, sort));
+    const { field } = AGENT_SORTS[sort] || AGENT_SORTS.rating;
+
+    let start = 0;
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (after) {
+        const marker = { id: after.id, [field]: after.v };
+        start = sorted.findIndex(agent => compareAgents(agent, marker, sort) > 0);
+        if (start === -1) start = sorted.length;
+    }
+
+    const page = sorted.slice(start, start + limit);
+    const last = start + limit < sorted.length ? page[page.length - 1] : null;
+
     return {
-        name: agent.name,
-        type: agent.type || 'agent',
-        location: agent.location,
-        url: agent.url,
-        website: agent.website,
-        ads: agent.ads || 0,
-        rating: Math.round(rating * 10) / 10,
-        reviewCount: reviewCount,
-        established: agent.established,
-        description: agent.description,
-        phone: agent.phone,
-        featured_project: agent.featured_project,
-        sampleReview: agent.google_reviews?.[0] || null,
-        services: generateServices(nameHash),
-        tags: generateTags(nameHash, agent.location, agent.type)
+        agents: page,
+        total: sorted.length,
+        nextCursor: last ? encodeCursor(last[field] ?? null, last.id) : null
     };
 }
 
 /**
- * Generate rating from name hash (for agents without Google rating)
+ * Data-source adapters. Each adapter exposes:
+ *   name                - label used in logs
+ *   getAgents()         - resolves to canonical agents
+ *   getAgent(id)        - resolves to a canonical agent or null
+ *   queryAgents(params) - resolves to { agents, total, nextCursor }
  */
-function generateRating(name) {
-    const hash = hashString(name);
-    return Math.round((3.5 + (hash % 15) / 10) * 10) / 10;
+const dataAdapters = {
+    // Static JSON file served next to the site
+    staticJson({ url = './all-agents-with-reviews.json', format = 'listing' } = {}) {
+        let records = null;
+        return {
+            name: `static-json (${url})`,
+            async getAgents() {
+                if (!records) {
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    }
+                    records = await response.json();
+                }
+                return prepareAgents(records, format, { firstPartyStats: await loadFirstPartyStats() });
+            },
+            async getAgent(id) {
+                return findAgent(await this.getAgents(), id);
+            },
+            async queryAgents(params) {
+                return queryAgentList(await this.getAgents(), params);
+            },
+            async getPopulationPrior() {
+                return populationPrior(await this.getAgents());
+            }
+        };
+    },
+
+    // Supabase REST via the helpers in supabase-config.js; getAgents() reads
+    // the whole table `limit` rows at a time
+    supabase({ client = null, limit = 500 } = {}) {
+        const getClient = () => client || window.AgentScore;
+        // Rows come one agent or one page at a time, so they are scored
+        // against the prior over the whole table, never their own
+        const scoring = async () => ({
+            firstPartyStats: await loadFirstPartyStats(),
+            priorMean: await loadPopulationPrior(getClient())
+        });
+        return {
+            name: 'supabase',
+            async getAgents() {
+                const rows = [];
+                let cursor = null;
+                do {
+                    const { data, nextCursor, error } = await getClient().db.getAgents({ cursor, limit });
+                    if (error) throw new Error(error.message);
+                    rows.push(...(data || []));
+                    cursor = nextCursor;
+                } while (cursor);
+                return prepareAgents(rows, 'supabase', await scoring());
+            },
+            async getAgent(id) {
+                const { data, error } = await getClient().db.getAgent(id);
+                if (error || !data) return null;
+                return prepareAgents([data], 'supabase', await scoring())[0];
+            },
+            async queryAgents(params = {}) {
+                // Distances and served areas are worked out in the browser from
+                // the bundled districts, and relevance only exists in the
+                // browser's search index
+                if (params.near || params.location || params.sort === 'relevance') {
+                    return queryAgentList(await this.getAgents(), params);
+                }
+                const { data, count, nextCursor, error } = await getClient().db.getAgents({
+                    ...params,
+                    limit: params.limit || 12
+                });
+                if (error) throw new Error(error.message);
+                return {
+                    agents: prepareAgents(data || [], 'supabase', await scoring()),
+                    total: count ?? 0,
+                    nextCursor
+                };
+            },
+            async getPopulationPrior() {
+                return loadPopulationPrior(getClient());
+            }
+        };
+    },
+
+    // In-memory fixture (tests, previews, offline demos)
+    memory(records, { format = 'listing' } = {}) {
+        return {
+            name: 'memory',
+            async getAgents() {
+                return prepareAgents(records, format);
+            },
+            async getAgent(id) {
+                return findAgent(await this.getAgents(), id);
+            },
+            async queryAgents(params) {
+                return queryAgentList(await this.getAgents(), params);
+            },
+            async getPopulationPrior() {
+                return populationPrior(await this.getAgents());
+            }
+        };
+    },
+
+    // Try each adapter in turn until one returns data
+    fallback(...adapters) {
+        return {
+            name: adapters.map(a => a.name).join(' → '),
+            async getAgents() {
+                let lastError = null;
+                for (const adapter of adapters) {
+                    try {
+                        const agents = await adapter.getAgents();
+                        if (agents.length > 0) return agents;
+                        console.log(`⚠️ ${adapter.name} returned no data`);
+                    } catch (err) {
+                        lastError = err;
+                        console.log(`⚠️ ${adapter.name} error:`, err.message);
+                    }
+                }
+                if (lastError) throw lastError;
+                return [];
+            },
+            async getAgent(id) {
+                for (const adapter of adapters) {
+                    try {
+                        const agent = await adapter.getAgent(id);
+                        if (agent) return agent;
+                    } catch (err) {
+                        console.log(`⚠️ ${adapter.name} error:`, err.message);
+                    }
+                }
+                return null;
+            },
+            async queryAgents(params) {
+                let lastError = null;
+                for (const adapter of adapters) {
+                    try {
+                        const result = await adapter.queryAgents(params);
+                        if (result.total > 0 || adapter === adapters[adapters.length - 1]) return result;
+                    } catch (err) {
+                        lastError = err;
+                        console.log(`⚠️ ${adapter.name} error:`, err.message);
+                    }
+                }
+                if (lastError) throw lastError;
+                return { agents: [], total: 0, nextCursor: null };
+            },
+            async getPopulationPrior() {
+                let lastError = null;
+                for (const adapter of adapters) {
+                    try {
+                        return await adapter.getPopulationPrior();
+                    } catch (err) {
+                        lastError = err;
+                        console.log(`⚠️ ${adapter.name} error:`, err.message);
+                    }
+                }
+                throw lastError;
+            }
+        };
+    }
+};
+
+/**
+ * Get the active data adapter, building the default on first use
+ */
+function getDataAdapter() {
+    if (!dataAdapter) {
+        const staticSource = dataAdapters.staticJson();
+        dataAdapter = useSupabase && window.AgentScore
+            ? dataAdapters.fallback(dataAdapters.supabase(), staticSource)
+            : staticSource;
+    }
+    return dataAdapter;
+}
+
+/**
+ * Replace the active data adapter (clears the agent cache)
+ */
+function setDataAdapter(adapter) {
+    dataAdapter = adapter;
+    agentCache = null;
 }
 
 /**
- * Generate a hash from string
+ * Load agent data through the active adapter
  */
-function hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
+async function loadAgentData() {
+    if (agentCache) {
+        return agentCache;
+    }
+
+    const adapter = getDataAdapter();
+    try {
+        console.log(`📡 Loading agents from ${adapter.name}...`);
+        agentCache = await adapter.getAgents();
+        console.log(`✅ Loaded ${agentCache.length} agents`);
+        return agentCache;
+    } catch (error) {
+        console.error('❌ Error loading agent data:', error);
+        return getFallbackData();
     }
-    return Math.abs(hash);
 }
 
 /**
- * Generate services based on hash
+ * Load a single agent by id (or exact name, for legacy links)
+ */
+async function loadAgentById(id) {
+    try {
+        const agent = await getDataAdapter().getAgent(id);
+        if (agent) return agent;
+    } catch (err) {
+        console.log('Agent lookup failed, searching loaded agents...', err.message);
+    }
+
+    const agents = await loadAgentData();
+    return findAgent(agents, id);
+}
+
+/**
+ * Query agents through the active adapter (filters, sort, cursor pagination)
+ * @param {Object} params - See queryAgentList
+ * @returns {Promise<{ agents: Object[], total: number, nextCursor: string|null }>}
  */
-function generateServices(hash) {
-    const services = ['Sales'];
-    if (hash % 2 === 0) services.push('Rentals');
-    if (hash % 3 === 0) services.push('Commercial');
-    if (hash % 5 === 0) services.push('Property Management');
-    if (hash % 7 === 0) services.push('Investment');
-    return services;
+async function queryAgents(params = {}) {
+    try {
+        return await getDataAdapter().queryAgents(params);
+    } catch (error) {
+        console.error('❌ Error querying agents:', error);
+        return queryAgentList(getFallbackData(), params);
+    }
 }
 
 /**
- * Generate tags based on hash, location, and type
+ * The prior every AgentScore is smoothed towards: the mean Google rating of
+ * the whole directory (see populationPrior), the same on lists, profiles
+ * and shortlists whichever slice of agents a page loaded
+ * @returns {Promise<number>}
  */
-function generateTags(hash, location, type) {
-    const tags = [];
-    if (type === 'developer') {
-        tags.push('Developer');
-        if (hash % 2 === 0) tags.push('New Projects');
-        if (hash % 3 === 0) tags.push('Luxury');
-    } else {
-        if (hash % 3 === 0) tags.push('Expat Friendly');
-        if (hash % 4 === 0) tags.push('Luxury Properties');
-        if (hash % 5 === 0) tags.push('New Builds');
+async function getPopulationPrior() {
+    try {
+        return await getDataAdapter().getPopulationPrior();
+    } catch (error) {
+        console.error('❌ Error loading the population prior:', error);
+        return populationPrior(getFallbackData());
     }
-    if (location === 'Limassol' && hash % 2 === 0) tags.push('Beachfront');
-    if (location === 'Paphos' && hash % 3 === 0) tags.push('Retirement Specialist');
-    return tags;
+}
+
+/**
+ * Build a URL-safe slug from a name
+ */
+function slugify(str) {
+    return String(str || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
 }
 
 /**
  * Fallback data if all loading fails
  */
 function getFallbackData() {
-    return [
+    return prepareAgents([
         {
             name: "Kalogirou Real Estate",
             url: "https://www.bazaraki.com/c/kalogirourealestate/",
             location: "Larnaca",
             ads: 1491,
-            rating: 4.8,
-            reviewCount: 389,
-            services: ['Sales', 'Rentals'],
-            tags: ['Expat Friendly']
+            google_rating: 4.8,
+            google_review_count: 389
         },
         {
             name: "CENTURY 21",
             url: "https://www.bazaraki.com/c/century21/",
             location: "Limassol",
             ads: 932,
-            rating: 4.6,
-            reviewCount: 245,
-            services: ['Sales', 'Rentals', 'Commercial'],
-            tags: ['Luxury Properties']
+            google_rating: 4.6,
+            google_review_count: 245
         },
         {
             name: "Cyprus Sothebys International Realty",
             url: "https://www.bazaraki.com/c/sothebys/",
             location: "Paphos",
             ads: 916,
-            rating: 4.9,
-            reviewCount: 156,
-            services: ['Sales', 'Investment'],
-            tags: ['Luxury Properties', 'Expat Friendly']
+            google_rating: 4.9,
+            google_review_count: 156
         }
-    ];
+    ], 'listing');
 }
 
 /**
- * Get agents by city
+ * Get agents based in or serving a town or district
  */
 function getAgentsByCity(city) {
-    return agentCache ? agentCache.filter(a => a.location === city) : [];
+    return agentCache ? agentCache.filter(a => servesArea(a, city)) : [];
 }
 
 /**
@@ -224,25 +712,14 @@ function getAgentByName(name) {
     return agentCache ? agentCache.find(a => a.name === name) : null;
 }
 
-/**
- * Get city statistics
- */
-function getCityStats() {
-    if (!agentCache) return {};
-    
-    const stats = {};
-    agentCache.forEach(agent => {
-        if (!stats[agent.location]) {
-            stats[agent.location] = { count: 0, totalRating: 0, totalReviews: 0 };
-        }
-        stats[agent.location].count++;
-        stats[agent.location].totalRating += agent.rating;
-        stats[agent.location].totalReviews += agent.reviewCount;
-    });
-    
-    Object.keys(stats).forEach(city => {
-        stats[city].avgRating = (stats[city].totalRating / stats[city].count).toFixed(1);
-    });
-    
-    return stats;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATA_SOURCES,
+        normalizeAgent,
+        flattenRecords,
+        findAgent,
+        compareAgents,
+        queryAgentList,
+        slugify
+    };
 }
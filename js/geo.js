@@ -0,0 +1,367 @@
+/**
+ * Offline geography for Reviews Realty
+ * Office coordinates, served districts/villages and "within X km of this
+ * point" queries, backed by the district boundaries and places bundled in
+ * data/cyprus-districts.json - no map tiles or geocoding service needed.
+ */
+
+const GEO_DATA_URL = './data/cyprus-districts.json';
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+const MAP_CONFIG = {
+    width: 800,        // SVG viewBox width; height follows the island's shape
+    padding: 20,       // viewBox units around the island
+    markerRadius: 6,
+    spreadRadius: 10   // offset for markers that share a position
+};
+
+let geoData = null;     // GeoJSON FeatureCollection of districts
+let placeIndex = null;  // lowercase name -> { name, district, lat, lng }
+
+/**
+ * Load the bundled district dataset (once)
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function loadGeoData(url = GEO_DATA_URL) {
+    if (!geoData) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        setGeoData(await response.json());
+        console.log(`🗺️ Loaded ${geoData.features.length} districts`);
+    }
+    return geoData;
+}
+
+/**
+ * Use an already-parsed district dataset (Node scripts, fixtures)
+ */
+function setGeoData(data) {
+    geoData = data;
+    placeIndex = new Map();
+    data.features.forEach(feature => {
+        const { name, places = [] } = feature.properties;
+        places.forEach(place => {
+            placeIndex.set(place.name.toLowerCase(), { ...place, district: name });
+        });
+    });
+}
+
+/**
+ * District names in dataset order
+ */
+function getDistricts() {
+    return geoData ? geoData.features.map(feature => feature.properties.name) : [];
+}
+
+/**
+ * Find a district feature by name ("Paphos" or "Paphos District")
+ */
+function findDistrict(name) {
+    if (!geoData || !name) return null;
+    const wanted = String(name).toLowerCase().replace(/\s+district$/, '').trim();
+    return geoData.features.find(feature => feature.properties.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Find a town or village by name
+ * @returns {{ name: string, district: string, lat: number, lng: number }|null}
+ */
+function findPlace(name) {
+    if (!placeIndex || !name) return null;
+    return placeIndex.get(String(name).toLowerCase().trim()) || null;
+}
+
+/**
+ * Great-circle distance between two { lat, lng } points
+ * @returns {number} Kilometres
+ */
+function distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Ray-casting point-in-polygon test against a GeoJSON ring ([lng, lat] pairs)
+ */
+function pointInRing({ lat, lng }, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Name of the district containing a point, or null (sea, buffer zone gaps)
+ */
+function districtAt(point) {
+    if (!geoData) return null;
+    const feature = geoData.features.find(f => pointInRing(point, f.geometry.coordinates[0]));
+    return feature ? feature.properties.name : null;
+}
+
+/**
+ * Distance from a point to a district: 0 inside it, otherwise to its
+ * nearest edge. Uses a flat projection around the point, which is accurate
+ * enough at the scale of Cyprus.
+ * @returns {number} Kilometres
+ */
+function distanceToDistrictKm(point, feature) {
+    const ring = feature.geometry.coordinates[0];
+    if (pointInRing(point, ring)) return 0;
+
+    const kmPerLng = KM_PER_DEGREE * Math.cos(point.lat * Math.PI / 180);
+    const toKm = ([lng, lat]) => [(lng - point.lng) * kmPerLng, (lat - point.lat) * KM_PER_DEGREE];
+
+    let nearest = Infinity;
+    for (let i = 1; i < ring.length; i++) {
+        const [ax, ay] = toKm(ring[i - 1]);
+        const [bx, by] = toKm(ring[i]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy || 1)));
+        nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+    return nearest;
+}
+
+/**
+ * Where to show an agent on the map: its office coordinates, or the centre
+ * of its town when we only know the city (flagged as approximate)
+ * @returns {{ lat: number, lng: number, approximate: boolean }|null}
+ */
+function agentPosition(agent) {
+    if (agent.coordinates) return { ...agent.coordinates, approximate: false };
+    const place = findPlace(agent.location);
+    return place ? { lat: place.lat, lng: place.lng, approximate: true } : null;
+}
+
+/**
+ * Areas an agent serves. Agents that have not listed any serve their own city.
+ * Entries are towns/villages; "<Name> District" covers a whole district.
+ */
+function agentServiceAreas(agent) {
+    return agent.serviceAreas && agent.serviceAreas.length > 0
+        ? agent.serviceAreas
+        : [agent.location].filter(Boolean);
+}
+
+/**
+ * Distance from a point to the nearest of an agent's office and served areas
+ * @returns {number|null} Kilometres, or null when nothing can be located
+ */
+function agentDistanceKm(agent, point) {
+    const distances = [];
+    if (agent.coordinates) distances.push(distanceKm(point, agent.coordinates));
+
+    agentServiceAreas(agent).forEach(area => {
+        const place = /\sdistrict$/i.test(area) ? null : findPlace(area);
+        const district = place ? null : findDistrict(area);
+        if (place) distances.push(distanceKm(point, place));
+        else if (district) distances.push(distanceToDistrictKm(point, district));
+    });
+
+    return distances.length > 0 ? Math.min(...distances) : null;
+}
+
+/**
+ * Whether an agent is based in or serves an area (a town, village or
+ * district name). Without the dataset loaded only names are compared.
+ */
+function servesArea(agent, area) {
+    const wanted = String(area).toLowerCase();
+    const areas = agentServiceAreas(agent);
+    if ([agent.location, ...areas].some(name => name && name.toLowerCase() === wanted)) return true;
+
+    const district = findDistrict(area);
+    if (!district) return false;
+    const { name } = district.properties;
+    if (agent.coordinates && districtAt(agent.coordinates) === name) return true;
+    return areas.some(served => {
+        const place = findPlace(served);
+        return (place && place.district === name) || (findDistrict(served) === district);
+    });
+}
+
+/**
+ * Agents serving within radiusKm of a point, nearest first
+ * @param {Object[]} agents - Canonical agents
+ * @param {{ lat: number, lng: number, radiusKm: number }} near
+ * @returns {Object[]} Copies of the agents with `distanceKm` set
+ */
+function agentsNear(agents, { lat, lng, radiusKm }) {
+    return agents
+        .map(agent => ({ ...agent, distanceKm: agentDistanceKm(agent, { lat, lng }) }))
+        .filter(agent => agent.distanceKm !== null && agent.distanceKm <= radiusKm)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Parse a "lat,lng" URL parameter
+ * @returns {{ lat: number, lng: number }|null}
+ */
+function parsePoint(value) {
+    const [lat, lng] = String(value || '').split(',').map(Number);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/**
+ * Format a point for the URL (about 100 m precision)
+ */
+function formatPoint({ lat, lng }) {
+    return `${lat.toFixed(3)},${lng.toFixed(3)}`;
+}
+
+/**
+ * Equirectangular projection fitted to the dataset, in SVG viewBox units
+ * @returns {{ width, height, project(point), unproject(x, y), kmToUnits(km) }}
+ */
+function mapProjection() {
+    const points = geoData.features.flatMap(feature => feature.geometry.coordinates[0]);
+    const lngs = points.map(([lng]) => lng);
+    const lats = points.map(([, lat]) => lat);
+    const minLng = Math.min(...lngs);
+    const maxLat = Math.max(...lats);
+    const lngScale = Math.cos(((maxLat + Math.min(...lats)) / 2) * Math.PI / 180);
+
+    const { width, padding } = MAP_CONFIG;
+    const scale = (width - 2 * padding) / ((Math.max(...lngs) - minLng) * lngScale);
+    const height = Math.round((maxLat - Math.min(...lats)) * scale + 2 * padding);
+
+    return {
+        width,
+        height,
+        project: ({ lat, lng }) => ({
+            x: padding + (lng - minLng) * lngScale * scale,
+            y: padding + (maxLat - lat) * scale
+        }),
+        unproject: (x, y) => ({
+            lat: maxLat - (y - padding) / scale,
+            lng: minLng + (x - padding) / (lngScale * scale)
+        }),
+        kmToUnits: km => (km / KM_PER_DEGREE) * scale
+    };
+}
+
+/**
+ * Render the district map with agent markers and the search circle
+ * @param {Object[]} agents - Canonical agents to plot
+ * @param {Object} [options] - { point: { lat, lng }, radiusKm }
+ * @returns {SafeHtml} SVG markup (the <svg> has id "district-map")
+ */
+function renderDistrictMap(agents, { point = null, radiusKm = null } = {}) {
+    const { width, height, project, kmToUnits } = mapProjection();
+    const { markerRadius, spreadRadius } = MAP_CONFIG;
+
+    const districts = geoData.features.map(feature => {
+        const ring = feature.geometry.coordinates[0];
+        const path = ring
+            .map(([lng, lat], i) => {
+                const { x, y } = project({ lat, lng });
+                return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+            })
+            .join(' ');
+        const centre = project({
+            lat: ring.reduce((sum, [, lat]) => sum + lat, 0) / ring.length,
+            lng: ring.reduce((sum, [lng]) => sum + lng, 0) / ring.length
+        });
+        return html`
+            <path d="${path} Z" class="fill-gray-100 stroke-gray-300 hover:fill-blue-50" stroke-width="1.5"></path>
+            <text x="${centre.x.toFixed(1)}" y="${centre.y.toFixed(1)}" text-anchor="middle"
+                  class="fill-gray-400 text-xs uppercase pointer-events-none">${t(feature.properties.name)}</text>
+        `;
+    });
+
+    // Agents placed at the same spot (usually a town centre) fan out around it
+    const groups = new Map();
+    agents.forEach(agent => {
+        const position = agentPosition(agent);
+        if (!position) return;
+        const key = `${position.lat},${position.lng}`;
+        if (!groups.has(key)) groups.set(key, { position, agents: [] });
+        groups.get(key).agents.push(agent);
+    });
+
+    const markers = [...groups.values()].flatMap(({ position, agents: group }) => {
+        const centre = project(position);
+        return group.map((agent, i) => {
+            const angle = (2 * Math.PI * i) / group.length;
+            const offset = group.length > 1 ? spreadRadius : 0;
+            const x = centre.x + offset * Math.cos(angle);
+            const y = centre.y + offset * Math.sin(angle);
+            const href = `${agent.type === 'developer' ? 'developer-profile.html' : 'agent-profile.html'}?id=${encodeURIComponent(agent.id)}`;
+            const label = `${agent.name} - ${position.approximate ? t('{city} (approximate)', { city: t(agent.location) }) : t('Office')}`;
+            return html`
+                <a href="${href}">
+                    <title>${label}</title>
+                    <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${markerRadius}" stroke-width="2"
+                            class="${position.approximate ? 'fill-white stroke-primary' : 'fill-primary stroke-white'} hover:fill-secondary"></circle>
+                </a>
+            `;
+        });
+    });
+
+    let searchArea = '';
+    if (point) {
+        const { x, y } = project(point);
+        searchArea = html`
+            ${radiusKm ? html`<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${kmToUnits(radiusKm).toFixed(1)}"
+                    class="fill-primary/10 stroke-primary pointer-events-none" stroke-dasharray="4 4"></circle>` : ''}
+            <circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="4" class="fill-red-600 pointer-events-none"></circle>
+        `;
+    }
+
+    return html`
+        <svg id="district-map" viewBox="0 0 ${width} ${height}" class="w-full h-auto cursor-crosshair select-none"
+             role="img" aria-label="${t('Map of Cyprus districts')}">
+            ${districts}
+            ${searchArea}
+            ${markers}
+        </svg>
+    `;
+}
+
+/**
+ * Map coordinates of a click on the SVG rendered by renderDistrictMap
+ * @returns {{ lat: number, lng: number }}
+ */
+function mapPointFromEvent(event, svg) {
+    const cursor = svg.createSVGPoint();
+    cursor.x = event.clientX;
+    cursor.y = event.clientY;
+    const { x, y } = cursor.matrixTransform(svg.getScreenCTM().inverse());
+    return mapProjection().unproject(x, y);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GEO_DATA_URL,
+        setGeoData,
+        getDistricts,
+        findDistrict,
+        findPlace,
+        distanceKm,
+        pointInRing,
+        districtAt,
+        distanceToDistrictKm,
+        agentPosition,
+        agentServiceAreas,
+        agentDistanceKm,
+        servesArea,
+        agentsNear,
+        parsePoint,
+        formatPoint,
+        renderDistrictMap
+    };
+}
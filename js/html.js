@@ -0,0 +1,101 @@
+/**
+ * Safe HTML rendering for everything built from data
+ *
+ * Agency names and descriptions, review titles and bodies, owner replies,
+ * lead messages and task text all come from people we do not control.
+ * Markup is built with the `html` tag, which escapes every interpolated
+ * value:
+ *
+ *   list.innerHTML = html`<li title="${agent.name}">${review.content}</li>`;
+ *
+ * A value goes in as markup only when it is SafeHtml: the result of another
+ * html`` (so templates nest) or of trustedHtml() for markup we build from
+ * our own constants, such as the star icons. Arrays are rendered item by
+ * item, so `${reviews.map(review => html`...`)}` needs no join; null,
+ * undefined and false render nothing.
+ *
+ * Links from data go through safeUrl(), which keeps http(s), mailto:, tel:
+ * and relative URLs and turns anything else (javascript:, data:) into '#'.
+ *
+ * Never interpolate data into an inline handler: the browser decodes the
+ * escaped attribute before running it as script. Put the value in a data-*
+ * attribute and read it back instead:
+ *
+ *   <button data-review-id="${review.id}" onclick="openReportModal(this.dataset.reviewId)">
+ *
+ * test-html.html runs these rules, and the pages' own renderers, against
+ * hostile review, reply and lead payloads.
+ */
+
+/**
+ * Markup that is safe to insert as-is. Converts to its string, so it can be
+ * assigned to innerHTML directly.
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes interpolated values (see above)
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + renderValue(values[i - 1]) + string));
+}
+
+/**
+ * Mark markup as safe. Only for markup built from our own constants, never
+ * for anything containing data.
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+function trustedHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+/**
+ * A URL that is safe in href/src: http(s), mailto:, tel: and relative URLs
+ * pass, anything else becomes '#'
+ */
+function safeUrl(url) {
+    const value = String(url ?? '').trim();
+    if (!value) return '#';
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return value;
+    return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? value : '#';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SafeHtml,
+        escapeHtml,
+        html,
+        trustedHtml,
+        safeUrl
+    };
+}
@@ -0,0 +1,268 @@
+/**
+ * Translations for Reviews Realty
+ * Messages are looked up by their English text, so anything without a
+ * translation falls back to the English as written. Catalogs for the other
+ * languages live in js/locales/<locale>.js; pages load them after this file.
+ *
+ * In HTML, mark translatable elements with `data-i18n` (text content),
+ * `data-i18n-html` (content with inline markup), `data-i18n-placeholder`
+ * or `data-i18n-title`. They are translated on DOMContentLoaded, before the
+ * page scripts run.
+ */
+
+const LOCALES = {
+    en: { name: 'English', intl: 'en-GB' },
+    el: { name: 'Ελληνικά', intl: 'el-GR' },
+    ru: { name: 'Русский', intl: 'ru-RU' }
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'reviewsrealty_locale';
+const LOCALE_PARAM = 'lang'; // ?lang=el overrides the saved choice for one visit
+
+/**
+ * Message catalogs: { [locale]: { [english]: translation } }. A translation
+ * is a string, or plural forms ({ one, few, many, other }) picked by the
+ * `count` parameter. English only needs entries for plurals.
+ */
+const MESSAGES = {
+    en: {
+        '{count} reviews': { one: '{count} review', other: '{count} reviews' },
+        '({count} reviews)': { one: '({count} review)', other: '({count} reviews)' },
+        'Based on {count} reviews': { one: 'Based on {count} review', other: 'Based on {count} reviews' },
+        '{count} listings': { one: '{count} listing', other: '{count} listings' },
+        '{count} active listings': { one: '{count} active listing', other: '{count} active listings' },
+        '{count} projects': { one: '{count} project', other: '{count} projects' },
+        '{count} ratings': { one: '{count} rating', other: '{count} ratings' },
+        'Showing {count} results on the map': { one: 'Showing {count} result on the map', other: 'Showing {count} results on the map' },
+        'See all {count} results →': { one: 'See {count} result →', other: 'See all {count} results →' },
+        '{count} views': { one: '{count} view', other: '{count} views' },
+        '{count} clicks': { one: '{count} click', other: '{count} clicks' },
+        '{count} enquiries': { one: '{count} enquiry', other: '{count} enquiries' },
+        '+{count} reviews': { one: '+{count} review', other: '+{count} reviews' },
+        'Finished {count} months late': { one: 'Finished {count} month late', other: 'Finished {count} months late' },
+        '{count} months behind schedule': { one: '{count} month behind schedule', other: '{count} months behind schedule' },
+        '{count} reviews waiting to be sent': { one: '{count} review waiting to be sent', other: '{count} reviews waiting to be sent' },
+        '{count} reviews written offline were sent': { one: 'Your review written offline was sent', other: '{count} reviews written offline were sent' }
+    }
+};
+
+let currentLocale = null;
+
+/**
+ * Register (or extend) the catalog for a locale
+ */
+function addMessages(locale, messages) {
+    MESSAGES[locale] = { ...(MESSAGES[locale] || {}), ...messages };
+}
+
+/**
+ * Supported locale code for a language tag ("el-GR" -> "el"), or null
+ */
+function matchLocale(value) {
+    const code = String(value || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES[code] ? code : null;
+}
+
+/**
+ * Pick the locale for this page: a locale fixed by the page itself
+ * (translated static pages), then ?lang=, the saved choice, the browser
+ * languages and finally English
+ */
+function detectLocale() {
+    if (typeof document === 'undefined') return DEFAULT_LOCALE;
+    const saved = typeof storage !== 'undefined' ? storage.get(LOCALE_STORAGE_KEY) : null;
+    const candidates = [
+        document.documentElement.dataset.locale,
+        new URLSearchParams(window.location.search).get(LOCALE_PARAM),
+        saved,
+        ...(navigator.languages || [navigator.language])
+    ];
+    return candidates.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+function getLocale() {
+    if (!currentLocale) currentLocale = detectLocale();
+    return currentLocale;
+}
+
+/**
+ * BCP 47 tag for Intl formatters (en-GB, el-GR, ru-RU)
+ */
+function getIntlLocale() {
+    return LOCALES[getLocale()].intl;
+}
+
+/**
+ * Switch the locale used by t() and the formatters
+ * @param {string} locale
+ * @param {Object} [options] - { persist } saves the choice via storage (default true)
+ * @returns {string} The locale code now in use
+ */
+function setLocale(locale, { persist = true } = {}) {
+    const code = matchLocale(locale);
+    if (!code) throw new Error(`Unsupported locale: ${locale}`);
+    currentLocale = code;
+    if (persist && typeof storage !== 'undefined') {
+        storage.set(LOCALE_STORAGE_KEY, code);
+    }
+    return code;
+}
+
+/**
+ * Translate a message
+ * @param {string} message - English text, with {placeholders}
+ * @param {Object} [params] - Values for the placeholders. Numbers are
+ *   formatted for the locale; `count` also picks the plural form.
+ * @returns {string}
+ * @example t('Based on {count} reviews', { count: 12 })
+ */
+function t(message, params = {}) {
+    const locale = getLocale();
+    let text = MESSAGES[locale]?.[message] ?? MESSAGES[DEFAULT_LOCALE][message] ?? message;
+
+    if (text && typeof text === 'object') {
+        const form = new Intl.PluralRules(getIntlLocale()).select(Number(params.count) || 0);
+        text = text[form] ?? text.other;
+    }
+
+    return String(text).replace(/\{(\w+)\}/g, (match, key) => {
+        if (!(key in params)) return match;
+        const value = params[key];
+        return typeof value === 'number' ? formatParamNumber(value) : String(value);
+    });
+}
+
+/**
+ * Format a number with the locale's digit grouping and decimal mark
+ */
+function formatParamNumber(value) {
+    return new Intl.NumberFormat(getIntlLocale(), { maximumFractionDigits: 2 }).format(value);
+}
+
+/**
+ * Format a date relative to today ("Yesterday", "3 weeks ago")
+ * @param {string|Date} value
+ * @returns {string}
+ */
+function formatDate(value) {
+    if (!value) return t('Recently');
+    const days = Math.max(0, Math.floor((Date.now() - new Date(value)) / (1000 * 60 * 60 * 24)));
+    const relative = new Intl.RelativeTimeFormat(getIntlLocale(), { numeric: 'auto' });
+
+    let text;
+    if (days < 7) text = relative.format(-days, 'day');
+    else if (days < 30) text = relative.format(-Math.floor(days / 7), 'week');
+    else if (days < 365) text = relative.format(-Math.floor(days / 30), 'month');
+    else text = relative.format(-Math.floor(days / 365), 'year');
+    return text.charAt(0).toLocaleUpperCase(getIntlLocale()) + text.slice(1);
+}
+
+/**
+ * Format a calendar date ("3 Mar 2026", "3 мар. 2026 г.")
+ * @param {string|Date} value
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ */
+function formatCalendarDate(value, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+    return new Intl.DateTimeFormat(getIntlLocale(), options).format(new Date(value));
+}
+
+/**
+ * Format a date and time
+ */
+function formatDateTime(value) {
+    return new Intl.DateTimeFormat(getIntlLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+}
+
+/**
+ * Translate the marked elements under root (see the file header). The
+ * English source is kept in the attribute, so this can run again.
+ */
+function applyTranslations(root = document) {
+    const source = text => text.replace(/\s+/g, ' ').trim();
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        if (!element.dataset.i18n) element.dataset.i18n = source(element.textContent);
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        if (!element.dataset.i18nHtml) element.dataset.i18nHtml = source(element.innerHTML);
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    ['placeholder', 'title'].forEach(attribute => {
+        const key = `i18n${attribute.charAt(0).toUpperCase()}${attribute.slice(1)}`;
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            if (!element.dataset[key]) element.dataset[key] = element.getAttribute(attribute);
+            element.setAttribute(attribute, t(element.dataset[key]));
+        });
+    });
+
+    if (root === document) {
+        document.documentElement.lang = getLocale();
+    }
+}
+
+/**
+ * Fill every `[data-language-switcher]` element with a language select
+ */
+function renderLanguageSwitchers() {
+    document.querySelectorAll('[data-language-switcher]').forEach(container => {
+        container.innerHTML = html`
+            <select aria-label="${t('Language')}" onchange="switchLocale(this.value)"
+                    class="bg-transparent text-gray-600 text-sm border border-gray-200 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary/50">
+                ${Object.entries(LOCALES).map(([code, { name }]) => html`
+                    <option value="${code}" ${code === getLocale() ? 'selected' : ''}>${name}</option>
+                `)}
+            </select>
+        `;
+    });
+}
+
+/**
+ * Save a new locale and reload the page in it. Pages with translated URLs
+ * (the city pages) link their versions with <link rel="alternate" hreflang>.
+ */
+function switchLocale(locale) {
+    setLocale(locale);
+    const alternate = document.querySelector(`link[rel="alternate"][hreflang="${locale}"]`);
+    if (alternate) {
+        window.location.href = alternate.href;
+        return;
+    }
+    const params = new URLSearchParams(window.location.search);
+    if (params.has(LOCALE_PARAM)) {
+        params.delete(LOCALE_PARAM);
+        window.location.search = params.toString();
+    } else {
+        window.location.reload();
+    }
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        applyTranslations();
+        renderLanguageSwitchers();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Pages load the catalogs with <script> tags; in Node they are required here
+    Object.keys(LOCALES)
+        .filter(locale => locale !== DEFAULT_LOCALE)
+        .forEach(locale => addMessages(locale, require(`./locales/${locale}.js`)));
+
+    module.exports = {
+        LOCALES,
+        DEFAULT_LOCALE,
+        LOCALE_PARAM,
+        addMessages,
+        matchLocale,
+        getLocale,
+        getIntlLocale,
+        setLocale,
+        t,
+        formatDate,
+        formatCalendarDate,
+        formatDateTime
+    };
+}
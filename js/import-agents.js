@@ -1,85 +1,662 @@
+#!/usr/bin/env node
 /**
- * Import agents from JSON to Supabase
- * Run this once to populate the database
- * 
- * Set environment variables before running:
- * VITE_SUPABASE_URL=https://your-project.supabase.co
- * VITE_SUPABASE_ANON_KEY=your_anon_key_here
+ * Import agents from JSON into the Supabase `agents` table
+ *
+ * Upserts on the canonical agent id (the same slug the site links to), so
+ * re-running never duplicates rows. A record whose slug is new but which
+ * resolves to a stored agent (same phone, website or Bazaraki profile; see
+ * resolve.js) keeps the stored id, so renaming an agency does not orphan
+ * its reviews. Each run diffs the file against what is
+ * already stored and only sends the difference, which also makes a failed
+ * run resumable: run it again and it picks up whatever is still missing.
+ * Every run also records each agency's listing count and Google rating and
+ * review count for the day in `agent_snapshots` (see js/trends.js), so the
+ * history survives the overwrite, and recomputes `agent_score` (the
+ * AgentScore of js/score.js with the published first-party reviews), which
+ * the listings sort on.
+ *
+ * Usage:
+ *   node js/import-agents.js [options]
+ *
+ * Options:
+ *   --file <path>        Agents JSON (default: all-agents-with-reviews.json)
+ *   --dry-run            Print the inserts/updates/removals without writing
+ *   --prune              Delete stored agents that are not in the file
+ *   --batch-size <n>     Rows per request (default: 50)
+ *   --retries <n>        Retries per failed batch (default: 3)
+ *   --overrides <path>   Manual match decisions for rows held back as ambiguous:
+ *                        { "same": [[fileId, storedId]], "distinct": [[fileId, storedId]] }
+ *
+ * Environment:
+ *   SUPABASE_URL (or VITE_SUPABASE_URL)
+ *   SUPABASE_SERVICE_ROLE_KEY, or SUPABASE_ANON_KEY / VITE_SUPABASE_ANON_KEY
+ *
+ * To try it without a real project, start the stand-in REST server
+ * (js/mock-rest-server.js) and point SUPABASE_URL at it.
  */
 
-const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY;
+const fs = require('fs');
+const path = require('path');
+const { normalizeAgent } = require('./data.js');
+const { compareRecords } = require('./resolve.js');
+const { agentSearchText } = require('./search.js');
+const { scoreAgents } = require('./score.js');
+const { firstPartyStatsByAgent } = require('./reviews.js');
 
-if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    console.error('❌ Missing Supabase credentials. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY');
-    process.exit(1);
+const DEFAULT_FILE = path.join(__dirname, '..', 'all-agents-with-reviews.json');
+
+/**
+ * Canonical agent field -> `agents` column (inverse of the supabase normalizer
+ * in data.js). `verified`, `logoUrl` and provenance are owned by the claim
+ * flow and never imported.
+ */
+const AGENT_COLUMNS = {
+    id: 'id',
+    name: 'name',
+    type: 'type',
+    location: 'location',
+    url: 'bazaraki_url',
+    website: 'website',
+    phone: 'phone',
+    email: 'email',
+    address: 'address',
+    ads: 'listing_count',
+    rating: 'google_rating',
+    reviewCount: 'google_reviews_count',
+    established: 'established',
+    description: 'description',
+    featured_project: 'featured_project',
+    specialties: 'specialties',
+    sampleReview: 'sample_review',
+    services: 'services',
+    tags: 'tags',
+    serviceAreas: 'service_areas'
+};
+
+/**
+ * Canonical object fields stored as one column per key
+ */
+const SPLIT_COLUMNS = {
+    coordinates: { lat: 'latitude', lng: 'longitude' }
+};
+
+/**
+ * Columns holding a canonical field
+ */
+function columnsFor(field) {
+    if (AGENT_COLUMNS[field]) return [AGENT_COLUMNS[field]];
+    return Object.values(SPLIT_COLUMNS[field] || {});
 }
 
-async function importAgents() {
-    console.log('📥 Starting agent import...');
-    
-    // Load agent data
-    const response = await fetch('../all-agents-with-reviews.json');
-    const rawAgents = await response.json();
-    console.log(`📋 Loaded ${rawAgents.length} agents from JSON`);
-    
-    // Transform to Supabase format
-    const agents = rawAgents.map(agent => ({
-        name: agent.name,
-        location: agent.location,
-        bazaraki_url: agent.url,
-        listing_count: agent.ads || 0,
-        google_rating: agent.google_rating || null,
-        google_reviews_count: agent.google_review_count || 0,
-        // Extract a sample review if available
-        sample_review: agent.google_reviews && agent.google_reviews.length > 0 
-            ? agent.google_reviews[0] 
-            : null
-    }));
-    
-    console.log('🔄 Inserting agents into Supabase...');
-    
-    // Insert in batches of 50
-    const batchSize = 50;
-    let inserted = 0;
-    let errors = [];
-    
-    for (let i = 0; i < agents.length; i += batchSize) {
-        const batch = agents.slice(i, i + batchSize);
-        
-        const response = await fetch(`${SUPABASE_URL}/rest/v1/agents`, {
-            method: 'POST',
-            headers: {
-                'apikey': SUPABASE_ANON_KEY,
-                'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-                'Content-Type': 'application/json',
-                'Prefer': 'return=minimal'
-            },
-            body: JSON.stringify(batch)
+/**
+ * Schema for raw records in all-agents-with-reviews.json
+ */
+const RECORD_SCHEMA = {
+    name: { type: 'string', required: true },
+    type: { type: 'string', enum: ['agent', 'developer'] },
+    location: { type: 'string', required: true },
+    url: { type: 'string', pattern: /^https?:\/\// },
+    website: { type: 'string', pattern: /^https?:\/\// },
+    phone: { type: 'string', pattern: /^\+?[\d\s()-]{6,}$/ },
+    email: { type: 'string', pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/ },
+    ads: { type: 'integer', min: 0 },
+    google_rating: { type: 'number', min: 0, max: 5 },
+    google_review_count: { type: 'integer', min: 0 },
+    established: { type: 'integer', min: 1800, max: new Date().getFullYear() },
+    description: { type: 'string' },
+    featured_project: { type: 'string' },
+    specialties: { type: 'array' },
+    services: { type: 'array' },
+    tags: { type: 'array' },
+    lat: { type: 'number', min: 34.5, max: 35.8 },
+    lng: { type: 'number', min: 32.2, max: 34.7 },
+    service_areas: { type: 'array' },
+    google_reviews: { type: 'array' }
+};
+
+const IMPORT_DEFAULTS = {
+    batchSize: 50,
+    retries: 3,
+    retryDelayMs: 500
+};
+
+/**
+ * Validate one raw record against RECORD_SCHEMA
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateRecord(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return ['record is not an object'];
+    }
+
+    const errors = [];
+    Object.entries(RECORD_SCHEMA).forEach(([field, rule]) => {
+        const value = raw[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(`${field} is required`);
+            return;
+        }
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (rule.type === 'integer' ? !Number.isInteger(value) : actual !== rule.type) {
+            errors.push(`${field} should be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`);
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${field} should be one of ${rule.enum.join(', ')}`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(`${field} "${value}" is not valid`);
+        }
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push(`${field} should be at least ${rule.min}`);
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push(`${field} should be at most ${rule.max}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Map a raw record to an `agents` row through the canonical schema
+ */
+function toRow(raw, agent = normalizeAgent(raw, 'listing')) {
+    const row = {};
+    Object.entries(AGENT_COLUMNS).forEach(([field, column]) => {
+        row[column] = agent[field];
+    });
+    Object.entries(SPLIT_COLUMNS).forEach(([field, columns]) => {
+        Object.entries(columns).forEach(([key, column]) => {
+            row[column] = agent[field] ? agent[field][key] : null;
         });
-        
-        if (response.ok) {
-            inserted += batch.length;
-            console.log(`✅ Inserted ${inserted}/${agents.length} agents`);
+    });
+    if (row.bazaraki_url === '#') row.bazaraki_url = null;
+    row.search_text = agentSearchText(agent);
+    return row;
+}
+
+/**
+ * Validate and map every record, rejecting invalid ones and duplicate ids
+ * @returns {{ rows: Object[], agents: Map<string, Object>, invalid: Array<{ index: number, name: string, errors: string[] }> }}
+ *   agents - the canonical agent behind each row, by row id
+ */
+function prepareRows(records) {
+    const rows = [];
+    const agents = new Map();
+    const invalid = [];
+    const seen = new Map();
+
+    records.forEach((raw, index) => {
+        const errors = validateRecord(raw);
+        const agent = errors.length === 0 ? normalizeAgent(raw, 'listing') : null;
+        const row = agent ? toRow(raw, agent) : null;
+        if (row && seen.has(row.id)) {
+            errors.push(`duplicate id "${row.id}" (also record ${seen.get(row.id)})`);
+        }
+        if (errors.length > 0) {
+            invalid.push({ index, name: raw && raw.name, errors });
+            return;
+        }
+        seen.set(row.id, index);
+        rows.push(row);
+        agents.set(row.id, agent);
+    });
+
+    return { rows, agents, invalid };
+}
+
+/**
+ * Set `agent_score` on each row to the AgentScore the pages show: scored
+ * against the other rows, with the agency's first-party review stats
+ * @param {Object[]} rows - Rows to write (ids already matched to stored ones)
+ * @param {Object[]} agents - The canonical agent of each row, in the same order
+ * @param {Object} firstPartyStats - By agent id (see firstPartyStatsByAgent)
+ */
+function applyAgentScores(rows, agents, firstPartyStats = {}) {
+    const scored = scoreAgents(agents, { firstPartyStats });
+    rows.forEach((row, i) => {
+        row.agent_score = scored[i].score;
+    });
+    return rows;
+}
+
+/**
+ * Give rows with a new id the id of the stored agent they resolve to.
+ * Rows that partly match one or more stored agents are held back until an
+ * override decides them.
+ * @returns {{ rows: Object[], matched: Array<{ from, to }>, ambiguous: Array<{ row, candidates: string[] }> }}
+ */
+function matchStoredIds(rows, existing, { same = [], distinct = [] } = {}) {
+    const storedIds = new Set(existing.map(row => row.id));
+    const fileIds = new Set(rows.map(row => row.id));
+    // Stored agents still present under their own id can't be claimed by another row
+    const unclaimed = existing
+        .filter(row => !fileIds.has(row.id))
+        .map(row => normalizeAgent(row, 'supabase'));
+
+    const ready = [];
+    const matched = [];
+    const ambiguous = [];
+    const taken = new Set();
+
+    rows.forEach(row => {
+        if (storedIds.has(row.id)) {
+            ready.push(row);
+            return;
+        }
+
+        const forced = same.find(([fileId]) => fileId === row.id);
+        if (forced && storedIds.has(forced[1])) {
+            matched.push({ from: row.id, to: forced[1] });
+            taken.add(forced[1]);
+            ready.push({ ...row, id: forced[1] });
+            return;
+        }
+
+        const agent = normalizeAgent(row, 'supabase');
+        const candidates = unclaimed
+            .filter(stored => !distinct.some(([fileId, storedId]) => fileId === row.id && storedId === stored.id))
+            .map(stored => ({ id: stored.id, ...compareRecords(stored, agent) }))
+            .filter(result => result.decision !== 'distinct');
+        const merges = candidates.filter(result => result.decision === 'merge');
+
+        if (merges.length === 1 && candidates.length === 1 && !taken.has(merges[0].id)) {
+            matched.push({ from: row.id, to: merges[0].id });
+            taken.add(merges[0].id);
+            ready.push({ ...row, id: merges[0].id });
+        } else if (candidates.length > 0) {
+            ambiguous.push({ row, candidates: candidates.map(result => result.id) });
         } else {
-            const error = await response.text();
-            errors.push({ batch: i, error });
-            console.error(`❌ Error at batch ${i}:`, error);
+            ready.push(row);
+        }
+    });
+
+    return { rows: ready, matched, ambiguous };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compare rows from the file with stored rows
+ * Columns an agency owner has edited (provenance source `agency`) are left
+ * alone so a re-import never overwrites a verified owner's changes.
+ * @param {Object[]} rows - Rows built from the file
+ * @param {Object[]} existing - Rows currently stored (with `provenance`)
+ * @returns {{ inserts: Object[], updates: Array<{ id, row, changes }>, removals: Object[], unchanged: number }}
+ */
+function diffAgents(rows, existing) {
+    const stored = new Map(existing.map(row => [row.id, row]));
+    const incoming = new Set(rows.map(row => row.id));
+    const inserts = [];
+    const updates = [];
+    let unchanged = 0;
+
+    rows.forEach(row => {
+        const current = stored.get(row.id);
+        if (!current) {
+            inserts.push(row);
+            return;
+        }
+
+        const ownerFields = Object.entries((current.provenance || {}))
+            .filter(([, entry]) => entry && entry.source === 'agency')
+            .flatMap(([field]) => columnsFor(field));
+
+        const changes = {};
+        Object.keys(row).forEach(column => {
+            if (column === 'id' || ownerFields.includes(column)) return;
+            if (!sameValue(row[column], current[column])) {
+                changes[column] = { from: current[column] ?? null, to: row[column] };
+            }
+        });
+
+        if (Object.keys(changes).length === 0) {
+            unchanged++;
+            return;
+        }
+        // Send the whole row (an upsert still has to satisfy NOT NULL columns)
+        // minus anything the owner has taken over
+        const update = { ...row };
+        ownerFields.forEach(column => { delete update[column]; });
+        updates.push({ id: row.id, row: update, changes });
+    });
+
+    const removals = existing.filter(row => !incoming.has(row.id));
+    return { inserts, updates, removals, unchanged };
+}
+
+/**
+ * Print a diff for --dry-run
+ */
+function printDiff({ inserts, updates, removals, unchanged }, { prune, matched = [], ambiguous = [] }) {
+    matched.forEach(({ from, to }) => console.log(`  ↪ ${from} matches stored ${to}`));
+    ambiguous.forEach(({ row, candidates }) => {
+        console.log(`  ? ${row.id} (${row.name}) held back - may be ${candidates.join(', ')}`);
+    });
+    inserts.forEach(row => console.log(`  + ${row.id} (${row.name})`));
+    updates.forEach(({ id, changes }) => {
+        console.log(`  ~ ${id}`);
+        Object.entries(changes).forEach(([column, { from, to }]) => {
+            console.log(`      ${column}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+        });
+    });
+    removals.forEach(row => console.log(`  - ${row.id} (${row.name})${prune ? '' : ' [kept, pass --prune to delete]'}`));
+
+    console.log(`\n📊 ${inserts.length} to insert, ${updates.length} to update, ` +
+        `${removals.length} not in file, ${unchanged} unchanged`);
+}
+
+/**
+ * Small PostgREST client with retries on network errors, 429 and 5xx
+ */
+function createRestClient({ url, key, retries = IMPORT_DEFAULTS.retries, retryDelayMs = IMPORT_DEFAULTS.retryDelayMs }) {
+    const baseHeaders = {
+        apikey: key,
+        Authorization: `Bearer ${key}`,
+        'Content-Type': 'application/json'
+    };
+
+    async function request(method, pathAndQuery, { body, prefer } = {}) {
+        let lastError = null;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = retryDelayMs * Math.pow(2, attempt - 1);
+                console.log(`   ↻ Retry ${attempt}/${retries} in ${delay}ms (${lastError.message})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            try {
+                const response = await fetch(`${url}/rest/v1/${pathAndQuery}`, {
+                    method,
+                    headers: prefer ? { ...baseHeaders, Prefer: prefer } : baseHeaders,
+                    body: body === undefined ? undefined : JSON.stringify(body)
+                });
+                if (response.ok) {
+                    const text = await response.text();
+                    return text ? JSON.parse(text) : null;
+                }
+
+                lastError = new Error(`${response.status} ${await response.text()}`);
+                if (response.status !== 429 && response.status < 500) break;
+            } catch (err) {
+                lastError = err;
+            }
+        }
+        throw lastError;
+    }
+
+    return { request };
+}
+
+/**
+ * Read every stored agent (paged, ordered by id)
+ */
+async function fetchExistingAgents(client, pageSize = 1000) {
+    const columns = [
+        ...Object.values(AGENT_COLUMNS),
+        ...Object.keys(SPLIT_COLUMNS).flatMap(columnsFor),
+        'search_text',
+        'agent_score',
+        'provenance'
+    ].join(',');
+    const rows = [];
+    for (let offset = 0; ; offset += pageSize) {
+        const page = await client.request('GET', `agents?select=${columns}&order=id&limit=${pageSize}&offset=${offset}`);
+        rows.push(...page);
+        if (page.length < pageSize) return rows;
+    }
+}
+
+/**
+ * Read the published first-party reviews the AgentScore counts (paged)
+ */
+async function fetchPublishedReviews(client, pageSize = 1000) {
+    const rows = [];
+    for (let offset = 0; ; offset += pageSize) {
+        const page = await client.request('GET', 'reviews?select=agent_id,rating,created_at,verification_status' +
+            `&status=eq.published&order=id&limit=${pageSize}&offset=${offset}`);
+        rows.push(...page);
+        if (page.length < pageSize) return rows;
+    }
+}
+
+function chunk(list, size) {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Upsert rows in batches. PostgREST needs every object in a bulk request to
+ * have the same keys, so rows are grouped by their column set first.
+ * @returns {{ written: number, failed: Array<{ ids: string[], error: string }> }}
+ */
+async function upsertRows(client, rows, batchSize) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = Object.keys(row).sort().join(',');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+
+    let written = 0;
+    const failed = [];
+    for (const group of groups.values()) {
+        for (const batch of chunk(group, batchSize)) {
+            try {
+                await client.request('POST', 'agents?on_conflict=id', {
+                    body: batch,
+                    prefer: 'resolution=merge-duplicates,return=minimal'
+                });
+                written += batch.length;
+                console.log(`✅ Upserted ${written}/${rows.length} agents`);
+            } catch (err) {
+                failed.push({ ids: batch.map(row => row.id), error: err.message });
+                console.error(`❌ Batch failed (${batch[0].id} … ${batch[batch.length - 1].id}):`, err.message);
+            }
         }
     }
-    
+    return { written, failed };
+}
+
+/**
+ * Today's `agent_snapshots` rows for imported agents (one per agency per
+ * day; a second import that day replaces them)
+ */
+function toSnapshotRows(rows, { now = new Date() } = {}) {
+    const capturedOn = now.toISOString().slice(0, 10);
+    return rows.map(row => ({
+        agent_id: row.id,
+        captured_on: capturedOn,
+        listing_count: row.listing_count,
+        google_rating: row.google_rating,
+        google_reviews_count: row.google_reviews_count
+    }));
+}
+
+async function upsertSnapshots(client, rows, batchSize) {
+    let written = 0;
+    const failed = [];
+    for (const batch of chunk(rows, batchSize)) {
+        try {
+            await client.request('POST', 'agent_snapshots?on_conflict=agent_id,captured_on', {
+                body: batch,
+                prefer: 'resolution=merge-duplicates,return=minimal'
+            });
+            written += batch.length;
+        } catch (err) {
+            failed.push({ ids: batch.map(row => row.agent_id), error: err.message });
+            console.error('❌ Snapshot batch failed:', err.message);
+        }
+    }
+    return { written, failed };
+}
+
+async function deleteRows(client, ids, batchSize) {
+    let deleted = 0;
+    const failed = [];
+    for (const batch of chunk(ids, batchSize)) {
+        const list = batch.map(id => `"${String(id).replace(/"/g, '\\"')}"`).join(',');
+        try {
+            await client.request('DELETE', `agents?id=in.(${encodeURIComponent(list)})`, { prefer: 'return=minimal' });
+            deleted += batch.length;
+        } catch (err) {
+            failed.push({ ids: batch, error: err.message });
+            console.error('❌ Delete failed:', err.message);
+        }
+    }
+    return { deleted, failed };
+}
+
+/**
+ * Run an import
+ * @param {Object} options - { file, dryRun, prune, batchSize, retries, overrides, url, key }
+ * @returns {Promise<{ diff: Object, invalid: Object[], ambiguous: Object[], written: number, deleted: number, failed: Object[] }>}
+ */
+async function importAgents({
+    file = DEFAULT_FILE,
+    dryRun = false,
+    prune = false,
+    batchSize = IMPORT_DEFAULTS.batchSize,
+    retries = IMPORT_DEFAULTS.retries,
+    overrides = {},
+    url,
+    key
+} = {}) {
+    console.log('📥 Starting agent import...');
+
+    const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const records = Array.isArray(payload) ? payload : [];
+    console.log(`📋 Loaded ${records.length} records from ${path.relative(process.cwd(), file) || file}`);
+
+    const { rows, agents, invalid } = prepareRows(records);
+    invalid.forEach(({ index, name, errors }) => {
+        console.warn(`⚠️  Skipping record ${index}${name ? ` (${name})` : ''}: ${errors.join('; ')}`);
+    });
+
+    const client = createRestClient({ url, key, retries });
+    const existing = await fetchExistingAgents(client);
+    const resolved = matchStoredIds(rows, existing, overrides);
+    // Scored under the stored id a row was matched to, which its reviews use
+    const fileIds = new Map(resolved.matched.map(({ from, to }) => [to, from]));
+    applyAgentScores(
+        resolved.rows,
+        resolved.rows.map(row => ({ ...agents.get(fileIds.get(row.id) || row.id), id: row.id })),
+        firstPartyStatsByAgent(await fetchPublishedReviews(client))
+    );
+    const diff = diffAgents(resolved.rows, existing);
+    // Held-back rows may belong to a stored agent, which must not be pruned meanwhile
+    const heldFor = new Set(resolved.ambiguous.flatMap(({ candidates }) => candidates));
+    diff.removals = diff.removals.filter(row => !heldFor.has(row.id));
+    resolved.ambiguous.forEach(({ row, candidates }) => {
+        console.warn(`⚠️  Holding back ${row.id} (${row.name}): may be the stored ${candidates.join(' or ')}. ` +
+            'Decide with --overrides');
+    });
+
+    if (dryRun) {
+        console.log('\n🔍 Dry run - nothing will be written\n');
+        printDiff(diff, { prune, ...resolved });
+        return { diff, invalid, ambiguous: resolved.ambiguous, written: 0, deleted: 0, failed: [] };
+    }
+
+    const { written, failed } = await upsertRows(
+        client,
+        [...diff.inserts, ...diff.updates.map(update => update.row)],
+        batchSize
+    );
+
+    // Agencies whose rows failed to write keep yesterday's values, so skip them
+    const failedIds = new Set(failed.flatMap(batch => batch.ids));
+    const snapshotRows = toSnapshotRows(resolved.rows.filter(row => !failedIds.has(row.id)));
+    const snapshots = await upsertSnapshots(client, snapshotRows, batchSize);
+
+    let deleted = 0;
+    if (prune && diff.removals.length > 0) {
+        const result = await deleteRows(client, diff.removals.map(row => row.id), batchSize);
+        deleted = result.deleted;
+        failed.push(...result.failed);
+    }
+
     console.log('\n📊 Import Summary:');
-    console.log(`   ✅ Inserted: ${inserted} agents`);
-    console.log(`   ❌ Errors: ${errors.length} batches`);
-    
-    if (errors.length > 0) {
-        console.log('\n❌ Error details:', errors);
+    console.log(`   ➕ New: ${diff.inserts.length}`);
+    console.log(`   ✏️  Changed: ${diff.updates.length}`);
+    console.log(`   ✅ Written: ${written}/${diff.inserts.length + diff.updates.length}`);
+    console.log(`   🗑️  Deleted: ${deleted}${!prune && diff.removals.length ? ` (${diff.removals.length} not in file kept)` : ''}`);
+    console.log(`   ⏸️  Unchanged: ${diff.unchanged}`);
+    console.log(`   📈 Snapshots: ${snapshots.written}/${snapshotRows.length}`);
+    console.log(`   ↪ Matched to stored ids: ${resolved.matched.length}`);
+    console.log(`   ⚠️  Invalid records: ${invalid.length}`);
+    console.log(`   ⏳ Held back as ambiguous: ${resolved.ambiguous.length}`);
+    console.log(`   ❌ Failed batches: ${failed.length}`);
+    if (failed.length > 0) {
+        console.log(`\n❌ ${rows.length - diff.unchanged - written} rows not written - run again to retry them`);
     }
-    
-    return { inserted, errors };
+
+    return { diff, invalid, ambiguous: resolved.ambiguous, written, deleted, snapshots, failed };
 }
 
-// Run if in browser
-if (typeof window !== 'undefined') {
-    window.importAgents = importAgents;
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--file': options.file = path.resolve(argv[++i]); break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--prune': options.prune = true; break;
+            case '--batch-size': options.batchSize = parseInt(argv[++i], 10); break;
+            case '--retries': options.retries = parseInt(argv[++i], 10); break;
+            case '--overrides': options.overrides = JSON.parse(fs.readFileSync(argv[++i], 'utf8')); break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
 }
+
+if (require.main === module) {
+    const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY ||
+        process.env.SUPABASE_ANON_KEY ||
+        process.env.VITE_SUPABASE_ANON_KEY;
+
+    if (!url || !key) {
+        console.error('❌ Missing Supabase credentials. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+        process.exit(1);
+    }
+
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    importAgents({ ...options, url: url.replace(/\/$/, ''), key })
+        .then(({ invalid, ambiguous, failed }) => {
+            process.exitCode = invalid.length > 0 || ambiguous.length > 0 || failed.length > 0 ? 1 : 0;
+        })
+        .catch(err => {
+            console.error('❌ Import failed:', err.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    AGENT_COLUMNS,
+    SPLIT_COLUMNS,
+    RECORD_SCHEMA,
+    validateRecord,
+    toRow,
+    toSnapshotRows,
+    prepareRows,
+    applyAgentScores,
+    matchStoredIds,
+    diffAgents,
+    createRestClient,
+    importAgents
+};
@@ -0,0 +1,307 @@
+/**
+ * Enquiries ("leads") from profile pages to claimed agencies
+ * Visitors send the contact form on a verified agency's profile; the lead is
+ * stored with db.createLead and routed to the agency's owners by email
+ * and/or webhook. A repeat enquiry from the same email or phone to the same
+ * agency within LEAD_DEDUPE_DAYS is added to the earlier lead instead of
+ * creating a new one. Owners work through their leads in leads.html.
+ *
+ * Expects #contact-agency-btn on profile pages; the modal is created on
+ * first use.
+ */
+
+const LEAD_STATUS = {
+    NEW: 'new',
+    CONTACTED: 'contacted',
+    VIEWING: 'viewing',
+    WON: 'won',
+    LOST: 'lost'
+};
+
+const LEAD_STATUS_LABELS = {
+    new: 'New',
+    contacted: 'Contacted',
+    viewing: 'Viewing arranged',
+    won: 'Deal closed',
+    lost: 'No deal'
+};
+
+const LEAD_BUDGETS = {
+    under_150k: 'Under €150k',
+    '150k_300k': '€150k–300k',
+    '300k_600k': '€300k–600k',
+    '600k_1m': '€600k–1M',
+    over_1m: 'Over €1M',
+    rent: 'Looking to rent'
+};
+
+const LEAD_PROPERTY_TYPES = {
+    apartment: 'Apartment',
+    house: 'House',
+    villa: 'Villa',
+    land: 'Land',
+    commercial: 'Commercial'
+};
+
+const LEAD_DEDUPE_DAYS = 7;
+const LEAD_HISTORY_KEY = 'reviewsrealty_enquiries'; // agent id -> last enquiry date on this device
+
+let leadAgent = null;
+
+/**
+ * Keys a repeat enquiry is recognised by: the lower-cased email and the
+ * phone number as normalizePhone sees it (js/resolve.js). submit_lead
+ * computes the same keys in the database (lead_contact_keys).
+ * @param {Object} contact - { email, phone }
+ * @returns {string[]} e.g. ['email:anna@example.com', 'phone:99123456']
+ */
+function leadContactKeys({ email = '', phone = '' } = {}) {
+    const keys = [];
+    const normalizedEmail = email.trim().toLowerCase();
+    if (normalizedEmail) keys.push(`email:${normalizedEmail}`);
+    const normalizedPhone = normalizePhone(phone);
+    if (normalizedPhone) keys.push(`phone:${normalizedPhone}`);
+    return keys;
+}
+
+/**
+ * Check an enquiry before sending it
+ * @param {Object} lead - { name, email, phone, budget, propertyType, area, message }
+ * @returns {string[]} Problems found (empty when valid), as English messages for t()
+ */
+function validateLead(lead) {
+    const errors = [];
+    if (!lead.name || !lead.name.trim()) errors.push('Please enter your name');
+    if (!lead.email && !lead.phone) {
+        errors.push('Please give an email address or phone number');
+    }
+    if (lead.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(lead.email.trim())) {
+        errors.push('Please enter a valid email address');
+    }
+    if (lead.phone && !normalizePhone(lead.phone)) {
+        errors.push('Please enter a valid phone number');
+    }
+    if (lead.budget && !LEAD_BUDGETS[lead.budget]) errors.push('Please choose a budget from the list');
+    if (lead.propertyType && !LEAD_PROPERTY_TYPES[lead.propertyType]) errors.push('Please choose a property type from the list');
+    if (!lead.message || lead.message.trim().length < 10) errors.push('Please write a short message (at least 10 characters)');
+    return errors;
+}
+
+/**
+ * Convert a `leads` row to the shape used on the page. `messages` holds the
+ * first enquiry and every repeat folded into it, oldest first.
+ */
+function fromLeadRow(row) {
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        name: row.name,
+        email: row.email || '',
+        phone: row.phone || '',
+        budget: row.budget || null,
+        propertyType: row.property_type || null,
+        area: row.area || '',
+        messages: (row.messages || []).map(message => ({ text: message.text, sentAt: message.sent_at })),
+        enquiryCount: row.enquiry_count || 1,
+        status: row.status || LEAD_STATUS.NEW,
+        note: row.status_note || '',
+        createdAt: row.created_at,
+        lastEnquiryAt: row.last_enquiry_at || row.created_at
+    };
+}
+
+/**
+ * Leads grouped by status, for the inbox tabs
+ * @returns {{ [status]: number }} Count per LEAD_STATUS value
+ */
+function countLeadsByStatus(leads) {
+    const counts = Object.fromEntries(Object.values(LEAD_STATUS).map(status => [status, 0]));
+    leads.forEach(lead => { counts[lead.status] = (counts[lead.status] || 0) + 1; });
+    return counts;
+}
+
+/**
+ * When this device last enquired with an agency, if within LEAD_DEDUPE_DAYS
+ * @returns {string|null} ISO date
+ */
+function recentEnquiry(agentId, now = Date.now()) {
+    const sentAt = storage.get(LEAD_HISTORY_KEY, {})[agentId];
+    if (!sentAt) return null;
+    return now - new Date(sentAt) < LEAD_DEDUPE_DAYS * 24 * 60 * 60 * 1000 ? sentAt : null;
+}
+
+function rememberEnquiry(agentId) {
+    storage.set(LEAD_HISTORY_KEY, { ...storage.get(LEAD_HISTORY_KEY, {}), [agentId]: new Date().toISOString() });
+}
+
+/**
+ * Show the contact button on verified agencies' profiles (only claimed
+ * agencies have someone to route leads to)
+ */
+function initLeadUI(agent) {
+    leadAgent = agent;
+    document.getElementById('contact-agency-btn').classList.toggle('hidden', !agent.verified);
+}
+
+// Contact modal
+
+function ensureLeadModal() {
+    if (document.getElementById('lead-modal')) return;
+
+    const options = entries => Object.entries(entries)
+        .map(([value, label]) => html`<option value="${value}">${t(label)}</option>`);
+    const inputClass = 'w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50';
+
+    document.body.appendChild(createElement(html`
+        <div id="lead-modal" class="fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center p-4">
+            <div class="bg-white rounded-xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 id="lead-modal-title" class="text-xl font-bold text-gray-800"></h3>
+                    <button onclick="closeLeadModal()" class="text-gray-400 hover:text-gray-600">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <p id="lead-repeat-notice" class="hidden mb-4 p-3 rounded-lg bg-blue-50 text-blue-700 text-sm"></p>
+
+                <form id="lead-form" class="space-y-4">
+                    <div>
+                        <label for="lead-name" class="block text-sm font-medium text-gray-700 mb-1">${t('Your name')}</label>
+                        <input type="text" id="lead-name" required maxlength="100" autocomplete="name" class="${inputClass}">
+                    </div>
+                    <div class="grid sm:grid-cols-2 gap-4">
+                        <div>
+                            <label for="lead-email" class="block text-sm font-medium text-gray-700 mb-1">${t('Email')}</label>
+                            <input type="email" id="lead-email" maxlength="200" autocomplete="email" class="${inputClass}">
+                        </div>
+                        <div>
+                            <label for="lead-phone" class="block text-sm font-medium text-gray-700 mb-1">${t('Phone')}</label>
+                            <input type="tel" id="lead-phone" maxlength="30" autocomplete="tel" class="${inputClass}">
+                        </div>
+                    </div>
+                    <div class="grid sm:grid-cols-2 gap-4">
+                        <div>
+                            <label for="lead-budget" class="block text-sm font-medium text-gray-700 mb-1">${t('Budget')}</label>
+                            <select id="lead-budget" class="${inputClass}">
+                                <option value="">${t('Prefer not to say')}</option>
+                                ${options(LEAD_BUDGETS)}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="lead-property-type" class="block text-sm font-medium text-gray-700 mb-1">${t('Property type')}</label>
+                            <select id="lead-property-type" class="${inputClass}">
+                                <option value="">${t('Any')}</option>
+                                ${options(LEAD_PROPERTY_TYPES)}
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label for="lead-area" class="block text-sm font-medium text-gray-700 mb-1">${t('Area')} <span class="text-gray-400 font-normal">${t('(optional)')}</span></label>
+                        <input type="text" id="lead-area" maxlength="100" placeholder="${t('e.g. Germasogeia, Limassol')}" class="${inputClass}">
+                    </div>
+                    <div>
+                        <label for="lead-message" class="block text-sm font-medium text-gray-700 mb-1">${t('Message')}</label>
+                        <textarea id="lead-message" rows="4" required maxlength="2000" class="${inputClass} resize-none"></textarea>
+                    </div>
+                    <label class="flex items-start gap-2 text-sm text-gray-600">
+                        <input type="checkbox" id="lead-consent" required class="mt-1">
+                        <span id="lead-consent-text"></span>
+                    </label>
+                    <button type="submit" id="lead-submit-btn" class="w-full bg-primary text-white py-2 rounded-lg hover:bg-secondary transition font-medium">
+                        ${t('Send Enquiry')}
+                    </button>
+                    <div id="lead-feedback" class="hidden"></div>
+                </form>
+            </div>
+        </div>
+    `));
+
+    document.getElementById('lead-form').addEventListener('submit', handleLeadSubmit);
+}
+
+function openLeadModal() {
+    ensureLeadModal();
+
+    document.getElementById('lead-modal-title').textContent = t('Contact {name}', { name: leadAgent.name });
+    document.getElementById('lead-consent-text').textContent =
+        t('I agree that {name} may contact me about this enquiry.', { name: leadAgent.name });
+
+    const sentAt = recentEnquiry(leadAgent.id);
+    const notice = document.getElementById('lead-repeat-notice');
+    notice.textContent = sentAt
+        ? t('You contacted this agency {date}. A new message is added to that enquiry.', { date: formatDate(sentAt).toLowerCase() })
+        : '';
+    notice.classList.toggle('hidden', !sentAt);
+
+    document.getElementById('lead-feedback').classList.add('hidden');
+    document.getElementById('lead-modal').classList.remove('hidden');
+}
+
+function closeLeadModal() {
+    document.getElementById('lead-modal').classList.add('hidden');
+}
+
+function showLeadFeedback(message, type) {
+    const feedback = document.getElementById('lead-feedback');
+    feedback.textContent = message;
+    feedback.className = `p-3 rounded-lg text-sm ${type === 'error' ? 'bg-red-50 text-red-600' : 'bg-green-50 text-green-600'}`;
+}
+
+async function handleLeadSubmit(e) {
+    e.preventDefault();
+
+    const lead = {
+        agentId: leadAgent.id,
+        name: document.getElementById('lead-name').value.trim(),
+        email: document.getElementById('lead-email').value.trim(),
+        phone: document.getElementById('lead-phone').value.trim(),
+        budget: document.getElementById('lead-budget').value || null,
+        propertyType: document.getElementById('lead-property-type').value || null,
+        area: document.getElementById('lead-area').value.trim(),
+        message: document.getElementById('lead-message').value.trim()
+    };
+
+    const errors = validateLead(lead);
+    if (errors.length > 0) {
+        showLeadFeedback(t(errors[0]), 'error');
+        return;
+    }
+
+    const submitBtn = document.getElementById('lead-submit-btn');
+    submitBtn.disabled = true;
+    submitBtn.textContent = t('Sending...');
+
+    try {
+        const { data, error } = await window.ReviewsRealty.db.createLead(lead);
+        if (error) throw error;
+
+        rememberEnquiry(leadAgent.id);
+        trackEvent('lead_submitted', { agentId: leadAgent.id, repeat: data.duplicate });
+        document.getElementById('lead-form').reset();
+        closeLeadModal();
+        showToast(data.duplicate
+            ? t('Message added to your earlier enquiry.')
+            : t('Enquiry sent - {name} will get back to you.', { name: leadAgent.name }), 'success');
+    } catch (err) {
+        showLeadFeedback(err.message || t('Failed to send enquiry'), 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = t('Send Enquiry');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEAD_STATUS,
+        LEAD_STATUS_LABELS,
+        LEAD_BUDGETS,
+        LEAD_PROPERTY_TYPES,
+        LEAD_DEDUPE_DAYS,
+        leadContactKeys,
+        validateLead,
+        fromLeadRow,
+        countLeadsByStatus
+    };
+}
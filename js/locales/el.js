@@ -0,0 +1,507 @@
+/**
+ * Greek messages for Reviews Realty, keyed by the English text (see js/i18n.js).
+ * Plural messages list the one and other forms.
+ */
+
+const MESSAGES_EL = {
+    '(optional)': '(προαιρετικό)',
+    '({count} reviews)': { one: '({count} κριτική)', other: '({count} κριτικές)' },
+    '+ Compare': '+ Σύγκριση',
+    '+{count} reviews': { one: '+{count} κριτική', other: '+{count} κριτικές' },
+    '10 km': '10 χλμ.',
+    '25 km': '25 χλμ.',
+    '3+ Stars': '3+ αστέρια',
+    '4+ Stars': '4+ αστέρια',
+    '4.5+ Stars': '4,5+ αστέρια',
+    '5 km': '5 χλμ.',
+    '50 km': '50 χλμ.',
+    'A contract or receipt with personal details and amounts blacked out. Only moderators see it; once checked, your review shows a "Verified client" badge.': 'Ένα συμβόλαιο ή απόδειξη με καλυμμένα τα προσωπικά στοιχεία και τα ποσά. Το βλέπουν μόνο οι διαχειριστές· μετά τον έλεγχο, η κριτική σας εμφανίζει το σήμα «Επαληθευμένος πελάτης».',
+    'A review written offline could not be sent: {message}': 'Μια κριτική που γράψατε εκτός σύνδεσης δεν στάλθηκε: {message}',
+    'About Us': 'Σχετικά με εμάς',
+    'about {distance} km away (town centre)': 'περίπου {distance} χλμ. (κέντρο πόλης)',
+    'Active Listings': 'Ενεργές αγγελίες',
+    'Active listings': 'Ενεργές αγγελίες',
+    'Add agency': 'Προσθήκη γραφείου',
+    'Address': 'Διεύθυνση',
+    'After-sale support': 'Υποστήριξη μετά την πώληση',
+    'Agencies without an office address or service areas are placed at the centre of their town, so their location and distance are approximate.': 'Τα γραφεία χωρίς διεύθυνση ή περιοχές εξυπηρέτησης τοποθετούνται στο κέντρο της πόλης τους, οπότε η θέση και η απόστασή τους είναι κατά προσέγγιση.',
+    'Agency': 'Γραφείο',
+    'Agency Name': 'Όνομα γραφείου',
+    'Agency-submitted': 'Από το γραφείο',
+    'Agents': 'Μεσίτες',
+    'Agents & Developers': 'Μεσίτες & κατασκευαστές',
+    'AgentScore {score}': 'AgentScore {score}',
+    'AgentScore {score} (95% range {low}–{high})': 'AgentScore {score} (εύρος 95%: {low}–{high})',
+    'AgentScore: not enough reviews yet': 'AgentScore: δεν υπάρχουν ακόμη αρκετές κριτικές',
+    'All': 'Όλα',
+    'All Agents': 'Όλοι οι μεσίτες',
+    'All Cities': 'Όλες οι πόλεις',
+    'All Developers': 'Όλοι οι κατασκευαστές',
+    'All transactions': 'Όλες οι συναλλαγές',
+    'Allow': 'Αποδοχή',
+    'An error occurred. Please try again.': 'Παρουσιάστηκε σφάλμα. Δοκιμάστε ξανά.',
+    'Analytics preferences': 'Ρυθμίσεις στατιστικών',
+    'Any': 'Οποιοσδήποτε',
+    'Any Rating': 'Οποιαδήποτε βαθμολογία',
+    'Any Service': 'Οποιαδήποτε υπηρεσία',
+    'Apartment': 'Διαμέρισμα',
+    'Apartments': 'Διαμερίσματα',
+    'Are you a Real Estate Agent or Developer?': 'Είστε μεσίτης ή κατασκευαστής ακινήτων;',
+    'Are You a {city} Real Estate Professional?': 'Είστε επαγγελματίας ακινήτων – {city};',
+    'Area': 'Περιοχή',
+    'Authentication failed': 'Η ταυτοποίηση απέτυχε',
+    'Average Rating': 'Μέση βαθμολογία',
+    'Based on {count} reviews': { one: 'Με βάση {count} κριτική', other: 'Με βάση {count} κριτικές' },
+    'Beachfront': 'Παραθαλάσσια',
+    'Best AgentScore': 'Καλύτερο AgentScore',
+    'Best Match': 'Καλύτερη αντιστοιχία',
+    'Best Real Estate Agents & Developers in {city}': 'Οι καλύτεροι μεσίτες & κατασκευαστές ακινήτων – {city}',
+    'Biggest Google rating gains since the start of the quarter': 'Μεγαλύτερη άνοδος βαθμολογίας Google από την αρχή του τριμήνου',
+    'Bought': 'Αγορά',
+    'Browse': 'Περιήγηση',
+    'Browse agencies →': 'Περιήγηση στα γραφεία →',
+    'Browse Agents': 'Περιήγηση μεσιτών',
+    'Browse and compare trusted agents and developers': 'Βρείτε και συγκρίνετε αξιόπιστους μεσίτες και κατασκευαστές',
+    'Browse by City': 'Αναζήτηση ανά πόλη',
+    'Budget': 'Προϋπολογισμός',
+    'Build quality': 'Ποιότητα κατασκευής',
+    'Buyers': 'Αγοραστές',
+    'by': 'από',
+    'Cancel': 'Ακύρωση',
+    'Check your email for a sign-in link': 'Ελέγξτε το email σας για τον σύνδεσμο σύνδεσης',
+    'Check your email for the login link!': 'Ελέγξτε το email σας για τον σύνδεσμο σύνδεσης!',
+    'Check your email to confirm your account!': 'Ελέγξτε το email σας για να επιβεβαιώσετε τον λογαριασμό σας!',
+    'Choose a reason...': 'Επιλέξτε λόγο...',
+    'Choose...': 'Επιλέξτε...',
+    'Cities': 'Πόλεις',
+    'Cities Covered': 'Πόλεις',
+    'City': 'Πόλη',
+    'City only (approximate)': 'Μόνο πόλη (κατά προσέγγιση)',
+    'Claim Profile': 'Διεκδίκηση προφίλ',
+    'Claim this profile': 'Διεκδίκηση αυτού του προφίλ',
+    'Claim your free profile, respond to reviews, and showcase your listings to thousands of property seekers.': 'Διεκδικήστε δωρεάν το προφίλ σας, απαντήστε σε κριτικές και προβάλετε τις αγγελίες σας σε χιλιάδες ενδιαφερόμενους.',
+    'Claim Your Profile': 'Διεκδικήστε το προφίλ σας',
+    'Claim your profile on Reviews Realty to respond to reviews, update your information, and showcase your reputation.': 'Διεκδικήστε το προφίλ σας στο Reviews Realty για να απαντάτε σε κριτικές, να ενημερώνετε τα στοιχεία σας και να προβάλλετε τη φήμη σας.',
+    'Claim Your Profile →': 'Διεκδικήστε το προφίλ σας →',
+    'Clear': 'Καθαρισμός',
+    'Clear point': 'Καθαρισμός σημείου',
+    'Click anywhere on the map to find agencies serving that point': 'Κάντε κλικ οπουδήποτε στον χάρτη για να βρείτε γραφεία που εξυπηρετούν το σημείο',
+    'Click-through rate': 'Ποσοστό κλικ',
+    'Client Reviews': 'Κριτικές πελατών',
+    'Code sent again': 'Ο κωδικός στάλθηκε ξανά',
+    'Code sent to {email}': 'Ο κωδικός στάλθηκε στο {email}',
+    'Commercial': 'Επαγγελματικά',
+    'Commercial units': 'Επαγγελματικοί χώροι',
+    'Communication': 'Επικοινωνία',
+    'Company': 'Εταιρεία',
+    'Compare': 'Σύγκριση',
+    'Compare ({count})': 'Σύγκριση ({count})',
+    'Compare Agencies': 'Σύγκριση γραφείων',
+    'Compare first {count}': 'Σύγκριση των πρώτων {count}',
+    'Completed': 'Ολοκληρώθηκε',
+    'Conflict of interest': 'Σύγκρουση συμφερόντων',
+    'Contact': 'Επικοινωνία',
+    'Contact Agency': 'Επικοινωνία με το γραφείο',
+    'Contact Information': 'Στοιχεία επικοινωνίας',
+    'Contact {name}': 'Επικοινωνία με {name}',
+    'Contacted': 'Έγινε επικοινωνία',
+    'Copy': 'Αντιγραφή',
+    'Copy link to this comparison': 'Αντιγραφή συνδέσμου σύγκρισης',
+    'Copy this link: {url}': 'Αντιγράψτε αυτόν τον σύνδεσμο: {url}',
+    'Could not create shortlist': 'Δεν ήταν δυνατή η δημιουργία λίστας',
+    'Could not load enquiries.': 'Δεν ήταν δυνατή η φόρτωση των αιτημάτων.',
+    'Could not load notification settings': 'Δεν ήταν δυνατή η φόρτωση των ρυθμίσεων ειδοποιήσεων',
+    'Could not load stats': 'Δεν ήταν δυνατή η φόρτωση των στατιστικών',
+    'Could not load your agencies': 'Δεν ήταν δυνατή η φόρτωση των γραφείων σας',
+    'Could not load your shortlists.': 'Δεν ήταν δυνατή η φόρτωση των λιστών σας.',
+    'Could not save notification settings': 'Δεν ήταν δυνατή η αποθήκευση των ρυθμίσεων ειδοποιήσεων',
+    'Could not update shortlist': 'Δεν ήταν δυνατή η ενημέρωση της λίστας',
+    'Could not update the enquiry': 'Δεν ήταν δυνατή η ενημέρωση του αιτήματος',
+    'Counts include only visitors who allowed anonymous analytics, so they are lower than your real traffic.': 'Μετρώνται μόνο οι επισκέπτες που επέτρεψαν τα ανώνυμα στατιστικά, οπότε οι αριθμοί είναι χαμηλότεροι από την πραγματική επισκεψιμότητα.',
+    'Create': 'Δημιουργία',
+    'Create Account': 'Δημιουργία λογαριασμού',
+    'Cyprus': 'Κύπρος',
+    'Daily activity': 'Ημερήσια δραστηριότητα',
+    'Dark': 'Σκούρο',
+    'Data Sources': 'Πηγές δεδομένων',
+    'Deal closed': 'Ολοκληρώθηκε συμφωνία',
+    'Delivered': 'Παραδόθηκε',
+    'Delivery Record': 'Ιστορικό παράδοσης',
+    'Delivery timeliness': 'Τήρηση προθεσμιών',
+    'Description': 'Περιγραφή',
+    'Detailed Ratings': 'Αναλυτικές βαθμολογίες',
+    'Details (optional)': 'Λεπτομέρειες (προαιρετικά)',
+    'Developer': 'Κατασκευαστής',
+    'Developers': 'Κατασκευαστές',
+    'Discover the most trusted real estate agents and developers in Cyprus based on listings and customer reviews.': 'Ανακαλύψτε τους πιο αξιόπιστους μεσίτες και κατασκευαστές ακινήτων στην Κύπρο, με βάση τις αγγελίες και τις κριτικές πελατών.',
+    'Don\'t have an account?': 'Δεν έχετε λογαριασμό;',
+    'e.g. Germasogeia, Limassol': 'π.χ. Γερμασόγεια, Λεμεσός',
+    'Each new lead is POSTed as JSON, e.g. to your CRM.': 'Κάθε νέο αίτημα αποστέλλεται με POST ως JSON, π.χ. στο CRM σας.',
+    'Edit Profile': 'Επεξεργασία προφίλ',
+    'Edit profile': 'Επεξεργασία προφίλ',
+    'Edit reply': 'Επεξεργασία απάντησης',
+    'edited {date}': 'επεξεργάστηκε {date}',
+    'Editor': 'Σύνταξη',
+    'Email': 'Email',
+    'Email me a sign-in link': 'Στείλτε μου σύνδεσμο σύνδεσης',
+    'Email new leads to': 'Αποστολή νέων αιτημάτων στο email',
+    'Embed code copied': 'Ο κώδικας ενσωμάτωσης αντιγράφηκε',
+    'Enquiries': 'Αιτήματα',
+    'Enquiries sent to your agencies through Reviews Realty': 'Αιτήματα προς τα γραφεία σας μέσω του Reviews Realty',
+    'Enquiry sent - {name} will get back to you.': 'Το αίτημα στάλθηκε - το {name} θα επικοινωνήσει μαζί σας.',
+    'Enter the 6-digit code we emailed you.': 'Εισαγάγετε τον 6ψήφιο κωδικό που σας στείλαμε με email.',
+    'Error loading agent: {message}': 'Σφάλμα φόρτωσης γραφείου: {message}',
+    'Established': 'Έτος ίδρυσης',
+    'Failed to create an invite': 'Η δημιουργία πρόσκλησης απέτυχε',
+    'Failed to post reply': 'Η δημοσίευση απάντησης απέτυχε',
+    'Failed to resend the code': 'Η επαναποστολή του κωδικού απέτυχε',
+    'Failed to save changes': 'Η αποθήκευση των αλλαγών απέτυχε',
+    'Failed to send enquiry': 'Η αποστολή του αιτήματος απέτυχε',
+    'Failed to send magic link': 'Η αποστολή του συνδέσμου απέτυχε',
+    'Failed to send report': 'Η αποστολή της αναφοράς απέτυχε',
+    'Failed to start the claim': 'Η έναρξη της διεκδίκησης απέτυχε',
+    'Failed to submit review': 'Η υποβολή της κριτικής απέτυχε',
+    'Famagusta': 'Αμμόχωστος',
+    'Featured project': 'Προβεβλημένο έργο',
+    'Filters': 'Φίλτρα',
+    'Find real estate agents and developers in major Cyprus cities': 'Βρείτε μεσίτες και κατασκευαστές στις μεγάλες πόλεις της Κύπρου',
+    'Find the top-rated real estate agents and property developers in {city}, Cyprus. Read verified reviews, compare ratings, and choose the right partner for your property needs.': 'Βρείτε τους κορυφαίους μεσίτες και κατασκευαστές ακινήτων – {city}, Κύπρος. Διαβάστε επαληθευμένες κριτικές, συγκρίνετε βαθμολογίες και επιλέξτε τον κατάλληλο συνεργάτη.',
+    'Find top-rated real estate agents and developers in {city}, Cyprus': 'Κορυφαίοι μεσίτες και κατασκευαστές ακινήτων – {city}, Κύπρος',
+    'Find trusted property professionals in {tagline}. Compare ratings, read reviews, and make informed decisions.': 'Βρείτε αξιόπιστους επαγγελματίες ακινήτων {tagline}. Συγκρίνετε βαθμολογίες, διαβάστε κριτικές και αποφασίστε με σιγουριά.',
+    'Find Trusted Real Estate<br>Agents &amp; Developers in Cyprus': 'Βρείτε αξιόπιστους<br>μεσίτες &amp; κατασκευαστές στην Κύπρο',
+    'Finished on time': 'Ολοκληρώθηκε εγκαίρως',
+    'Finished {count} months late': { one: 'Ολοκληρώθηκε με {count} μήνα καθυστέρηση', other: 'Ολοκληρώθηκε με {count} μήνες καθυστέρηση' },
+    'For Agencies': 'Για γραφεία',
+    'For Professionals': 'Για επαγγελματίες',
+    'Free': 'Δωρεάν',
+    'Frequently Asked Questions': 'Συχνές ερωτήσεις',
+    'From {price}': 'Από {price}',
+    'Golf Resorts': 'Γήπεδα γκολφ',
+    'Google rating': 'Βαθμολογία Google',
+    'Google review': 'Κριτική Google',
+    'Google reviews': 'Κριτικές Google',
+    'High-Rise': 'Πολυώροφα',
+    'Highest Rated': 'Υψηλότερη βαθμολογία',
+    'Hollow markers are at the centre of the agency\'s town, not at its office: we do not have its address yet.': 'Οι κενοί δείκτες βρίσκονται στο κέντρο της πόλης του γραφείου και όχι στη διεύθυνσή του: δεν έχουμε ακόμη τη διεύθυνσή του.',
+    'Home': 'Αρχική',
+    'Honesty': 'Ειλικρίνεια',
+    'House': 'Κατοικία',
+    'How is the build, and was the property handed over when promised?': 'Πώς είναι η κατασκευή και παραδόθηκε το ακίνητο όταν είχε υποσχεθεί;',
+    'I agree that {name} may contact me about this enquiry.': 'Συμφωνώ να επικοινωνήσει μαζί μου το {name} για αυτό το αίτημα.',
+    'I bought': 'Αγόρασα',
+    'I let my property': 'Νοίκιασα το ακίνητό μου',
+    'I rented': 'Νοίκιασα ως ενοικιαστής',
+    'I sold': 'Πούλησα',
+    'Iframe': 'Iframe',
+    'Investment': 'Επενδύσεις',
+    'Invite a Client': 'Πρόσκληση πελάτη',
+    'Invite link copied - send it to your client. It works once and expires in 30 days.': 'Ο σύνδεσμος πρόσκλησης αντιγράφηκε – στείλτε τον στον πελάτη σας. Ισχύει μία φορά και λήγει σε 30 ημέρες.',
+    'Kyrenia': 'Κερύνεια',
+    'Land': 'Οικόπεδα',
+    'Landlords': 'Ιδιοκτήτες',
+    'Language': 'Γλώσσα',
+    'Larnaca': 'Λάρνακα',
+    'Last 30 days': 'Τελευταίες 30 ημέρες',
+    'Last 7 days': 'Τελευταίες 7 ημέρες',
+    'Last 90 days': 'Τελευταίες 90 ημέρες',
+    'Launched': 'Έναρξη',
+    'Lead Inbox': 'Εισερχόμενα αιτήματα',
+    'Legal': 'Νομικά',
+    'Let': 'Εκμίσθωση',
+    'Light': 'Ανοιχτό',
+    'Limassol': 'Λεμεσός',
+    'Link colour': 'Χρώμα συνδέσμων',
+    'Link copied to clipboard': 'Ο σύνδεσμος αντιγράφηκε στο πρόχειρο',
+    'Loading agents...': 'Φόρτωση μεσιτών...',
+    'Loading reviews...': 'Φόρτωση κριτικών...',
+    'Loading...': 'Φόρτωση...',
+    'Location': 'Τοποθεσία',
+    'Logo': 'Λογότυπο',
+    'Looking to rent': 'Αναζητώ ενοικίαση',
+    'Lowest Rated': 'Χαμηλότερη βαθμολογία',
+    'Luxury': 'Πολυτελή',
+    'Luxury Residences': 'Πολυτελείς κατοικίες',
+    'Magic link sent! Check your email.': 'Ο σύνδεσμος στάλθηκε! Ελέγξτε το email σας.',
+    'Map of Cyprus districts': 'Χάρτης των επαρχιών της Κύπρου',
+    'Market knowledge': 'Γνώση της αγοράς',
+    'Message': 'Μήνυμα',
+    'Message added to your earlier enquiry.': 'Το μήνυμα προστέθηκε στο προηγούμενο αίτημά σας.',
+    'Minimum Rating': 'Ελάχιστη βαθμολογία',
+    'Mixed-Use': 'Μικτής χρήσης',
+    'Most Improved in {city} This Quarter': 'Μεγαλύτερη βελτίωση αυτό το τρίμηνο – {city}',
+    'Most Improved This Quarter': 'Μεγαλύτερη βελτίωση αυτό το τρίμηνο',
+    'Most Listings': 'Περισσότερες αγγελίες',
+    'Most new Google reviews this quarter, rated 4.0 or higher': 'Οι περισσότερες νέες κριτικές Google αυτό το τρίμηνο, με βαθμολογία 4,0 και άνω',
+    'Most Recent': 'Πιο πρόσφατες',
+    'Most Reviewed': 'Περισσότερες κριτικές',
+    'Name (A-Z)': 'Όνομα (Α-Ω)',
+    'Name, project, area or review...': 'Όνομα, έργο, περιοχή ή κριτική...',
+    'Nearest': 'Πλησιέστερα',
+    'Negotiation': 'Διαπραγμάτευση',
+    'New': 'Νέο',
+    'New Builds': 'Νεόδμητα',
+    'New Developments': 'Νέα έργα',
+    'New shortlist name': 'Όνομα νέας λίστας',
+    'Nicosia': 'Λευκωσία',
+    'No agencies match "{query}"': 'Κανένα γραφείο δεν ταιριάζει με «{query}»',
+    'No deal': 'Χωρίς συμφωνία',
+    'No detailed ratings yet': 'Δεν υπάρχουν ακόμη αναλυτικές βαθμολογίες',
+    'No enquiries with this status.': 'Δεν υπάρχουν αιτήματα με αυτή την κατάσταση.',
+    'No enquiries yet. They appear here as soon as a visitor contacts you.': 'Δεν υπάρχουν ακόμη αιτήματα. Εμφανίζονται εδώ μόλις επικοινωνήσει μαζί σας ένας επισκέπτης.',
+    'No project details on record yet': 'Δεν υπάρχουν ακόμη στοιχεία για το έργο',
+    'No results': 'Κανένα αποτέλεσμα',
+    'No reviews match these filters.': 'Καμία κριτική δεν ταιριάζει με αυτά τα φίλτρα.',
+    'No reviews yet': 'Δεν υπάρχουν ακόμη κριτικές',
+    'No reviews yet. Be the first to review!': 'Δεν υπάρχουν ακόμη κριτικές. Γράψτε πρώτοι μία!',
+    'No shortlists yet. Create one below.': 'Δεν υπάρχουν ακόμη λίστες. Δημιουργήστε μία παρακάτω.',
+    'No sourced data yet': 'Δεν υπάρχουν ακόμη δεδομένα από πηγές',
+    'No thanks': 'Όχι, ευχαριστώ',
+    'No widget views in this period yet.': 'Καμία προβολή του widget σε αυτή την περίοδο ακόμη.',
+    'Not a genuine client': 'Δεν είναι πραγματικός πελάτης',
+    'Not yet rated': 'Χωρίς βαθμολογία ακόμη',
+    'not yet verified': 'δεν έχει επαληθευτεί ακόμη',
+    'Notification settings saved': 'Οι ρυθμίσεις ειδοποιήσεων αποθηκεύτηκαν',
+    'Notifications': 'Ειδοποιήσεις',
+    'of {point}': 'από {point}',
+    'of {point} ({district})': 'από {point} ({district})',
+    'Off-plan': 'Υπό σχεδιασμό',
+    'Offensive language': 'Προσβλητική γλώσσα',
+    'Office': 'Γραφείο',
+    'Offline': 'Εκτός σύνδεσης',
+    'Offline, data from {date}': 'Εκτός σύνδεσης, δεδομένα από {date}',
+    'On schedule': 'Εντός χρονοδιαγράμματος',
+    'Only verified owners of this agency can see its stats. Claim the profile to get access.': 'Μόνο οι επαληθευμένοι ιδιοκτήτες του γραφείου βλέπουν τα στατιστικά του. Διεκδικήστε το προφίλ για πρόσβαση.',
+    'or': 'ή',
+    'Or sign in with Magic Link (no password)': 'Ή συνδεθείτε με σύνδεσμο email (χωρίς κωδικό)',
+    'Our moderators will check the review against our guidelines.': 'Οι διαχειριστές μας θα ελέγξουν την κριτική σύμφωνα με τους κανόνες μας.',
+    'Over €1M': 'Πάνω από €1 εκ.',
+    'Own this agency? Claim this profile': 'Είναι δικό σας το γραφείο; Διεκδικήστε το προφίλ',
+    'Page {page} of {pages}': 'Σελίδα {page} από {pages}',
+    'Paphos': 'Πάφος',
+    'Password': 'Κωδικός πρόσβασης',
+    'Penthouses': 'Ρετιρέ',
+    'Period': 'Περίοδος',
+    'Phone': 'Τηλέφωνο',
+    'Phone clicks': 'Κλικ στο τηλέφωνο',
+    'Pick a point on the map view': 'Επιλέξτε σημείο στην προβολή χάρτη',
+    'Pick at least {count} to compare': 'Επιλέξτε τουλάχιστον {count} για σύγκριση',
+    'Pick at least {min} agencies (up to {max}) to compare them side by side.': 'Επιλέξτε από {min} έως {max} γραφεία για να τα συγκρίνετε δίπλα-δίπλα.',
+    'Planned completion': 'Προγραμματισμένη ολοκλήρωση',
+    'Please choose a budget from the list': 'Επιλέξτε προϋπολογισμό από τη λίστα',
+    'Please choose a property type from the list': 'Επιλέξτε τύπο ακινήτου από τη λίστα',
+    'Please enter a valid email address': 'Συμπληρώστε έγκυρο email',
+    'Please enter a valid phone number': 'Συμπληρώστε έγκυρο αριθμό τηλεφώνου',
+    'Please enter your email': 'Εισαγάγετε το email σας',
+    'Please enter your email first': 'Εισαγάγετε πρώτα το email σας',
+    'Please enter your name': 'Συμπληρώστε το όνομά σας',
+    'Please fill in all fields': 'Συμπληρώστε όλα τα πεδία',
+    'Please give an email address or phone number': 'Δώστε email ή αριθμό τηλεφώνου',
+    'Please select a rating': 'Επιλέξτε βαθμολογία',
+    'Please sign in to submit a review.': 'Συνδεθείτε για να υποβάλετε κριτική.',
+    'Please use an address at the agency\'s own email or website domain.': 'Χρησιμοποιήστε διεύθυνση στο domain του email ή της ιστοσελίδας του γραφείου.',
+    'Please write a short message (at least 10 characters)': 'Γράψτε ένα σύντομο μήνυμα (τουλάχιστον 10 χαρακτήρες)',
+    'Plots': 'Οικόπεδα',
+    'Post Reply': 'Δημοσίευση απάντησης',
+    'Prefer not to say': 'Προτιμώ να μην πω',
+    'Preview': 'Προεπισκόπηση',
+    'Prices': 'Τιμές',
+    'Pricing': 'Τιμές',
+    'Privacy Policy': 'Πολιτική απορρήτου',
+    'Profile Stats': 'Στατιστικά προφίλ',
+    'Profile updated': 'Το προφίλ ενημερώθηκε',
+    'Profile verified - you can now edit it.': 'Το προφίλ επαληθεύτηκε – μπορείτε πλέον να το επεξεργαστείτε.',
+    'Profile views': 'Προβολές προφίλ',
+    'Profile views and outbound clicks from Reviews Realty visitors': 'Προβολές προφίλ και κλικ προς τα έξω από επισκέπτες του Reviews Realty',
+    'Project': 'Έργο',
+    'Project Details': 'Στοιχεία έργου',
+    'Project Reviews': 'Κριτικές έργου',
+    'Project reviews also count towards the developer\'s rating and AgentScore.': 'Οι κριτικές έργων μετρούν και στη βαθμολογία και στο AgentScore του κατασκευαστή.',
+    'Projects': 'Έργα',
+    'Proof documents can only be uploaded online. Remove the file or try again once you are back online.': 'Τα αποδεικτικά έγγραφα ανεβαίνουν μόνο με σύνδεση. Αφαιρέστε το αρχείο ή δοκιμάστε ξανά όταν συνδεθείτε.',
+    'Proof of transaction': 'Αποδεικτικό συναλλαγής',
+    'Property area': 'Περιοχή ακινήτου',
+    'Property Management': 'Διαχείριση ακινήτων',
+    'Property type': 'Τύπος ακινήτου',
+    'Rate specific areas': 'Βαθμολογήστε συγκεκριμένους τομείς',
+    'Rating': 'Βαθμολογία',
+    'Rating and latest reviews': 'Βαθμολογία και πρόσφατες κριτικές',
+    'Rating Breakdown': 'Ανάλυση βαθμολογίας',
+    'Rating only': 'Μόνο βαθμολογία',
+    'Rating widget': 'Widget βαθμολογίας',
+    'Ratings, reviews and listings side by side': 'Βαθμολογίες, κριτικές και αγγελίες δίπλα-δίπλα',
+    'Read all reviews on Reviews Realty': 'Διαβάστε όλες τις κριτικές στο Reviews Realty',
+    'Read verified reviews from real customers. Compare agents and developers by ratings to find the perfect partner for your property needs.': 'Διαβάστε επαληθευμένες κριτικές από πραγματικούς πελάτες. Συγκρίνετε μεσίτες και κατασκευαστές με βάση τη βαθμολογία και βρείτε τον ιδανικό συνεργάτη.',
+    'Real Estate Agents & Developers in Cyprus': 'Μεσίτες & κατασκευαστές ακινήτων στην Κύπρο',
+    'Real Estate Agents in Cyprus': 'Μεσίτες ακινήτων στην Κύπρο',
+    'Real Estate Agents in {city}': 'Μεσίτες ακινήτων – {city}',
+    'Reason': 'Λόγος',
+    'Recent reviews': 'Πρόσφατες κριτικές',
+    'Recently': 'Πρόσφατα',
+    'Remove': 'Αφαίρεση',
+    'Rentals': 'Ενοικιάσεις',
+    'Rented': 'Ενοικίαση',
+    'Repeat enquiries from the same email or phone within a week are added to the earlier lead.': 'Επαναλαμβανόμενα αιτήματα από το ίδιο email ή τηλέφωνο μέσα σε μία εβδομάδα προστίθενται στο προηγούμενο αίτημα.',
+    'Reply posted - the reviewer has been notified.': 'Η απάντηση δημοσιεύτηκε – ο συντάκτης της κριτικής ειδοποιήθηκε.',
+    'Reply publicly': 'Δημόσια απάντηση',
+    'Report': 'Αναφορά',
+    'Report this review': 'Αναφορά αυτής της κριτικής',
+    'Resend code': 'Επαναποστολή κωδικού',
+    'Reset Filters': 'Επαναφορά φίλτρων',
+    'Residential': 'Κατοικίες',
+    'Resorts': 'Θέρετρα',
+    'Response from {name}': 'Απάντηση από {name}',
+    'Review count': 'Αριθμός κριτικών',
+    'Review submitted as a verified client!': 'Η κριτική υποβλήθηκε ως επαληθευμένου πελάτη!',
+    'Review submitted successfully!': 'Η κριτική υποβλήθηκε με επιτυχία!',
+    'Review submitted! It will show "Verified client" once we have checked your proof.': 'Η κριτική υποβλήθηκε! Θα εμφανίζει «Επαληθευμένος πελάτης» μόλις ελέγξουμε το αποδεικτικό σας.',
+    'Review this Project': 'Αξιολογήστε το έργο',
+    'Review Title': 'Τίτλος κριτικής',
+    'Reviews': 'Κριτικές',
+    'Reviews Realty reviews': 'Κριτικές Reviews Realty',
+    'Reviews Realty User': 'Χρήστης Reviews Realty',
+    'Reviews started': 'Κριτικές που ξεκίνησαν',
+    'Reviews submitted': 'Κριτικές που υποβλήθηκαν',
+    'Rising Agencies': 'Ανερχόμενα γραφεία',
+    'Rising Agencies in {city}': 'Ανερχόμενα γραφεία – {city}',
+    'Sales': 'Πωλήσεις',
+    'Save Changes': 'Αποθήκευση αλλαγών',
+    'Save Notifications': 'Αποθήκευση ειδοποιήσεων',
+    'Save to shortlist': 'Αποθήκευση σε λίστα',
+    'Saved on this device. Sign in to keep your shortlists across devices and get email alerts.': 'Αποθηκεύτηκε σε αυτή τη συσκευή. Συνδεθείτε για να έχετε τις λίστες σας σε όλες τις συσκευές και να λαμβάνετε ειδοποιήσεις με email.',
+    'Saving...': 'Αποθήκευση...',
+    'Script': 'Script',
+    'Search': 'Αναζήτηση',
+    'Search agencies, projects, areas or reviews...': 'Αναζήτηση γραφείων, έργων, περιοχών ή κριτικών...',
+    'See all {count} results →': { one: 'Δείτε {count} αποτέλεσμα →', other: 'Δείτε και τα {count} αποτελέσματα →' },
+    'Sellers': 'Πωλητές',
+    'Send Code': 'Αποστολή κωδικού',
+    'Send Enquiry': 'Αποστολή αιτήματος',
+    'Send Magic Link': 'Αποστολή συνδέσμου',
+    'Send Report': 'Αποστολή αναφοράς',
+    'Send this link to your client (single use, expires in 30 days):': 'Στείλτε αυτόν τον σύνδεσμο στον πελάτη σας (μίας χρήσης, λήγει σε 30 ημέρες):',
+    'Sending...': 'Αποστολή...',
+    'Service': 'Υπηρεσία',
+    'Services': 'Υπηρεσίες',
+    'Serving Within': 'Εξυπηρέτηση σε ακτίνα',
+    'Share details about your experience with this agency...': 'Μοιραστείτε λεπτομέρειες για την εμπειρία σας με αυτό το γραφείο...',
+    'Shares personal information': 'Δημοσιεύει προσωπικά στοιχεία',
+    'Shortlists': 'Λίστες',
+    'Show': 'Εμφάνιση',
+    'Show your rating and latest reviews on your own website: paste one of these snippets where the widget should appear.': 'Δείξτε τη βαθμολογία και τις πρόσφατες κριτικές σας στη δική σας ιστοσελίδα: επικολλήστε έναν από αυτούς τους κώδικες εκεί όπου θέλετε να εμφανίζεται το widget.',
+    'Showing {count} results on the map': { one: 'Εμφανίζεται {count} αποτέλεσμα στον χάρτη', other: 'Εμφανίζονται {count} αποτελέσματα στον χάρτη' },
+    'Showing {from}-{to} of {count} results': 'Εμφανίζονται {from}-{to} από {count} αποτελέσματα',
+    'Sign In': 'Σύνδεση',
+    'Sign In / Sign Up': 'Σύνδεση / Εγγραφή',
+    'Sign in to leave reviews and rate real estate agents in Cyprus.': 'Συνδεθείτε για να γράφετε κριτικές και να βαθμολογείτε μεσίτες στην Κύπρο.',
+    'Sign in with the account that claimed your agency to see its enquiries.': 'Συνδεθείτε με τον λογαριασμό που διεκδίκησε το γραφείο σας για να δείτε τα αιτήματά του.',
+    'Sign out?': 'Αποσύνδεση;',
+    'Sign Up': 'Εγγραφή',
+    'Sold': 'Πώληση',
+    'Something else': 'Κάτι άλλο',
+    'Sort By': 'Ταξινόμηση',
+    'Spam or advertising': 'Spam ή διαφήμιση',
+    'Specialties': 'Ειδικότητες',
+    'Specialties (comma separated)': 'Ειδικότητες (χωρισμένες με κόμμα)',
+    'Status': 'Κατάσταση',
+    'Studios': 'Στούντιο',
+    'Submit Review': 'Υποβολή κριτικής',
+    'Submitting...': 'Υποβολή...',
+    'Summarize your experience': 'Συνοψίστε την εμπειρία σας',
+    'Tags': 'Ετικέτες',
+    'Tenants': 'Ενοικιαστές',
+    'Terms of Service': 'Όροι χρήσης',
+    'Thanks! Your review will appear once a moderator has checked it.': 'Ευχαριστούμε! Η κριτική σας θα εμφανιστεί μόλις την ελέγξει ένας διαχειριστής.',
+    'Thanks, a moderator will review this report.': 'Ευχαριστούμε, ένας διαχειριστής θα εξετάσει την αναφορά.',
+    'That code did not work': 'Ο κωδικός δεν είναι σωστός',
+    'the agency\'s listed domain': 'το domain που έχει δηλώσει το γραφείο',
+    'The script fits the widget into your page; use the iframe where your site builder does not allow scripts.': 'Το script ενσωματώνει το widget στη σελίδα σας· χρησιμοποιήστε το iframe όταν η πλατφόρμα της ιστοσελίδας σας δεν επιτρέπει scripts.',
+    'The trusted platform for finding and reviewing real estate agents and developers in Cyprus.': 'Η αξιόπιστη πλατφόρμα για να βρίσκετε και να αξιολογείτε μεσίτες και κατασκευαστές ακινήτων στην Κύπρο.',
+    'Theme': 'Θέμα',
+    'This agency has verified ownership of its profile': 'Αυτό το γραφείο έχει επαληθεύσει ότι του ανήκει το προφίλ',
+    'This invite link has expired or was already used': 'Ο σύνδεσμος πρόσκλησης έχει λήξει ή έχει ήδη χρησιμοποιηθεί',
+    'To Use': 'Για χρήση',
+    'Top Developers in {city}': 'Κορυφαίοι κατασκευαστές – {city}',
+    'Top Rated Agents & Developers': 'Κορυφαίοι μεσίτες & κατασκευαστές',
+    'Top Rated Agents in {city}': 'Κορυφαίοι μεσίτες – {city}',
+    'Towers': 'Πύργοι',
+    'Townhouses': 'Κατοικίες σε σειρά',
+    'Tracked since {date}': 'Παρακολούθηση από {date}',
+    'Transaction': 'Συναλλαγή',
+    'Transparent real estate reviews for Cyprus.': 'Διαφανείς κριτικές ακινήτων για την Κύπρο.',
+    'Trends': 'Τάσεις',
+    'Type': 'Τύπος',
+    'Under construction': 'Υπό κατασκευή',
+    'Under €150k': 'Έως €150 χιλ.',
+    'Unit types': 'Τύποι ακινήτων',
+    'Up to {max} agencies': 'Έως {max} γραφεία',
+    'Up to {price}': 'Έως {price}',
+    'Update Reply': 'Ενημέρωση απάντησης',
+    'User reviews': 'Κριτικές χρηστών',
+    'Verified client reviews': 'Κριτικές επαληθευμένων πελατών',
+    'Verified Professionals': 'Επαληθευμένοι επαγγελματίες',
+    'verified {date}': 'επαληθεύτηκε {date}',
+    'Verify': 'Επαλήθευση',
+    'via {source}': 'μέσω {source}',
+    'View All Agents & Developers': 'Όλοι οι μεσίτες & κατασκευαστές',
+    'View all →': 'Όλα →',
+    'View Profile →': 'Προβολή προφίλ →',
+    'View your shortlists →': 'Οι λίστες σας →',
+    'Viewing arranged': 'Κλείστηκε επίσκεψη',
+    'Villa': 'Βίλα',
+    'Villas': 'Βίλες',
+    'Visit Website': 'Επίσκεψη ιστοσελίδας',
+    'Waterfront': 'Παραλιακά',
+    'We count searches, profile views and clicks anonymously so agencies can see how their profiles perform. No cookies, no personal data.': 'Καταγράφουμε ανώνυμα αναζητήσεις, προβολές προφίλ και κλικ, ώστε τα γραφεία να βλέπουν πώς αποδίδουν τα προφίλ τους. Χωρίς cookies, χωρίς προσωπικά δεδομένα.',
+    'We\'ll send a verification code to an address at {domains}.': 'Θα στείλουμε κωδικό επαλήθευσης σε διεύθυνση στο {domains}.',
+    'Webhook URL': 'URL webhook',
+    'Website': 'Ιστοσελίδα',
+    'Website and phone clicks': 'Κλικ σε ιστοσελίδα και τηλέφωνο',
+    'Website clicks': 'Κλικ στην ιστοσελίδα',
+    'Why Invest in {city} Real Estate?': 'Γιατί να επενδύσετε σε ακίνητα – {city};',
+    'Widget views': 'Προβολές widget',
+    'Widget views by website': 'Προβολές widget ανά ιστοσελίδα',
+    'Work email': 'Εταιρικό email',
+    'Write a Review': 'Γράψτε μια κριτική',
+    'Write Review': 'Γράψτε κριτική',
+    'You are offline. Your review is saved on this device and will be sent when you are back online.': 'Είστε εκτός σύνδεσης. Η κριτική σας αποθηκεύτηκε σε αυτή τη συσκευή και θα σταλεί μόλις συνδεθείτε ξανά.',
+    'You can compare up to {count} agencies': { one: 'Μπορείτε να συγκρίνετε έως {count} γραφείο', other: 'Μπορείτε να συγκρίνετε έως {count} γραφεία' },
+    'You contacted this agency {date}. A new message is added to that enquiry.': 'Επικοινωνήσατε με αυτό το γραφείο {date}. Ένα νέο μήνυμα προστίθεται σε εκείνο το αίτημα.',
+    'You don\'t own any agencies yet. Claim your agency\'s profile to receive enquiries.': 'Δεν έχετε ακόμη κανένα γραφείο. Διεκδικήστε το προφίλ του γραφείου σας για να λαμβάνετε αιτήματα.',
+    'you@example.com': 'you@example.com',
+    'Your name': 'Το όνομά σας',
+    'Your public reply as {name}': 'Η δημόσια απάντησή σας ως {name}',
+    'Your Rating': 'Η βαθμολογία σας',
+    'Your Review': 'Η κριτική σας',
+    '{city} (approximate)': '{city} (κατά προσέγγιση)',
+    '{city}, Cyprus': '{city}, Κύπρος',
+    '{count} active listings': { one: '{count} ενεργή αγγελία', other: '{count} ενεργές αγγελίες' },
+    '{count} clicks': { one: '{count} κλικ', other: '{count} κλικ' },
+    '{count} enquiries': { one: '{count} αίτημα', other: '{count} αιτήματα' },
+    '{count} listings': { one: '{count} αγγελία', other: '{count} αγγελίες' },
+    '{count} months behind schedule': { one: '{count} μήνας καθυστέρηση', other: '{count} μήνες καθυστέρηση' },
+    '{count} projects': { one: '{count} έργο', other: '{count} έργα' },
+    '{count} ratings': { one: '{count} βαθμολογία', other: '{count} βαθμολογίες' },
+    '{count} reviews': { one: '{count} κριτική', other: '{count} κριτικές' },
+    '{count} reviews waiting to be sent': { one: '{count} κριτική περιμένει αποστολή', other: '{count} κριτικές περιμένουν αποστολή' },
+    '{count} reviews written offline were sent': { one: 'Η κριτική που γράψατε εκτός σύνδεσης στάλθηκε', other: 'Στάλθηκαν {count} κριτικές που γράψατε εκτός σύνδεσης' },
+    '{count} views': { one: '{count} προβολή', other: '{count} προβολές' },
+    '{distance} km away': 'σε απόσταση {distance} χλμ.',
+    '© 2025 Reviews Realty. All rights reserved.': '© 2025 Reviews Realty. Με την επιφύλαξη παντός δικαιώματος.',
+    '© 2026 Reviews Realty. All rights reserved.': '© 2026 Reviews Realty. Με την επιφύλαξη παντός δικαιώματος.',
+    '€150k–300k': '€150–300 χιλ.',
+    '€300k–600k': '€300–600 χιλ.',
+    '€600k–1M': '€600 χιλ.–1 εκ.',
+    '← Back to profile': '← Πίσω στο προφίλ',
+    '♡ Save to shortlist': '♡ Αποθήκευση σε λίστα',
+    '♥ Saved': '♥ Αποθηκεύτηκε',
+    '✓ Comparing': '✓ Σε σύγκριση',
+    '✓ Verified': '✓ Επαληθευμένο',
+    '✓ Verified client': '✓ Επαληθευμένος πελάτης',
+    '✓ You were invited by this agency - your review will be marked "Verified client".': '✓ Σας προσκάλεσε αυτό το γραφείο – η κριτική σας θα επισημανθεί ως «Επαληθευμένος πελάτης».'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MESSAGES_EL;
+} else {
+    addMessages('el', MESSAGES_EL);
+}
@@ -0,0 +1,508 @@
+/**
+ * Russian messages for Reviews Realty, keyed by the English text (see js/i18n.js).
+ * Plural messages list the one, few and many forms (1, 2-4, 5+), plus other
+ * for fractions.
+ */
+
+const MESSAGES_RU = {
+    '(optional)': '(необязательно)',
+    '({count} reviews)': { one: '({count} отзыв)', few: '({count} отзыва)', many: '({count} отзывов)', other: '({count} отзыва)' },
+    '+ Compare': '+ Сравнить',
+    '+{count} reviews': { one: '+{count} отзыв', few: '+{count} отзыва', many: '+{count} отзывов', other: '+{count} отзыва' },
+    '10 km': '10 км',
+    '25 km': '25 км',
+    '3+ Stars': '3+ звезды',
+    '4+ Stars': '4+ звезды',
+    '4.5+ Stars': '4,5+ звезды',
+    '5 km': '5 км',
+    '50 km': '50 км',
+    'A contract or receipt with personal details and amounts blacked out. Only moderators see it; once checked, your review shows a "Verified client" badge.': 'Договор или квитанция со скрытыми личными данными и суммами. Его видят только модераторы; после проверки у вашего отзыва появится значок «Проверенный клиент».',
+    'A review written offline could not be sent: {message}': 'Не удалось отправить отзыв, написанный без подключения: {message}',
+    'About Us': 'О нас',
+    'about {distance} km away (town centre)': 'примерно {distance} км (центр города)',
+    'Active Listings': 'Активные объявления',
+    'Active listings': 'Активные объявления',
+    'Add agency': 'Добавить агентство',
+    'Address': 'Адрес',
+    'After-sale support': 'Поддержка после сделки',
+    'Agencies without an office address or service areas are placed at the centre of their town, so their location and distance are approximate.': 'Агентства без адреса офиса и зон обслуживания показаны в центре своего города, поэтому их расположение и расстояние до них приблизительны.',
+    'Agency': 'Агентство',
+    'Agency Name': 'Название агентства',
+    'Agency-submitted': 'От агентства',
+    'Agents': 'Агенты',
+    'Agents & Developers': 'Агенты и застройщики',
+    'AgentScore {score}': 'AgentScore {score}',
+    'AgentScore {score} (95% range {low}–{high})': 'AgentScore {score} (95%-й интервал {low}–{high})',
+    'AgentScore: not enough reviews yet': 'AgentScore: пока недостаточно отзывов',
+    'All': 'Все',
+    'All Agents': 'Все агенты',
+    'All Cities': 'Все города',
+    'All Developers': 'Все застройщики',
+    'All transactions': 'Все сделки',
+    'Allow': 'Разрешить',
+    'An error occurred. Please try again.': 'Произошла ошибка. Попробуйте ещё раз.',
+    'Analytics preferences': 'Настройки аналитики',
+    'Any': 'Любой',
+    'Any Rating': 'Любой рейтинг',
+    'Any Service': 'Любая услуга',
+    'Apartment': 'Квартира',
+    'Apartments': 'Квартиры',
+    'Are you a Real Estate Agent or Developer?': 'Вы агент по недвижимости или застройщик?',
+    'Are You a {city} Real Estate Professional?': 'Вы специалист по недвижимости – {city}?',
+    'Area': 'Район',
+    'Authentication failed': 'Ошибка входа',
+    'Average Rating': 'Средний рейтинг',
+    'Based on {count} reviews': { one: 'На основе {count} отзыва', few: 'На основе {count} отзывов', many: 'На основе {count} отзывов', other: 'На основе {count} отзыва' },
+    'Beachfront': 'У моря',
+    'Best AgentScore': 'Лучший AgentScore',
+    'Best Match': 'Лучшее совпадение',
+    'Best Real Estate Agents & Developers in {city}': 'Лучшие агенты и застройщики – {city}',
+    'Biggest Google rating gains since the start of the quarter': 'Наибольший рост рейтинга Google с начала квартала',
+    'Bought': 'Покупка',
+    'Browse': 'Обзор',
+    'Browse agencies →': 'Все агентства →',
+    'Browse Agents': 'Смотреть агентов',
+    'Browse and compare trusted agents and developers': 'Смотрите и сравнивайте надёжных агентов и застройщиков',
+    'Browse by City': 'Поиск по городам',
+    'Budget': 'Бюджет',
+    'Build quality': 'Качество строительства',
+    'Buyers': 'Покупатели',
+    'by': 'от',
+    'Cancel': 'Отмена',
+    'Check your email for a sign-in link': 'Проверьте почту — мы отправили ссылку для входа',
+    'Check your email for the login link!': 'Проверьте почту: мы отправили ссылку для входа!',
+    'Check your email to confirm your account!': 'Проверьте почту, чтобы подтвердить аккаунт!',
+    'Choose a reason...': 'Выберите причину...',
+    'Choose...': 'Выберите...',
+    'Cities': 'Города',
+    'Cities Covered': 'Городов',
+    'City': 'Город',
+    'City only (approximate)': 'Только город (приблизительно)',
+    'Claim Profile': 'Подтвердить профиль',
+    'Claim this profile': 'Подтвердить этот профиль',
+    'Claim your free profile, respond to reviews, and showcase your listings to thousands of property seekers.': 'Бесплатно подтвердите профиль, отвечайте на отзывы и показывайте свои объекты тысячам покупателей и арендаторов.',
+    'Claim Your Profile': 'Подтвердите свой профиль',
+    'Claim your profile on Reviews Realty to respond to reviews, update your information, and showcase your reputation.': 'Подтвердите профиль на Reviews Realty, чтобы отвечать на отзывы, обновлять информацию и показывать свою репутацию.',
+    'Claim Your Profile →': 'Подтвердите свой профиль →',
+    'Clear': 'Очистить',
+    'Clear point': 'Сбросить точку',
+    'Click anywhere on the map to find agencies serving that point': 'Нажмите на любое место карты, чтобы найти агентства, работающие там',
+    'Click-through rate': 'Доля переходов',
+    'Client Reviews': 'Отзывов клиентов',
+    'Code sent again': 'Код отправлен повторно',
+    'Code sent to {email}': 'Код отправлен на {email}',
+    'Commercial': 'Коммерческая',
+    'Commercial units': 'Коммерческие помещения',
+    'Communication': 'Коммуникация',
+    'Company': 'Компания',
+    'Compare': 'Сравнить',
+    'Compare ({count})': 'Сравнить ({count})',
+    'Compare Agencies': 'Сравнение агентств',
+    'Compare first {count}': 'Сравнить первые {count}',
+    'Completed': 'Завершён',
+    'Conflict of interest': 'Конфликт интересов',
+    'Contact': 'Контакты',
+    'Contact Agency': 'Связаться с агентством',
+    'Contact Information': 'Контактная информация',
+    'Contact {name}': 'Связаться с {name}',
+    'Contacted': 'Связались',
+    'Copy': 'Копировать',
+    'Copy link to this comparison': 'Скопировать ссылку на сравнение',
+    'Copy this link: {url}': 'Скопируйте эту ссылку: {url}',
+    'Could not create shortlist': 'Не удалось создать список',
+    'Could not load enquiries.': 'Не удалось загрузить запросы.',
+    'Could not load notification settings': 'Не удалось загрузить настройки уведомлений',
+    'Could not load stats': 'Не удалось загрузить статистику',
+    'Could not load your agencies': 'Не удалось загрузить ваши агентства',
+    'Could not load your shortlists.': 'Не удалось загрузить ваши списки.',
+    'Could not save notification settings': 'Не удалось сохранить настройки уведомлений',
+    'Could not update shortlist': 'Не удалось обновить список',
+    'Could not update the enquiry': 'Не удалось обновить запрос',
+    'Counts include only visitors who allowed anonymous analytics, so they are lower than your real traffic.': 'Учитываются только посетители, разрешившие анонимную аналитику, поэтому цифры ниже реального трафика.',
+    'Create': 'Создать',
+    'Create Account': 'Создать аккаунт',
+    'Cyprus': 'Кипр',
+    'Daily activity': 'Активность по дням',
+    'Dark': 'Тёмная',
+    'Data Sources': 'Источники данных',
+    'Deal closed': 'Сделка закрыта',
+    'Delivered': 'Сдан',
+    'Delivery Record': 'Сроки сдачи',
+    'Delivery timeliness': 'Соблюдение сроков',
+    'Description': 'Описание',
+    'Detailed Ratings': 'Подробные оценки',
+    'Details (optional)': 'Подробности (необязательно)',
+    'Developer': 'Застройщик',
+    'Developers': 'Застройщики',
+    'Discover the most trusted real estate agents and developers in Cyprus based on listings and customer reviews.': 'Найдите самых надёжных агентов и застройщиков на Кипре по объявлениям и отзывам клиентов.',
+    'Don\'t have an account?': 'Нет аккаунта?',
+    'e.g. Germasogeia, Limassol': 'напр. Гермасойя, Лимасол',
+    'Each new lead is POSTed as JSON, e.g. to your CRM.': 'Каждый новый запрос отправляется POST-запросом в формате JSON, например в вашу CRM.',
+    'Edit Profile': 'Редактировать профиль',
+    'Edit profile': 'Редактировать профиль',
+    'Edit reply': 'Изменить ответ',
+    'edited {date}': 'изменено {date}',
+    'Editor': 'Редакция',
+    'Email': 'Эл. почта',
+    'Email me a sign-in link': 'Отправить ссылку для входа',
+    'Email new leads to': 'Отправлять новые запросы на email',
+    'Embed code copied': 'Код для вставки скопирован',
+    'Enquiries': 'Запросы',
+    'Enquiries sent to your agencies through Reviews Realty': 'Запросы вашим агентствам через Reviews Realty',
+    'Enquiry sent - {name} will get back to you.': 'Запрос отправлен — {name} свяжется с вами.',
+    'Enter the 6-digit code we emailed you.': 'Введите 6-значный код из письма.',
+    'Error loading agent: {message}': 'Ошибка загрузки агентства: {message}',
+    'Established': 'Год основания',
+    'Failed to create an invite': 'Не удалось создать приглашение',
+    'Failed to post reply': 'Не удалось опубликовать ответ',
+    'Failed to resend the code': 'Не удалось отправить код повторно',
+    'Failed to save changes': 'Не удалось сохранить изменения',
+    'Failed to send enquiry': 'Не удалось отправить запрос',
+    'Failed to send magic link': 'Не удалось отправить ссылку',
+    'Failed to send report': 'Не удалось отправить жалобу',
+    'Failed to start the claim': 'Не удалось начать подтверждение',
+    'Failed to submit review': 'Не удалось отправить отзыв',
+    'Famagusta': 'Фамагуста',
+    'Featured project': 'Избранный проект',
+    'Filters': 'Фильтры',
+    'Find real estate agents and developers in major Cyprus cities': 'Агенты и застройщики в крупных городах Кипра',
+    'Find the top-rated real estate agents and property developers in {city}, Cyprus. Read verified reviews, compare ratings, and choose the right partner for your property needs.': 'Лучшие агенты и застройщики – {city}, Кипр. Читайте проверенные отзывы, сравнивайте рейтинги и выбирайте надёжного партнёра.',
+    'Find top-rated real estate agents and developers in {city}, Cyprus': 'Лучшие агенты и застройщики – {city}, Кипр',
+    'Find trusted property professionals in {tagline}. Compare ratings, read reviews, and make informed decisions.': 'Найдите надёжных специалистов по недвижимости {tagline}. Сравнивайте рейтинги, читайте отзывы и принимайте взвешенные решения.',
+    'Find Trusted Real Estate<br>Agents &amp; Developers in Cyprus': 'Найдите надёжных<br>агентов и застройщиков на Кипре',
+    'Finished on time': 'Завершён в срок',
+    'Finished {count} months late': { one: 'Завершён с опозданием на {count} месяц', few: 'Завершён с опозданием на {count} месяца', many: 'Завершён с опозданием на {count} месяцев', other: 'Завершён с опозданием на {count} месяца' },
+    'For Agencies': 'Для агентств',
+    'For Professionals': 'Для специалистов',
+    'Free': 'Бесплатно',
+    'Frequently Asked Questions': 'Частые вопросы',
+    'From {price}': 'От {price}',
+    'Golf Resorts': 'Гольф-курорты',
+    'Google rating': 'Рейтинг Google',
+    'Google review': 'Отзыв Google',
+    'Google reviews': 'Отзывы Google',
+    'High-Rise': 'Высотки',
+    'Highest Rated': 'Высокий рейтинг',
+    'Hollow markers are at the centre of the agency\'s town, not at its office: we do not have its address yet.': 'Пустые маркеры стоят в центре города агентства, а не у его офиса: его адреса у нас пока нет.',
+    'Home': 'Главная',
+    'Honesty': 'Честность',
+    'House': 'Дом',
+    'How is the build, and was the property handed over when promised?': 'Каково качество строительства и сдали ли объект в обещанный срок?',
+    'I agree that {name} may contact me about this enquiry.': 'Я согласен(на), чтобы {name} связались со мной по этому запросу.',
+    'I bought': 'Я купил(а)',
+    'I let my property': 'Я сдал(а) жильё',
+    'I rented': 'Я снял(а) жильё',
+    'I sold': 'Я продал(а)',
+    'Iframe': 'Iframe',
+    'Investment': 'Инвестиции',
+    'Invite a Client': 'Пригласить клиента',
+    'Invite link copied - send it to your client. It works once and expires in 30 days.': 'Ссылка-приглашение скопирована – отправьте её клиенту. Она одноразовая и действует 30 дней.',
+    'Kyrenia': 'Кирения',
+    'Land': 'Земля',
+    'Landlords': 'Арендодатели',
+    'Language': 'Язык',
+    'Larnaca': 'Ларнака',
+    'Last 30 days': 'Последние 30 дней',
+    'Last 7 days': 'Последние 7 дней',
+    'Last 90 days': 'Последние 90 дней',
+    'Launched': 'Старт продаж',
+    'Lead Inbox': 'Входящие запросы',
+    'Legal': 'Правовая информация',
+    'Let': 'Сдача в аренду',
+    'Light': 'Светлая',
+    'Limassol': 'Лимасол',
+    'Link colour': 'Цвет ссылок',
+    'Link copied to clipboard': 'Ссылка скопирована в буфер обмена',
+    'Loading agents...': 'Загрузка агентов...',
+    'Loading reviews...': 'Загрузка отзывов...',
+    'Loading...': 'Загрузка...',
+    'Location': 'Местоположение',
+    'Logo': 'Логотип',
+    'Looking to rent': 'Ищу аренду',
+    'Lowest Rated': 'Низкий рейтинг',
+    'Luxury': 'Люкс',
+    'Luxury Residences': 'Элитные резиденции',
+    'Magic link sent! Check your email.': 'Ссылка отправлена! Проверьте почту.',
+    'Map of Cyprus districts': 'Карта районов Кипра',
+    'Market knowledge': 'Знание рынка',
+    'Message': 'Сообщение',
+    'Message added to your earlier enquiry.': 'Сообщение добавлено к вашему предыдущему запросу.',
+    'Minimum Rating': 'Минимальный рейтинг',
+    'Mixed-Use': 'Многофункциональные',
+    'Most Improved in {city} This Quarter': 'Больше всех улучшились в этом квартале – {city}',
+    'Most Improved This Quarter': 'Больше всех улучшились в этом квартале',
+    'Most Listings': 'Больше объявлений',
+    'Most new Google reviews this quarter, rated 4.0 or higher': 'Больше всего новых отзывов Google в этом квартале, рейтинг от 4,0',
+    'Most Recent': 'Сначала новые',
+    'Most Reviewed': 'Больше отзывов',
+    'Name (A-Z)': 'Название (А-Я)',
+    'Name, project, area or review...': 'Название, проект, район или отзыв...',
+    'Nearest': 'Ближайшие',
+    'Negotiation': 'Переговоры',
+    'New': 'Новая',
+    'New Builds': 'Новостройки',
+    'New Developments': 'Новые проекты',
+    'New shortlist name': 'Название нового списка',
+    'Nicosia': 'Никосия',
+    'No agencies match "{query}"': 'Нет агентств по запросу «{query}»',
+    'No deal': 'Без сделки',
+    'No detailed ratings yet': 'Подробных оценок пока нет',
+    'No enquiries with this status.': 'Нет запросов с этим статусом.',
+    'No enquiries yet. They appear here as soon as a visitor contacts you.': 'Запросов пока нет. Они появятся здесь, как только посетитель свяжется с вами.',
+    'No project details on record yet': 'Данных о проекте пока нет',
+    'No results': 'Ничего не найдено',
+    'No reviews match these filters.': 'Нет отзывов, подходящих под эти фильтры.',
+    'No reviews yet': 'Отзывов пока нет',
+    'No reviews yet. Be the first to review!': 'Отзывов пока нет. Будьте первым!',
+    'No shortlists yet. Create one below.': 'Списков пока нет. Создайте первый ниже.',
+    'No sourced data yet': 'Данных из источников пока нет',
+    'No thanks': 'Нет, спасибо',
+    'No widget views in this period yet.': 'За этот период виджет ещё не просматривали.',
+    'Not a genuine client': 'Не настоящий клиент',
+    'Not yet rated': 'Пока без оценок',
+    'not yet verified': 'ещё не проверено',
+    'Notification settings saved': 'Настройки уведомлений сохранены',
+    'Notifications': 'Уведомления',
+    'of {point}': 'от {point}',
+    'of {point} ({district})': 'от {point} ({district})',
+    'Off-plan': 'На стадии проекта',
+    'Offensive language': 'Оскорбительные выражения',
+    'Office': 'Офис',
+    'Offline': 'Нет подключения',
+    'Offline, data from {date}': 'Нет подключения, данные от {date}',
+    'On schedule': 'По графику',
+    'Only verified owners of this agency can see its stats. Claim the profile to get access.': 'Статистику видят только подтверждённые владельцы агентства. Подтвердите профиль, чтобы получить доступ.',
+    'or': 'или',
+    'Or sign in with Magic Link (no password)': 'Или войдите по ссылке из письма (без пароля)',
+    'Our moderators will check the review against our guidelines.': 'Наши модераторы проверят отзыв на соответствие правилам.',
+    'Over €1M': 'Более €1 млн',
+    'Own this agency? Claim this profile': 'Это ваше агентство? Подтвердите профиль',
+    'Page {page} of {pages}': 'Страница {page} из {pages}',
+    'Paphos': 'Пафос',
+    'Password': 'Пароль',
+    'Penthouses': 'Пентхаусы',
+    'Period': 'Период',
+    'Phone': 'Телефон',
+    'Phone clicks': 'Клики по телефону',
+    'Pick a point on the map view': 'Выберите точку на карте',
+    'Pick at least {count} to compare': 'Выберите минимум {count} для сравнения',
+    'Pick at least {min} agencies (up to {max}) to compare them side by side.': 'Выберите от {min} до {max} агентств, чтобы сравнить их бок о бок.',
+    'Planned completion': 'Плановое завершение',
+    'Please choose a budget from the list': 'Выберите бюджет из списка',
+    'Please choose a property type from the list': 'Выберите тип недвижимости из списка',
+    'Please enter a valid email address': 'Введите корректный email',
+    'Please enter a valid phone number': 'Введите корректный номер телефона',
+    'Please enter your email': 'Введите email',
+    'Please enter your email first': 'Сначала введите email',
+    'Please enter your name': 'Введите ваше имя',
+    'Please fill in all fields': 'Заполните все поля',
+    'Please give an email address or phone number': 'Укажите email или номер телефона',
+    'Please select a rating': 'Выберите оценку',
+    'Please sign in to submit a review.': 'Войдите, чтобы оставить отзыв.',
+    'Please use an address at the agency\'s own email or website domain.': 'Используйте адрес на домене почты или сайта агентства.',
+    'Please write a short message (at least 10 characters)': 'Напишите короткое сообщение (не менее 10 символов)',
+    'Plots': 'Участки',
+    'Post Reply': 'Опубликовать ответ',
+    'Prefer not to say': 'Предпочитаю не указывать',
+    'Preview': 'Предпросмотр',
+    'Prices': 'Цены',
+    'Pricing': 'Цены',
+    'Privacy Policy': 'Политика конфиденциальности',
+    'Profile Stats': 'Статистика профиля',
+    'Profile updated': 'Профиль обновлён',
+    'Profile verified - you can now edit it.': 'Профиль подтверждён – теперь его можно редактировать.',
+    'Profile views': 'Просмотры профиля',
+    'Profile views and outbound clicks from Reviews Realty visitors': 'Просмотры профиля и переходы посетителей Reviews Realty',
+    'Project': 'Проект',
+    'Project Details': 'О проекте',
+    'Project Reviews': 'Отзывы о проекте',
+    'Project reviews also count towards the developer\'s rating and AgentScore.': 'Отзывы о проектах также учитываются в рейтинге и AgentScore застройщика.',
+    'Projects': 'Проекты',
+    'Proof documents can only be uploaded online. Remove the file or try again once you are back online.': 'Подтверждающие документы можно загрузить только при подключении. Удалите файл или повторите попытку, когда подключение восстановится.',
+    'Proof of transaction': 'Подтверждение сделки',
+    'Property area': 'Район объекта',
+    'Property Management': 'Управление недвижимостью',
+    'Property type': 'Тип недвижимости',
+    'Rate specific areas': 'Оцените отдельные аспекты',
+    'Rating': 'Рейтинг',
+    'Rating and latest reviews': 'Рейтинг и последние отзывы',
+    'Rating Breakdown': 'Распределение оценок',
+    'Rating only': 'Только рейтинг',
+    'Rating widget': 'Виджет рейтинга',
+    'Ratings, reviews and listings side by side': 'Оценки, отзывы и объявления бок о бок',
+    'Read all reviews on Reviews Realty': 'Читать все отзывы на Reviews Realty',
+    'Read verified reviews from real customers. Compare agents and developers by ratings to find the perfect partner for your property needs.': 'Читайте проверенные отзывы реальных клиентов. Сравнивайте агентов и застройщиков по рейтингу и находите идеального партнёра.',
+    'Real Estate Agents & Developers in Cyprus': 'Агенты и застройщики на Кипре',
+    'Real Estate Agents in Cyprus': 'Агенты по недвижимости на Кипре',
+    'Real Estate Agents in {city}': 'Агенты по недвижимости – {city}',
+    'Reason': 'Причина',
+    'Recent reviews': 'Последние отзывы',
+    'Recently': 'Недавно',
+    'Remove': 'Убрать',
+    'Rentals': 'Аренда',
+    'Rented': 'Аренда',
+    'Repeat enquiries from the same email or phone within a week are added to the earlier lead.': 'Повторные запросы с того же email или телефона в течение недели добавляются к предыдущему запросу.',
+    'Reply posted - the reviewer has been notified.': 'Ответ опубликован – автор отзыва получил уведомление.',
+    'Reply publicly': 'Ответить публично',
+    'Report': 'Пожаловаться',
+    'Report this review': 'Пожаловаться на отзыв',
+    'Resend code': 'Отправить код ещё раз',
+    'Reset Filters': 'Сбросить фильтры',
+    'Residential': 'Жилая',
+    'Resorts': 'Курорты',
+    'Response from {name}': 'Ответ от {name}',
+    'Review count': 'Число отзывов',
+    'Review submitted as a verified client!': 'Отзыв отправлен как от проверенного клиента!',
+    'Review submitted successfully!': 'Отзыв успешно отправлен!',
+    'Review submitted! It will show "Verified client" once we have checked your proof.': 'Отзыв отправлен! Отметка «Проверенный клиент» появится после проверки документа.',
+    'Review this Project': 'Оценить проект',
+    'Review Title': 'Заголовок отзыва',
+    'Reviews': 'Отзывы',
+    'Reviews Realty reviews': 'Отзывы Reviews Realty',
+    'Reviews Realty User': 'Пользователь Reviews Realty',
+    'Reviews started': 'Начатые отзывы',
+    'Reviews submitted': 'Отправленные отзывы',
+    'Rising Agencies': 'Растущие агентства',
+    'Rising Agencies in {city}': 'Растущие агентства – {city}',
+    'Sales': 'Продажа',
+    'Save Changes': 'Сохранить изменения',
+    'Save Notifications': 'Сохранить уведомления',
+    'Save to shortlist': 'Сохранить в список',
+    'Saved on this device. Sign in to keep your shortlists across devices and get email alerts.': 'Сохранено на этом устройстве. Войдите, чтобы списки были доступны на всех устройствах и приходили уведомления на почту.',
+    'Saving...': 'Сохранение...',
+    'Script': 'Скрипт',
+    'Search': 'Найти',
+    'Search agencies, projects, areas or reviews...': 'Поиск агентств, проектов, районов или отзывов...',
+    'See all {count} results →': { one: 'Показать {count} результат →', few: 'Показать все {count} результата →', many: 'Показать все {count} результатов →', other: 'Показать все {count} результата →' },
+    'Sellers': 'Продавцы',
+    'Send Code': 'Отправить код',
+    'Send Enquiry': 'Отправить запрос',
+    'Send Magic Link': 'Отправить ссылку',
+    'Send Report': 'Отправить жалобу',
+    'Send this link to your client (single use, expires in 30 days):': 'Отправьте эту ссылку клиенту (одноразовая, действует 30 дней):',
+    'Sending...': 'Отправка...',
+    'Service': 'Услуга',
+    'Services': 'Услуги',
+    'Serving Within': 'В радиусе',
+    'Share details about your experience with this agency...': 'Расскажите подробнее о своём опыте работы с агентством...',
+    'Shares personal information': 'Содержит личные данные',
+    'Shortlists': 'Списки',
+    'Show': 'Показывать',
+    'Show your rating and latest reviews on your own website: paste one of these snippets where the widget should appear.': 'Показывайте свой рейтинг и последние отзывы на своём сайте: вставьте один из этих фрагментов туда, где должен появиться виджет.',
+    'Showing {count} results on the map': { one: 'На карте {count} результат', few: 'На карте {count} результата', many: 'На карте {count} результатов', other: 'На карте {count} результата' },
+    'Showing {from}-{to} of {count} results': 'Показаны {from}-{to} из {count}',
+    'Sign In': 'Войти',
+    'Sign In / Sign Up': 'Вход / Регистрация',
+    'Sign in to leave reviews and rate real estate agents in Cyprus.': 'Войдите, чтобы оставлять отзывы и оценивать агентов на Кипре.',
+    'Sign in with the account that claimed your agency to see its enquiries.': 'Войдите в аккаунт, через который вы подтвердили агентство, чтобы увидеть его запросы.',
+    'Sign out?': 'Выйти?',
+    'Sign Up': 'Регистрация',
+    'Sold': 'Продажа',
+    'Something else': 'Другое',
+    'Sort By': 'Сортировка',
+    'Spam or advertising': 'Спам или реклама',
+    'Specialties': 'Специализация',
+    'Specialties (comma separated)': 'Специализация (через запятую)',
+    'Status': 'Статус',
+    'Studios': 'Студии',
+    'Submit Review': 'Отправить отзыв',
+    'Submitting...': 'Отправка...',
+    'Summarize your experience': 'Кратко опишите свой опыт',
+    'Tags': 'Теги',
+    'Tenants': 'Арендаторы',
+    'Terms of Service': 'Условия использования',
+    'Thanks! Your review will appear once a moderator has checked it.': 'Спасибо! Отзыв появится после проверки модератором.',
+    'Thanks, a moderator will review this report.': 'Спасибо, модератор рассмотрит жалобу.',
+    'That code did not work': 'Код не подошёл',
+    'the agency\'s listed domain': 'домен, указанный агентством',
+    'The script fits the widget into your page; use the iframe where your site builder does not allow scripts.': 'Скрипт встраивает виджет прямо в страницу; используйте iframe, если конструктор сайта не разрешает скрипты.',
+    'The trusted platform for finding and reviewing real estate agents and developers in Cyprus.': 'Надёжная платформа для поиска и оценки агентов и застройщиков на Кипре.',
+    'Theme': 'Тема',
+    'This agency has verified ownership of its profile': 'Агентство подтвердило владение профилем',
+    'This invite link has expired or was already used': 'Ссылка-приглашение устарела или уже использована',
+    'To Use': 'Для пользователей',
+    'Top Developers in {city}': 'Лучшие застройщики – {city}',
+    'Top Rated Agents & Developers': 'Лучшие агенты и застройщики',
+    'Top Rated Agents in {city}': 'Лучшие агенты – {city}',
+    'Towers': 'Башни',
+    'Townhouses': 'Таунхаусы',
+    'Tracked since {date}': 'Отслеживается с {date}',
+    'Transaction': 'Сделка',
+    'Transparent real estate reviews for Cyprus.': 'Честные отзывы о недвижимости на Кипре.',
+    'Trends': 'Динамика',
+    'Type': 'Тип',
+    'Under construction': 'Строится',
+    'Under €150k': 'До €150 тыс.',
+    'Unit types': 'Типы объектов',
+    'Up to {max} agencies': 'Не более {max} агентств',
+    'Up to {price}': 'До {price}',
+    'Update Reply': 'Обновить ответ',
+    'User reviews': 'Отзывы пользователей',
+    'Verified client reviews': 'Отзывы проверенных клиентов',
+    'Verified Professionals': 'Проверенных специалистов',
+    'verified {date}': 'проверено {date}',
+    'Verify': 'Подтвердить',
+    'via {source}': 'через {source}',
+    'View All Agents & Developers': 'Все агенты и застройщики',
+    'View all →': 'Все →',
+    'View Profile →': 'Открыть профиль →',
+    'View your shortlists →': 'Ваши списки →',
+    'Viewing arranged': 'Назначен просмотр',
+    'Villa': 'Вилла',
+    'Villas': 'Виллы',
+    'Visit Website': 'Перейти на сайт',
+    'Waterfront': 'На набережной',
+    'We count searches, profile views and clicks anonymously so agencies can see how their profiles perform. No cookies, no personal data.': 'Мы анонимно считаем поиски, просмотры профилей и клики, чтобы агентства видели, как работают их профили. Без cookie и личных данных.',
+    'We\'ll send a verification code to an address at {domains}.': 'Мы отправим код подтверждения на адрес в домене {domains}.',
+    'Webhook URL': 'URL вебхука',
+    'Website': 'Сайт',
+    'Website and phone clicks': 'Клики по сайту и телефону',
+    'Website clicks': 'Переходы на сайт',
+    'Why Invest in {city} Real Estate?': 'Почему стоит инвестировать в недвижимость – {city}?',
+    'Widget views': 'Просмотры виджета',
+    'Widget views by website': 'Просмотры виджета по сайтам',
+    'Work email': 'Рабочий email',
+    'Write a Review': 'Написать отзыв',
+    'Write Review': 'Написать отзыв',
+    'You are offline. Your review is saved on this device and will be sent when you are back online.': 'Нет подключения. Ваш отзыв сохранён на этом устройстве и будет отправлен, когда подключение восстановится.',
+    'You can compare up to {count} agencies': { one: 'Можно сравнить не более {count} агентства', few: 'Можно сравнить не более {count} агентств', many: 'Можно сравнить не более {count} агентств', other: 'Можно сравнить не более {count} агентства' },
+    'You contacted this agency {date}. A new message is added to that enquiry.': 'Вы связывались с этим агентством {date}. Новое сообщение будет добавлено к тому запросу.',
+    'You don\'t own any agencies yet. Claim your agency\'s profile to receive enquiries.': 'У вас пока нет агентств. Подтвердите профиль своего агентства, чтобы получать запросы.',
+    'you@example.com': 'you@example.com',
+    'Your name': 'Ваше имя',
+    'Your public reply as {name}': 'Ваш публичный ответ от имени {name}',
+    'Your Rating': 'Ваша оценка',
+    'Your Review': 'Ваш отзыв',
+    '{city} (approximate)': '{city} (приблизительно)',
+    '{city}, Cyprus': '{city}, Кипр',
+    '{count} active listings': { one: '{count} активное объявление', few: '{count} активных объявления', many: '{count} активных объявлений', other: '{count} активного объявления' },
+    '{count} clicks': { one: '{count} клик', few: '{count} клика', many: '{count} кликов', other: '{count} клика' },
+    '{count} enquiries': { one: '{count} запрос', few: '{count} запроса', many: '{count} запросов', other: '{count} запроса' },
+    '{count} listings': { one: '{count} объявление', few: '{count} объявления', many: '{count} объявлений', other: '{count} объявления' },
+    '{count} months behind schedule': { one: 'Отставание от графика: {count} месяц', few: 'Отставание от графика: {count} месяца', many: 'Отставание от графика: {count} месяцев', other: 'Отставание от графика: {count} месяца' },
+    '{count} projects': { one: '{count} проект', few: '{count} проекта', many: '{count} проектов', other: '{count} проекта' },
+    '{count} ratings': { one: '{count} оценка', few: '{count} оценки', many: '{count} оценок', other: '{count} оценки' },
+    '{count} reviews': { one: '{count} отзыв', few: '{count} отзыва', many: '{count} отзывов', other: '{count} отзыва' },
+    '{count} reviews waiting to be sent': { one: '{count} отзыв ждёт отправки', few: '{count} отзыва ждут отправки', many: '{count} отзывов ждут отправки', other: '{count} отзыва ждут отправки' },
+    '{count} reviews written offline were sent': { one: 'Отзыв, написанный без подключения, отправлен', few: 'Отправлено {count} отзыва, написанных без подключения', many: 'Отправлено {count} отзывов, написанных без подключения', other: 'Отправлено {count} отзыва, написанных без подключения' },
+    '{count} views': { one: '{count} просмотр', few: '{count} просмотра', many: '{count} просмотров', other: '{count} просмотра' },
+    '{distance} km away': '{distance} км отсюда',
+    '© 2025 Reviews Realty. All rights reserved.': '© 2025 Reviews Realty. Все права защищены.',
+    '© 2026 Reviews Realty. All rights reserved.': '© 2026 Reviews Realty. Все права защищены.',
+    '€150k–300k': '€150–300 тыс.',
+    '€300k–600k': '€300–600 тыс.',
+    '€600k–1M': '€600 тыс.–1 млн',
+    '← Back to profile': '← Назад к профилю',
+    '♡ Save to shortlist': '♡ Сохранить в список',
+    '♥ Saved': '♥ Сохранено',
+    '✓ Comparing': '✓ В сравнении',
+    '✓ Verified': '✓ Проверено',
+    '✓ Verified client': '✓ Проверенный клиент',
+    '✓ You were invited by this agency - your review will be marked "Verified client".': '✓ Вас пригласило это агентство – отзыв будет отмечен как «Проверенный клиент».'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MESSAGES_RU;
+} else {
+    addMessages('ru', MESSAGES_RU);
+}
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Stand-in for the Supabase REST API, for trying the importer locally
+ *
+ * Keeps tables in memory and supports the small part of PostgREST that
+ * js/import-agents.js uses: GET with select/order/limit/offset and
+ * `column=eq.value` filters, POST with on_conflict upserts on one or more
+ * columns (Prefer: resolution=merge-duplicates) and DELETE with an
+ * `id=in.(...)` filter. Like PostgREST, bulk POSTs must use the same keys in
+ * every object.
+ *
+ * Usage:
+ *   node js/mock-rest-server.js [--port 54321] [--seed file.json] [--fail-rate 0.2]
+ *
+ *   --seed       JSON array of rows to start the `agents` table with
+ *   --fail-rate  Fraction of write requests answered with 503, to exercise retries
+ *
+ * Then run the importer against it:
+ *   SUPABASE_URL=http://localhost:54321 SUPABASE_SERVICE_ROLE_KEY=test node js/import-agents.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} [options] - { tables: { [name]: row[] }, failRate }
+ * @returns {http.Server} Server with a `tables` property for inspection
+ */
+function createMockRestServer({ tables = {}, failRate = 0 } = {}) {
+    const store = new Map(Object.entries(tables).map(([name, rows]) => [
+        name,
+        new Map(rows.map(row => [String(row.id), { ...row }]))
+    ]));
+
+    const server = http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(body === undefined ? '' : JSON.stringify(body));
+        };
+
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+        if (!match) return send(404, { message: 'Not found' });
+        if (!req.headers.apikey) return send(401, { message: 'No API key found in request' });
+
+        if (req.method !== 'GET' && Math.random() < failRate) {
+            return send(503, { message: 'Injected failure' });
+        }
+
+        const table = match[1];
+        if (!store.has(table)) store.set(table, new Map());
+        const rows = store.get(table);
+
+        try {
+            if (req.method === 'GET') {
+                const columns = (url.searchParams.get('select') || '*').split(',');
+                const order = url.searchParams.get('order');
+                const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+                const limit = parseInt(url.searchParams.get('limit') || String(rows.size), 10);
+
+                let result = [...rows.values()];
+                url.searchParams.forEach((value, column) => {
+                    if (!value.startsWith('eq.')) return;
+                    result = result.filter(row => String(row[column]) === value.slice(3));
+                });
+                if (order) {
+                    result.sort((a, b) => String(a[order]).localeCompare(String(b[order])));
+                }
+                result = result.slice(offset, offset + limit).map(row => {
+                    if (columns[0] === '*') return row;
+                    const picked = {};
+                    columns.forEach(column => { picked[column] = row[column] ?? null; });
+                    return picked;
+                });
+                return send(200, result);
+            }
+
+            if (req.method === 'POST') {
+                const body = JSON.parse(await readBody(req));
+                const batch = Array.isArray(body) ? body : [body];
+                const keys = Object.keys(batch[0] || {}).sort().join(',');
+                if (batch.some(row => Object.keys(row).sort().join(',') !== keys)) {
+                    return send(400, { code: 'PGRST102', message: 'All object keys must match' });
+                }
+
+                const merge = (req.headers.prefer || '').includes('resolution=merge-duplicates');
+                const conflictColumns = (url.searchParams.get('on_conflict') || 'id').split(',');
+                for (const row of batch) {
+                    const id = conflictColumns.map(column => String(row[column])).join('|');
+                    if (rows.has(id) && !merge) {
+                        return send(409, { code: '23505', message: `duplicate key value violates unique constraint (${id})` });
+                    }
+                    rows.set(id, { ...(rows.get(id) || {}), ...row });
+                }
+                return send(201);
+            }
+
+            if (req.method === 'DELETE') {
+                const filter = url.searchParams.get('id') || '';
+                const inList = filter.match(/^in\.\((.*)\)$/);
+                if (!inList) return send(400, { message: 'Only id=in.(...) filters are supported' });
+                inList[1].split(',')
+                    .map(id => id.replace(/^"|"$/g, '').replace(/\\"/g, '"'))
+                    .forEach(id => rows.delete(id));
+                return send(204);
+            }
+
+            return send(405, { message: `Method ${req.method} not supported` });
+        } catch (err) {
+            return send(400, { message: err.message });
+        }
+    });
+
+    server.tables = store;
+    return server;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    const seed = option('--seed');
+    const server = createMockRestServer({
+        tables: { agents: seed ? JSON.parse(fs.readFileSync(seed, 'utf8')) : [] },
+        failRate: parseFloat(option('--fail-rate', '0'))
+    });
+    const port = parseInt(option('--port', '54321'), 10);
+    server.listen(port, () => {
+        console.log(`🧪 Stand-in REST server on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockRestServer };
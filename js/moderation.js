@@ -0,0 +1,175 @@
+/**
+ * Review moderation rules for Reviews Realty
+ * Pre-screens reviews before they go live. Clean reviews are published
+ * straight away; anything a rule flags is held as `pending` for the admin
+ * queue in moderation.html.
+ *
+ * With Supabase the `submit_review` and `update_review` database functions
+ * (supabase/migrations/20261019000100_reviews.sql) apply the same rules and
+ * set the status, so clients never send one (see README, Reviews). Keep
+ * both in step. db.createReview falls back to screenReview() in the browser
+ * for projects that have not applied that migration.
+ */
+
+const REVIEW_STATUS = {
+    PENDING: 'pending',
+    PUBLISHED: 'published',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Reasons a visitor can pick when reporting a review
+ */
+const REPORT_REASONS = {
+    spam: 'Spam or advertising',
+    fake: 'Not a genuine client',
+    offensive: 'Offensive language',
+    conflict: 'Conflict of interest',
+    personal: 'Shares personal information',
+    other: 'Something else'
+};
+
+const MODERATION_CONFIG = {
+    burstWindowHours: 24,    // window for counting reviews from one account
+    burstLimit: 3,           // reviews allowed in that window before flagging
+    duplicateThreshold: 0.8  // shingle similarity treated as duplicate text
+};
+
+// Matched against accent-stripped text; stems cover English, Greek (incl. Greeklish) and Russian
+const PROFANITY_PATTERN = /(?<![\p{L}\p{N}])(?:fuck\p{L}*|shit\p{L}*|bitch\p{L}*|bastard\p{L}*|asshole\p{L}*|cunt\p{L}*|wank\p{L}*|dick|prick|malak\p{L}*|gamo|gamw|gamhsou|μαλακ\p{L}*|γαμω|γαμησου|γαμιολ\p{L}*|γαμημεν\p{L}*|бля\p{L}*|сука|хуй\p{L}*)(?![\p{L}\p{N}])/iu;
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|cy|gr|ru|io|co|info|biz|eu|uk)\b/i;
+const PHONE_PATTERN = /(?:\+|\b)\d(?:[\s\-().]*\d){7,}/;
+
+/**
+ * Remove diacritics (e.g. Greek tonos) so rules match regardless of accents
+ */
+function stripAccents(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Normalize review text for comparison
+ */
+function normalizeReviewText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Jaccard similarity of word 3-shingles (1 = identical wording)
+ */
+function textSimilarity(a, b) {
+    const shingles = text => {
+        const words = normalizeReviewText(text).split(' ').filter(Boolean);
+        const set = new Set();
+        if (words.length < 3) {
+            set.add(words.join(' '));
+            return set;
+        }
+        for (let i = 0; i <= words.length - 3; i++) {
+            set.add(words.slice(i, i + 3).join(' '));
+        }
+        return set;
+    };
+
+    const sa = shingles(a);
+    const sb = shingles(b);
+    let shared = 0;
+    sa.forEach(s => { if (sb.has(s)) shared++; });
+    const union = sa.size + sb.size - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Pre-screening rules. Each returns a detail string when it flags the
+ * review, or null when the review passes.
+ *   review  - { title, content }
+ *   context - { recentByUser: [{ created_at }], existingTexts: [string], now }
+ */
+const SCREENING_RULES = [
+    {
+        id: 'profanity',
+        label: 'Profanity',
+        test(review) {
+            const match = stripAccents(`${review.title || ''} ${review.content || ''}`).match(PROFANITY_PATTERN);
+            return match ? `Contains "${match[0]}"` : null;
+        }
+    },
+    {
+        id: 'link',
+        label: 'Contains a link',
+        test(review) {
+            const match = `${review.title || ''} ${review.content || ''}`.match(LINK_PATTERN);
+            return match ? `Links to ${match[0]}` : null;
+        }
+    },
+    {
+        id: 'phone',
+        label: 'Contains a phone number',
+        test(review) {
+            return PHONE_PATTERN.test(`${review.title || ''} ${review.content || ''}`)
+                ? 'Phone number in review text'
+                : null;
+        }
+    },
+    {
+        id: 'duplicate',
+        label: 'Duplicate text',
+        test(review, { existingTexts = [] }) {
+            const best = existingTexts.reduce(
+                (max, text) => Math.max(max, textSimilarity(review.content, text)),
+                0
+            );
+            return best >= MODERATION_CONFIG.duplicateThreshold
+                ? `${Math.round(best * 100)}% similar to an existing review`
+                : null;
+        }
+    },
+    {
+        id: 'burst',
+        label: 'Burst of reviews from one account',
+        test(review, { recentByUser = [], now = new Date() }) {
+            const windowStart = now - MODERATION_CONFIG.burstWindowHours * 60 * 60 * 1000;
+            const recent = recentByUser.filter(r => new Date(r.created_at) >= windowStart).length;
+            return recent >= MODERATION_CONFIG.burstLimit
+                ? `${recent} other reviews in the last ${MODERATION_CONFIG.burstWindowHours}h`
+                : null;
+        }
+    }
+];
+
+/**
+ * Run every pre-screening rule against a review
+ * @param {Object} review - { title, content }
+ * @param {Object} [context] - { recentByUser, existingTexts, now }
+ * @returns {{ status: string, flags: Array<{ rule: string, label: string, detail: string }> }}
+ */
+function screenReview(review, context = {}) {
+    const flags = [];
+    SCREENING_RULES.forEach(rule => {
+        const detail = rule.test(review, context);
+        if (detail) {
+            flags.push({ rule: rule.id, label: rule.label, detail });
+        }
+    });
+
+    return {
+        status: flags.length > 0 ? REVIEW_STATUS.PENDING : REVIEW_STATUS.PUBLISHED,
+        flags
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REVIEW_STATUS,
+        REPORT_REASONS,
+        MODERATION_CONFIG,
+        SCREENING_RULES,
+        normalizeReviewText,
+        textSimilarity,
+        screenReview
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * Offline support for the public pages
+ * Registers the service worker (sw.js), which keeps the pages and agent
+ * data cached; shows an "Offline, data from <date>" bar while the
+ * connection is down; and queues reviews written offline on this device,
+ * sending them through db.createReview once the visitor is back online.
+ * Each queued review belongs to the account that wrote it and is only sent
+ * while that account is signed in; other accounts' reviews wait on the
+ * device until their author signs in again.
+ *
+ * Needs app.js (storage, createElement, showToast) and i18n.js.
+ */
+
+const PENDING_REVIEWS_KEY = 'reviewsrealty_pending_reviews';
+
+// The agent directory file whose cached copy dates the data (see sw.js)
+const OFFLINE_DATA_URL = 'all-agents-with-reviews.json';
+const DATA_STAMP_HEADER = 'X-Data-Fetched-At';
+
+/**
+ * When the cached agent data last came from the server
+ * @returns {Promise<string|null>} ISO date, or null without a cached copy
+ */
+async function getOfflineDataDate() {
+    if (!('caches' in window)) return null;
+    const response = await caches.match(new URL(OFFLINE_DATA_URL, document.baseURI).href);
+    return response ? response.headers.get(DATA_STAMP_HEADER) : null;
+}
+
+/**
+ * Show or hide the offline bar to match the connection
+ */
+async function renderOfflineIndicator() {
+    let bar = document.getElementById('offline-indicator');
+    if (navigator.onLine) {
+        if (bar) bar.remove();
+        return;
+    }
+    if (!bar) {
+        bar = createElement(html`
+            <div id="offline-indicator" role="status" class="fixed top-0 inset-x-0 z-50 bg-gray-800 text-white text-sm text-center px-4 py-1"></div>
+        `);
+        document.body.appendChild(bar);
+    }
+
+    const date = await getOfflineDataDate();
+    const user = await getCurrentUser();
+    const pending = user ? getPendingReviews(user.id).length : 0;
+    bar.textContent = [
+        date ? t('Offline, data from {date}', { date: formatDateTime(date) }) : t('Offline'),
+        pending > 0 ? t('{count} reviews waiting to be sent', { count: pending }) : null
+    ].filter(Boolean).join(' · ');
+}
+
+// Offline reviews
+
+/**
+ * Reviews queued on this device, oldest first
+ * @param {string} [userId] - Only this account's reviews
+ * @returns {Object[]} db.createReview arguments plus `userId` and `queuedAt`
+ */
+function getPendingReviews(userId) {
+    const pending = storage.get(PENDING_REVIEWS_KEY, []);
+    return userId === undefined ? pending : pending.filter(review => review.userId === userId);
+}
+
+function queueReview({ proofFile, ...review }, userId) {
+    storage.set(PENDING_REVIEWS_KEY, [...getPendingReviews(), { ...review, userId, queuedAt: new Date().toISOString() }]);
+    renderOfflineIndicator();
+}
+
+async function getCurrentUser() {
+    return window.ReviewsRealty ? window.ReviewsRealty.auth.getUser() : null;
+}
+
+/**
+ * Whether a failed request failed for want of a connection (as opposed to
+ * being refused by the server)
+ */
+function isNetworkError(error) {
+    return !navigator.onLine || error instanceof TypeError || /failed to fetch|network|load failed/i.test(error?.message || '');
+}
+
+/**
+ * Create a review through db.createReview, or keep it to send later when
+ * the connection is down. Proof documents are not kept, so a review with
+ * one has to wait until the visitor is back online.
+ * @param {Object} review - db.createReview arguments
+ * @returns {Promise<{ data, error, queued }>} `queued` is true when kept for later
+ */
+async function createReviewOrQueue(review) {
+    if (navigator.onLine) {
+        try {
+            const result = await window.ReviewsRealty.db.createReview(review);
+            if (!result.error || !isNetworkError(result.error)) return result;
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+        }
+    }
+    if (review.proofFile) {
+        return { error: { message: t('Proof documents can only be uploaded online. Remove the file or try again once you are back online.') } };
+    }
+    const user = await getCurrentUser();
+    if (!user) {
+        return { error: { message: t('Please sign in to submit a review.') } };
+    }
+    queueReview(review, user.id);
+    return { data: null, error: null, queued: true };
+}
+
+/**
+ * Send the signed-in account's queued reviews, oldest first. Stops at the
+ * first network failure; a review the server refuses is dropped with a
+ * message. Other accounts' reviews are left queued, and reviews queued
+ * without an account are dropped. Waits while the visitor is signed out.
+ */
+async function sendPendingReviews() {
+    if (!navigator.onLine || !window.ReviewsRealty || getPendingReviews().length === 0) return;
+    const user = await getCurrentUser();
+    if (!user) return;
+    storage.set(PENDING_REVIEWS_KEY, getPendingReviews().filter(review => review.userId));
+
+    let sent = 0;
+    while (getPendingReviews(user.id).length > 0) {
+        const [review] = getPendingReviews(user.id);
+        // Off the queue before sending, so another open tab cannot send it too
+        storage.set(PENDING_REVIEWS_KEY, getPendingReviews().filter(pending =>
+            pending.userId !== review.userId || pending.queuedAt !== review.queuedAt));
+
+        const { queuedAt, userId, ...fields } = review;
+        let error = null;
+        try {
+            ({ error } = await window.ReviewsRealty.db.createReview(fields));
+        } catch (err) {
+            error = err;
+        }
+
+        if (error && isNetworkError(error)) {
+            storage.set(PENDING_REVIEWS_KEY, [review, ...getPendingReviews()]);
+            break;
+        }
+        if (error) {
+            showToast(t('A review written offline could not be sent: {message}', { message: error.message }), 'error');
+        } else {
+            sent++;
+        }
+    }
+    if (sent > 0) {
+        showToast(t('{count} reviews written offline were sent', { count: sent }), 'success');
+    }
+    renderOfflineIndicator();
+}
+
+if (typeof window !== 'undefined') {
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.log('⚠️ Service worker not registered:', error.message);
+            });
+        });
+    }
+    document.addEventListener('DOMContentLoaded', () => {
+        renderOfflineIndicator();
+        sendPendingReviews();
+        // Signing in sends that account's reviews; signing out or switching
+        // account leaves the others' queued and out of the bar's count
+        if (window.ReviewsRealty) {
+            window.ReviewsRealty.auth.onAuthStateChange(event => {
+                if (event === 'SIGNED_IN') sendPendingReviews();
+                if (event === 'SIGNED_IN' || event === 'SIGNED_OUT') renderOfflineIndicator();
+            });
+        }
+    });
+    window.addEventListener('offline', renderOfflineIndicator);
+    window.addEventListener('online', () => {
+        renderOfflineIndicator();
+        sendPendingReviews();
+    });
+}
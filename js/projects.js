@@ -0,0 +1,327 @@
+/**
+ * Developer projects: the project model, delivery record and project reviews
+ *
+ * A project belongs to one developer (`developerId` is the developer's
+ * canonical agent id):
+ *   { id, developerId, name, location, status, launchDate, plannedCompletion,
+ *     completionDate, unitTypes: [...], priceBands: [{ unitType, from, to }] }
+ * Dates are 'YYYY-MM' or 'YYYY-MM-DD'; `plannedCompletion` is the completion
+ * date promised at launch, so the delivery record can be read off it. Prices
+ * are in euros. As with agents, values we do not have are null (or [] for
+ * lists) - nothing is invented.
+ *
+ * Project reviews are ordinary reviews of the developer with a `project_id`
+ * and the PROJECT_REVIEW_DIMENSIONS sub-ratings (see reviews.js), so they
+ * count towards the developer's review stats and AgentScore as they are.
+ *
+ * Project stores are pluggable like the data adapters (see data.js).
+ *
+ * Check a projects file from the command line:
+ *   node js/projects.js [data/projects.json]
+ */
+
+const PROJECT_FILE = './data/projects.json';
+
+// In lifecycle order
+const PROJECT_STATUS = {
+    off_plan: 'Off-plan',
+    under_construction: 'Under construction',
+    completed: 'Completed',
+    delivered: 'Delivered'
+};
+
+const PROJECT_UNIT_TYPES = {
+    studio: 'Studios',
+    apartment: 'Apartments',
+    penthouse: 'Penthouses',
+    townhouse: 'Townhouses',
+    villa: 'Villas',
+    plot: 'Plots',
+    commercial: 'Commercial units'
+};
+
+const PROJECT_DATE = /^\d{4}-\d{2}(-\d{2})?$/;
+
+// Same rules as the importer's RECORD_SCHEMA
+const PROJECT_SCHEMA = {
+    id: { type: 'string', required: true, pattern: /^[a-z0-9-]+$/ },
+    developerId: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    location: { type: 'string' },
+    status: { type: 'string', enum: Object.keys(PROJECT_STATUS) },
+    launchDate: { type: 'string', pattern: PROJECT_DATE },
+    plannedCompletion: { type: 'string', pattern: PROJECT_DATE },
+    completionDate: { type: 'string', pattern: PROJECT_DATE },
+    unitTypes: { type: 'array' },
+    priceBands: { type: 'array' }
+};
+
+/**
+ * Validate one project
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateProject(project) {
+    if (!project || typeof project !== 'object' || Array.isArray(project)) {
+        return ['project is not an object'];
+    }
+
+    const errors = [];
+    Object.entries(PROJECT_SCHEMA).forEach(([field, rule]) => {
+        const value = project[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(`${field} is required`);
+            return;
+        }
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== rule.type) {
+            errors.push(`${field} should be a ${rule.type}`);
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${field} should be one of ${rule.enum.join(', ')}`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(`${field} "${value}" is not valid`);
+        }
+    });
+
+    const finished = project.status === 'completed' || project.status === 'delivered';
+    if (project.completionDate && project.status && !finished) {
+        errors.push('completionDate is only for completed or delivered projects');
+    }
+
+    const unitTypes = Array.isArray(project.unitTypes) ? project.unitTypes : [];
+    unitTypes.filter(type => !PROJECT_UNIT_TYPES[type]).forEach(type => {
+        errors.push(`unitTypes: unknown unit type ${type}`);
+    });
+    (Array.isArray(project.priceBands) ? project.priceBands : []).forEach((band, i) => {
+        if (!band || !unitTypes.includes(band.unitType)) {
+            errors.push(`priceBands[${i}]: unitType should be one of the project's unitTypes`);
+            return;
+        }
+        const prices = [band.from, band.to].filter(price => price !== null && price !== undefined);
+        if (prices.length === 0 || prices.some(price => !Number.isFinite(price) || price < 0)) {
+            errors.push(`priceBands[${i}]: from and/or to should be a price in euros`);
+        } else if (prices.length === 2 && band.from > band.to) {
+            errors.push(`priceBands[${i}]: from is above to`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * A project with every field of the model present
+ */
+function normalizeProject(raw) {
+    return {
+        id: raw.id,
+        developerId: raw.developerId,
+        name: raw.name,
+        location: raw.location || null,
+        status: PROJECT_STATUS[raw.status] ? raw.status : null,
+        launchDate: raw.launchDate || null,
+        plannedCompletion: raw.plannedCompletion || null,
+        completionDate: raw.completionDate || null,
+        unitTypes: raw.unitTypes || [],
+        priceBands: raw.priceBands || []
+    };
+}
+
+/**
+ * Whole months from one 'YYYY-MM[-DD]' date to another
+ */
+function monthsBetween(from, to) {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * How late a project is against the completion date promised at launch:
+ * finished projects by their completion date, unfinished ones by today
+ * @returns {number|null} Months late (0 when on time), null when unknown
+ */
+function deliveryDelayMonths(project, { now = new Date() } = {}) {
+    if (!project.plannedCompletion) return null;
+    const finished = project.status === 'completed' || project.status === 'delivered';
+    if (finished && !project.completionDate) return null;
+    const end = finished ? project.completionDate : now.toISOString().slice(0, 7);
+    return Math.max(0, monthsBetween(project.plannedCompletion, end));
+}
+
+/**
+ * Review stats for one project: weighted average, count and the
+ * per-dimension averages (see reviews.js)
+ * @param {Object[]} reviews - The project's reviews
+ */
+function projectReviewStats(reviews) {
+    return {
+        reviewCount: reviews.length,
+        averageRating: weightedAverageRating(reviews),
+        dimensions: aggregateReviewDimensions(reviews).dimensions
+    };
+}
+
+/**
+ * A price band in euros for the current locale ("€250,000 – €400,000")
+ */
+function formatPriceBand({ from = null, to = null }) {
+    const format = value => new Intl.NumberFormat(getIntlLocale(), {
+        style: 'currency', currency: 'EUR', maximumFractionDigits: 0
+    }).format(value);
+    if (from !== null && to !== null) return `${format(from)} – ${format(to)}`;
+    return from !== null ? t('From {price}', { price: format(from) }) : t('Up to {price}', { price: format(to) });
+}
+
+/**
+ * A project date for the current locale, to the month unless a day is given
+ */
+function formatProjectDate(value) {
+    return value.length > 7
+        ? formatCalendarDate(value)
+        : formatCalendarDate(`${value}-01`, { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Project stores. Each exposes:
+ *   name                            - label used in logs
+ *   getProjects({ developerId })    - resolves to projects, by name
+ *   getProject(id)                  - resolves to a project or null
+ */
+const projectStores = {
+    // data/projects.json
+    staticJson({ url = PROJECT_FILE } = {}) {
+        let rows = null;
+        const load = async () => {
+            if (!rows) {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                rows = (await response.json()).map(normalizeProject);
+            }
+            return rows;
+        };
+        return {
+            name: `static-json (${url})`,
+            async getProjects({ developerId = null } = {}) {
+                return (await load())
+                    .filter(project => !developerId || project.developerId === developerId)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            },
+            async getProject(id) {
+                return (await load()).find(project => project.id === id) || null;
+            }
+        };
+    },
+
+    // `projects` via db.getProjects / db.getProject in supabase-config.js
+    supabase({ client = null } = {}) {
+        const getClient = () => client || window.AgentScore;
+        return {
+            name: 'supabase',
+            async getProjects(params = {}) {
+                const { data, error } = await getClient().db.getProjects(params);
+                if (error) throw new Error(error.message);
+                return data.map(normalizeProject);
+            },
+            async getProject(id) {
+                const { data, error } = await getClient().db.getProject(id);
+                if (error || !data) return null;
+                return normalizeProject(data);
+            }
+        };
+    },
+
+    // In-memory fixture (tests, previews)
+    memory(rows) {
+        const projects = rows.map(normalizeProject);
+        return {
+            name: 'memory',
+            async getProjects({ developerId = null } = {}) {
+                return projects
+                    .filter(project => !developerId || project.developerId === developerId)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+            },
+            async getProject(id) {
+                return projects.find(project => project.id === id) || null;
+            }
+        };
+    }
+};
+
+let projectStore = null;
+
+/**
+ * Get the active project store: the same source as the agent data
+ */
+function getProjectStore() {
+    if (!projectStore) {
+        projectStore = useSupabase && window.AgentScore
+            ? projectStores.supabase()
+            : projectStores.staticJson();
+    }
+    return projectStore;
+}
+
+/**
+ * Replace the active project store
+ */
+function setProjectStore(store) {
+    projectStore = store;
+}
+
+/**
+ * Load projects through the active store; an empty list on failure, so a
+ * developer profile still renders without them
+ */
+async function loadProjects(params = {}) {
+    const store = getProjectStore();
+    try {
+        return await store.getProjects(params);
+    } catch (error) {
+        console.log(`⚠️ ${store.name} error:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Load one project through the active store, or null
+ */
+async function loadProject(id) {
+    const store = getProjectStore();
+    try {
+        return await store.getProject(id);
+    } catch (error) {
+        console.log(`⚠️ ${store.name} error:`, error.message);
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_STATUS,
+        PROJECT_UNIT_TYPES,
+        PROJECT_SCHEMA,
+        validateProject,
+        normalizeProject,
+        deliveryDelayMonths
+    };
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const file = process.argv[2] || path.join(__dirname, '..', 'data', 'projects.json');
+        const projects = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const errors = [];
+        const ids = new Set();
+        projects.forEach((project, i) => {
+            validateProject(project).forEach(error => errors.push(`projects[${i}]: ${error}`));
+            if (ids.has(project.id)) errors.push(`projects[${i}]: duplicate id ${project.id}`);
+            ids.add(project.id);
+        });
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ ${error}`));
+            process.exit(1);
+        }
+        console.log(`✅ ${file} is valid (${projects.length} projects)`);
+    }
+}
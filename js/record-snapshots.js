@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Record today's metrics for every agency in the snapshot file
+ *
+ * Reads the agents JSON the static site uses, resolves it the way the site
+ * does (so ids match the profile pages) and merges one snapshot per agency
+ * into data/agent-snapshots.json, replacing any already taken today. Run it
+ * whenever all-agents-with-reviews.json is refreshed, before it is
+ * overwritten again. Imports into Supabase record their own snapshots.
+ *
+ * Usage:
+ *   node js/record-snapshots.js [--file all-agents-with-reviews.json] [--out data/agent-snapshots.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadAgents } = require('./build-pages.js');
+const { snapshotAgent, mergeSnapshots } = require('./trends.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Merge today's snapshots into a snapshot file
+ * @returns {{ recorded: number, total: number }}
+ */
+function recordSnapshots({ file, out, now = new Date() }) {
+    const existing = fs.existsSync(out) ? JSON.parse(fs.readFileSync(out, 'utf8')) : [];
+    const snapshots = loadAgents(file).map(agent => snapshotAgent(agent, { now }));
+    const merged = mergeSnapshots(existing, snapshots);
+    // One snapshot per line keeps the file's diffs readable
+    fs.writeFileSync(out, `[\n${merged.map(row => `  ${JSON.stringify(row)}`).join(',\n')}\n]\n`);
+    return { recorded: snapshots.length, total: merged.length };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 ? path.resolve(args[index + 1]) : fallback;
+    };
+
+    const file = option('--file', path.join(ROOT, 'all-agents-with-reviews.json'));
+    const out = option('--out', path.join(ROOT, 'data', 'agent-snapshots.json'));
+    const { recorded, total } = recordSnapshots({ file, out });
+    console.log(`📈 Recorded ${recorded} snapshots in ${path.relative(process.cwd(), out)} (${total} in total)`);
+}
+
+module.exports = { recordSnapshots };
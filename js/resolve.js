@@ -0,0 +1,346 @@
+/**
+ * Entity resolution for agents
+ * The same agency shows up under different names and ids across sources
+ * ("CENTURY 21", "Century 21 Cyprus", `century21`). Records are matched on
+ * normalized names, phone numbers, website domains and Bazaraki profile
+ * URLs; matches are merged into one canonical agent whose id comes from the
+ * highest-priority source, with every other id and name kept as `aliases`
+ * so old profile links still resolve. Pairs that look alike but disagree
+ * are returned for manual review instead of being merged.
+ *
+ * Run `node js/resolve.js` to print the matches and ambiguous pairs across
+ * all-agents-with-reviews.json and data/agents-developers.json.
+ */
+
+// Words that say what a business is rather than which one it is
+const NAME_NOISE_WORDS = new Set([
+    'the', 'and', 'ltd', 'limited', 'llc', 'plc', 'co', 'company', 'cyprus',
+    'real', 'estate', 'estates', 'realty', 'agency', 'agencies', 'agent', 'agents',
+    'property', 'properties', 'developer', 'developers', 'group', 'international', 'homes'
+]);
+
+// Listing portals, whose domain says nothing about the agency
+const PORTAL_DOMAINS = ['bazaraki.com'];
+
+const RESOLVE_CONFIG = {
+    similarNames: 0.5  // name similarity needed to merge on a single shared identifier
+};
+
+function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’`]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+}
+
+/**
+ * Name with punctuation, accents and generic words removed
+ * ("Cyprus Sotheby's International Realty" -> "sothebys")
+ */
+function normalizeName(name) {
+    const tokens = nameTokens(name);
+    const core = tokens.filter(token => !NAME_NOISE_WORDS.has(token));
+    return (core.length > 0 ? core : tokens).join(' ');
+}
+
+/**
+ * Cyprus numbers reduced to their 8 national digits; others to digits only
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').replace(/^00/, '');
+    if (digits.length < 6) return null;
+    return digits.length === 11 && digits.startsWith('357') ? digits.slice(3) : digits;
+}
+
+/**
+ * Website hostname without www., or null for portals and bad URLs
+ */
+function websiteDomain(url) {
+    try {
+        const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        return PORTAL_DOMAINS.some(portal => host === portal || host.endsWith('.' + portal)) ? null : host;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Agency handle from a Bazaraki profile URL (bazaraki.com/c/<handle>/)
+ */
+function bazarakiHandle(url) {
+    const match = String(url || '').match(/bazaraki\.com\/c\/([^/?#]+)/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Everything a canonical agent can be matched on
+ */
+function matchKeys(agent) {
+    const name = normalizeName(agent.name);
+    return {
+        name,
+        compactName: name.replace(/ /g, ''),
+        phone: normalizePhone(agent.phone),
+        domain: websiteDomain(agent.website) || websiteDomain(agent.url),
+        bazaraki: bazarakiHandle(agent.url)
+    };
+}
+
+/**
+ * 1 for the same normalized name, otherwise token overlap (0-1)
+ */
+function nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a.replace(/ /g, '') === b.replace(/ /g, '')) return 1;
+
+    const ta = new Set(a.split(' '));
+    const tb = new Set(b.split(' '));
+    let shared = 0;
+    ta.forEach(token => { if (tb.has(token)) shared++; });
+    const jaccard = shared / (ta.size + tb.size - shared);
+    const containment = shared / Math.min(ta.size, tb.size);
+    return Math.max(jaccard, containment * 0.8);
+}
+
+/**
+ * Decide whether two agents are the same business
+ * @returns {{ decision: 'merge'|'review'|'distinct', matches: string[], conflicts: string[], similarity: number }}
+ *   merge    - a shared identifier (or same name and city) and nothing contradicting it
+ *   review   - some evidence either way; left separate and flagged
+ *   distinct - nothing in common
+ */
+function compareRecords(a, b) {
+    const ka = matchKeys(a);
+    const kb = matchKeys(b);
+    const matches = [];
+    const conflicts = [];
+
+    ['bazaraki', 'domain', 'phone'].forEach(key => {
+        if (!ka[key] || !kb[key]) return;
+        (ka[key] === kb[key] ? matches : conflicts).push(key);
+    });
+    const similarity = nameSimilarity(ka.name, kb.name);
+
+    let decision = 'distinct';
+    if (matches.length > 0 && conflicts.length === 0 &&
+        (similarity >= RESOLVE_CONFIG.similarNames || matches.length >= 2)) {
+        decision = 'merge';
+    } else if (matches.length === 0 && conflicts.length === 0 && similarity === 1 &&
+        a.location && a.location === b.location) {
+        decision = 'merge';
+    } else if (matches.length > 0 || similarity === 1) {
+        decision = 'review';
+    }
+
+    return { decision, matches, conflicts, similarity: Math.round(similarity * 100) / 100 };
+}
+
+const LIST_FIELDS = ['specialties', 'services', 'tags', 'serviceAreas'];
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Merge agents known to be the same business. The first record wins for
+ * each field; later ones only fill gaps (lists are combined). Every
+ * member's id and name becomes an alias of the merged agent.
+ */
+function mergeAgents(members) {
+    const [primary, ...rest] = members;
+    const merged = { ...primary, provenance: { ...(primary.provenance || {}) } };
+
+    rest.forEach(agent => {
+        Object.keys(agent).forEach(field => {
+            if (field === 'id' || field === 'aliases' || field === 'provenance') return;
+            if (LIST_FIELDS.includes(field)) {
+                merged[field] = [...new Set([...(merged[field] || []), ...(agent[field] || [])])];
+            } else if (isEmpty(merged[field]) && !isEmpty(agent[field])) {
+                merged[field] = agent[field];
+            } else {
+                return;
+            }
+            if (agent.provenance && agent.provenance[field] && !merged.provenance[field]) {
+                merged.provenance[field] = agent.provenance[field];
+            }
+        });
+        merged.verified = merged.verified || Boolean(agent.verified);
+    });
+
+    const aliases = new Set();
+    members.forEach(agent => {
+        [agent.id, agent.name, ...(agent.aliases || [])].forEach(alias => {
+            if (alias && alias !== merged.id) aliases.add(alias);
+        });
+    });
+    merged.aliases = [...aliases];
+    return merged;
+}
+
+/**
+ * Resolve agents from one or more sources into distinct businesses
+ * @param {Array<{ source: string, agents: Object[] }>} sources - Canonical agents per source, highest priority first
+ * @param {Object} [overrides] - Manual decisions on agent ids: { same: [[a, b]], distinct: [[a, b]] }
+ * @returns {{ agents: Object[], ambiguous: Array<{ a: Object, b: Object, matches, conflicts, similarity }> }}
+ *   agents    - merged canonical agents with `aliases`
+ *   ambiguous - pairs flagged for manual review (not merged)
+ */
+function resolveEntities(sources, { same = [], distinct = [] } = {}) {
+    const records = [];
+    sources.forEach(({ source, agents }) => {
+        agents.forEach(agent => records.push({ source, agent }));
+    });
+
+    const pairKey = (a, b) => [a, b].sort().join('\u0000');
+    const forcedSame = new Set(same.map(([a, b]) => pairKey(a, b)));
+    const forcedDistinct = new Set(distinct.map(([a, b]) => pairKey(a, b)));
+
+    // Only compare records that share at least one key
+    const index = new Map();
+    const candidates = new Set();
+    records.forEach((record, i) => {
+        const keys = matchKeys(record.agent);
+        ['compactName', 'phone', 'domain', 'bazaraki'].forEach(key => {
+            if (!keys[key]) return;
+            const bucket = `${key}:${keys[key]}`;
+            if (!index.has(bucket)) index.set(bucket, []);
+            index.get(bucket).forEach(j => candidates.add(`${j},${i}`));
+            index.get(bucket).push(i);
+        });
+    });
+
+    const parent = records.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (i, j) => {
+        const [ri, rj] = [find(i), find(j)];
+        if (ri !== rj) parent[Math.max(ri, rj)] = Math.min(ri, rj); // keep the higher-priority root
+    };
+
+    const flagged = [];
+    candidates.forEach(pair => {
+        const [i, j] = pair.split(',').map(Number);
+        const a = records[i].agent;
+        const b = records[j].agent;
+        const key = pairKey(a.id, b.id);
+        if (forcedDistinct.has(key)) return;
+        if (forcedSame.has(key)) {
+            union(i, j);
+            return;
+        }
+
+        const result = compareRecords(a, b);
+        if (result.decision === 'merge') union(i, j);
+        if (result.decision === 'review') flagged.push({ i, j, ...result });
+    });
+
+    // Overrides between records that share no key
+    same.forEach(([a, b]) => {
+        const i = records.findIndex(r => r.agent.id === a);
+        const j = records.findIndex(r => r.agent.id === b);
+        if (i >= 0 && j >= 0) union(i, j);
+    });
+
+    const clusters = new Map();
+    records.forEach((record, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(record.agent);
+    });
+
+    // Distinct businesses can still share a slug (same name, different city):
+    // the first keeps it, later ones get the city and then a counter appended
+    const usedIds = new Set();
+    const agents = [...clusters.values()].map(mergeAgents).map(agent => {
+        let id = agent.id;
+        if (usedIds.has(id)) {
+            const base = `${agent.id}-${nameTokens(agent.location).join('-') || 'agent'}`;
+            id = base;
+            for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        }
+        usedIds.add(id);
+        return id === agent.id ? agent : { ...agent, id, aliases: agent.aliases.filter(alias => alias !== id) };
+    });
+
+    return {
+        agents,
+        ambiguous: flagged
+            .filter(({ i, j }) => find(i) !== find(j))
+            .map(({ i, j, matches, conflicts, similarity }) => ({
+                a: records[i].agent,
+                b: records[j].agent,
+                matches,
+                conflicts,
+                similarity
+            }))
+    };
+}
+
+/**
+ * Whether a profile reference (id, old slug, directory id or name) points at an agent
+ */
+function matchesAgentRef(agent, ref) {
+    if (!ref) return false;
+    if (agent.id === ref || (agent.aliases || []).includes(ref)) return true;
+
+    const compactRef = normalizeName(String(ref).replace(/[-_]+/g, ' ')).replace(/ /g, '');
+    return compactRef.length > 0 && matchKeys(agent).compactName === compactRef;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeName,
+        normalizePhone,
+        websiteDomain,
+        bazarakiHandle,
+        compareRecords,
+        mergeAgents,
+        resolveEntities,
+        matchesAgentRef
+    };
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const { normalizeAgent, flattenRecords } = require('./data.js');
+
+        const args = process.argv.slice(2);
+        const overridesIndex = args.indexOf('--overrides');
+        const overrides = overridesIndex >= 0
+            ? JSON.parse(fs.readFileSync(args[overridesIndex + 1], 'utf8'))
+            : {};
+        const load = (file, format) => flattenRecords(
+            JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        ).map(raw => normalizeAgent(raw, format));
+
+        const { agents, ambiguous } = resolveEntities([
+            { source: 'listing', agents: load('all-agents-with-reviews.json', 'listing') },
+            { source: 'directory', agents: load('data/agents-developers.json', 'directory') }
+        ], overrides);
+
+        if (args.includes('--json')) {
+            console.log(JSON.stringify({
+                agents: agents.map(({ id, name, aliases }) => ({ id, name, aliases })),
+                ambiguous: ambiguous.map(({ a, b, ...rest }) => ({ a: a.id, b: b.id, ...rest }))
+            }, null, 2));
+        } else {
+            console.log(`🔗 ${agents.length} businesses`);
+            agents.forEach(agent => {
+                console.log(`   ${agent.id}${agent.aliases.length ? ` ← ${agent.aliases.join(', ')}` : ''}`);
+            });
+            console.log(`\n⚠️  ${ambiguous.length} pair(s) for manual review`);
+            ambiguous.forEach(({ a, b, matches, conflicts, similarity }) => {
+                console.log(`   ${a.id} ↔ ${b.id}: same ${matches.join('/') || 'nothing'}, ` +
+                    `different ${conflicts.join('/') || 'nothing'}, name similarity ${similarity}`);
+            });
+            if (ambiguous.length > 0) {
+                console.log('\nRecord decisions in an overrides file ({ "same": [[a, b]], "distinct": [[a, b]] }) and pass --overrides <file>');
+            }
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Structured review fields for Reviews Realty
+ * Reviews can carry optional sub-ratings, the kind of transaction and the
+ * property area on top of the overall star rating, and can be marked as a
+ * "Verified client" through an agency invite or a proof of transaction.
+ * Reviews of a developer's project (see projects.js) rate the project's
+ * build quality and delivery timeliness instead of the agency dimensions.
+ */
+
+const REVIEW_DIMENSIONS = {
+    communication: 'Communication',
+    market_knowledge: 'Market knowledge',
+    negotiation: 'Negotiation',
+    honesty: 'Honesty',
+    after_sale: 'After-sale support'
+};
+
+const PROJECT_REVIEW_DIMENSIONS = {
+    build_quality: 'Build quality',
+    delivery_timeliness: 'Delivery timeliness'
+};
+
+const ALL_REVIEW_DIMENSIONS = { ...REVIEW_DIMENSIONS, ...PROJECT_REVIEW_DIMENSIONS };
+
+const TRANSACTION_TYPES = {
+    bought: 'Bought',
+    sold: 'Sold',
+    rented: 'Rented',
+    let: 'Let'
+};
+
+/**
+ * Verified-client status of a review. Invite-token reviews are verified
+ * straight away; uploaded proofs wait for a moderator.
+ */
+const VERIFICATION_STATUS = {
+    PROOF_PENDING: 'proof_pending',
+    VERIFIED: 'verified',
+    PROOF_REJECTED: 'proof_rejected'
+};
+
+const VERIFIED_REVIEW_WEIGHT = 2; // a verified review counts as this many in averages
+
+/**
+ * Weight of a review in aggregate stats
+ */
+function reviewWeight(review) {
+    return review.verificationStatus === VERIFICATION_STATUS.VERIFIED ? VERIFIED_REVIEW_WEIGHT : 1;
+}
+
+/**
+ * Average star rating with verified reviews weighted higher
+ * @param {Object[]} reviews - Reviews with `rating` and `verificationStatus`
+ * @returns {number} Average rounded to one decimal (0 when there are none)
+ */
+function weightedAverageRating(reviews) {
+    let sum = 0;
+    let weights = 0;
+    reviews.forEach(review => {
+        const weight = reviewWeight(review);
+        sum += review.rating * weight;
+        weights += weight;
+    });
+    return weights > 0 ? Math.round((sum / weights) * 10) / 10 : 0;
+}
+
+/**
+ * First-party stats per agent from published `reviews` rows, in the shape
+ * computeAgentScore takes (see score.js)
+ * @param {Object[]} rows - Rows with agent_id, rating, created_at and verification_status
+ * @returns {Object} { [agentId]: { reviewCount, averageRating, lastReviewAt } }
+ */
+function firstPartyStatsByAgent(rows) {
+    const byAgent = {};
+    rows.forEach(row => {
+        (byAgent[row.agent_id] = byAgent[row.agent_id] || []).push(row);
+    });
+
+    const stats = {};
+    Object.entries(byAgent).forEach(([agentId, agentRows]) => {
+        stats[agentId] = {
+            reviewCount: agentRows.length,
+            averageRating: weightedAverageRating(agentRows.map(row => ({
+                rating: row.rating,
+                verificationStatus: row.verification_status
+            }))),
+            lastReviewAt: agentRows.reduce(
+                (latest, row) => (!latest || row.created_at > latest ? row.created_at : latest),
+                null
+            )
+        };
+    });
+    return stats;
+}
+
+/**
+ * Keep only known dimensions with a whole 1-5 rating
+ * @param {Object} [subRatings] - { [dimension]: number }
+ * @returns {Object} Cleaned sub-ratings (empty when none were given)
+ */
+function cleanSubRatings(subRatings) {
+    const cleaned = {};
+    Object.entries(subRatings || {}).forEach(([dimension, value]) => {
+        const rating = Number(value);
+        if (ALL_REVIEW_DIMENSIONS[dimension] && Number.isInteger(rating) && rating >= 1 && rating <= 5) {
+            cleaned[dimension] = rating;
+        }
+    });
+    return cleaned;
+}
+
+/**
+ * Per-dimension averages (verified reviews weighted higher) and
+ * transaction-type counts
+ * @param {Object[]} reviews - Reviews with `subRatings`, `transactionType` and `verificationStatus`
+ * @returns {{ dimensions: Object, transactionTypes: Object }}
+ *   dimensions - { [dimension]: { average, count } } for rated dimensions
+ *   transactionTypes - { [type]: count }
+ */
+function aggregateReviewDimensions(reviews) {
+    const totals = {};
+    const transactionTypes = {};
+
+    reviews.forEach(review => {
+        const weight = reviewWeight(review);
+        Object.entries(cleanSubRatings(review.subRatings)).forEach(([dimension, rating]) => {
+            totals[dimension] = totals[dimension] || { sum: 0, weights: 0, count: 0 };
+            totals[dimension].sum += rating * weight;
+            totals[dimension].weights += weight;
+            totals[dimension].count++;
+        });
+        if (TRANSACTION_TYPES[review.transactionType]) {
+            transactionTypes[review.transactionType] = (transactionTypes[review.transactionType] || 0) + 1;
+        }
+    });
+
+    const dimensions = {};
+    Object.keys(ALL_REVIEW_DIMENSIONS).forEach(dimension => {
+        if (!totals[dimension]) return;
+        dimensions[dimension] = {
+            average: Math.round((totals[dimension].sum / totals[dimension].weights) * 10) / 10,
+            count: totals[dimension].count
+        };
+    });
+
+    return { dimensions, transactionTypes };
+}
+
+/**
+ * Filter reviews by transaction type and/or property area
+ * @param {Object[]} reviews
+ * @param {Object} [filters] - { transactionType, area }
+ */
+function filterReviews(reviews, { transactionType = '', area = '' } = {}) {
+    const areaQuery = area.trim().toLowerCase();
+    return reviews.filter(review =>
+        (!transactionType || review.transactionType === transactionType) &&
+        (!areaQuery || (review.propertyArea || '').toLowerCase().includes(areaQuery))
+    );
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REVIEW_DIMENSIONS,
+        PROJECT_REVIEW_DIMENSIONS,
+        ALL_REVIEW_DIMENSIONS,
+        TRANSACTION_TYPES,
+        VERIFICATION_STATUS,
+        VERIFIED_REVIEW_WEIGHT,
+        reviewWeight,
+        weightedAverageRating,
+        firstPartyStatsByAgent,
+        cleanSubRatings,
+        aggregateReviewDimensions,
+        filterReviews
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * AgentScore ranking
+ * Blends first-party reviews, Google ratings, listing volume and recency
+ * into a Bayesian-adjusted 1-5 score with a 95% confidence interval, so an
+ * agency with one 5-star review no longer outranks one with 300 at 4.7.
+ */
+
+const SCORE_CONFIG = {
+    priorMean: 4.2,          // fallback when no agent in the population is rated
+    priorWeight: 10,         // pseudo-reviews pulling small samples toward the mean
+    sourceWeights: {
+        reviews: 1,          // first-party reviews (db.getAgentStats)
+        google: 0.7          // Google ratings we cannot moderate
+    },
+    halfLifeDays: 365,       // evidence loses half its weight per year
+    ratingStdDev: 1,         // assumed spread of individual star ratings
+    volumeBonus: 0.1,        // max stars added for listing volume
+    volumeSaturation: 1000   // listings at which the volume bonus maxes out
+};
+
+/**
+ * Weight of evidence by age: 1 when fresh, 0.5 after one half-life.
+ * Undated evidence is not penalised.
+ */
+function recencyWeight(date, now = new Date(), halfLifeDays = SCORE_CONFIG.halfLifeDays) {
+    if (!date) return 1;
+    const ageDays = (now - new Date(date)) / (1000 * 60 * 60 * 24);
+    if (!(ageDays > 0)) return 1;
+    return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Mean rating of a population, weighted by review count
+ * @param {Object[]} agents - Canonical agents
+ * @returns {number} Prior mean for Bayesian smoothing
+ */
+function populationPrior(agents) {
+    let total = 0;
+    let count = 0;
+    agents.forEach(agent => {
+        if (typeof agent.rating !== 'number') return;
+        const n = agent.reviewCount || 1;
+        total += agent.rating * n;
+        count += n;
+    });
+    return count > 0 ? total / count : SCORE_CONFIG.priorMean;
+}
+
+/**
+ * Compute the AgentScore for one agent
+ * @param {Object} agent - Canonical agent
+ * @param {Object} [options]
+ * @param {Object} [options.firstParty] - { reviewCount, averageRating, lastReviewAt } from db.getAgentStats
+ * @param {number} [options.priorMean] - Population mean (see populationPrior)
+ * @param {Date} [options.now] - Reference time for recency
+ * @returns {{ score: number, low: number, high: number, effectiveReviews: number, components: Object }}
+ */
+function computeAgentScore(agent, { firstParty = null, priorMean = SCORE_CONFIG.priorMean, now = new Date() } = {}) {
+    const config = SCORE_CONFIG;
+    const evidence = [];
+
+    if (firstParty && firstParty.reviewCount > 0) {
+        evidence.push({
+            source: 'reviews',
+            rating: firstParty.averageRating,
+            count: firstParty.reviewCount,
+            date: firstParty.lastReviewAt || null
+        });
+    }
+    if (typeof agent.rating === 'number' && agent.reviewCount > 0) {
+        evidence.push({
+            source: 'google',
+            rating: agent.rating,
+            count: agent.reviewCount,
+            date: agent.provenance?.rating?.verifiedAt || null
+        });
+    }
+
+    let effectiveReviews = 0;
+    let weightedSum = 0;
+    evidence.forEach(({ source, rating, count, date }) => {
+        const weight = config.sourceWeights[source] * recencyWeight(date, now, config.halfLifeDays);
+        effectiveReviews += count * weight;
+        weightedSum += rating * count * weight;
+    });
+
+    const bayesian = (config.priorWeight * priorMean + weightedSum) / (config.priorWeight + effectiveReviews);
+    const volume = config.volumeBonus *
+        Math.min(1, Math.log10((agent.ads || 0) + 1) / Math.log10(config.volumeSaturation + 1));
+    const score = clampScore(bayesian + volume, 1, 5);
+
+    const margin = 1.96 * config.ratingStdDev / Math.sqrt(config.priorWeight + effectiveReviews);
+
+    return {
+        score: roundTo(score, 2),
+        low: roundTo(clampScore(score - margin, 1, 5), 2),
+        high: roundTo(clampScore(score + margin, 1, 5), 2),
+        effectiveReviews: roundTo(effectiveReviews, 1),
+        components: {
+            prior: roundTo(priorMean, 2),
+            bayesian: roundTo(bayesian, 2),
+            volume: roundTo(volume, 2)
+        }
+    };
+}
+
+/**
+ * Score a list of agents, against their own population prior unless one is
+ * given (a page of agents needs the whole directory's prior)
+ * @param {Object[]} agents - Canonical agents
+ * @param {Object} [options]
+ * @param {Object} [options.firstPartyStats] - Map of agent id to db.getAgentStats data
+ * @param {number} [options.priorMean] - Population mean (see populationPrior)
+ * @param {Date} [options.now] - Reference time for recency
+ * @returns {Object[]} Agents with `score` (number) and `scoreDetails`
+ */
+function scoreAgents(agents, { firstPartyStats = {}, priorMean = populationPrior(agents), now = new Date() } = {}) {
+    return agents.map(agent => {
+        const details = computeAgentScore(agent, {
+            firstParty: firstPartyStats[agent.id] || null,
+            priorMean,
+            now
+        });
+        return { ...agent, score: details.score, scoreDetails: details };
+    });
+}
+
+function clampScore(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+function roundTo(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SCORE_CONFIG, recencyWeight, populationPrior, computeAgentScore, scoreAgents };
+}
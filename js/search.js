@@ -0,0 +1,359 @@
+/**
+ * Fuzzy, multilingual search for Reviews Realty
+ * Text is reduced to Latin "search keys": Greek and Russian are
+ * transliterated, spelling variants are folded (Paphos/Pafos/Пафос,
+ * Larnaca/Larnaka/Ларнака) and local city names map to their English ones
+ * (Lemesos → Limassol). Query words then match index words exactly, by
+ * prefix or within a small edit distance, so "sothebis" still finds
+ * Sotheby's. The same keys are stored in `search_text` columns so the
+ * Supabase `search_agents` function matches what the static index does.
+ */
+
+/**
+ * Fields searched and how much a match in each counts
+ */
+const SEARCH_FIELDS = {
+    name: 5,
+    aliases: 4,
+    featured_project: 3,
+    location: 2,
+    serviceAreas: 2,
+    specialties: 2,
+    services: 1,
+    tags: 1,
+    description: 1,
+    reviews: 1
+};
+
+const SEARCH_MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+/**
+ * How matches outside the name are introduced in results
+ */
+const SEARCH_FIELD_LABELS = {
+    aliases: 'Also known as',
+    featured_project: 'Project',
+    serviceAreas: 'Serves',
+    specialties: 'Specialties',
+    services: 'Services',
+    tags: 'Tags',
+    description: 'About',
+    reviews: 'Review'
+};
+
+// Greek digraphs first, then single letters (accents are stripped before this)
+const GREEK_TRANSLITERATION = [
+    ['ου', 'ou'], ['αι', 'e'], ['ει', 'i'], ['οι', 'i'], ['αυ', 'av'], ['ευ', 'ev'],
+    ['μπ', 'b'], ['ντ', 'd'], ['γκ', 'g'], ['γγ', 'ng'], ['τσ', 'ts'], ['τζ', 'tz'],
+    ['α', 'a'], ['β', 'v'], ['γ', 'g'], ['δ', 'd'], ['ε', 'e'], ['ζ', 'z'], ['η', 'i'],
+    ['θ', 'th'], ['ι', 'i'], ['κ', 'k'], ['λ', 'l'], ['μ', 'm'], ['ν', 'n'], ['ξ', 'x'],
+    ['ο', 'o'], ['π', 'p'], ['ρ', 'r'], ['σ', 's'], ['ς', 's'], ['τ', 't'], ['υ', 'i'],
+    ['φ', 'f'], ['χ', 'ch'], ['ψ', 'ps'], ['ω', 'o']
+];
+
+const CYRILLIC_TRANSLITERATION = {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+    й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+    у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y',
+    ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+/**
+ * Local and transliterated names folded into the English name
+ */
+const PLACE_SYNONYMS = {
+    Limassol: ['Lemesos'],
+    Nicosia: ['Lefkosia', 'Λευκωσία'],
+    Famagusta: ['Ammochostos', 'Gazimagusa'],
+    Kyrenia: ['Keryneia', 'Κερύνεια', 'Girne'],
+    Paphos: ['Baf']
+};
+
+/**
+ * Reduce one word to its search key
+ */
+function searchKey(word) {
+    let key = word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    GREEK_TRANSLITERATION.forEach(([greek, latin]) => { key = key.split(greek).join(latin); });
+    key = key.replace(/[а-яё]/g, letter => CYRILLIC_TRANSLITERATION[letter]);
+    key = key
+        .replace(/[^a-z0-9]/g, '')
+        .replace(/ph/g, 'f')
+        .replace(/[ck]h/g, 'h')
+        .replace(/c/g, 'k')
+        .replace(/ou/g, 'u')
+        .replace(/y/g, 'i')
+        .replace(/(.)\1+/g, '$1');
+    return SYNONYM_KEYS.get(key) || key;
+}
+
+const SYNONYM_KEYS = new Map();
+Object.entries(PLACE_SYNONYMS).forEach(([name, synonyms]) => {
+    const target = searchKey(name);
+    synonyms.forEach(synonym => SYNONYM_KEYS.set(searchKey(synonym), target));
+});
+
+/**
+ * Split text into words (apostrophes are dropped: "Sotheby's" is one word)
+ */
+function searchWords(text) {
+    return String(text || '').replace(/['’]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Search keys for a piece of text, in order
+ */
+function searchTokens(text) {
+    return searchWords(text).map(searchKey).filter(Boolean);
+}
+
+/**
+ * Text stored in `search_text` columns for server-side search
+ */
+function normalizeSearchText(text) {
+    return searchTokens(text).join(' ');
+}
+
+/**
+ * `search_text` for an agent row: everything the index covers except reviews
+ */
+function agentSearchText(agent) {
+    return normalizeSearchText([
+        agent.name,
+        ...(agent.aliases || []),
+        agent.featured_project,
+        agent.location,
+        ...(agent.serviceAreas || []),
+        ...(agent.specialties || []),
+        ...(agent.services || []),
+        ...(agent.tags || []),
+        agent.description
+    ].filter(Boolean).join(' '));
+}
+
+/**
+ * Edit distance with adjacent transpositions, giving up above `max`
+ * @returns {number} Distance, or max + 1 when it is larger
+ */
+function editDistance(a, b, max = 2) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+            if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous[j - 2] + 1);
+            }
+            best = Math.min(best, current[j]);
+        }
+        if (best > max) return max + 1;
+        previous = row;
+        row = current;
+    }
+    return row[b.length];
+}
+
+/**
+ * Typos tolerated for a query word: none for short words, more for long ones
+ */
+function allowedEdits(key) {
+    if (key.length < 4) return 0;
+    return key.length < 8 ? 1 : 2;
+}
+
+/**
+ * Plain text of an agent's review(s) for the index
+ */
+function reviewText(review) {
+    if (!review) return '';
+    if (typeof review === 'string') return review;
+    return [review.title, review.content, review.text].filter(Boolean).join(' ');
+}
+
+/**
+ * Text of each searched field for an agent
+ * @param {Object} agent - Canonical agent
+ * @param {Array<string|Object>} [reviews] - Extra review text besides sampleReview
+ */
+function searchFieldTexts(agent, reviews = []) {
+    return {
+        name: agent.name,
+        aliases: (agent.aliases || []).join(' '),
+        featured_project: agent.featured_project,
+        location: agent.location,
+        serviceAreas: (agent.serviceAreas || []).join(', '),
+        specialties: (agent.specialties || []).join(', '),
+        services: (agent.services || []).join(', '),
+        tags: (agent.tags || []).join(', '),
+        description: agent.description,
+        reviews: [agent.sampleReview, ...reviews].map(reviewText).filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * Build a search index over canonical agents
+ * @param {Object[]} agents - Canonical agents
+ * @param {Object} [options] - { reviews: { [agentId]: Array<string|{ title, content }> } }
+ *   extra review text (the agent's sampleReview is always included)
+ * @returns {{ documents: Map, terms: Map }} terms maps a key to Map(agentId → Set(field))
+ */
+function buildSearchIndex(agents, { reviews = {} } = {}) {
+    const documents = new Map();
+    const terms = new Map();
+
+    agents.forEach(agent => {
+        const fields = searchFieldTexts(agent, reviews[agent.id]);
+        documents.set(agent.id, { agent, fields });
+
+        Object.entries(fields).forEach(([field, text]) => {
+            searchTokens(text).forEach(key => {
+                if (!terms.has(key)) terms.set(key, new Map());
+                const postings = terms.get(key);
+                if (!postings.has(agent.id)) postings.set(agent.id, new Set());
+                postings.get(agent.id).add(field);
+            });
+        });
+    });
+
+    return { documents, terms };
+}
+
+/**
+ * Search an index. Every query word has to match (exactly, by prefix or
+ * with a typo) somewhere in the agent's fields.
+ * @returns {Array<{ id: string, score: number, terms: string[], fields: string[] }>}
+ *   best match first; `terms` are the matched keys (see highlightMatches)
+ */
+function searchIndex(index, query) {
+    const queryKeys = [...new Set(searchTokens(query))];
+    if (queryKeys.length === 0) return [];
+
+    let results = null;
+    queryKeys.forEach(queryKey => {
+        const edits = allowedEdits(queryKey);
+        const perAgent = new Map(); // id -> { score, terms, fields }
+
+        index.terms.forEach((postings, term) => {
+            let quality = 0;
+            if (term === queryKey) quality = SEARCH_MATCH_QUALITY.exact;
+            else if (queryKey.length >= 2 && term.startsWith(queryKey)) quality = SEARCH_MATCH_QUALITY.prefix;
+            else if (edits > 0 && editDistance(term, queryKey, edits) <= edits) quality = SEARCH_MATCH_QUALITY.fuzzy;
+            if (!quality) return;
+
+            postings.forEach((fields, id) => {
+                const weight = Math.max(...[...fields].map(field => SEARCH_FIELDS[field]));
+                const entry = perAgent.get(id) || { score: 0, terms: new Set(), fields: new Set() };
+                entry.score = Math.max(entry.score, quality * weight);
+                entry.terms.add(term);
+                fields.forEach(field => entry.fields.add(field));
+                perAgent.set(id, entry);
+            });
+        });
+
+        if (results === null) {
+            results = perAgent;
+            return;
+        }
+        const combined = new Map();
+        results.forEach((entry, id) => {
+            const match = perAgent.get(id);
+            if (!match) return;
+            combined.set(id, {
+                score: entry.score + match.score,
+                terms: new Set([...entry.terms, ...match.terms]),
+                fields: new Set([...entry.fields, ...match.fields])
+            });
+        });
+        results = combined;
+    });
+
+    return [...results.entries()]
+        .map(([id, { score, terms, fields }]) => ({
+            id,
+            score: Math.round(score * 100) / 100,
+            terms: [...terms],
+            fields: Object.keys(SEARCH_FIELDS).filter(field => fields.has(field))
+        }))
+        .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+const searchIndexCache = new WeakMap();
+
+/**
+ * Search a list of canonical agents (the index is built once per list)
+ */
+function searchAgents(agents, query) {
+    if (!searchIndexCache.has(agents)) {
+        searchIndexCache.set(agents, buildSearchIndex(agents));
+    }
+    return searchIndex(searchIndexCache.get(agents), query);
+}
+
+/**
+ * Escape text and wrap the words matching any of `terms` in <mark>
+ * @param {string} text - Untrusted text
+ * @param {string[]} terms - Matched keys from searchIndex
+ * @returns {SafeHtml}
+ */
+function highlightMatches(text, terms = []) {
+    const wanted = new Set(terms);
+    const parts = String(text || '')
+        .split(/([\p{L}\p{N}'’]+)/u)
+        .map((part, i) => {
+            const matched = i % 2 === 1 && searchTokens(part).some(key => wanted.has(key));
+            return matched ? html`<mark class="bg-yellow-100 text-inherit rounded px-0.5">${part}</mark>` : part;
+        });
+    return html`${parts}`;
+}
+
+/**
+ * A highlighted excerpt around the first match in a longer text
+ * @returns {SafeHtml|string} '' when nothing matches
+ */
+function matchSnippet(text, terms = [], maxLength = 140) {
+    const source = String(text || '');
+    const wanted = new Set(terms);
+    const words = [...source.matchAll(/[\p{L}\p{N}'’]+/gu)];
+    const hit = words.find(([word]) => searchTokens(word).some(key => wanted.has(key)));
+    if (!hit) return '';
+
+    const start = Math.max(0, hit.index - Math.floor(maxLength / 3));
+    const excerpt = source.slice(start, start + maxLength);
+    return html`${start > 0 ? '…' : ''}${highlightMatches(excerpt, terms)}${start + maxLength < source.length ? '…' : ''}`;
+}
+
+/**
+ * Excerpt of the first matched field other than the name and city, for
+ * showing why a result matched
+ * @param {Object} agent - Agent returned by queryAgentList with `searchMatch`
+ * @returns {SafeHtml|string} '' when only the name or city matched
+ */
+function searchMatchSnippet(agent) {
+    const { terms = [], fields = [] } = agent.searchMatch || {};
+    // Aliases only explain a match the name itself does not show
+    const field = fields.find(name => SEARCH_FIELD_LABELS[name] && !(name === 'aliases' && fields.includes('name')));
+    if (!field) return '';
+    const snippet = matchSnippet(searchFieldTexts(agent)[field], terms, 100);
+    return snippet ? html`<span class="text-gray-400">${SEARCH_FIELD_LABELS[field]}:</span> ${snippet}` : '';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_FIELDS,
+        searchKey,
+        searchTokens,
+        normalizeSearchText,
+        agentSearchText,
+        editDistance,
+        buildSearchIndex,
+        searchIndex,
+        searchAgents,
+        highlightMatches,
+        matchSnippet,
+        searchMatchSnippet
+    };
+}
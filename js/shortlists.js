@@ -0,0 +1,419 @@
+/**
+ * Saved shortlists and review alerts
+ * Signed-in users' shortlists are stored in their account (db.getShortlists
+ * and friends); anonymous users' are kept in localStorage and merged into
+ * the account when they sign in. Every saved agency keeps the review count
+ * and AgentScore from when the user last looked at it, which is what the
+ * "new reviews" and "score changed" alerts compare against.
+ *
+ * The save modal expects #save-agent-btn on the page and is created on
+ * first use.
+ */
+
+const SHORTLIST_STORAGE_KEY = 'reviewsrealty_shortlists';
+const DEFAULT_SHORTLIST_NAME = 'My shortlist';
+const SCORE_ALERT_THRESHOLD = 0.05; // smallest AgentScore change worth flagging
+
+let shortlistAgent = null;
+
+/**
+ * Convert a `shortlists` row (with its items) to the shape used on the page
+ */
+function fromShortlistRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        alerts: {
+            newReviews: Boolean(row.alert_new_reviews),
+            scoreChanges: Boolean(row.alert_score_changes)
+        },
+        items: (row.items || []).map(item => ({
+            agentId: item.agent_id,
+            addedAt: item.added_at,
+            seenReviewCount: item.seen_review_count ?? null,
+            seenScore: item.seen_score ?? null,
+            seenAt: item.seen_at || null
+        }))
+    };
+}
+
+/**
+ * What an alert compares against: all reviews (Google plus first-party) and
+ * the AgentScore including first-party reviews
+ * @param {Object} agent - Canonical agent
+ * @param {Object|null} stats - From db.getAgentStats
+ * @param {number} priorMean - From getPopulationPrior (js/data.js)
+ */
+function agentSnapshot(agent, stats, priorMean) {
+    const details = computeAgentScore(agent, { firstParty: stats, priorMean });
+    return {
+        reviewCount: (agent.reviewCount || 0) + (stats ? stats.reviewCount : 0),
+        score: details.effectiveReviews > 0 ? details.score : null
+    };
+}
+
+/**
+ * Changes since the user last looked at a saved agency
+ * @param {Object} item - Shortlist item with seenReviewCount / seenScore
+ * @param {Object} snapshot - Current { reviewCount, score }
+ * @returns {{ newReviews: number, scoreChange: number }} scoreChange is 0
+ *   unless it is at least SCORE_ALERT_THRESHOLD either way
+ */
+function describeShortlistChanges(item, snapshot) {
+    const newReviews = item.seenReviewCount === null
+        ? 0
+        : Math.max(0, snapshot.reviewCount - item.seenReviewCount);
+    const delta = item.seenScore === null || snapshot.score === null
+        ? 0
+        : Math.round((snapshot.score - item.seenScore) * 100) / 100;
+    return {
+        newReviews,
+        scoreChange: Math.abs(delta) >= SCORE_ALERT_THRESHOLD ? delta : 0
+    };
+}
+
+/**
+ * Plan how to fold device-only shortlists into the account's. Lists are
+ * matched by name (case-insensitive); matched lists get the missing agencies
+ * and any alerts switched on locally.
+ * @param {Object[]} remote - Account shortlists (page shape)
+ * @param {Object[]} local - Device shortlists (page shape)
+ * @returns {{ create: Object[], add: Object[], alerts: Object[] }}
+ *   create - local lists with no counterpart, to create as they are
+ *   add    - { shortlistId, item } for agencies missing from a matched list
+ *   alerts - { shortlistId, alerts } for matched lists whose alerts change
+ */
+function planShortlistMerge(remote, local) {
+    const plan = { create: [], add: [], alerts: [] };
+    local.forEach(list => {
+        const match = remote.find(r => r.name.trim().toLowerCase() === list.name.trim().toLowerCase());
+        if (!match) {
+            plan.create.push(list);
+            return;
+        }
+        list.items
+            .filter(item => !match.items.some(existing => existing.agentId === item.agentId))
+            .forEach(item => plan.add.push({ shortlistId: match.id, item }));
+        const alerts = {
+            newReviews: match.alerts.newReviews || list.alerts.newReviews,
+            scoreChanges: match.alerts.scoreChanges || list.alerts.scoreChanges
+        };
+        if (alerts.newReviews !== match.alerts.newReviews || alerts.scoreChanges !== match.alerts.scoreChanges) {
+            plan.alerts.push({ shortlistId: match.id, alerts });
+        }
+    });
+    return plan;
+}
+
+// Storage
+
+async function getShortlistUser() {
+    if (!window.ReviewsRealty) return null;
+    try {
+        return await window.ReviewsRealty.auth.getUser();
+    } catch {
+        return null;
+    }
+}
+
+function getLocalShortlists() {
+    return storage.get(SHORTLIST_STORAGE_KEY, []);
+}
+
+function updateLocalShortlists(update) {
+    const lists = update(getLocalShortlists());
+    storage.set(SHORTLIST_STORAGE_KEY, lists);
+    return lists;
+}
+
+/**
+ * Shortlists of the signed-in user, or of this device when signed out.
+ * Methods resolve to { data, error } like the db helpers.
+ */
+const shortlistStore = {
+    async getAll() {
+        if (await getShortlistUser()) {
+            const { data, error } = await window.ReviewsRealty.db.getShortlists();
+            return { data: (data || []).map(fromShortlistRow), error };
+        }
+        return { data: getLocalShortlists() };
+    },
+
+    async create(name) {
+        const trimmed = String(name || '').trim() || DEFAULT_SHORTLIST_NAME;
+        if (await getShortlistUser()) {
+            const { data, error } = await window.ReviewsRealty.db.createShortlist(trimmed);
+            return { data: data ? fromShortlistRow(data) : null, error };
+        }
+        const list = {
+            id: `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmed,
+            alerts: { newReviews: false, scoreChanges: false },
+            items: []
+        };
+        updateLocalShortlists(lists => [...lists, list]);
+        return { data: list };
+    },
+
+    async update(shortlistId, { name, alerts } = {}) {
+        if (await getShortlistUser()) {
+            return window.ReviewsRealty.db.updateShortlist(shortlistId, {
+                name,
+                alertNewReviews: alerts?.newReviews,
+                alertScoreChanges: alerts?.scoreChanges
+            });
+        }
+        updateLocalShortlists(lists => lists.map(list => (list.id !== shortlistId ? list : {
+            ...list,
+            name: name !== undefined ? String(name).trim() || list.name : list.name,
+            alerts: alerts ? { ...list.alerts, ...alerts } : list.alerts
+        })));
+        return { data: null };
+    },
+
+    async remove(shortlistId) {
+        if (await getShortlistUser()) {
+            return window.ReviewsRealty.db.deleteShortlist(shortlistId);
+        }
+        updateLocalShortlists(lists => lists.filter(list => list.id !== shortlistId));
+        return { error: null };
+    },
+
+    async addAgent(shortlistId, agentId, snapshot) {
+        if (await getShortlistUser()) {
+            return window.ReviewsRealty.db.addToShortlist(shortlistId, agentId, snapshot);
+        }
+        const now = new Date().toISOString();
+        updateLocalShortlists(lists => lists.map(list => (list.id !== shortlistId || list.items.some(item => item.agentId === agentId) ? list : {
+            ...list,
+            items: [...list.items, {
+                agentId,
+                addedAt: now,
+                seenReviewCount: snapshot.reviewCount,
+                seenScore: snapshot.score,
+                seenAt: now
+            }]
+        })));
+        return { data: null };
+    },
+
+    async removeAgent(shortlistId, agentId) {
+        if (await getShortlistUser()) {
+            return window.ReviewsRealty.db.removeFromShortlist(shortlistId, agentId);
+        }
+        updateLocalShortlists(lists => lists.map(list => (list.id !== shortlistId ? list : {
+            ...list,
+            items: list.items.filter(item => item.agentId !== agentId)
+        })));
+        return { error: null };
+    },
+
+    async markSeen(shortlistId, agentId, snapshot) {
+        if (await getShortlistUser()) {
+            return window.ReviewsRealty.db.markShortlistItemSeen(shortlistId, agentId, snapshot);
+        }
+        const now = new Date().toISOString();
+        updateLocalShortlists(lists => lists.map(list => (list.id !== shortlistId ? list : {
+            ...list,
+            items: list.items.map(item => (item.agentId !== agentId ? item : {
+                ...item,
+                seenReviewCount: snapshot.reviewCount,
+                seenScore: snapshot.score,
+                seenAt: now
+            }))
+        })));
+        return { data: null };
+    }
+};
+
+/**
+ * Move this device's shortlists into the signed-in account. Call on sign-in;
+ * local lists are only cleared once everything was saved.
+ * @returns {Promise<number>} Number of agencies merged
+ */
+async function syncShortlistsOnSignIn() {
+    const local = getLocalShortlists();
+    if (local.length === 0 || !(await getShortlistUser())) return 0;
+
+    const db = window.ReviewsRealty.db;
+    const { data: rows, error } = await db.getShortlists();
+    if (error) {
+        console.log('Error loading shortlists to merge:', error);
+        return 0;
+    }
+
+    const plan = planShortlistMerge((rows || []).map(fromShortlistRow), local);
+    const snapshotOf = item => ({ reviewCount: item.seenReviewCount, score: item.seenScore, addedAt: item.addedAt });
+    const failures = [];
+    let merged = 0;
+
+    for (const list of plan.create) {
+        const { data, error: createError } = await db.createShortlist(list.name, {
+            alertNewReviews: list.alerts.newReviews,
+            alertScoreChanges: list.alerts.scoreChanges
+        });
+        if (createError) {
+            failures.push(createError);
+            continue;
+        }
+        for (const item of list.items) {
+            const { error: addError } = await db.addToShortlist(data.id, item.agentId, snapshotOf(item));
+            if (addError) failures.push(addError);
+            else merged++;
+        }
+    }
+    for (const { shortlistId, item } of plan.add) {
+        const { error: addError } = await db.addToShortlist(shortlistId, item.agentId, snapshotOf(item));
+        if (addError) failures.push(addError);
+        else merged++;
+    }
+    for (const { shortlistId, alerts } of plan.alerts) {
+        const { error: alertError } = await db.updateShortlist(shortlistId, {
+            alertNewReviews: alerts.newReviews,
+            alertScoreChanges: alerts.scoreChanges
+        });
+        if (alertError) failures.push(alertError);
+    }
+
+    if (failures.length > 0) {
+        console.log('Some shortlists could not be merged, keeping them on this device:', failures);
+    } else {
+        storage.remove(SHORTLIST_STORAGE_KEY);
+    }
+    return merged;
+}
+
+/**
+ * Current review count and AgentScore of an agency (see agentSnapshot)
+ */
+async function loadAgentSnapshot(agent) {
+    let stats = null;
+    if (window.ReviewsRealty) {
+        try {
+            const { data, error } = await window.ReviewsRealty.db.getAgentStats(agent.id);
+            if (!error) stats = data;
+        } catch (err) {
+            console.log('Error loading review stats from Supabase:', err);
+        }
+    }
+    return agentSnapshot(agent, stats, await getPopulationPrior());
+}
+
+// Save modal (profile pages)
+
+/**
+ * Show whether the agency is in any of the user's shortlists
+ */
+async function initShortlistUI(agent) {
+    shortlistAgent = agent;
+    const { data: lists } = await shortlistStore.getAll();
+    const saved = (lists || []).some(list => list.items.some(item => item.agentId === agent.id));
+    const button = document.getElementById('save-agent-btn');
+    button.textContent = saved ? t('♥ Saved') : t('♡ Save to shortlist');
+    button.classList.toggle('text-primary', saved);
+}
+
+function ensureShortlistModal() {
+    if (document.getElementById('shortlist-modal')) return;
+
+    document.body.appendChild(createElement(html`
+        <div id="shortlist-modal" class="fixed inset-0 bg-black/50 z-50 hidden flex items-center justify-center p-4">
+            <div class="bg-white rounded-xl max-w-md w-full p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-xl font-bold text-gray-800">${t('Save to shortlist')}</h3>
+                    <button onclick="closeShortlistModal()" class="text-gray-400 hover:text-gray-600">
+                        <svg class="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+
+                <div id="shortlist-options" class="space-y-2 mb-4"></div>
+
+                <form id="shortlist-create-form" class="flex gap-2">
+                    <input type="text" id="shortlist-name" placeholder="${t('New shortlist name')}" maxlength="60"
+                           class="flex-1 px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary/50">
+                    <button type="submit" class="bg-primary text-white px-4 py-2 rounded-lg hover:bg-secondary transition font-medium">
+                        ${t('Create')}
+                    </button>
+                </form>
+
+                <p id="shortlist-sync-notice" class="hidden text-sm text-gray-500 mt-4">
+                    ${t('Saved on this device. Sign in to keep your shortlists across devices and get email alerts.')}
+                </p>
+                <a href="shortlists.html" class="block text-sm text-primary hover:underline mt-4">${t('View your shortlists →')}</a>
+            </div>
+        </div>
+    `));
+
+    document.getElementById('shortlist-create-form').addEventListener('submit', handleShortlistCreate);
+}
+
+async function openShortlistModal() {
+    ensureShortlistModal();
+    document.getElementById('shortlist-sync-notice').classList.toggle('hidden', Boolean(await getShortlistUser()));
+    await renderShortlistOptions();
+    document.getElementById('shortlist-modal').classList.remove('hidden');
+}
+
+function closeShortlistModal() {
+    document.getElementById('shortlist-modal').classList.add('hidden');
+}
+
+async function renderShortlistOptions() {
+    const { data: lists, error } = await shortlistStore.getAll();
+    const container = document.getElementById('shortlist-options');
+    if (error) {
+        container.innerHTML = html`<p class="text-sm text-red-600">${t('Could not load your shortlists.')}</p>`;
+        return;
+    }
+    if (!lists.length) {
+        container.innerHTML = html`<p class="text-sm text-gray-500">${t('No shortlists yet. Create one below.')}</p>`;
+        return;
+    }
+    container.innerHTML = lists.map(list => html`
+        <label class="flex items-center gap-3 p-2 rounded-lg hover:bg-gray-50 cursor-pointer">
+            <input type="checkbox" class="rounded" data-shortlist-id="${list.id}"
+                   ${list.items.some(item => item.agentId === shortlistAgent.id) ? 'checked' : ''}>
+            <span class="flex-1 text-gray-800">${list.name}</span>
+            <span class="text-sm text-gray-400">${list.items.length}</span>
+        </label>
+    `).join('');
+    container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => toggleShortlistAgent(checkbox.dataset.shortlistId, checkbox.checked));
+    });
+}
+
+async function toggleShortlistAgent(shortlistId, saved) {
+    const { error } = saved
+        ? await shortlistStore.addAgent(shortlistId, shortlistAgent.id, await loadAgentSnapshot(shortlistAgent))
+        : await shortlistStore.removeAgent(shortlistId, shortlistAgent.id);
+    if (error) {
+        showToast(error.message || t('Could not update shortlist'), 'error');
+    }
+    await renderShortlistOptions();
+    await initShortlistUI(shortlistAgent);
+}
+
+async function handleShortlistCreate(event) {
+    event.preventDefault();
+    const input = document.getElementById('shortlist-name');
+    const { data, error } = await shortlistStore.create(input.value);
+    if (error) {
+        showToast(error.message || t('Could not create shortlist'), 'error');
+        return;
+    }
+    input.value = '';
+    await toggleShortlistAgent(data.id, true);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHORTLIST_STORAGE_KEY,
+        SCORE_ALERT_THRESHOLD,
+        fromShortlistRow,
+        agentSnapshot,
+        describeShortlistChanges,
+        planShortlistMerge
+    };
+}
@@ -1,22 +1,29 @@
 // Supabase Configuration for Reviews Realty
+// Loaded as a classic script after js/config.js, which sets the project URL
+// and anon key. Without them (or without supabase-js) window.ReviewsRealty
+// stays unset and the pages run on the static JSON data.
 // Prevent duplicate initialization
 if (typeof window.ReviewsRealty !== 'undefined') {
     console.log('ReviewsRealty already initialized, skipping');
+} else if (!window.SUPABASE_URL || !window.SUPABASE_ANON_KEY || !window.supabase) {
+    console.log('ℹ️ Supabase not configured (js/config.js), using static data');
 } else {
 
-// Load from environment variables (set in .env.local or via build process)
-const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || window.SUPABASE_URL;
-const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || window.SUPABASE_ANON_KEY;
+const SUPABASE_URL = window.SUPABASE_URL;
+const SUPABASE_ANON_KEY = window.SUPABASE_ANON_KEY;
 
 // Initialize Supabase client
 const supabase = window.supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
 // Auth helper functions
 const auth = {
-  // Get current user
+  // Get current user. Offline, the user of the session saved on this device,
+  // so reviews can still be written and queued (see js/offline.js)
   async getUser() {
-    const { data: { user } } = await supabase.auth.getUser();
-    return user;
+    const { data: { user }, error } = await supabase.auth.getUser();
+    if (user || !error || navigator.onLine) return user;
+    const { data: { session } } = await supabase.auth.getSession();
+    return session?.user || null;
   },
 
   // Sign up with email
@@ -38,11 +45,11 @@ const auth = {
   },
 
   // Sign in with magic link
-  async signInWithMagicLink(email) {
+  async signInWithMagicLink(email, { redirectTo = window.location.origin } = {}) {
     const { data, error } = await supabase.auth.signInWithOtp({
       email,
       options: {
-        emailRedirectTo: window.location.origin,
+        emailRedirectTo: redirectTo,
       },
     });
     return { data, error };
@@ -57,28 +64,175 @@ const auth = {
   // Listen to auth changes
   onAuthStateChange(callback) {
     return supabase.auth.onAuthStateChange(callback);
+  },
+
+  // Whether the current user is a moderator. UI hint only: the row-level
+  // security policies on reviews/review_reports enforce the real check.
+  async isAdmin() {
+    const user = await this.getUser();
+    return user?.app_metadata?.role === 'admin';
   }
 };
 
+// Sort options for agent listings: column, direction
+// `agent_score` is written by js/import-agents.js on every import, from
+// js/score.js with the published first-party reviews, so it matches the
+// scores the pages show (see db.getFirstPartyStats).
+const AGENT_SORTS = {
+  score: { column: 'agent_score', ascending: false },
+  rating: { column: 'google_rating', ascending: false },
+  listings: { column: 'listing_count', ascending: false },
+  reviews: { column: 'google_reviews_count', ascending: false },
+  name: { column: 'name', ascending: true },
+};
+
+// Opaque keyset cursor: last row's sort value + id, and the first page's
+// total so later pages report the same count
+function encodeCursor(value, id, total) {
+  return btoa(encodeURIComponent(JSON.stringify({ v: value, id, total })));
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(decodeURIComponent(atob(cursor)));
+  } catch {
+    return null;
+  }
+}
+
+// Quote a value for use inside a PostgREST or() filter
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// The columns of a review a client sends, from db.createReview/updateReview
+// arguments
+function reviewFields({ rating, title, content, subRatings, transactionType, propertyArea }) {
+  return {
+    rating,
+    title,
+    content,
+    search_text: normalizeSearchText(`${title || ''} ${content || ''}`),
+    sub_ratings: cleanSubRatings(subRatings),
+    transaction_type: transactionType || null,
+    property_area: propertyArea.trim() || null,
+  };
+}
+
+// Rows per search_agents call; the function returns at most this many
+const SEARCH_PAGE_SIZE = 1000;
+
+// Ids of every agency matching a search, from search_agents one page at a
+// time (see the search migration)
+async function searchAgentIds(search) {
+  const ids = [];
+  for (let offset = 0; ; offset += SEARCH_PAGE_SIZE) {
+    const { data: hits, error } = await supabase.rpc('search_agents', {
+      search_query: normalizeSearchText(search),
+      max_results: SEARCH_PAGE_SIZE,
+      result_offset: offset,
+    });
+    if (error) return { ids: null, error };
+    ids.push(...hits.map(hit => hit.agent_id));
+    if (hits.length < SEARCH_PAGE_SIZE) return { ids, error: null };
+  }
+}
+
+// PostgREST's answer for a database function the project does not have
+function isMissingFunction(error) {
+  return error?.code === 'PGRST202';
+}
+
+// `projects` row to the project model in js/projects.js
+function fromProjectRow(row) {
+  return {
+    id: row.id,
+    developerId: row.developer_id,
+    name: row.name,
+    location: row.location,
+    status: row.status,
+    launchDate: row.launch_date,
+    plannedCompletion: row.planned_completion,
+    completionDate: row.completion_date,
+    unitTypes: row.unit_types || [],
+    priceBands: row.price_bands || [],
+  };
+}
+
 // Database helper functions
 const db = {
-  // Get all agents
-  async getAgents({ location, search, limit = 50, offset = 0 } = {}) {
+  // Get agents with filters, stable sort and cursor pagination.
+  // Returns { data, count, nextCursor, error }. `offset` is kept for
+  // callers that still page by position; prefer `cursor`. Filtering by
+  // location happens in the browser (servesArea in js/geo.js), like the
+  // static data, so there is no location parameter here.
+  async getAgents({
+    search,
+    minRating,
+    type,
+    services,
+    tags,
+    sort = 'listings',
+    cursor,
+    limit = 50,
+    offset = 0,
+  } = {}) {
+    const { column, ascending } = AGENT_SORTS[sort] || AGENT_SORTS.listings;
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    // Counted on the first page only: past it the keyset filter below
+    // would leave out the rows already shown
     let query = supabase
       .from('agents')
-      .select('*')
-      .order('listing_count', { ascending: false })
-      .range(offset, offset + limit - 1);
+      .select('*', after ? {} : { count: 'exact' })
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending: true });
 
-    if (location) {
-      query = query.eq('location', location);
-    }
     if (search) {
-      query = query.ilike('name', `%${search}%`);
+      // Fuzzy match on names, descriptions, projects and published review
+      // text. Both sides use the search keys from search.js, so Greek,
+      // Russian and misspelled queries match like the static index.
+      const { ids, error: searchError } = await searchAgentIds(search);
+      if (searchError) return { data: null, count: 0, nextCursor: null, error: searchError };
+      query = query.in('id', ids);
+    }
+    if (minRating) {
+      query = query.gte('google_rating', minRating);
+    }
+    if (type) {
+      query = query.eq('type', type);
+    }
+    if (services && services.length) {
+      query = query.contains('services', services);
+    }
+    if (tags && tags.length) {
+      query = query.contains('tags', tags);
     }
 
-    const { data, error } = await query;
-    return { data, error };
+    // One row past the page tells whether there is a next one
+    if (after) {
+      const id = quoteFilterValue(after.id);
+      if (after.v === null) {
+        // Already in the trailing block of NULL sort values
+        query = query.or(`and(${column}.is.null,id.gt.${id})`);
+      } else {
+        const v = quoteFilterValue(after.v);
+        const op = ascending ? 'gt' : 'lt';
+        query = query.or(`${column}.${op}.${v},and(${column}.eq.${v},id.gt.${id}),${column}.is.null`);
+      }
+      query = query.limit(limit + 1);
+    } else {
+      query = query.range(offset, offset + limit);
+    }
+
+    const { data: rows, count: firstCount, error } = await query;
+    if (error) return { data: rows, count: firstCount, nextCursor: null, error };
+
+    const count = after ? after.total ?? null : firstCount;
+    const data = rows.slice(0, limit);
+    const last = rows.length > limit ? data[data.length - 1] : null;
+    const nextCursor = last ? encodeCursor(last[column] ?? null, last.id, count) : null;
+    return { data, count, nextCursor, error };
   },
 
   // Get single agent
@@ -91,82 +245,859 @@ const db = {
     return { data, error };
   },
 
-  // Get reviews for an agent
-  async getReviews(agentId) {
-    const { data, error } = await supabase
+  // Get published reviews for an agent, newest first; only those of one of
+  // its projects when `projectId` is given
+  async getReviews(agentId, { limit, projectId } = {}) {
+    let query = supabase
       .from('reviews')
-      .select('*')
+      .select('*, response:review_responses(id, content, created_at, updated_at)')
       .eq('agent_id', agentId)
+      .eq('status', REVIEW_STATUS.PUBLISHED)
       .order('created_at', { ascending: false });
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+    const { data, error } = await query;
     return { data, error };
   },
 
-  // Create a review
-  async createReview({ agentId, rating, title, content }) {
+  // Gather what the pre-screening rules need: the author's recent reviews
+  // and the latest review texts for the same agent
+  async getScreeningContext({ agentId, userId, excludeId = null }) {
+    const since = new Date(Date.now() - MODERATION_CONFIG.burstWindowHours * 60 * 60 * 1000);
+
+    let byUser = supabase
+      .from('reviews')
+      .select('id, created_at')
+      .eq('user_id', userId)
+      .gte('created_at', since.toISOString());
+    let byAgent = supabase
+      .from('reviews')
+      .select('id, content')
+      .eq('agent_id', agentId)
+      .order('created_at', { ascending: false })
+      .limit(200);
+    if (excludeId) {
+      byUser = byUser.neq('id', excludeId);
+      byAgent = byAgent.neq('id', excludeId);
+    }
+
+    const [userResult, agentResult] = await Promise.all([byUser, byAgent]);
+    return {
+      recentByUser: userResult.data || [],
+      existingTexts: (agentResult.data || []).map(r => r.content),
+    };
+  },
+
+  // Create a review through the `submit_review` database function
+  // (supabase/migrations), which runs the pre-screening rules of
+  // js/moderation.js on the server and sets `status` and `moderation_flags`
+  // itself: clean reviews publish immediately, flagged ones are held as
+  // pending for the moderation queue. Projects that have not applied the
+  // migration yet are screened here instead. Sub-ratings, transaction type
+  // and property area are optional, as is proof of transaction: an agency
+  // invite token marks the review verified, an uploaded document waits for
+  // a moderator. A `projectId` makes it a review of one of the developer's
+  // projects (see js/projects.js).
+  async createReview({
+    agentId,
+    projectId = null,
+    rating,
+    title,
+    content,
+    subRatings = {},
+    transactionType = null,
+    propertyArea = '',
+    inviteToken = null,
+    proofFile = null,
+  }) {
     const user = await auth.getUser();
     if (!user) {
       return { error: { message: 'Must be logged in to create a review' } };
     }
+    if (transactionType && !TRANSACTION_TYPES[transactionType]) {
+      return { error: { message: 'Unknown transaction type' } };
+    }
+
+    let proofPath = null;
+    if (proofFile && !inviteToken) {
+      const { data: proof, error: uploadError } = await this.uploadTransactionProof(proofFile);
+      if (uploadError) return { error: uploadError };
+      proofPath = proof.path;
+    }
+
+    const fields = reviewFields({ rating, title, content, subRatings, transactionType, propertyArea });
+    let { data, error } = await supabase.rpc('submit_review', {
+      agent_id: agentId,
+      project_id: projectId,
+      ...fields,
+      proof_path: proofPath,
+    });
+    if (isMissingFunction(error)) {
+      const context = await this.getScreeningContext({ agentId, userId: user.id });
+      const { status, flags } = screenReview({ title, content }, context);
+      ({ data, error } = await supabase
+        .from('reviews')
+        .insert({
+          agent_id: agentId,
+          project_id: projectId,
+          user_id: user.id,
+          ...fields,
+          proof_path: proofPath,
+          verification_status: proofPath ? VERIFICATION_STATUS.PROOF_PENDING : null,
+          status,
+          moderation_flags: flags,
+        })
+        .select()
+        .single());
+    }
+    if (error || !inviteToken) return { data, error };
+
+    // Single-use; the function checks the invite belongs to this agency
+    const { data: verified, error: inviteError } = await supabase.rpc('redeem_review_invite', {
+      invite_token: inviteToken,
+      review_id: data.id,
+    });
+    if (inviteError) return { data, error: inviteError };
+    return { data: { ...data, verification_status: verified ? VERIFICATION_STATUS.VERIFIED : null } };
+  },
+
+  // Upload a (redacted) contract or receipt to the private proofs bucket
+  async uploadTransactionProof(file) {
+    const user = await auth.getUser();
+    if (!user) {
+      return { error: { message: 'Must be logged in to upload a proof' } };
+    }
+
+    const path = `${user.id}/${Date.now()}-${file.name.replace(/[^\w.-]/g, '_')}`;
+    const { error } = await supabase.storage
+      .from('transaction-proofs')
+      .upload(path, file, { contentType: file.type });
+    if (error) return { error };
+    return { data: { path } };
+  },
+
+  // Update a review through `update_review`, which re-screens it on the
+  // server, so edits can send it back to the queue (screened here without
+  // the migration, like createReview)
+  async updateReview(reviewId, { rating, title, content, subRatings = {}, transactionType = null, propertyArea = '' }) {
+    const user = await auth.getUser();
+    if (!user) {
+      return { error: { message: 'Must be logged in to update a review' } };
+    }
+    if (transactionType && !TRANSACTION_TYPES[transactionType]) {
+      return { error: { message: 'Unknown transaction type' } };
+    }
+
+    const fields = reviewFields({ rating, title, content, subRatings, transactionType, propertyArea });
+    const { data, error } = await supabase.rpc('update_review', { review_id: reviewId, ...fields });
+    if (!isMissingFunction(error)) return { data, error };
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('reviews')
+      .select('agent_id')
+      .eq('id', reviewId)
+      .single();
+    if (fetchError) return { error: fetchError };
+
+    const context = await this.getScreeningContext({
+      agentId: existing.agent_id,
+      userId: user.id,
+      excludeId: reviewId,
+    });
+    const { status, flags } = screenReview({ title, content }, context);
+    return supabase
+      .from('reviews')
+      .update({ ...fields, status, moderation_flags: flags, updated_at: new Date().toISOString() })
+      .eq('id', reviewId)
+      .eq('user_id', user.id)
+      .select()
+      .single();
+  },
+
+  // Report a review for moderator attention
+  async reportReview({ reviewId, reason, details = '' }) {
+    if (!REPORT_REASONS[reason]) {
+      return { error: { message: 'Please choose a reason for reporting this review' } };
+    }
+
+    // Not read back: only moderators may read reports
+    const user = await auth.getUser();
+    const { error } = await supabase
+      .from('review_reports')
+      .insert({
+        review_id: reviewId,
+        reporter_id: user ? user.id : null,
+        reason,
+        details,
+      });
+    return { error };
+  },
+
+  // Post or edit the agency's public reply to a review (one per review).
+  // Only verified owners of the reviewed agency may reply; the reviewer is
+  // notified by the `review-response-notification` edge function.
+  async respondToReview(reviewId, content) {
+    const user = await auth.getUser();
+    if (!user) {
+      return { error: { message: 'Must be logged in to reply to a review' } };
+    }
+
+    const text = String(content || '').trim();
+    if (!text) {
+      return { error: { message: 'Reply cannot be empty' } };
+    }
+
+    const { data: review, error: fetchError } = await supabase
+      .from('reviews')
+      .select('agent_id')
+      .eq('id', reviewId)
+      .single();
+    if (fetchError) return { error: fetchError };
+
+    if (!(await claims.isOwner(review.agent_id))) {
+      return { error: { message: 'Only the verified owner of this agency can reply' } };
+    }
+
+    const { data: existing } = await supabase
+      .from('review_responses')
+      .select('id')
+      .eq('review_id', reviewId)
+      .maybeSingle();
 
     const { data, error } = await supabase
+      .from('review_responses')
+      .upsert({
+        review_id: reviewId,
+        agent_id: review.agent_id,
+        owner_id: user.id,
+        content: text,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'review_id' })
+      .select()
+      .single();
+    if (error) return { error };
+
+    // A failed notification shouldn't undo a posted reply
+    const { error: notifyError } = await supabase.functions.invoke('review-response-notification', {
+      body: { responseId: data.id, edited: Boolean(existing) },
+    });
+    if (notifyError) {
+      console.log('Error notifying reviewer:', notifyError);
+    }
+    return { data, error: null };
+  },
+
+  // Delete a review
+  async deleteReview(reviewId) {
+    const { error } = await supabase
       .from('reviews')
+      .delete()
+      .eq('id', reviewId);
+    return { error };
+  },
+
+  // Shortlists of the current user with their saved agencies. Each item keeps
+  // the review count and AgentScore from when the user last looked; the
+  // scheduled `shortlist-alerts` edge function emails changes for lists with
+  // alerts switched on.
+  async getShortlists() {
+    const user = await auth.getUser();
+    if (!user) return { data: [] };
+
+    const { data, error } = await supabase
+      .from('shortlists')
+      .select('id, name, alert_new_reviews, alert_score_changes, created_at, items:shortlist_items(agent_id, added_at, seen_review_count, seen_score, seen_at)')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+    return { data, error };
+  },
+
+  async createShortlist(name, { alertNewReviews = false, alertScoreChanges = false } = {}) {
+    const user = await auth.getUser();
+    if (!user) {
+      return { error: { message: 'Must be logged in to save shortlists' } };
+    }
+
+    const { data, error } = await supabase
+      .from('shortlists')
       .insert({
-        agent_id: agentId,
         user_id: user.id,
-        rating,
-        title,
-        content,
+        name: String(name || '').trim(),
+        alert_new_reviews: alertNewReviews,
+        alert_score_changes: alertScoreChanges,
       })
       .select()
       .single();
     return { data, error };
   },
 
-  // Update a review
-  async updateReview(reviewId, { rating, title, content }) {
+  // Rename a shortlist and/or change its alert settings
+  async updateShortlist(shortlistId, { name, alertNewReviews, alertScoreChanges } = {}) {
+    const update = {};
+    if (name !== undefined) update.name = String(name).trim();
+    if (alertNewReviews !== undefined) update.alert_new_reviews = alertNewReviews;
+    if (alertScoreChanges !== undefined) update.alert_score_changes = alertScoreChanges;
+
     const { data, error } = await supabase
-      .from('reviews')
-      .update({ rating, title, content, updated_at: new Date().toISOString() })
-      .eq('id', reviewId)
+      .from('shortlists')
+      .update(update)
+      .eq('id', shortlistId)
       .select()
       .single();
     return { data, error };
   },
 
-  // Delete a review
-  async deleteReview(reviewId) {
+  async deleteShortlist(shortlistId) {
     const { error } = await supabase
-      .from('reviews')
+      .from('shortlists')
       .delete()
-      .eq('id', reviewId);
+      .eq('id', shortlistId);
+    return { error };
+  },
+
+  // Save an agency to a shortlist with its current review count and score
+  async addToShortlist(shortlistId, agentId, { reviewCount = null, score = null, addedAt } = {}) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('shortlist_items')
+      .upsert({
+        shortlist_id: shortlistId,
+        agent_id: agentId,
+        added_at: addedAt || now,
+        seen_review_count: reviewCount,
+        seen_score: score,
+        seen_at: now,
+      }, { onConflict: 'shortlist_id,agent_id' })
+      .select()
+      .single();
+    return { data, error };
+  },
+
+  async removeFromShortlist(shortlistId, agentId) {
+    const { error } = await supabase
+      .from('shortlist_items')
+      .delete()
+      .eq('shortlist_id', shortlistId)
+      .eq('agent_id', agentId);
     return { error };
   },
 
-  // Get agent stats (average rating, review count)
+  // Record that the user has seen an agency's current review count and score
+  async markShortlistItemSeen(shortlistId, agentId, { reviewCount = null, score = null } = {}) {
+    const { data, error } = await supabase
+      .from('shortlist_items')
+      .update({
+        seen_review_count: reviewCount,
+        seen_score: score,
+        seen_at: new Date().toISOString(),
+      })
+      .eq('shortlist_id', shortlistId)
+      .eq('agent_id', agentId)
+      .select()
+      .single();
+    return { data, error };
+  },
+
+  // Get agent stats from published reviews (average rating with verified
+  // clients weighted higher, review counts, latest review date, per-dimension
+  // averages and transaction-type counts)
   async getAgentStats(agentId) {
     const { data, error } = await supabase
       .from('reviews')
-      .select('rating')
-      .eq('agent_id', agentId);
+      .select('rating, created_at, sub_ratings, transaction_type, verification_status')
+      .eq('agent_id', agentId)
+      .eq('status', REVIEW_STATUS.PUBLISHED);
 
     if (error) return { error };
 
+    const reviews = data.map(r => ({
+      rating: r.rating,
+      subRatings: r.sub_ratings,
+      transactionType: r.transaction_type,
+      verificationStatus: r.verification_status,
+    }));
     const count = data.length;
-    const average = count > 0 
-      ? data.reduce((sum, r) => sum + r.rating, 0) / count 
-      : 0;
+    const lastReviewAt = data.reduce(
+      (latest, r) => (!latest || r.created_at > latest ? r.created_at : latest),
+      null
+    );
+    const { dimensions, transactionTypes } = aggregateReviewDimensions(reviews);
 
     return { 
       data: { 
         reviewCount: count, 
-        averageRating: Math.round(average * 10) / 10 
-      } 
+        verifiedCount: reviews.filter(r => r.verificationStatus === VERIFICATION_STATUS.VERIFIED).length,
+        averageRating: weightedAverageRating(reviews),
+        lastReviewAt,
+        dimensions,
+        transactionTypes
+      }
+    };
+  },
+
+  // First-party stats of every agent with published reviews, by agent id
+  // (see firstPartyStatsByAgent in js/reviews.js), for scoring whole lists
+  // the way the profile pages score one agent with getAgentStats
+  async getFirstPartyStats({ pageSize = 1000 } = {}) {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from('reviews')
+        .select('agent_id, rating, created_at, verification_status')
+        .eq('status', REVIEW_STATUS.PUBLISHED)
+        .order('id')
+        .range(from, from + pageSize - 1);
+      if (error) return { error };
+      rows.push(...data);
+      if (data.length < pageSize) break;
+    }
+    return { data: firstPartyStatsByAgent(rows) };
+  },
+
+  // Mean Google rating of every agent, weighted by review count
+  // (populationPrior in js/score.js): the prior for scoring one agent or one
+  // page of them the same way as the whole directory
+  async getPopulationPrior({ pageSize = 1000 } = {}) {
+    const agents = [];
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from('agents')
+        .select('google_rating, google_reviews_count')
+        .not('google_rating', 'is', null)
+        .order('id')
+        .range(from, from + pageSize - 1);
+      if (error) return { error };
+      agents.push(...data.map(row => ({ rating: Number(row.google_rating), reviewCount: row.google_reviews_count })));
+      if (data.length < pageSize) break;
+    }
+    return { data: populationPrior(agents) };
+  },
+
+  // Store a batch of analytics events (see js/analytics.js). Anyone may
+  // insert; row-level security limits reading to the agency's owners and
+  // admins. `agent_id` is copied out of the properties for the stats page.
+  async recordEvents(events) {
+    const { error } = await supabase
+      .from('analytics_events')
+      .insert(events.map(event => ({
+        name: event.name,
+        agent_id: event.props.agentId || null,
+        props: event.props,
+        path: event.path,
+        locale: event.locale,
+        occurred_at: event.occurredAt,
+      })));
+    return { error };
+  },
+
+  // Analytics events for an agency since a date, in the shape recordEvents took
+  async getAgentEvents(agentId, { since }) {
+    const { data, error } = await supabase
+      .from('analytics_events')
+      .select('name, props, path, locale, occurred_at')
+      .eq('agent_id', agentId)
+      .gte('occurred_at', since.toISOString())
+      .order('occurred_at', { ascending: true });
+
+    if (error) return { error };
+    return {
+      data: data.map(row => ({
+        name: row.name,
+        props: row.props,
+        path: row.path,
+        locale: row.locale,
+        occurredAt: row.occurred_at,
+      })),
+    };
+  },
+
+  // Daily metric snapshots (see js/trends.js), oldest first; all agencies
+  // unless `agentId` is given
+  async getAgentSnapshots({ agentId = null, since = null } = {}) {
+    let query = supabase
+      .from('agent_snapshots')
+      .select('agent_id, captured_on, listing_count, google_rating, google_reviews_count')
+      .order('captured_on', { ascending: true });
+    if (agentId) query = query.eq('agent_id', agentId);
+    if (since) query = query.gte('captured_on', since.toISOString().slice(0, 10));
+
+    const { data, error } = await query;
+    if (error) return { error };
+    return {
+      data: data.map(row => ({
+        agentId: row.agent_id,
+        date: row.captured_on,
+        ads: row.listing_count || 0,
+        rating: row.google_rating,
+        reviewCount: row.google_reviews_count || 0,
+      })),
     };
+  },
+
+  // A developer's projects (see js/projects.js), by name; all projects
+  // unless `developerId` is given
+  async getProjects({ developerId = null } = {}) {
+    let query = supabase
+      .from('projects')
+      .select('*')
+      .order('name', { ascending: true });
+    if (developerId) query = query.eq('developer_id', developerId);
+
+    const { data, error } = await query;
+    if (error) return { error };
+    return { data: data.map(fromProjectRow) };
+  },
+
+  async getProject(id) {
+    const { data, error } = await supabase
+      .from('projects')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) return { error };
+    return { data: data ? fromProjectRow(data) : null };
+  },
+
+  // Send an enquiry to an agency (see js/leads.js). `submit_lead` works out
+  // the contact keys itself (as leadContactKeys does) and adds the enquiry
+  // to an earlier lead for the same agency when one of them matches within
+  // LEAD_DEDUPE_DAYS, otherwise it creates a lead. New leads are routed
+  // to the owners by the `lead-notification` edge function (email and/or
+  // webhook, from `lead_routing`).
+  async createLead(lead) {
+    const { data, error } = await supabase.rpc('submit_lead', {
+      agent_id: lead.agentId,
+      name: lead.name,
+      email: lead.email || null,
+      phone: lead.phone || null,
+      budget: lead.budget,
+      property_type: lead.propertyType,
+      area: lead.area || null,
+      message: lead.message,
+      dedupe_days: LEAD_DEDUPE_DAYS,
+    });
+    if (error) return { error };
+
+    const result = { leadId: data.lead_id, duplicate: data.duplicate };
+    if (!result.duplicate) {
+      const { error: notifyError } = await supabase.functions.invoke('lead-notification', {
+        body: { leadId: result.leadId },
+      });
+      // The lead is stored and shows in the owner's inbox either way
+      if (notifyError) console.warn('⚠️ Lead notification failed:', notifyError.message);
+    }
+    return { data: result };
+  }
+};
+
+// Moderation helpers (admin queue in moderation.html)
+const moderation = {
+  // Pending reviews, reviews with a transaction proof to check and any
+  // review with open reports, oldest first
+  async getQueue() {
+    const [pending, proofs, reported] = await Promise.all([
+      supabase
+        .from('reviews')
+        .select('*, review_reports(*)')
+        .eq('status', REVIEW_STATUS.PENDING)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('reviews')
+        .select('*, review_reports(*)')
+        .eq('verification_status', VERIFICATION_STATUS.PROOF_PENDING)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('review_reports')
+        .select('*, reviews(*)')
+        .is('resolved_at', null)
+        .order('created_at', { ascending: true }),
+    ]);
+
+    const error = pending.error || proofs.error || reported.error;
+    if (error) return { error };
+
+    const queue = new Map();
+    [...(pending.data || []), ...(proofs.data || [])].forEach(review => {
+      queue.set(review.id, { review, reports: (review.review_reports || []).filter(r => !r.resolved_at) });
+    });
+    (reported.data || []).forEach(report => {
+      if (!report.reviews) return;
+      const entry = queue.get(report.review_id) || { review: report.reviews, reports: [] };
+      if (!entry.reports.some(r => r.id === report.id)) entry.reports.push(report);
+      queue.set(report.review_id, entry);
+    });
+
+    return { data: [...queue.values()] };
+  },
+
+  // Publish or reject a review and close its open reports, through the
+  // `moderate_review` function (moderators only; clients cannot update
+  // `reviews` themselves)
+  async setReviewStatus(reviewId, status, note = '') {
+    if (!Object.values(REVIEW_STATUS).includes(status)) {
+      return { error: { message: `Unknown review status: ${status}` } };
+    }
+
+    const { data, error } = await supabase.rpc('moderate_review', {
+      review_id: reviewId,
+      status,
+      note,
+    });
+    return { data, error };
+  },
+
+  // Accept or reject a review's transaction proof (`set_review_verification`)
+  async setVerification(reviewId, verified) {
+    const { data, error } = await supabase.rpc('set_review_verification', {
+      review_id: reviewId,
+      verified,
+    });
+    return { data, error };
+  },
+
+  // Short-lived link to a private transaction proof
+  async getProofUrl(path) {
+    const { data, error } = await supabase.storage
+      .from('transaction-proofs')
+      .createSignedUrl(path, 300);
+    return { data: data ? { url: data.signedUrl } : null, error };
+  },
+
+  // Close open reports on a review without changing the review
+  async resolveReports(reviewId, resolution = 'dismissed') {
+    const { error } = await supabase
+      .from('review_reports')
+      .update({ resolved_at: new Date().toISOString(), resolution })
+      .eq('review_id', reviewId)
+      .is('resolved_at', null);
+    return { error };
+  }
+};
+
+// Profile fields a verified owner may edit, mapped to `agents` columns
+const OWNER_EDITABLE_FIELDS = {
+  description: 'description',
+  phone: 'phone',
+  logoUrl: 'logo_url',
+  services: 'services',
+  specialties: 'specialties',
+};
+
+// Agency claim helpers (verified business accounts).
+// The verification code is generated and emailed by the `claim-verification`
+// edge function; `verify_agency_claim` checks it and grants the owner role.
+const claims = {
+  // Start a claim for an agency using an address at its email/website domain
+  async requestClaim({ agentId, email }) {
+    const user = await auth.getUser();
+    if (!user) {
+      return { error: { message: 'Must be logged in to claim a profile' } };
+    }
+
+    const { data, error } = await supabase
+      .from('agency_claims')
+      .insert({
+        agent_id: agentId,
+        user_id: user.id,
+        email,
+        status: 'pending',
+      })
+      .select('id, agent_id, email, status, created_at')
+      .single();
+    if (error) return { error };
+
+    const { error: sendError } = await supabase.functions.invoke('claim-verification', {
+      body: { claimId: data.id },
+    });
+    return { data, error: sendError };
+  },
+
+  // Send the verification code again
+  async resendCode(claimId) {
+    const { error } = await supabase.functions.invoke('claim-verification', {
+      body: { claimId },
+    });
+    return { error };
+  },
+
+  // Check the code; on success the user becomes an owner of the agency
+  async verifyClaim({ claimId, code }) {
+    const { data, error } = await supabase.rpc('verify_agency_claim', {
+      claim_id: claimId,
+      code: String(code).trim(),
+    });
+    if (!error && data === false) {
+      return { data, error: { message: 'That code did not work' } };
+    }
+    return { data, error };
+  },
+
+  // Agencies the current user owns
+  async getOwnedAgents() {
+    const user = await auth.getUser();
+    if (!user) return { data: [] };
+
+    const { data, error } = await supabase
+      .from('agency_owners')
+      .select('agent_id, verified_at')
+      .eq('user_id', user.id);
+    return { data, error };
+  },
+
+  // Whether the current user owns an agency
+  async isOwner(agentId) {
+    const { data } = await this.getOwnedAgents();
+    return (data || []).some(row => row.agent_id === agentId);
+  },
+
+  // Update owner-editable fields; each one is recorded as agency-submitted
+  async updateAgentProfile(agentId, fields) {
+    const { data: current, error: fetchError } = await supabase
+      .from('agents')
+      .select('*')
+      .eq('id', agentId)
+      .single();
+    if (fetchError) return { error: fetchError };
+
+    const now = new Date().toISOString();
+    const update = {};
+    const provenance = { ...(current.provenance || {}) };
+    Object.entries(fields).forEach(([field, value]) => {
+      const column = OWNER_EDITABLE_FIELDS[field];
+      if (!column) return;
+      update[column] = value;
+      provenance[field] = { source: 'agency', verified_at: now };
+    });
+    update.provenance = provenance;
+    update.search_text = agentSearchText(normalizeAgent({ ...current, ...update }, 'supabase'));
+
+    const { data, error } = await supabase
+      .from('agents')
+      .update(update)
+      .eq('id', agentId)
+      .select()
+      .single();
+    return { data, error };
+  },
+
+  // Create a single-use invite link an owner can send to a client; reviews
+  // written through it are marked "Verified client"
+  async createReviewInvite(agentId, { expiresInDays = 30 } = {}) {
+    const user = await auth.getUser();
+    if (!user) {
+      return { error: { message: 'Must be logged in to invite clients' } };
+    }
+    if (!(await this.isOwner(agentId))) {
+      return { error: { message: 'Only the verified owner of this agency can invite clients' } };
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(18));
+    const token = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+    const { data, error } = await supabase
+      .from('review_invites')
+      .insert({
+        agent_id: agentId,
+        owner_id: user.id,
+        token,
+        expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+      })
+      .select()
+      .single();
+    if (error) return { error };
+    return { data: { ...data, token } };
+  },
+
+  // Look up an invite so the review form can tell the client who invited
+  // them; only owners can read the invites table itself
+  async getReviewInvite(token) {
+    const { data, error } = await supabase
+      .rpc('get_review_invite', { invite_token: token })
+      .maybeSingle();
+    return { data, error };
+  },
+
+  // Upload a logo to storage and return its public URL
+  async uploadLogo(agentId, file) {
+    const path = `${agentId}/${Date.now()}-${file.name.replace(/[^\w.-]/g, '_')}`;
+    const { error } = await supabase.storage
+      .from('agency-logos')
+      .upload(path, file, { upsert: true, contentType: file.type });
+    if (error) return { error };
+
+    const { data } = supabase.storage.from('agency-logos').getPublicUrl(path);
+    return { data: { url: data.publicUrl } };
+  },
+
+  // Leads for agencies the current user owns, most recent enquiry first.
+  // Row-level security limits `leads` to the agency's owners.
+  async getLeads(agentIds, { status } = {}) {
+    if (agentIds.length === 0) return { data: [] };
+
+    let query = supabase
+      .from('leads')
+      .select('*')
+      .in('agent_id', agentIds)
+      .order('last_enquiry_at', { ascending: false });
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) return { error };
+    return { data: data.map(fromLeadRow) };
+  },
+
+  // Move a lead through LEAD_STATUS, with an optional private note
+  async updateLeadStatus(leadId, status, note) {
+    if (!Object.values(LEAD_STATUS).includes(status)) {
+      return { error: { message: `Unknown lead status: ${status}` } };
+    }
+
+    const update = { status, status_updated_at: new Date().toISOString() };
+    if (note !== undefined) update.status_note = note;
+    const { data, error } = await supabase
+      .from('leads')
+      .update(update)
+      .eq('id', leadId)
+      .select()
+      .single();
+    if (error) return { error };
+    return { data: fromLeadRow(data) };
+  },
+
+  // Where new leads for an agency are sent
+  async getLeadRouting(agentId) {
+    const { data, error } = await supabase
+      .from('lead_routing')
+      .select('email, webhook_url')
+      .eq('agent_id', agentId)
+      .maybeSingle();
+    if (error) return { error };
+    return { data: { email: data?.email || '', webhookUrl: data?.webhook_url || '' } };
+  },
+
+  // Set the notification email and/or webhook for an agency's leads
+  async updateLeadRouting(agentId, { email, webhookUrl }) {
+    if (webhookUrl && !/^https:\/\//i.test(webhookUrl)) {
+      return { error: { message: 'Webhook URL must start with https://' } };
+    }
+
+    const { error } = await supabase
+      .from('lead_routing')
+      .upsert({
+        agent_id: agentId,
+        email: email || null,
+        webhook_url: webhookUrl || null,
+        updated_at: new Date().toISOString(),
+      });
+    return { error };
   }
 };
 
 // Export for use in other scripts
-window.ReviewsRealty = { supabase, auth, db };
+window.ReviewsRealty = { supabase, auth, db, moderation, claims };
 // Legacy alias for backwards compatibility
 window.AgentScore = window.ReviewsRealty;
 
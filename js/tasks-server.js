@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Local API for the Mission Control board
+ *
+ * Serves the board's own files (SERVED_FILES), so it is at
+ * http://localhost:8788/mission-control.html, plus:
+ *   GET  /api/tasks          the board (the --file, also at /tasks.json)
+ *   POST /api/tasks/changes  JSON body { change }, applied with
+ *                            applyTaskChange() (see js/tasks.js); returns the
+ *                            new board
+ *
+ * Changes are applied one at a time and the file is validated before it is
+ * written, so a bad edit is answered with 400 and never reaches disk. The
+ * server refuses to start on an invalid file.
+ *
+ * It only listens on 127.0.0.1, and changes are only taken as
+ * application/json from the board's own origin: a text/plain form or fetch
+ * from another website (which needs no CORS preflight) gets 415 or 403.
+ *
+ * Usage:
+ *   node js/tasks-server.js [--port 8788] [--file tasks.json]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { validateTaskBoard, applyTaskChange } = require('./tasks.js');
+
+const ROOT = path.join(__dirname, '..');
+const HOST = '127.0.0.1';
+
+// What the board needs; nothing else under the repo (.git, .env*) is served.
+// tasks.json is the board being edited, wherever --file points.
+const SERVED_FILES = ['mission-control.html', 'favicon.ico', 'favicon.svg'];
+const SERVED_DIRS = ['js'];
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png'
+};
+
+/**
+ * Read and validate a tasks file
+ * @throws {Error} Listing every problem found
+ */
+function readBoard(file) {
+    const board = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateTaskBoard(board);
+    if (errors.length > 0) throw new Error(`${file} is not valid:\n  ${errors.join('\n  ')}`);
+    return board;
+}
+
+// Write through a temporary file so a crash never leaves half a board
+function writeBoard(file, board) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(board, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Create the server (not yet listening)
+ * @param {Object} options - { file }
+ * @returns {http.Server}
+ */
+function createTasksServer({ file }) {
+    let board = readBoard(file);
+
+    return http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+            res.end(req.method === 'HEAD' || body === undefined ? '' : JSON.stringify(body));
+        };
+
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname === '/api/tasks' || url.pathname === '/tasks.json') {
+                if (req.method !== 'GET' && req.method !== 'HEAD') return send(405, { message: `Method ${req.method} not supported` });
+                return send(200, board);
+            }
+
+            if (url.pathname === '/api/tasks/changes') {
+                if (req.method !== 'POST') return send(405, { message: `Method ${req.method} not supported` });
+                if (!isSameOrigin(req)) return send(403, { message: 'Changes are only accepted from the board itself' });
+                if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+                    return send(415, { message: 'Content-Type must be application/json' });
+                }
+                const { change } = JSON.parse(await readBody(req));
+                if (!change || typeof change !== 'object') return send(400, { message: 'Body should be { change: {...} }' });
+
+                const next = applyTaskChange(board, change);
+                const errors = validateTaskBoard(next);
+                if (errors.length > 0) return send(400, { message: errors.join('; ') });
+                if (next !== board) {
+                    writeBoard(file, next);
+                    board = next;
+                }
+                return send(200, board);
+            }
+
+            return serveFile(url.pathname, req, res);
+        } catch (err) {
+            return send(400, { message: err.message });
+        }
+    });
+}
+
+/**
+ * Whether a request comes from a page served by this server: a local Host,
+ * and an Origin (when the client sends one) naming that same host
+ */
+function isSameOrigin(req) {
+    const host = req.headers.host || '';
+    if (!LOCAL_HOSTNAMES.includes(host.replace(/:\d+$/, ''))) return false;
+    const origin = req.headers.origin;
+    if (origin === undefined) return true;
+    try {
+        return new URL(origin).host === host;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Whether a path relative to ROOT is one of the board's files
+ */
+function isServedPath(relative) {
+    const parts = relative.split(/[/\\]/);
+    if (parts.some(part => part.startsWith('.'))) return false;
+    return SERVED_FILES.includes(relative) || (parts.length > 1 && SERVED_DIRS.includes(parts[0]));
+}
+
+function serveFile(pathname, req, res) {
+    const relative = path.normalize(decodeURIComponent(pathname)).replace(/^([/\\])+/, '');
+    const filePath = path.join(ROOT, relative);
+    if (!isServedPath(relative) || !filePath.startsWith(ROOT) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    return req.method === 'HEAD' ? res.end() : fs.createReadStream(filePath).pipe(res);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    const file = path.resolve(option('--file', path.join(ROOT, 'tasks.json')));
+    const port = parseInt(option('--port', '8788'), 10);
+    let server;
+    try {
+        server = createTasksServer({ file });
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+    server.listen(port, HOST, () => {
+        console.log(`✅ Mission Control on http://${HOST}:${port}/mission-control.html, saving to ${file}`);
+    });
+}
+
+module.exports = { createTasksServer, readBoard };
@@ -0,0 +1,311 @@
+/**
+ * Mission Control task board: tasks.json schema, edits and storage
+ *
+ * Every edit is a change object applied with applyTaskChange(), which keeps
+ * `completedAt`, `updatedAt` and the board's `lastUpdated` current and
+ * writes the activity log entry, so the log only ever shows real edits:
+ *   { type: 'create', task: { title, description, project, status, priority } }
+ *   { type: 'update', id, fields: { title, description, project, priority } }
+ *   { type: 'move', id, status }
+ *   { type: 'archive', id } / { type: 'restore', id }
+ *
+ * Stores are pluggable like the data adapters: the local API in
+ * js/tasks-server.js applies changes to tasks.json on disk; the static
+ * store reads tasks.json and is read-only (GitHub Pages).
+ *
+ * Check a tasks file from the command line:
+ *   node js/tasks.js [tasks.json]
+ */
+
+const TASK_STATUSES = ['backlog', 'in-progress', 'review', 'done'];
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+const TASK_ACTIVITY_LIMIT = 200;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z$/;
+
+// Same rules as the importer's RECORD_SCHEMA
+const TASK_SCHEMA = {
+    id: { type: 'string', required: true },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    project: { type: 'string', required: true },
+    status: { type: 'string', required: true, enum: TASK_STATUSES },
+    priority: { type: 'string', required: true, enum: TASK_PRIORITIES },
+    createdAt: { type: 'string', required: true, pattern: ISO_DATE },
+    updatedAt: { type: 'string', pattern: ISO_DATE },
+    completedAt: { type: 'string', pattern: ISO_DATE },
+    archivedAt: { type: 'string', pattern: ISO_DATE }
+};
+
+const PROJECT_SCHEMA = {
+    id: { type: 'string', required: true, pattern: /^[a-z0-9-]+$/ },
+    name: { type: 'string', required: true },
+    color: { type: 'string', pattern: /^#[0-9a-f]{6}$/i }
+};
+
+const ACTIVITY_SCHEMA = {
+    time: { type: 'string', required: true, pattern: ISO_DATE },
+    action: { type: 'string', required: true },
+    detail: { type: 'string', required: true }
+};
+
+// Fields a 'create' or 'update' change may set
+const TASK_EDITABLE_FIELDS = ['title', 'description', 'project', 'priority'];
+
+/**
+ * Check one object against a schema
+ * @returns {string[]} Problems found, prefixed with `label`
+ */
+function checkFields(object, schema, label) {
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        return [`${label} is not an object`];
+    }
+
+    const errors = [];
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = object[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(`${label}: ${field} is required`);
+            return;
+        }
+        if (typeof value !== rule.type) {
+            errors.push(`${label}: ${field} should be a ${rule.type}`);
+            return;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${label}: ${field} should be one of ${rule.enum.join(', ')}`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push(`${label}: ${field} "${value}" is not valid`);
+        }
+    });
+    Object.keys(object)
+        .filter(field => !schema[field])
+        .forEach(field => errors.push(`${label}: unknown field ${field}`));
+    return errors;
+}
+
+/**
+ * Validate a whole board (the contents of tasks.json)
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateTaskBoard(board) {
+    if (!board || typeof board !== 'object' || Array.isArray(board)) {
+        return ['board is not an object'];
+    }
+
+    const errors = [];
+    if (!ISO_DATE.test(board.lastUpdated || '')) errors.push('lastUpdated should be an ISO date');
+    ['projects', 'tasks', 'activity'].forEach(key => {
+        if (!Array.isArray(board[key])) errors.push(`${key} should be an array`);
+    });
+    if (errors.length > 0) return errors;
+
+    const projectIds = new Set();
+    board.projects.forEach((project, i) => {
+        errors.push(...checkFields(project, PROJECT_SCHEMA, `projects[${i}]`));
+        if (projectIds.has(project.id)) errors.push(`projects[${i}]: duplicate id ${project.id}`);
+        projectIds.add(project.id);
+    });
+
+    const taskIds = new Set();
+    board.tasks.forEach((task, i) => {
+        const label = `tasks[${i}]`;
+        errors.push(...checkFields(task, TASK_SCHEMA, label));
+        if (taskIds.has(task.id)) errors.push(`${label}: duplicate id ${task.id}`);
+        taskIds.add(task.id);
+        if (task.project && !projectIds.has(task.project)) {
+            errors.push(`${label}: unknown project ${task.project}`);
+        }
+        if (task.status === 'done' && !task.completedAt) errors.push(`${label}: done tasks need completedAt`);
+        if (task.status !== 'done' && task.completedAt) errors.push(`${label}: completedAt is only for done tasks`);
+    });
+
+    board.activity.forEach((entry, i) => {
+        errors.push(...checkFields(entry, ACTIVITY_SCHEMA, `activity[${i}]`));
+    });
+    return errors;
+}
+
+/**
+ * Apply one change to a board
+ * @param {Object} board - Current board (not modified)
+ * @param {Object} change - See the file header
+ * @param {Object} [options] - { now }
+ * @returns {Object} The new board
+ * @throws {Error} For unknown tasks, projects or values
+ */
+function applyTaskChange(board, change, { now = new Date() } = {}) {
+    const time = now.toISOString();
+    const tasks = board.tasks.map(task => ({ ...task }));
+    const findTask = id => {
+        const task = tasks.find(t => t.id === id);
+        if (!task) throw new Error(`Unknown task ${id}`);
+        return task;
+    };
+    const checkValues = fields => {
+        if (fields.title !== undefined && !String(fields.title).trim()) throw new Error('Title is required');
+        if (fields.project !== undefined && !board.projects.some(p => p.id === fields.project)) {
+            throw new Error(`Unknown project ${fields.project}`);
+        }
+        if (fields.priority !== undefined && !TASK_PRIORITIES.includes(fields.priority)) {
+            throw new Error(`Unknown priority ${fields.priority}`);
+        }
+    };
+    const editable = fields => Object.fromEntries(
+        TASK_EDITABLE_FIELDS
+            .filter(field => fields[field] !== undefined)
+            .map(field => [field, field === 'priority' || field === 'project' ? fields[field] : String(fields[field]).trim()])
+    );
+
+    let entry;
+    switch (change.type) {
+        case 'create': {
+            const fields = editable(change.task || {});
+            checkValues({ title: '', ...fields });
+            const status = change.task.status || 'backlog';
+            if (!TASK_STATUSES.includes(status)) throw new Error(`Unknown status ${status}`);
+            const nextId = Math.max(0, ...tasks.map(t => parseInt(t.id, 10)).filter(Number.isFinite)) + 1;
+            const task = {
+                id: String(nextId),
+                description: '',
+                priority: 'medium',
+                ...fields,
+                status,
+                createdAt: time,
+                updatedAt: time
+            };
+            if (status === 'done') task.completedAt = time;
+            tasks.push(task);
+            entry = { action: 'Created', detail: task.title };
+            break;
+        }
+        case 'update': {
+            const task = findTask(change.id);
+            const fields = editable(change.fields || {});
+            checkValues(fields);
+            const changed = Object.keys(fields).filter(field => fields[field] !== (task[field] || ''));
+            if (changed.length === 0) return board;
+            Object.assign(task, fields, { updatedAt: time });
+            entry = changed.length === 1 && changed[0] === 'priority'
+                ? { action: 'Reprioritised', detail: `${task.title} → ${task.priority}` }
+                : { action: 'Updated', detail: `${task.title} (${changed.join(', ')})` };
+            break;
+        }
+        case 'move': {
+            const task = findTask(change.id);
+            if (!TASK_STATUSES.includes(change.status)) throw new Error(`Unknown status ${change.status}`);
+            if (task.status === change.status) return board;
+            const from = task.status;
+            task.status = change.status;
+            task.updatedAt = time;
+            if (change.status === 'done') {
+                task.completedAt = time;
+                entry = { action: 'Completed', detail: task.title };
+            } else {
+                delete task.completedAt;
+                entry = from === 'done'
+                    ? { action: 'Reopened', detail: `${task.title} → ${change.status}` }
+                    : { action: 'Moved', detail: `${task.title} → ${change.status}` };
+            }
+            break;
+        }
+        case 'archive':
+        case 'restore': {
+            const task = findTask(change.id);
+            if (Boolean(task.archivedAt) === (change.type === 'archive')) return board;
+            if (change.type === 'archive') task.archivedAt = time;
+            else delete task.archivedAt;
+            task.updatedAt = time;
+            entry = { action: change.type === 'archive' ? 'Archived' : 'Restored', detail: task.title };
+            break;
+        }
+        default:
+            throw new Error(`Unknown change type ${change.type}`);
+    }
+
+    return {
+        ...board,
+        lastUpdated: time,
+        tasks,
+        activity: [{ time, ...entry }, ...board.activity].slice(0, TASK_ACTIVITY_LIMIT)
+    };
+}
+
+/**
+ * Task board stores. Each has load() -> board, and apply(change) -> board
+ * unless it is readOnly.
+ */
+const taskStores = {
+    // Local API from js/tasks-server.js
+    api({ url }) {
+        const request = async (path, options) => {
+            const response = await fetch(url + path, options);
+            const body = await response.json();
+            if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);
+            return body;
+        };
+        return {
+            name: 'api',
+            readOnly: false,
+            load: () => request('/tasks', { cache: 'no-store' }),
+            apply: change => request('/tasks/changes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ change })
+            })
+        };
+    },
+
+    // tasks.json as deployed; no editing
+    static({ url = 'tasks.json' } = {}) {
+        return {
+            name: 'static',
+            readOnly: true,
+            load: async () => {
+                const response = await fetch(`${url}?${Date.now()}`);
+                return response.json();
+            },
+            apply: async () => {
+                throw new Error('This board is read-only. Run node js/tasks-server.js to edit it.');
+            }
+        };
+    }
+};
+
+/**
+ * Pick the store: window.TASKS_API if set, else the API on the same origin
+ * when the page is served by js/tasks-server.js, else read-only tasks.json
+ */
+async function detectTaskStore() {
+    if (window.TASKS_API) return taskStores.api({ url: window.TASKS_API });
+    try {
+        const response = await fetch('api/tasks', { method: 'HEAD', cache: 'no-store' });
+        if (response.ok) return taskStores.api({ url: 'api' });
+    } catch {
+        // No local API
+    }
+    return taskStores.static();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TASK_STATUSES,
+        TASK_PRIORITIES,
+        TASK_SCHEMA,
+        validateTaskBoard,
+        applyTaskChange
+    };
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+        const file = process.argv[2] || path.join(__dirname, '..', 'tasks.json');
+        const errors = validateTaskBoard(JSON.parse(fs.readFileSync(file, 'utf8')));
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`❌ ${error}`));
+            process.exit(1);
+        }
+        console.log(`✅ ${file} is valid`);
+    }
+}
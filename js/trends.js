@@ -0,0 +1,254 @@
+/**
+ * Metric history per agency: snapshots, trend charts and "rising" lists
+ *
+ * A snapshot is one agency's listing count, Google rating and Google review
+ * count on one day:
+ *   { agentId, date: 'YYYY-MM-DD', ads, rating, reviewCount }
+ * Imports (js/import-agents.js) write them to the `agent_snapshots` table;
+ * for the static site, js/record-snapshots.js appends them to
+ * data/agent-snapshots.json. There is at most one snapshot per agency per
+ * day; a later one that day replaces it.
+ *
+ * Snapshot stores are pluggable like the data adapters (see data.js).
+ */
+
+const SNAPSHOT_FILE = './data/agent-snapshots.json';
+
+const TREND_METRICS = {
+    rating: { label: 'Google rating', decimals: 1 },
+    reviewCount: { label: 'Google reviews', decimals: 0 },
+    ads: { label: 'Active listings', decimals: 0 }
+};
+
+const TREND_CONFIG = {
+    listSize: 5,
+    risingMinRating: 4.0,   // rising agencies must also be well rated
+    improvedMinReviews: 5   // a rating change on fewer reviews is noise
+};
+
+/**
+ * Today's snapshot of a canonical agent
+ */
+function snapshotAgent(agent, { now = new Date() } = {}) {
+    return {
+        agentId: agent.id,
+        date: now.toISOString().slice(0, 10),
+        ads: agent.ads || 0,
+        rating: typeof agent.rating === 'number' ? agent.rating : null,
+        reviewCount: agent.reviewCount || 0
+    };
+}
+
+/**
+ * Add snapshots to a list, replacing any for the same agency and day
+ * @returns {Object[]} Sorted by agency, then date
+ */
+function mergeSnapshots(existing, incoming) {
+    const byKey = new Map(existing.map(row => [`${row.agentId}|${row.date}`, row]));
+    incoming.forEach(row => byKey.set(`${row.agentId}|${row.date}`, row));
+    return [...byKey.values()].sort((a, b) => a.agentId.localeCompare(b.agentId) || a.date.localeCompare(b.date));
+}
+
+/**
+ * One agency's snapshots, oldest first
+ */
+function agentHistory(snapshots, agentId) {
+    return snapshots
+        .filter(row => row.agentId === agentId)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * First day of the quarter a date is in (UTC)
+ */
+function quarterStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), Math.floor(now.getUTCMonth() / 3) * 3, 1));
+}
+
+/**
+ * How a metric changed since a date: from the last snapshot on or before
+ * `since` (or the first one after it, for agencies tracked since then) to
+ * the latest one
+ * @returns {{ from: number, to: number, change: number, fromDate: string }|null}
+ *   null without two snapshots with a value
+ */
+function metricChange(history, metric, { since }) {
+    const points = history.filter(row => typeof row[metric] === 'number');
+    if (points.length < 2) return null;
+
+    const sinceDate = since.toISOString().slice(0, 10);
+    const before = points.filter(row => row.date <= sinceDate);
+    const start = before.length > 0 ? before[before.length - 1] : points[0];
+    const end = points[points.length - 1];
+    if (start === end) return null;
+    return {
+        from: start[metric],
+        to: end[metric],
+        change: Math.round((end[metric] - start[metric]) * 100) / 100,
+        fromDate: start.date
+    };
+}
+
+/**
+ * Agencies gaining the most Google reviews since a date, among those rated
+ * at least TREND_CONFIG.risingMinRating
+ * @returns {{ agent: Object, newReviews: number }[]}
+ */
+function risingAgencies(agents, snapshots, { since = quarterStart(), limit = TREND_CONFIG.listSize } = {}) {
+    return agents
+        .filter(agent => (agent.rating || 0) >= TREND_CONFIG.risingMinRating)
+        .map(agent => ({ agent, change: metricChange(agentHistory(snapshots, agent.id), 'reviewCount', { since }) }))
+        .filter(({ change }) => change && change.change > 0)
+        .map(({ agent, change }) => ({ agent, newReviews: change.change }))
+        .sort((a, b) => b.newReviews - a.newReviews || a.agent.name.localeCompare(b.agent.name))
+        .slice(0, limit);
+}
+
+/**
+ * Agencies whose Google rating went up the most since a date
+ * @returns {{ agent: Object, from: number, to: number, change: number }[]}
+ */
+function mostImproved(agents, snapshots, { since = quarterStart(), limit = TREND_CONFIG.listSize } = {}) {
+    return agents
+        .filter(agent => (agent.reviewCount || 0) >= TREND_CONFIG.improvedMinReviews)
+        .map(agent => ({ agent, change: metricChange(agentHistory(snapshots, agent.id), 'rating', { since }) }))
+        .filter(({ change }) => change && change.change > 0)
+        .map(({ agent, change }) => ({ agent, from: change.from, to: change.to, change: change.change }))
+        .sort((a, b) => b.change - a.change || b.to - a.to)
+        .slice(0, limit);
+}
+
+/**
+ * Line chart of one metric as SVG markup
+ * @param {Object[]} history - agentHistory() result
+ * @param {string} metric - Key of TREND_METRICS
+ */
+function renderTrendChart(history, metric, { width = 300, height = 80 } = {}) {
+    const points = history.filter(row => typeof row[metric] === 'number');
+    if (points.length < 2) return '';
+
+    const values = points.map(row => row[metric]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const first = new Date(points[0].date).getTime();
+    const span = Math.max(1, new Date(points[points.length - 1].date).getTime() - first);
+    const pad = 4;
+    const x = row => pad + ((new Date(row.date).getTime() - first) / span) * (width - 2 * pad);
+    const y = value => (max === min ? height / 2 : pad + (1 - (value - min) / (max - min)) * (height - 2 * pad));
+    const line = points.map(row => `${x(row).toFixed(1)},${y(row[metric]).toFixed(1)}`).join(' ');
+    const last = points[points.length - 1];
+
+    return html`
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-20" preserveAspectRatio="none" role="img"
+             aria-label="${t(TREND_METRICS[metric].label)}: ${formatTrendValue(values[0], metric)} → ${formatTrendValue(last[metric], metric)}">
+            <polyline points="${line}" fill="none" stroke="#2563eb" stroke-width="2" vector-effect="non-scaling-stroke"/>
+            <circle cx="${x(last).toFixed(1)}" cy="${y(last[metric]).toFixed(1)}" r="3" fill="#2563eb"/>
+        </svg>
+    `;
+}
+
+function formatTrendValue(value, metric) {
+    const { decimals } = TREND_METRICS[metric];
+    return new Intl.NumberFormat(getIntlLocale(), { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value);
+}
+
+/**
+ * Snapshot stores. Each exposes:
+ *   name                         - label used in logs
+ *   getSnapshots({ agentId, since }) - resolves to snapshots, oldest first
+ */
+const snapshotStores = {
+    // data/agent-snapshots.json (js/record-snapshots.js)
+    staticJson({ url = SNAPSHOT_FILE } = {}) {
+        let rows = null;
+        return {
+            name: `static-json (${url})`,
+            async getSnapshots({ agentId = null, since = null } = {}) {
+                if (!rows) {
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    rows = await response.json();
+                }
+                const sinceDate = since ? since.toISOString().slice(0, 10) : '';
+                return rows
+                    .filter(row => (!agentId || row.agentId === agentId) && row.date >= sinceDate)
+                    .sort((a, b) => a.date.localeCompare(b.date));
+            }
+        };
+    },
+
+    // `agent_snapshots` via db.getAgentSnapshots in supabase-config.js
+    supabase({ client = null } = {}) {
+        const getClient = () => client || window.AgentScore;
+        return {
+            name: 'supabase',
+            async getSnapshots(params = {}) {
+                const { data, error } = await getClient().db.getAgentSnapshots(params);
+                if (error) throw new Error(error.message);
+                return data;
+            }
+        };
+    },
+
+    // In-memory fixture (tests, previews)
+    memory(rows) {
+        return {
+            name: 'memory',
+            async getSnapshots({ agentId = null, since = null } = {}) {
+                const sinceDate = since ? since.toISOString().slice(0, 10) : '';
+                return rows
+                    .filter(row => (!agentId || row.agentId === agentId) && row.date >= sinceDate)
+                    .sort((a, b) => a.date.localeCompare(b.date));
+            }
+        };
+    }
+};
+
+let snapshotStore = null;
+
+/**
+ * Get the active snapshot store: the same source as the agent data
+ */
+function getSnapshotStore() {
+    if (!snapshotStore) {
+        snapshotStore = useSupabase && window.AgentScore
+            ? snapshotStores.supabase()
+            : snapshotStores.staticJson();
+    }
+    return snapshotStore;
+}
+
+/**
+ * Replace the active snapshot store
+ */
+function setSnapshotStore(store) {
+    snapshotStore = store;
+}
+
+/**
+ * Load snapshots through the active store; an empty list on failure, since
+ * trends are an extra on every page that shows them
+ */
+async function loadSnapshots(params = {}) {
+    const store = getSnapshotStore();
+    try {
+        return await store.getSnapshots(params);
+    } catch (error) {
+        console.log(`⚠️ ${store.name} error:`, error.message);
+        return [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TREND_METRICS,
+        TREND_CONFIG,
+        snapshotAgent,
+        mergeSnapshots,
+        agentHistory,
+        quarterStart,
+        metricChange,
+        risingAgencies,
+        mostImproved
+    };
+}
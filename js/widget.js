@@ -0,0 +1,268 @@
+/**
+ * Embeddable rating widget for agency websites
+ *
+ * Shows an agency's stars, review count, AgentScore and latest reviews from
+ * its widget data: widget/<id>.json, written by js/build-pages.js (see
+ * renderWidgetData there). Two ways to embed it:
+ *
+ *   Script - renders in place, inside a shadow root so the host page's CSS
+ *   cannot reach it (one script tag serves any number of widgets):
+ *     <div data-reviewsrealty-widget="<agent id>" data-theme="dark"></div>
+ *     <script src="https://reviewsrealty.com/js/widget.js" async></script>
+ *
+ *   Iframe - widget.html on this site, which loads this script:
+ *     <iframe src="https://reviewsrealty.com/widget.html?id=<agent id>&theme=dark" ...></iframe>
+ *
+ * Options (data-* attributes, or query parameters of widget.html):
+ *   theme    light | dark
+ *   layout   badge (rating only) | reviews (rating and latest reviews)
+ *   accent   link colour, #rgb or #rrggbb
+ *   lang     en | el | ru
+ *
+ * The script has no dependencies and sets no cookies. When the data names a
+ * usage endpoint, each widget sends one `widget_viewed` event (agency,
+ * embedding domain, variant) in the analytics collector's format; nothing
+ * about the visitor is sent, so no consent is needed.
+ *
+ * Wrapped so that host pages only get `window.ReviewsRealtyWidget`.
+ */
+(function () {
+    const WIDGET_THEMES = {
+        light: { background: '#ffffff', text: '#1f2937', muted: '#6b7280', border: '#e5e7eb' },
+        dark: { background: '#111827', text: '#f9fafb', muted: '#9ca3af', border: '#374151' }
+    };
+
+    const WIDGET_LAYOUTS = ['badge', 'reviews'];
+
+    const WIDGET_DEFAULTS = { theme: 'light', layout: 'badge', accent: '#2563eb', lang: 'en' };
+
+    const WIDGET_ACCENT = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+    // Longest review excerpt shown, in characters
+    const WIDGET_EXCERPT_LENGTH = 160;
+
+    const widgetCache = {};
+    const trackedWidgets = new Set();
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Widget options with anything unknown or invalid replaced by the default
+     * @param {Object} raw - { theme, layout, accent, lang }, e.g. an element's dataset
+     */
+    function widgetOptions(raw = {}) {
+        return {
+            theme: WIDGET_THEMES[raw.theme] ? raw.theme : WIDGET_DEFAULTS.theme,
+            layout: WIDGET_LAYOUTS.includes(raw.layout) ? raw.layout : WIDGET_DEFAULTS.layout,
+            accent: WIDGET_ACCENT.test(raw.accent || '') ? raw.accent : WIDGET_DEFAULTS.accent,
+            lang: typeof raw.lang === 'string' && /^[a-z]{2}$/.test(raw.lang) ? raw.lang : WIDGET_DEFAULTS.lang
+        };
+    }
+
+    /**
+     * The widget's stylesheet. The stars come from renderStars (app.js),
+     * which uses Tailwind classes, so those few are defined here too.
+     */
+    function widgetStyles({ theme, accent }) {
+        const colors = WIDGET_THEMES[theme];
+        return `
+            :host { all: initial; display: block; }
+            .rr-widget { box-sizing: border-box; max-width: 360px; padding: 16px; border: 1px solid ${colors.border};
+                border-radius: 12px; background: ${colors.background}; color: ${colors.text};
+                font: 14px/1.4 Inter, system-ui, -apple-system, 'Segoe UI', sans-serif; }
+            .rr-widget a { color: ${accent}; text-decoration: none; }
+            .rr-widget a:hover { text-decoration: underline; }
+            .rr-name { display: block; font-weight: 600; color: ${colors.text} !important; }
+            .rr-rating { display: flex; align-items: center; gap: 6px; margin-top: 4px; }
+            .rr-value { font-size: 20px; font-weight: 700; }
+            .rr-stars { display: inline-flex; }
+            .rr-meta, .rr-date, .rr-source { color: ${colors.muted}; font-size: 12px; }
+            .rr-reviews { list-style: none; margin: 12px 0 0; padding: 0; }
+            .rr-review { padding: 8px 0; border-top: 1px solid ${colors.border}; }
+            .rr-review-title { font-weight: 600; }
+            .rr-review p { margin: 4px 0 0; }
+            .rr-more { display: block; margin-top: 12px; font-size: 12px; font-weight: 500; }
+            .w-4 { width: 16px; } .h-4 { height: 16px; }
+            .text-yellow-400 { color: #facc15; } .text-gray-300 { color: #d1d5db; }
+        `;
+    }
+
+    /**
+     * Widget HTML for an agency's widget data
+     * @param {Object} data - widget/<id>.json
+     * @param {Object} [options] - See widgetOptions
+     * @returns {string}
+     */
+    function renderWidget(data, options = {}) {
+        const { theme, layout, accent, lang } = widgetOptions(options);
+        const labels = data.labels[lang] || data.labels[WIDGET_DEFAULTS.lang];
+        const link = (href, className, text) =>
+            `<a class="${className}" href="${escapeHtml(href)}" target="_blank" rel="noopener">${text}</a>`;
+
+        const reviews = layout === 'reviews' && data.reviews.length > 0
+            ? `<ul class="rr-reviews">${data.reviews.map(review => {
+                // Rating-only reviews have no text (older data files may say null)
+                const full = review.text || '';
+                const text = full.length > WIDGET_EXCERPT_LENGTH
+                    ? `${full.slice(0, WIDGET_EXCERPT_LENGTH).trimEnd()}…`
+                    : full;
+                return `
+                    <li class="rr-review">
+                        <span class="rr-stars">${review.stars}</span>
+                        ${review.title ? `<div class="rr-review-title">${escapeHtml(review.title)}</div>` : ''}
+                        ${text ? `<p>${escapeHtml(text)}</p>` : ''}
+                        ${review.source === 'google' ? `<span class="rr-source">${escapeHtml(labels.google)}</span>` : ''}
+                        ${review.date ? `<span class="rr-date">${escapeHtml(review.date)}</span>` : ''}
+                    </li>
+                `;
+            }).join('')}</ul>`
+            : '';
+
+        // `stars` is renderStars markup from our own build, so it goes in as HTML
+        return `
+            <style>${widgetStyles({ theme, accent })}</style>
+            <div class="rr-widget rr-${layout}" lang="${escapeHtml(lang)}">
+                ${link(data.url, 'rr-name', escapeHtml(data.name))}
+                <div class="rr-rating">
+                    <span class="rr-value">${escapeHtml(labels.rating)}</span>
+                    <span class="rr-stars">${data.stars}</span>
+                </div>
+                <div class="rr-meta">${escapeHtml([labels.reviews, labels.score].filter(Boolean).join(' · '))}</div>
+                ${reviews}
+                ${link(data.url, 'rr-more', escapeHtml(labels.more))}
+            </div>
+        `;
+    }
+
+    /**
+     * Fetch an agency's widget data, once per page
+     * @param {string} baseUrl - Site the widget is served from
+     */
+    function loadWidgetData(baseUrl, agentId) {
+        const url = `${baseUrl}/widget/${encodeURIComponent(agentId)}.json`;
+        if (!widgetCache[url]) {
+            widgetCache[url] = fetch(url).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                return response.json();
+            });
+            widgetCache[url].catch(() => delete widgetCache[url]);
+        }
+        return widgetCache[url];
+    }
+
+    /**
+     * Count one view of an agency's widget on a domain, once per page.
+     * Views on the site itself (previews) are not counted.
+     * @param {string} variant - 'script' or 'iframe'
+     */
+    function trackWidgetView(data, { domain, variant, siteDomain }) {
+        const key = `${data.id}|${variant}`;
+        if (!data.usageEndpoint || !domain || domain === siteDomain || trackedWidgets.has(key)) return;
+        trackedWidgets.add(key);
+
+        const body = JSON.stringify({
+            events: [{
+                name: 'widget_viewed',
+                props: { agentId: data.id, domain, variant },
+                path: '/widget',
+                locale: WIDGET_DEFAULTS.lang,
+                occurredAt: new Date().toISOString()
+            }]
+        });
+        // text/plain avoids a CORS preflight, as in analyticsSinks.endpoint
+        if (!navigator.sendBeacon || !navigator.sendBeacon(data.usageEndpoint, new Blob([body], { type: 'text/plain' }))) {
+            fetch(data.usageEndpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+        }
+    }
+
+    /**
+     * Render an agency's widget into an element
+     * @param {Element|ShadowRoot} target
+     * @param {Object} options - { agentId, baseUrl, variant, domain, ...widgetOptions }
+     */
+    async function mountWidget(target, { agentId, baseUrl, variant, domain, ...options }) {
+        try {
+            const data = await loadWidgetData(baseUrl, agentId);
+            target.innerHTML = renderWidget(data, options);
+            trackWidgetView(data, { domain, variant, siteDomain: new URL(baseUrl).hostname });
+        } catch (error) {
+            console.log(`⚠️ Reviews Realty widget for ${agentId} not available:`, error.message);
+        }
+    }
+
+    /**
+     * Render every `[data-reviewsrealty-widget]` element on the page that
+     * has not been rendered yet
+     * @param {string} baseUrl - Site the widget is served from
+     */
+    function mountAllWidgets(baseUrl) {
+        document.querySelectorAll('[data-reviewsrealty-widget]').forEach(element => {
+            if (element.shadowRoot) return;
+            mountWidget(element.attachShadow({ mode: 'open' }), {
+                ...element.dataset,
+                agentId: element.dataset.reviewsrealtyWidget,
+                baseUrl,
+                variant: 'script',
+                domain: window.location.hostname
+            });
+        });
+    }
+
+    /**
+     * Embed code for an agency's widget, for owners to paste into their site
+     * @param {string} agentId
+     * @param {Object} options - { variant: 'script' | 'iframe', baseUrl, ...widgetOptions }
+     * @returns {string}
+     */
+    function embedCode(agentId, { variant = 'script', baseUrl, ...raw } = {}) {
+        const options = widgetOptions(raw);
+        // Only what differs from the defaults, to keep the snippet short
+        const changed = Object.entries(options).filter(([name, value]) => value !== WIDGET_DEFAULTS[name]);
+
+        if (variant === 'iframe') {
+            const query = new URLSearchParams([['id', agentId], ...changed]);
+            const height = options.layout === 'reviews' ? 480 : 140;
+            return `<iframe src="${escapeHtml(`${baseUrl}/widget.html?${query}`)}" width="360" height="${height}" ` +
+                `style="border: 0; max-width: 100%;" loading="lazy" title="Reviews Realty rating"></iframe>`;
+        }
+        const attributes = changed.map(([name, value]) => ` data-${name}="${escapeHtml(value)}"`).join('');
+        return `<div data-reviewsrealty-widget="${escapeHtml(agentId)}"${attributes}></div>\n` +
+            `<script src="${escapeHtml(`${baseUrl}/js/widget.js`)}" async></script>`;
+    }
+
+    const api = {
+        WIDGET_THEMES,
+        WIDGET_LAYOUTS,
+        WIDGET_DEFAULTS,
+        widgetOptions,
+        renderWidget,
+        mountWidget,
+        mountAllWidgets,
+        embedCode
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+        return;
+    }
+
+    window.ReviewsRealtyWidget = api;
+
+    // Script embeds: the site is wherever this script was loaded from
+    const script = document.currentScript;
+    if (script && !script.hasAttribute('data-no-mount')) {
+        const baseUrl = new URL('..', script.src).href.replace(/\/$/, '');
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => mountAllWidgets(baseUrl));
+        } else {
+            mountAllWidgets(baseUrl);
+        }
+    }
+})();
@@ -0,0 +1,31 @@
+/**
+ * Outgoing email for the edge functions, through the Resend API
+ *
+ * Needs RESEND_API_KEY and EMAIL_FROM (e.g. "Reviews Realty
+ * <no-reply@reviewsrealty.com>") as function secrets.
+ */
+
+import { HttpError } from './http.js';
+
+/**
+ * @param {Object} message - { to: string|string[], subject, text, replyTo }
+ */
+export async function sendEmail({ to, subject, text, replyTo }) {
+    const apiKey = Deno.env.get('RESEND_API_KEY');
+    if (!apiKey) throw new HttpError(503, 'Email is not configured');
+
+    const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            from: Deno.env.get('EMAIL_FROM'),
+            to: Array.isArray(to) ? to : [to],
+            subject,
+            text,
+            ...(replyTo ? { reply_to: replyTo } : {})
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`Email failed: HTTP ${response.status} ${await response.text()}`);
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * Request handling shared by the edge functions
+ *
+ * The pages call the functions through supabase.functions.invoke(), so
+ * every response carries CORS headers for the site (SITE_URL) and errors
+ * come back as { error } with a status the client can show.
+ */
+
+const SITE_URL = Deno.env.get('SITE_URL') || 'https://reviewsrealty.com';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': SITE_URL,
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Vary': 'Origin'
+};
+
+/**
+ * An error with the HTTP status to answer with
+ */
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Serve a function: answers CORS preflights, parses the JSON body and turns
+ * thrown errors into JSON responses
+ * @param {(body: Object, req: Request) => Promise<Object>} handler
+ */
+export function serve(handler) {
+    Deno.serve(async req => {
+        if (req.method === 'OPTIONS') return new Response(null, { headers: CORS_HEADERS });
+        if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+        try {
+            const body = await req.json().catch(() => ({}));
+            return json(await handler(body, req));
+        } catch (err) {
+            if (err instanceof HttpError) return json({ error: err.message }, err.status);
+            console.error('❌', err);
+            return json({ error: 'Internal error' }, 500);
+        }
+    });
+}
+
+export { SITE_URL };
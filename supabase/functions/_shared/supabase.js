@@ -0,0 +1,47 @@
+/**
+ * Service-role database access for the edge functions
+ *
+ * SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set by the edge runtime.
+ * The service role bypasses row-level security, so each function checks
+ * who is calling (callerId) before acting on their behalf.
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { HttpError } from './http.js';
+
+export const admin = createClient(
+    Deno.env.get('SUPABASE_URL'),
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'),
+    { auth: { persistSession: false } }
+);
+
+/**
+ * The signed-in user behind a request, from its Authorization header
+ * @returns {Promise<string>} User id
+ */
+export async function callerId(req) {
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const { data, error } = await admin.auth.getUser(token);
+    if (error || !data.user) throw new HttpError(401, 'Must be logged in');
+    return data.user.id;
+}
+
+/**
+ * Email addresses of users, by id
+ * @returns {Promise<string[]>}
+ */
+export async function userEmails(userIds) {
+    const emails = await Promise.all(userIds.map(async id => {
+        const { data } = await admin.auth.admin.getUserById(id);
+        return data?.user?.email || null;
+    }));
+    return emails.filter(Boolean);
+}
+
+/**
+ * SHA-256 of a string as hex, as Postgres' encode(sha256(...), 'hex')
+ */
+export async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
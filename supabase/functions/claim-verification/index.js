@@ -0,0 +1,85 @@
+/**
+ * claim-verification: email the one-time code for an agency claim
+ *
+ * Called by claims.requestClaim and claims.resendCode
+ * (js/supabase-config.js) with { claimId }. Only the user who made the
+ * claim may ask, the address has to be at the agency's listed email or
+ * website domain (isEligibleClaimEmail in js/claim.js, which only saves a
+ * round trip), and a code goes out at most once a minute. The code is
+ * stored hashed; verify_agency_claim checks it.
+ */
+
+import { serve, HttpError } from '../_shared/http.js';
+import { admin, callerId, sha256Hex } from '../_shared/supabase.js';
+import { sendEmail } from '../_shared/email.js';
+
+const CODE_TTL_MINUTES = 30;
+const RESEND_AFTER_SECONDS = 60;
+
+/**
+ * Domains an agency can be claimed from (getClaimDomains in js/claim.js)
+ */
+function claimDomains(agent) {
+    const domains = new Set();
+    if (agent.email && agent.email.includes('@')) {
+        domains.add(agent.email.split('@')[1].toLowerCase());
+    }
+    if (agent.website) {
+        try {
+            domains.add(new URL(agent.website).hostname.replace(/^www\./, '').toLowerCase());
+        } catch {
+            // Not a URL we can read a domain from
+        }
+    }
+    return [...domains];
+}
+
+function isEligibleClaimEmail(email, agent) {
+    const normalized = email.trim().toLowerCase();
+    if (agent.email && normalized === agent.email.toLowerCase()) return true;
+    const domain = normalized.split('@')[1];
+    return Boolean(domain) && claimDomains(agent).some(d => domain === d || domain.endsWith('.' + d));
+}
+
+serve(async ({ claimId }, req) => {
+    const userId = await callerId(req);
+    const { data: claim } = await admin
+        .from('agency_claims')
+        .select('id, user_id, email, status, code_sent_at, agent:agents(id, name, email, website)')
+        .eq('id', claimId)
+        .maybeSingle();
+    if (!claim || claim.user_id !== userId) throw new HttpError(404, 'Claim not found');
+    if (claim.status !== 'pending') throw new HttpError(409, 'This claim is no longer pending');
+    if (!isEligibleClaimEmail(claim.email, claim.agent)) {
+        throw new HttpError(422, 'Please use an address at the agency\'s own email or website domain.');
+    }
+    if (claim.code_sent_at && Date.now() - new Date(claim.code_sent_at) < RESEND_AFTER_SECONDS * 1000) {
+        throw new HttpError(429, 'Please wait a minute before asking for another code.');
+    }
+
+    const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+    const now = new Date();
+    const { error } = await admin
+        .from('agency_claims')
+        .update({
+            code_hash: await sha256Hex(code),
+            code_sent_at: now.toISOString(),
+            code_expires_at: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+            attempts: 0
+        })
+        .eq('id', claim.id);
+    if (error) throw error;
+
+    await sendEmail({
+        to: claim.email,
+        subject: `Your Reviews Realty verification code: ${code}`,
+        text: [
+            `Someone asked to manage ${claim.agent.name} on Reviews Realty with this address.`,
+            '',
+            `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+            '',
+            'If this was not you, you can ignore this email.'
+        ].join('\n')
+    });
+    return { sent: true };
+});
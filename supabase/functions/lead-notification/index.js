@@ -0,0 +1,101 @@
+/**
+ * lead-notification: send a new lead to the agency
+ *
+ * Called by db.createLead (js/supabase-config.js) with { leadId } after
+ * submit_lead created a lead; visitors need not be signed in. Each lead is
+ * sent once: `notified_at` is claimed before anything goes out, so asking
+ * again does nothing. The lead goes to the agency's `lead_routing` email
+ * and/or webhook (https only), or to its owners' account addresses when it
+ * has no routing row.
+ */
+
+import { serve, HttpError, SITE_URL } from '../_shared/http.js';
+import { admin, userEmails } from '../_shared/supabase.js';
+import { sendEmail } from '../_shared/email.js';
+
+// LEAD_BUDGETS and LEAD_PROPERTY_TYPES in js/leads.js
+const BUDGETS = {
+    under_150k: 'Under €150k',
+    '150k_300k': '€150k–300k',
+    '300k_600k': '€300k–600k',
+    '600k_1m': '€600k–1M',
+    over_1m: 'Over €1M',
+    rent: 'Looking to rent'
+};
+
+const PROPERTY_TYPES = {
+    apartment: 'Apartment',
+    house: 'House',
+    villa: 'Villa',
+    land: 'Land',
+    commercial: 'Commercial'
+};
+
+async function ownerEmails(agentId) {
+    const { data: owners, error } = await admin
+        .from('agency_owners')
+        .select('user_id')
+        .eq('agent_id', agentId);
+    if (error) throw error;
+    return userEmails(owners.map(owner => owner.user_id));
+}
+
+function leadEmail(lead) {
+    return [
+        `New enquiry for ${lead.agent.name} on Reviews Realty`,
+        '',
+        `Name: ${lead.name}`,
+        lead.email ? `Email: ${lead.email}` : null,
+        lead.phone ? `Phone: ${lead.phone}` : null,
+        lead.budget ? `Budget: ${BUDGETS[lead.budget] || lead.budget}` : null,
+        lead.property_type ? `Property type: ${PROPERTY_TYPES[lead.property_type] || lead.property_type}` : null,
+        lead.area ? `Area: ${lead.area}` : null,
+        '',
+        lead.messages[0]?.text || '',
+        '',
+        `Manage your leads: ${SITE_URL}/leads.html`
+    ].filter(line => line !== null).join('\n');
+}
+
+serve(async ({ leadId }) => {
+    const { data: lead } = await admin
+        .from('leads')
+        .update({ notified_at: new Date().toISOString() })
+        .eq('id', leadId)
+        .is('notified_at', null)
+        .select('id, agent_id, name, email, phone, budget, property_type, area, messages, created_at, agent:agents(id, name)')
+        .maybeSingle();
+    if (!lead) throw new HttpError(404, 'Lead not found or already sent');
+
+    const { data: routing } = await admin
+        .from('lead_routing')
+        .select('email, webhook_url')
+        .eq('agent_id', lead.agent_id)
+        .maybeSingle();
+
+    const sent = { email: false, webhook: false };
+    const to = routing?.email ? [routing.email] : await ownerEmails(lead.agent_id);
+    if (to.length) {
+        await sendEmail({
+            to,
+            subject: `New enquiry from ${lead.name}`,
+            text: leadEmail(lead),
+            replyTo: lead.email || undefined
+        });
+        sent.email = true;
+    }
+
+    if (routing?.webhook_url && /^https:\/\//i.test(routing.webhook_url)) {
+        const { agent, ...payload } = lead;
+        const response = await fetch(routing.webhook_url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event: 'lead.created', agency: agent, lead: payload })
+        }).catch(err => {
+            console.error('❌ Lead webhook failed:', err.message);
+            return null;
+        });
+        sent.webhook = Boolean(response?.ok);
+    }
+    return { sent };
+});
@@ -0,0 +1,48 @@
+/**
+ * review-response-notification: tell a reviewer the agency replied
+ *
+ * Called by db.respondToReview (js/supabase-config.js) with
+ * { responseId, edited } after an owner posts or edits a reply. Only the
+ * owner who wrote the reply may ask, and each version of a reply is
+ * announced once: `notified_at` is compared with the reply's `updated_at`.
+ */
+
+import { serve, HttpError, SITE_URL } from '../_shared/http.js';
+import { admin, callerId, userEmails } from '../_shared/supabase.js';
+import { sendEmail } from '../_shared/email.js';
+
+serve(async ({ responseId, edited = false }, req) => {
+    const userId = await callerId(req);
+    const { data: response } = await admin
+        .from('review_responses')
+        .select('id, owner_id, content, updated_at, notified_at, review:reviews(id, user_id, title, status), agent:agents(id, name, type)')
+        .eq('id', responseId)
+        .maybeSingle();
+    if (!response || response.owner_id !== userId) throw new HttpError(404, 'Reply not found');
+    if (response.notified_at && new Date(response.notified_at) >= new Date(response.updated_at)) {
+        return { sent: false };
+    }
+
+    const [email] = response.review.user_id ? await userEmails([response.review.user_id]) : [];
+    if (!email || response.review.status !== 'published') return { sent: false };
+
+    const page = response.agent.type === 'developer' ? 'developer-profile.html' : 'agent-profile.html';
+    await sendEmail({
+        to: email,
+        subject: `${response.agent.name} ${edited ? 'updated their reply' : 'replied'} to your review`,
+        text: [
+            `${response.agent.name} ${edited ? 'updated their reply' : 'replied'} to your review${response.review.title ? ` "${response.review.title}"` : ''}:`,
+            '',
+            response.content,
+            '',
+            `See it on Reviews Realty: ${SITE_URL}/${page}?id=${encodeURIComponent(response.agent.id)}`
+        ].join('\n')
+    });
+
+    const { error } = await admin
+        .from('review_responses')
+        .update({ notified_at: new Date().toISOString() })
+        .eq('id', response.id);
+    if (error) throw error;
+    return { sent: true };
+});
@@ -0,0 +1,127 @@
+/**
+ * shortlist-alerts: email shortlist owners what changed on their agencies
+ *
+ * Run on a schedule (see README, Setup), not by the pages: it only answers
+ * requests carrying the service role key. For every shortlist with alerts
+ * on, each saved agency's current review count (Google plus published
+ * first-party reviews) and AgentScore (`agents.agent_score`, written by
+ * js/import-agents.js) are compared with what the user last saw, as
+ * describeShortlistChanges in js/shortlists.js does. A change is emailed
+ * once: what was sent is kept in the item's `alerted_*` columns until the
+ * user looks again.
+ */
+
+import { serve, HttpError, SITE_URL } from '../_shared/http.js';
+import { admin } from '../_shared/supabase.js';
+import { sendEmail } from '../_shared/email.js';
+
+const SCORE_ALERT_THRESHOLD = 0.05; // as in js/shortlists.js
+
+/**
+ * Current review count and score of each agency, by id
+ */
+async function agentSnapshots(agentIds) {
+    const { data: agents, error } = await admin
+        .from('agents')
+        .select('id, name, type, google_reviews_count, agent_score')
+        .in('id', agentIds);
+    if (error) throw error;
+    const { data: reviews, error: reviewsError } = await admin
+        .from('reviews')
+        .select('agent_id')
+        .in('agent_id', agentIds)
+        .eq('status', 'published');
+    if (reviewsError) throw reviewsError;
+
+    const firstParty = {};
+    reviews.forEach(review => {
+        firstParty[review.agent_id] = (firstParty[review.agent_id] || 0) + 1;
+    });
+    return Object.fromEntries(agents.map(agent => [agent.id, {
+        agent,
+        reviewCount: (agent.google_reviews_count || 0) + (firstParty[agent.id] || 0),
+        score: agent.agent_score === null ? null : Number(agent.agent_score)
+    }]));
+}
+
+/**
+ * What to tell the user about one saved agency, or null. The baseline is
+ * the last alert if it came after the user's last look, else the last look.
+ */
+function itemChanges(list, item, snapshot) {
+    const alertedSinceSeen = item.alerted_at && (!item.seen_at || item.alerted_at > item.seen_at);
+    const baseCount = alertedSinceSeen ? item.alerted_review_count : item.seen_review_count;
+    const baseScore = alertedSinceSeen ? item.alerted_score : item.seen_score;
+
+    const newReviews = list.alert_new_reviews && baseCount !== null
+        ? Math.max(0, snapshot.reviewCount - baseCount)
+        : 0;
+    const delta = list.alert_score_changes && baseScore !== null && snapshot.score !== null
+        ? Math.round((snapshot.score - Number(baseScore)) * 100) / 100
+        : 0;
+    const scoreChange = Math.abs(delta) >= SCORE_ALERT_THRESHOLD ? delta : 0;
+    return newReviews || scoreChange ? { newReviews, scoreChange } : null;
+}
+
+function describe(snapshot, { newReviews, scoreChange }) {
+    const parts = [];
+    if (newReviews) parts.push(`${newReviews} new review${newReviews === 1 ? '' : 's'}`);
+    if (scoreChange) parts.push(`AgentScore ${scoreChange > 0 ? 'up' : 'down'} ${Math.abs(scoreChange).toFixed(2)} to ${snapshot.score.toFixed(2)}`);
+    const page = snapshot.agent.type === 'developer' ? 'developer-profile.html' : 'agent-profile.html';
+    return `- ${snapshot.agent.name}: ${parts.join(', ')}\n  ${SITE_URL}/${page}?id=${encodeURIComponent(snapshot.agent.id)}`;
+}
+
+serve(async (_body, req) => {
+    const token = (req.headers.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (token !== Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')) throw new HttpError(403, 'Forbidden');
+
+    const { data: lists, error } = await admin
+        .from('shortlists')
+        .select('id, user_id, name, alert_new_reviews, alert_score_changes, items:shortlist_items(agent_id, seen_review_count, seen_score, seen_at, alerted_review_count, alerted_score, alerted_at)')
+        .or('alert_new_reviews.eq.true,alert_score_changes.eq.true');
+    if (error) throw error;
+
+    const agentIds = [...new Set(lists.flatMap(list => list.items.map(item => item.agent_id)))];
+    const snapshots = agentIds.length ? await agentSnapshots(agentIds) : {};
+
+    let sent = 0;
+    for (const list of lists) {
+        const changed = list.items
+            .map(item => ({ item, snapshot: snapshots[item.agent_id] }))
+            .filter(({ snapshot }) => snapshot)
+            .map(entry => ({ ...entry, changes: itemChanges(list, entry.item, entry.snapshot) }))
+            .filter(({ changes }) => changes);
+        if (changed.length === 0) continue;
+
+        const { data: { user } } = await admin.auth.admin.getUserById(list.user_id);
+        if (!user?.email) continue;
+        try {
+            await sendEmail({
+                to: user.email,
+                subject: `Updates on your shortlist "${list.name}"`,
+                text: [
+                    `Since you last looked at "${list.name}" on Reviews Realty:`,
+                    '',
+                    ...changed.map(({ snapshot, changes }) => describe(snapshot, changes)),
+                    '',
+                    `Your shortlists: ${SITE_URL}/shortlists.html`,
+                    'Switch these emails off in the shortlist\'s alert settings.'
+                ].join('\n')
+            });
+        } catch (err) {
+            console.error('❌ Shortlist alert failed:', list.id, err);
+            continue;
+        }
+        sent++;
+
+        const alertedAt = new Date().toISOString();
+        for (const { item, snapshot } of changed) {
+            await admin
+                .from('shortlist_items')
+                .update({ alerted_review_count: snapshot.reviewCount, alerted_score: snapshot.score, alerted_at: alertedAt })
+                .eq('shortlist_id', list.id)
+                .eq('agent_id', item.agent_id);
+        }
+    }
+    return { lists: lists.length, sent };
+});
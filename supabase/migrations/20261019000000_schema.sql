@@ -0,0 +1,115 @@
+-- Core tables for Reviews Realty: agencies, reviews and review reports
+--
+-- `agents` holds the canonical agent schema of js/data.js in the columns
+-- js/import-agents.js writes (AGENT_COLUMNS, SPLIT_COLUMNS). Anyone may read
+-- it; the importer writes with the service role, which bypasses row-level
+-- security. Reviews are only written through the functions in the next
+-- migration.
+
+create extension if not exists pg_trgm with schema extensions;
+
+-- Moderators have `app_metadata.role = 'admin'` (see auth.isAdmin in
+-- js/supabase-config.js)
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+as $$
+    select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin'
+$$;
+
+create table if not exists public.agents (
+    id text primary key,
+    name text not null,
+    type text not null default 'agent' check (type in ('agent', 'developer')),
+    location text not null,
+    bazaraki_url text,
+    website text,
+    phone text,
+    email text,
+    address text,
+    logo_url text,
+    listing_count integer not null default 0,
+    google_rating numeric(2, 1),
+    google_reviews_count integer,
+    established integer,
+    description text,
+    featured_project text,
+    specialties text[] not null default '{}',
+    sample_review text,
+    services text[] not null default '{}',
+    tags text[] not null default '{}',
+    service_areas text[] not null default '{}',
+    latitude double precision,
+    longitude double precision,
+    provenance jsonb not null default '{}',
+    search_text text,
+    agent_score numeric,
+    verified boolean not null default false,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists public.reviews (
+    id uuid primary key default gen_random_uuid(),
+    agent_id text not null references public.agents (id) on delete cascade,
+    -- A review of one of the developer's projects (js/projects.js)
+    project_id text,
+    user_id uuid references auth.users (id) on delete set null,
+    reviewer_name text,
+    rating integer not null check (rating between 1 and 5),
+    title text,
+    content text,
+    search_text text,
+    sub_ratings jsonb not null default '{}',
+    transaction_type text check (transaction_type in ('bought', 'sold', 'rented', 'let')),
+    property_area text,
+    status text not null default 'pending' check (status in ('pending', 'published', 'rejected')),
+    moderation_flags jsonb not null default '[]',
+    moderation_note text,
+    moderated_by uuid references auth.users (id) on delete set null,
+    moderated_at timestamptz,
+    proof_path text,
+    verification_status text check (verification_status in ('proof_pending', 'verified', 'proof_rejected')),
+    verified_by uuid references auth.users (id) on delete set null,
+    verified_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists reviews_agent_id_created_at_idx on public.reviews (agent_id, created_at desc);
+create index if not exists reviews_user_id_created_at_idx on public.reviews (user_id, created_at desc);
+
+create table if not exists public.review_reports (
+    id uuid primary key default gen_random_uuid(),
+    review_id uuid not null references public.reviews (id) on delete cascade,
+    reporter_id uuid references auth.users (id) on delete set null,
+    reason text not null check (reason in ('spam', 'fake', 'offensive', 'conflict', 'personal', 'other')),
+    details text,
+    resolution text,
+    resolved_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists review_reports_review_id_idx on public.review_reports (review_id);
+
+alter table public.agents enable row level security;
+alter table public.reviews enable row level security;
+alter table public.review_reports enable row level security;
+
+create policy "Agents are public"
+    on public.agents for select
+    using (true);
+
+-- Visitors report reviews, signed in or not; only moderators see and close reports
+create policy "Anyone can report a review"
+    on public.review_reports for insert
+    with check (reporter_id is null or reporter_id = auth.uid());
+
+create policy "Admins read reports"
+    on public.review_reports for select
+    using (public.is_admin());
+
+create policy "Admins resolve reports"
+    on public.review_reports for update
+    using (public.is_admin());
@@ -0,0 +1,329 @@
+-- Writing and moderating reviews
+--
+-- Clients never write `reviews` directly: `submit_review` and `update_review`
+-- take the review's content, run the pre-screening rules of
+-- js/moderation.js (SCREENING_RULES, MODERATION_CONFIG) and set `status` and
+-- `moderation_flags` themselves. Moderators publish, reject and verify
+-- through `moderate_review` and `set_review_verification`. Keep the patterns
+-- and limits below in step with js/moderation.js.
+
+-- Word 3-shingles of normalized review text (textSimilarity in js/moderation.js)
+create or replace function public.review_shingles(body text)
+returns text[]
+language sql
+immutable
+as $$
+    with normalized as (
+        select array_remove(regexp_split_to_array(trim(regexp_replace(
+            regexp_replace(lower(coalesce(body, '')), '[^[:alnum:][:space:]]', ' ', 'g'),
+            '[[:space:]]+', ' ', 'g')), ' '), '') as words
+    )
+    select case
+        when coalesce(array_length(words, 1), 0) < 3 then array[array_to_string(words, ' ')]
+        else array(
+            select distinct words[i] || ' ' || words[i + 1] || ' ' || words[i + 2]
+            from generate_series(1, array_length(words, 1) - 2) as i
+        )
+    end
+    from normalized
+$$;
+
+-- Jaccard similarity of two texts' shingles (1 = identical wording)
+create or replace function public.review_text_similarity(a text, b text)
+returns numeric
+language sql
+immutable
+as $$
+    with sa as (select distinct unnest(public.review_shingles(a)) as shingle),
+         sb as (select distinct unnest(public.review_shingles(b)) as shingle),
+         counts as (
+             select (select count(*) from sa) as size_a,
+                    (select count(*) from sb) as size_b,
+                    (select count(*) from sa join sb using (shingle)) as shared
+         )
+    select case when size_a + size_b - shared = 0 then 0
+                else shared::numeric / (size_a + size_b - shared) end
+    from counts
+$$;
+
+-- screenReview() in js/moderation.js: the flags for a review's text, with
+-- the author's other recent reviews and the agency's latest review texts
+-- as context. An empty array means the review can be published.
+create or replace function public.screen_review(
+    title text,
+    content text,
+    agent_id text,
+    author_id uuid,
+    exclude_id uuid default null
+)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    burst_window constant interval := interval '24 hours';   -- burstWindowHours
+    burst_limit constant integer := 3;                       -- burstLimit
+    duplicate_threshold constant numeric := 0.8;             -- duplicateThreshold
+    body text := coalesce(screen_review.title, '') || ' ' || coalesce(screen_review.content, '');
+    flags jsonb := '[]';
+    found text;
+    best numeric;
+    recent integer;
+begin
+    -- Accents stripped as stripAccents() does, so "μαλάκας" matches too
+    found := (regexp_match(
+        translate(body, 'άέήίόύώϊϋΐΰΆΈΉΊΌΎΏ', 'αεηιουωιυιυΑΕΗΙΟΥΩ'),
+        '(?<![[:alnum:]])(?:fuck[[:alpha:]]*|shit[[:alpha:]]*|bitch[[:alpha:]]*|bastard[[:alpha:]]*|asshole[[:alpha:]]*|cunt[[:alpha:]]*|wank[[:alpha:]]*|dick|prick|malak[[:alpha:]]*|gamo|gamw|gamhsou|μαλακ[[:alpha:]]*|γαμω|γαμησου|γαμιολ[[:alpha:]]*|γαμημεν[[:alpha:]]*|бля[[:alpha:]]*|сука|хуй[[:alpha:]]*)(?![[:alnum:]])',
+        'i'))[1];
+    if found is not null then
+        flags := flags || jsonb_build_object('rule', 'profanity', 'label', 'Profanity', 'detail', format('Contains "%s"', found));
+    end if;
+
+    found := (regexp_match(body,
+        '(?:https?://|www\.)\S+|\m[a-z0-9-]+\.(?:com|net|org|cy|gr|ru|io|co|info|biz|eu|uk)\M',
+        'i'))[1];
+    if found is not null then
+        flags := flags || jsonb_build_object('rule', 'link', 'label', 'Contains a link', 'detail', format('Links to %s', found));
+    end if;
+
+    if body ~ '(?:\+|\y)\d(?:[[:space:]().-]*\d){7,}' then
+        flags := flags || jsonb_build_object('rule', 'phone', 'label', 'Contains a phone number', 'detail', 'Phone number in review text');
+    end if;
+
+    select max(public.review_text_similarity(screen_review.content, latest.content)) into best
+    from (
+        select r.content from reviews r
+        where r.agent_id = screen_review.agent_id
+          and r.id is distinct from screen_review.exclude_id
+        order by r.created_at desc
+        limit 200
+    ) latest;
+    if best >= duplicate_threshold then
+        flags := flags || jsonb_build_object('rule', 'duplicate', 'label', 'Duplicate text',
+            'detail', format('%s%% similar to an existing review', round(best * 100)));
+    end if;
+
+    select count(*) into recent
+    from reviews r
+    where r.user_id = screen_review.author_id
+      and r.id is distinct from screen_review.exclude_id
+      and r.created_at >= now() - burst_window;
+    if recent >= burst_limit then
+        flags := flags || jsonb_build_object('rule', 'burst', 'label', 'Burst of reviews from one account',
+            'detail', format('%s other reviews in the last %sh', recent, extract(epoch from burst_window)::integer / 3600));
+    end if;
+
+    return flags;
+end;
+$$;
+
+-- Shared checks on the fields a client may send
+create or replace function public.check_review_fields(rating integer, transaction_type text)
+returns void
+language plpgsql
+immutable
+as $$
+begin
+    if rating is null or rating not between 1 and 5 then
+        raise exception 'Rating must be between 1 and 5' using errcode = '22023';
+    end if;
+    if transaction_type is not null and transaction_type not in ('bought', 'sold', 'rented', 'let') then
+        raise exception 'Unknown transaction type' using errcode = '22023';
+    end if;
+end;
+$$;
+
+create or replace function public.submit_review(
+    agent_id text,
+    rating integer,
+    title text,
+    content text,
+    project_id text default null,
+    search_text text default null,
+    sub_ratings jsonb default '{}',
+    transaction_type text default null,
+    property_area text default null,
+    proof_path text default null
+)
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    author uuid := auth.uid();
+    flags jsonb;
+    review reviews;
+begin
+    if author is null then
+        raise exception 'Must be logged in to create a review' using errcode = '42501';
+    end if;
+    perform check_review_fields(submit_review.rating, submit_review.transaction_type);
+    -- Proofs are uploaded to the author's own folder (db.uploadTransactionProof)
+    if submit_review.proof_path is not null and split_part(submit_review.proof_path, '/', 1) <> author::text then
+        raise exception 'Proof must be one of your own uploads' using errcode = '42501';
+    end if;
+
+    flags := screen_review(submit_review.title, submit_review.content, submit_review.agent_id, author);
+
+    insert into reviews (
+        agent_id, project_id, user_id, reviewer_name, rating, title, content, search_text,
+        sub_ratings, transaction_type, property_area, proof_path, verification_status,
+        status, moderation_flags
+    ) values (
+        submit_review.agent_id, submit_review.project_id, author,
+        auth.jwt() -> 'user_metadata' ->> 'full_name',
+        submit_review.rating, submit_review.title, submit_review.content, submit_review.search_text,
+        coalesce(submit_review.sub_ratings, '{}'), submit_review.transaction_type,
+        submit_review.property_area, submit_review.proof_path,
+        case when submit_review.proof_path is not null then 'proof_pending' end,
+        case when jsonb_array_length(flags) > 0 then 'pending' else 'published' end,
+        flags
+    )
+    returning * into review;
+    return review;
+end;
+$$;
+
+create or replace function public.update_review(
+    review_id uuid,
+    rating integer,
+    title text,
+    content text,
+    search_text text default null,
+    sub_ratings jsonb default '{}',
+    transaction_type text default null,
+    property_area text default null
+)
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    author uuid := auth.uid();
+    existing reviews;
+    flags jsonb;
+    review reviews;
+begin
+    select * into existing from reviews r where r.id = update_review.review_id;
+    if existing.id is null or author is null or existing.user_id is distinct from author then
+        raise exception 'Review not found' using errcode = 'P0002';
+    end if;
+    perform check_review_fields(update_review.rating, update_review.transaction_type);
+
+    flags := screen_review(update_review.title, update_review.content, existing.agent_id, author, existing.id);
+
+    update reviews r set
+        rating = update_review.rating,
+        title = update_review.title,
+        content = update_review.content,
+        search_text = update_review.search_text,
+        sub_ratings = coalesce(update_review.sub_ratings, '{}'),
+        transaction_type = update_review.transaction_type,
+        property_area = update_review.property_area,
+        status = case when jsonb_array_length(flags) > 0 then 'pending' else 'published' end,
+        moderation_flags = flags,
+        updated_at = now()
+    where r.id = existing.id
+    returning * into review;
+    return review;
+end;
+$$;
+
+-- Publish or reject a review and close its open reports
+create or replace function public.moderate_review(review_id uuid, status text, note text default '')
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    review reviews;
+begin
+    if not is_admin() then
+        raise exception 'Only moderators can moderate reviews' using errcode = '42501';
+    end if;
+    if moderate_review.status not in ('pending', 'published', 'rejected') then
+        raise exception 'Unknown review status: %', moderate_review.status using errcode = '22023';
+    end if;
+
+    update reviews r set
+        status = moderate_review.status,
+        moderation_note = moderate_review.note,
+        moderated_by = auth.uid(),
+        moderated_at = now()
+    where r.id = moderate_review.review_id
+    returning * into review;
+    if review.id is null then
+        raise exception 'Review not found' using errcode = 'P0002';
+    end if;
+
+    update review_reports rr set resolved_at = now(), resolution = moderate_review.status
+    where rr.review_id = review.id and rr.resolved_at is null;
+    return review;
+end;
+$$;
+
+-- Accept or reject a review's transaction proof
+create or replace function public.set_review_verification(review_id uuid, verified boolean)
+returns public.reviews
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    review reviews;
+begin
+    if not is_admin() then
+        raise exception 'Only moderators can verify reviews' using errcode = '42501';
+    end if;
+
+    update reviews r set
+        verification_status = case when set_review_verification.verified then 'verified' else 'proof_rejected' end,
+        verified_by = auth.uid(),
+        verified_at = now()
+    where r.id = set_review_verification.review_id
+    returning * into review;
+    if review.id is null then
+        raise exception 'Review not found' using errcode = 'P0002';
+    end if;
+    return review;
+end;
+$$;
+
+-- Reviews are only written through the functions above
+revoke insert, update on public.reviews from anon, authenticated;
+revoke execute on function public.screen_review(text, text, text, uuid, uuid) from public, anon, authenticated;
+revoke execute on function public.submit_review(text, integer, text, text, text, text, jsonb, text, text, text) from public, anon;
+revoke execute on function public.update_review(uuid, integer, text, text, text, jsonb, text, text) from public, anon;
+revoke execute on function public.moderate_review(uuid, text, text) from public, anon;
+revoke execute on function public.set_review_verification(uuid, boolean) from public, anon;
+grant execute on function public.submit_review(text, integer, text, text, text, text, jsonb, text, text, text) to authenticated;
+grant execute on function public.update_review(uuid, integer, text, text, text, jsonb, text, text) to authenticated;
+grant execute on function public.moderate_review(uuid, text, text) to authenticated;
+grant execute on function public.set_review_verification(uuid, boolean) to authenticated;
+
+create policy "Published reviews are public; authors and admins see the rest"
+    on public.reviews for select
+    using (status = 'published' or user_id = auth.uid() or public.is_admin());
+
+create policy "Authors and admins delete reviews"
+    on public.reviews for delete
+    using (user_id = auth.uid() or public.is_admin());
+
+-- Transaction proofs: private, uploaded into the author's own folder and
+-- read by moderators through short-lived signed URLs
+insert into storage.buckets (id, name, public)
+values ('transaction-proofs', 'transaction-proofs', false)
+on conflict (id) do nothing;
+
+create policy "Authors upload their own proofs"
+    on storage.objects for insert to authenticated
+    with check (bucket_id = 'transaction-proofs' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "Admins read proofs"
+    on storage.objects for select
+    using (bucket_id = 'transaction-proofs' and public.is_admin());
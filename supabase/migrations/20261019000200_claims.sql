@@ -0,0 +1,132 @@
+-- Agency claims and owners
+--
+-- A signed-in user starts a claim (claims.requestClaim); the
+-- `claim-verification` edge function checks the address against the
+-- agency's listed domains and emails a one-time code, stored here hashed.
+-- `verify_agency_claim` checks the code and makes the user an owner:
+-- owners edit the profile fields in OWNER_EDITABLE_FIELDS, reply to
+-- reviews, invite clients and read their leads and stats.
+
+create table if not exists public.agency_claims (
+    id uuid primary key default gen_random_uuid(),
+    agent_id text not null references public.agents (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    email text not null,
+    status text not null default 'pending' check (status in ('pending', 'verified', 'expired')),
+    code_hash text,
+    code_sent_at timestamptz,
+    code_expires_at timestamptz,
+    attempts integer not null default 0,
+    verified_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists agency_claims_user_id_idx on public.agency_claims (user_id);
+
+create table if not exists public.agency_owners (
+    agent_id text not null references public.agents (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    verified_at timestamptz not null default now(),
+    primary key (agent_id, user_id)
+);
+
+-- Whether the current user is a verified owner of an agency
+create or replace function public.is_agency_owner(agent_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from agency_owners o
+        where o.agent_id = is_agency_owner.agent_id and o.user_id = auth.uid()
+    )
+$$;
+
+-- Check a claim's code; on success the caller becomes an owner and the
+-- agency is marked verified. A wrong code returns false rather than
+-- raising, so its attempt is counted; five end the claim.
+create or replace function public.verify_agency_claim(claim_id uuid, code text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    claim agency_claims;
+begin
+    select * into claim from agency_claims c
+    where c.id = verify_agency_claim.claim_id and c.user_id = auth.uid()
+    for update;
+    if claim.id is null then
+        raise exception 'Claim not found' using errcode = 'P0002';
+    end if;
+    if claim.status <> 'pending' or claim.code_hash is null
+        or claim.code_expires_at < now() or claim.attempts >= 5 then
+        raise exception 'This code has expired. Send a new one.' using errcode = '22023';
+    end if;
+
+    if encode(sha256(convert_to(trim(verify_agency_claim.code), 'UTF8')), 'hex') <> claim.code_hash then
+        update agency_claims c set attempts = c.attempts + 1 where c.id = claim.id;
+        return false;
+    end if;
+
+    update agency_claims c set status = 'verified', verified_at = now(), code_hash = null
+    where c.id = claim.id;
+    insert into agency_owners (agent_id, user_id) values (claim.agent_id, claim.user_id)
+    on conflict do nothing;
+    update agents a set verified = true where a.id = claim.agent_id;
+    return true;
+end;
+$$;
+
+revoke execute on function public.verify_agency_claim(uuid, text) from public, anon;
+grant execute on function public.verify_agency_claim(uuid, text) to authenticated;
+
+alter table public.agency_claims enable row level security;
+alter table public.agency_owners enable row level security;
+
+-- Codes and attempts are only written by the edge function and
+-- verify_agency_claim, which run as the service role and definer
+revoke select, update, delete on public.agency_claims from anon, authenticated;
+grant select (id, agent_id, user_id, email, status, code_sent_at, verified_at, created_at)
+    on public.agency_claims to authenticated;
+
+create policy "Users start their own claims"
+    on public.agency_claims for insert to authenticated
+    with check (user_id = auth.uid() and status = 'pending' and code_hash is null and attempts = 0);
+
+create policy "Users read their own claims"
+    on public.agency_claims for select to authenticated
+    using (user_id = auth.uid());
+
+revoke insert, update, delete on public.agency_owners from anon, authenticated;
+
+create policy "Owners read their agencies"
+    on public.agency_owners for select to authenticated
+    using (user_id = auth.uid() or public.is_admin());
+
+-- Owners edit only the owner-editable columns of their agencies (plus the
+-- provenance and search keys recomputed from them)
+revoke update on public.agents from anon, authenticated;
+grant update (description, phone, logo_url, services, specialties, provenance, search_text)
+    on public.agents to authenticated;
+
+create policy "Owners update their agencies"
+    on public.agents for update to authenticated
+    using (public.is_agency_owner(id))
+    with check (public.is_agency_owner(id));
+
+-- Logos: public, uploaded by owners into a folder named after the agency
+insert into storage.buckets (id, name, public)
+values ('agency-logos', 'agency-logos', true)
+on conflict (id) do nothing;
+
+create policy "Owners upload their agency's logo"
+    on storage.objects for insert to authenticated
+    with check (bucket_id = 'agency-logos' and public.is_agency_owner((storage.foldername(name))[1]));
+
+create policy "Owners replace their agency's logo"
+    on storage.objects for update to authenticated
+    using (bucket_id = 'agency-logos' and public.is_agency_owner((storage.foldername(name))[1]));
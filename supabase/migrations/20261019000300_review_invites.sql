@@ -0,0 +1,86 @@
+-- Review invites
+--
+-- Owners create single-use invite links for their clients
+-- (claims.createReviewInvite). The invited client's review is marked
+-- "Verified client" by `redeem_review_invite`. Tokens are readable only by
+-- the owners who made them; visitors look an invite up through
+-- `get_review_invite`, which returns no token.
+
+create table if not exists public.review_invites (
+    id uuid primary key default gen_random_uuid(),
+    agent_id text not null references public.agents (id) on delete cascade,
+    owner_id uuid not null references auth.users (id) on delete cascade,
+    token text not null unique check (length(token) >= 20),
+    expires_at timestamptz not null,
+    redeemed_at timestamptz,
+    review_id uuid references public.reviews (id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists review_invites_agent_id_idx on public.review_invites (agent_id);
+
+-- The invite behind a link, for the review form's "You were invited" notice
+create or replace function public.get_review_invite(invite_token text)
+returns table (agent_id text, expires_at timestamptz, redeemed_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select i.agent_id, i.expires_at, i.redeemed_at
+    from review_invites i
+    where i.token = get_review_invite.invite_token
+$$;
+
+-- Mark the caller's new review verified with an unused, unexpired invite
+-- from the same agency. Returns false, leaving the review unverified, when
+-- the invite cannot be used.
+create or replace function public.redeem_review_invite(invite_token text, review_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    invite review_invites;
+    review reviews;
+begin
+    select * into review from reviews r
+    where r.id = redeem_review_invite.review_id and r.user_id = auth.uid();
+    if review.id is null then
+        raise exception 'Review not found' using errcode = 'P0002';
+    end if;
+
+    select * into invite from review_invites i
+    where i.token = redeem_review_invite.invite_token
+    for update;
+    if invite.id is null or invite.agent_id <> review.agent_id
+        or invite.redeemed_at is not null or invite.expires_at < now() then
+        return false;
+    end if;
+
+    update review_invites i set redeemed_at = now(), review_id = review.id
+    where i.id = invite.id;
+    update reviews r set verification_status = 'verified', verified_at = now()
+    where r.id = review.id;
+    return true;
+end;
+$$;
+
+revoke execute on function public.redeem_review_invite(text, uuid) from public, anon;
+grant execute on function public.redeem_review_invite(text, uuid) to authenticated;
+grant execute on function public.get_review_invite(text) to anon, authenticated;
+
+alter table public.review_invites enable row level security;
+
+-- Redemption is only recorded by redeem_review_invite
+revoke update, delete on public.review_invites from anon, authenticated;
+
+create policy "Owners create invites for their agencies"
+    on public.review_invites for insert to authenticated
+    with check (owner_id = auth.uid() and public.is_agency_owner(agent_id)
+        and redeemed_at is null and review_id is null);
+
+create policy "Owners read their agencies' invites"
+    on public.review_invites for select to authenticated
+    using (public.is_agency_owner(agent_id));
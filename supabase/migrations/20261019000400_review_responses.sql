@@ -0,0 +1,45 @@
+-- Agency replies to reviews
+--
+-- One public reply per review, written by a verified owner of the reviewed
+-- agency (db.respondToReview upserts it on `review_id`). The
+-- `review-response-notification` edge function emails the reviewer and
+-- records `notified_at`, so a reply is announced once per edit.
+
+create table if not exists public.review_responses (
+    id uuid primary key default gen_random_uuid(),
+    review_id uuid not null unique references public.reviews (id) on delete cascade,
+    agent_id text not null references public.agents (id) on delete cascade,
+    owner_id uuid references auth.users (id) on delete set null,
+    content text not null check (length(trim(content)) > 0),
+    notified_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table public.review_responses enable row level security;
+
+-- `notified_at` is only written by the edge function
+revoke insert, update, delete on public.review_responses from anon, authenticated;
+grant insert (review_id, agent_id, owner_id, content, updated_at),
+    update (review_id, agent_id, owner_id, content, updated_at)
+    on public.review_responses to authenticated;
+
+-- Shown wherever the review is: published reviews' replies are public
+create policy "Replies are as visible as their reviews"
+    on public.review_responses for select
+    using (exists (select 1 from public.reviews r where r.id = review_id));
+
+create policy "Owners reply to reviews of their agencies"
+    on public.review_responses for insert to authenticated
+    with check (
+        owner_id = auth.uid() and public.is_agency_owner(agent_id)
+        and exists (select 1 from public.reviews r where r.id = review_id and r.agent_id = review_responses.agent_id)
+    );
+
+create policy "Owners edit their agencies' replies"
+    on public.review_responses for update to authenticated
+    using (public.is_agency_owner(agent_id))
+    with check (
+        owner_id = auth.uid() and public.is_agency_owner(agent_id)
+        and exists (select 1 from public.reviews r where r.id = review_id and r.agent_id = review_responses.agent_id)
+    );
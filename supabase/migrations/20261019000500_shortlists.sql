@@ -0,0 +1,50 @@
+-- Saved shortlists
+--
+-- Each item keeps the review count and AgentScore the user last saw
+-- (js/shortlists.js). The scheduled `shortlist-alerts` edge function
+-- compares them with the agency's current figures for lists with alerts on,
+-- and records what it emailed in the `alerted_*` columns so a change is
+-- announced once.
+
+create table if not exists public.shortlists (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null check (length(trim(name)) > 0),
+    alert_new_reviews boolean not null default false,
+    alert_score_changes boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists shortlists_user_id_idx on public.shortlists (user_id);
+
+create table if not exists public.shortlist_items (
+    shortlist_id uuid not null references public.shortlists (id) on delete cascade,
+    agent_id text not null references public.agents (id) on delete cascade,
+    added_at timestamptz not null default now(),
+    seen_review_count integer,
+    seen_score numeric,
+    seen_at timestamptz,
+    alerted_review_count integer,
+    alerted_score numeric,
+    alerted_at timestamptz,
+    primary key (shortlist_id, agent_id)
+);
+
+alter table public.shortlists enable row level security;
+alter table public.shortlist_items enable row level security;
+
+create policy "Users manage their own shortlists"
+    on public.shortlists for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+create policy "Users manage the items of their own shortlists"
+    on public.shortlist_items for all to authenticated
+    using (exists (select 1 from public.shortlists s where s.id = shortlist_id and s.user_id = auth.uid()))
+    with check (exists (select 1 from public.shortlists s where s.id = shortlist_id and s.user_id = auth.uid()));
+
+-- The `alerted_*` columns are only written by the edge function
+revoke insert, update on public.shortlist_items from anon, authenticated;
+grant insert (shortlist_id, agent_id, added_at, seen_review_count, seen_score, seen_at),
+    update (shortlist_id, agent_id, added_at, seen_review_count, seen_score, seen_at)
+    on public.shortlist_items to authenticated;
@@ -0,0 +1,57 @@
+-- Agent search
+--
+-- `search_text` on agents and reviews holds the search keys of
+-- js/search.js (normalizeSearchText), and db.getAgents({ search }) sends
+-- the query through the same function. As in searchIndex(), every query
+-- word has to match somewhere: in the agency's own text or one of its
+-- published reviews, by trigram word similarity, which covers exact words,
+-- prefixes and small typos. Review matches count half.
+
+create index if not exists agents_search_text_trgm_idx
+    on public.agents using gin (search_text extensions.gin_trgm_ops);
+
+create index if not exists reviews_search_text_trgm_idx
+    on public.reviews using gin (search_text extensions.gin_trgm_ops)
+    where status = 'published';
+
+-- Matching agency ids, best first, one page at a time
+create or replace function public.search_agents(
+    search_query text,
+    max_results integer default 50,
+    result_offset integer default 0
+)
+returns table (agent_id text, score real)
+language sql
+stable
+set search_path = public, extensions
+as $$
+    with words as (
+        select distinct word
+        from unnest(string_to_array(trim(search_agents.search_query), ' ')) as word
+        where word <> ''
+    ),
+    documents as (
+        select a.id as agent_id, a.search_text as body, 1.0 as weight
+        from agents a
+        where a.search_text is not null
+        union all
+        select r.agent_id, r.search_text, 0.5
+        from reviews r
+        where r.status = 'published' and r.search_text is not null
+    ),
+    matches as (
+        select d.agent_id, w.word, max(word_similarity(w.word, d.body) * d.weight) as score
+        from words w
+        join documents d on w.word <% d.body
+        group by d.agent_id, w.word
+    )
+    select m.agent_id, sum(m.score)::real as score
+    from matches m
+    group by m.agent_id
+    having count(*) = (select count(*) from words)
+    order by score desc, m.agent_id
+    limit least(greatest(search_agents.max_results, 1), 1000)
+    offset greatest(search_agents.result_offset, 0)
+$$;
+
+grant execute on function public.search_agents(text, integer, integer) to anon, authenticated;
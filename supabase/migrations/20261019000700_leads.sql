@@ -0,0 +1,149 @@
+-- Enquiries (leads) to verified agencies
+--
+-- Visitors send enquiries through `submit_lead` only, which folds a repeat
+-- enquiry from the same email or phone within the dedupe window into the
+-- earlier lead (LEAD_DEDUPE_DAYS, leadContactKeys in js/leads.js). The
+-- agency's owners read their leads, move them through LEAD_STATUS and set
+-- where new ones are sent (`lead_routing`); the `lead-notification` edge
+-- function sends each new lead once and records `notified_at`.
+
+create table if not exists public.leads (
+    id uuid primary key default gen_random_uuid(),
+    agent_id text not null references public.agents (id) on delete cascade,
+    name text not null,
+    email text,
+    phone text,
+    budget text check (budget in ('under_150k', '150k_300k', '300k_600k', '600k_1m', 'over_1m', 'rent')),
+    property_type text check (property_type in ('apartment', 'house', 'villa', 'land', 'commercial')),
+    area text,
+    messages jsonb not null default '[]',
+    contact_keys text[] not null default '{}',
+    enquiry_count integer not null default 1,
+    status text not null default 'new' check (status in ('new', 'contacted', 'viewing', 'won', 'lost')),
+    status_note text,
+    status_updated_at timestamptz,
+    notified_at timestamptz,
+    created_at timestamptz not null default now(),
+    last_enquiry_at timestamptz not null default now()
+);
+
+create index if not exists leads_agent_id_last_enquiry_at_idx on public.leads (agent_id, last_enquiry_at desc);
+create index if not exists leads_contact_keys_idx on public.leads using gin (contact_keys);
+
+create table if not exists public.lead_routing (
+    agent_id text primary key references public.agents (id) on delete cascade,
+    email text,
+    webhook_url text check (webhook_url ~* '^https://'),
+    updated_at timestamptz not null default now()
+);
+
+-- leadContactKeys() in js/leads.js, with normalizePhone() of js/resolve.js
+create or replace function public.lead_contact_keys(email text, phone text)
+returns text[]
+language sql
+immutable
+as $$
+    with normalized as (
+        select lower(trim(coalesce(lead_contact_keys.email, ''))) as email,
+               regexp_replace(regexp_replace(coalesce(lead_contact_keys.phone, ''), '\D', '', 'g'), '^00', '') as digits
+    )
+    select array_remove(array[
+        case when email <> '' then 'email:' || email end,
+        case
+            when length(digits) < 6 then null
+            when length(digits) = 11 and digits like '357%' then 'phone:' || substr(digits, 4)
+            else 'phone:' || digits
+        end
+    ], null)
+    from normalized
+$$;
+
+-- Store an enquiry, or add it to the agency's lead with a matching email or
+-- phone from the last `dedupe_days`. Returns { lead_id, duplicate }.
+create or replace function public.submit_lead(
+    agent_id text,
+    name text,
+    email text,
+    phone text,
+    budget text,
+    property_type text,
+    area text,
+    message text,
+    dedupe_days integer default 7
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    keys text[] := lead_contact_keys(submit_lead.email, submit_lead.phone);
+    entry jsonb := jsonb_build_object('text', trim(submit_lead.message), 'sent_at', now());
+    existing uuid;
+    lead_id uuid;
+begin
+    if not exists (select 1 from agents a where a.id = submit_lead.agent_id and a.verified) then
+        raise exception 'This agency does not take enquiries here yet' using errcode = 'P0002';
+    end if;
+    if coalesce(trim(submit_lead.name), '') = '' then
+        raise exception 'Please enter your name' using errcode = '22023';
+    end if;
+    if cardinality(keys) = 0 then
+        raise exception 'Please give an email address or phone number' using errcode = '22023';
+    end if;
+    if length(trim(coalesce(submit_lead.message, ''))) < 10 then
+        raise exception 'Please write a short message (at least 10 characters)' using errcode = '22023';
+    end if;
+
+    select l.id into existing from leads l
+    where l.agent_id = submit_lead.agent_id
+      and l.contact_keys && keys
+      and l.last_enquiry_at >= now() - make_interval(days => least(greatest(submit_lead.dedupe_days, 0), 30))
+    order by l.last_enquiry_at desc
+    limit 1
+    for update;
+
+    if existing is not null then
+        update leads l set
+            messages = l.messages || entry,
+            enquiry_count = l.enquiry_count + 1,
+            contact_keys = array(select distinct unnest(l.contact_keys || keys)),
+            last_enquiry_at = now()
+        where l.id = existing;
+        return jsonb_build_object('lead_id', existing, 'duplicate', true);
+    end if;
+
+    insert into leads (agent_id, name, email, phone, budget, property_type, area, messages, contact_keys)
+    values (
+        submit_lead.agent_id, trim(submit_lead.name), nullif(trim(submit_lead.email), ''),
+        nullif(trim(submit_lead.phone), ''), submit_lead.budget, submit_lead.property_type,
+        nullif(trim(submit_lead.area), ''), jsonb_build_array(entry), keys
+    )
+    returning id into lead_id;
+    return jsonb_build_object('lead_id', lead_id, 'duplicate', false);
+end;
+$$;
+
+revoke execute on function public.submit_lead(text, text, text, text, text, text, text, text, integer) from public;
+grant execute on function public.submit_lead(text, text, text, text, text, text, text, text, integer) to anon, authenticated;
+
+alter table public.leads enable row level security;
+alter table public.lead_routing enable row level security;
+
+-- Owners only change a lead's status and note
+revoke insert, update, delete on public.leads from anon, authenticated;
+grant update (status, status_note, status_updated_at) on public.leads to authenticated;
+
+create policy "Owners read their agencies' leads"
+    on public.leads for select to authenticated
+    using (public.is_agency_owner(agent_id));
+
+create policy "Owners update their agencies' leads"
+    on public.leads for update to authenticated
+    using (public.is_agency_owner(agent_id))
+    with check (public.is_agency_owner(agent_id));
+
+create policy "Owners manage their agencies' lead routing"
+    on public.lead_routing for all to authenticated
+    using (public.is_agency_owner(agent_id))
+    with check (public.is_agency_owner(agent_id));
@@ -0,0 +1,173 @@
+/**
+ * Service worker: keeps the agent directory usable offline
+ *
+ * On install it precaches the public pages, their scripts and the agent
+ * data. After that every request it handles is served stale-while-
+ * revalidate: straight from the cache when there is a copy, while the
+ * network refreshes that copy for the next visit. Pages opened with query
+ * strings (agent-profile.html?id=...) share one cached copy; scripts and
+ * data keep their query string in the key, so bumping a page's
+ * `js/app.js?v=3` fetches the new file instead of serving the old one.
+ *
+ * Data files are cached with a version stamp, the X-Data-Fetched-At header:
+ * when this copy last came from the server. Offline, js/offline.js reads it
+ * back to tell visitors how old the data they see is.
+ *
+ * Writes (reviews, leads, analytics) and APIs are never cached;
+ * reviews written offline are queued by js/offline.js instead.
+ */
+
+// Bump when the precache lists change; old caches are dropped on activate
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `reviewsrealty-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `reviewsrealty-data-${CACHE_VERSION}`;
+
+const PRECACHE_PAGES = [
+    'index.html',
+    'agents.html',
+    'agent-profile.html',
+    'developers.html',
+    'developer-profile.html',
+    'project.html',
+    'compare.html',
+    'shortlists.html',
+    'manifest.webmanifest',
+    'favicon.svg',
+    'favicon.ico',
+    'js/html.js',
+    'js/config.js',
+    'js/moderation.js',
+    'js/reviews.js',
+    'js/search.js',
+    'js/supabase-config.js',
+    // score.js, data.js and app.js as the pages load them: ?v= is part of the key
+    'js/score.js?v=3',
+    'js/resolve.js',
+    'js/data.js?v=3',
+    'js/app.js?v=3',
+    'js/i18n.js',
+    'js/locales/el.js',
+    'js/locales/ru.js',
+    'js/analytics.js',
+    'js/trends.js',
+    'js/projects.js',
+    'js/geo.js',
+    'js/compare.js',
+    'js/claim.js',
+    'js/shortlists.js',
+    'js/leads.js',
+    'js/offline.js'
+];
+
+const PRECACHE_DATA = [
+    'all-agents-with-reviews.json',
+    'data/projects.json',
+    'data/agent-snapshots.json',
+    'data/cyprus-districts.json'
+];
+
+const DATA_STAMP_HEADER = 'X-Data-Fetched-At';
+
+// Same-origin files served from the cache. Anything else (API endpoints)
+// goes to the network, as does Mission Control's live tasks.json.
+const STATIC_FILE = /(\/|\.(html|js|json|svg|ico|png|webmanifest))$/;
+const NETWORK_ONLY = /\/tasks\.json$/;
+
+// Third-party scripts, styles and fonts the pages load
+const CACHED_HOSTS = ['cdn.tailwindcss.com', 'unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Cache key for a request: same-origin pages without their query string,
+ * everything else as requested
+ */
+function cacheKey(request) {
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || !/(\/|\.html)$/.test(url.pathname)) return request;
+    url.search = '';
+    return url.href;
+}
+
+/**
+ * A copy of a data response with its version stamp set to now
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(DATA_STAMP_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function precacheData() {
+    const cache = await caches.open(DATA_CACHE);
+    await Promise.all(PRECACHE_DATA.map(async path => {
+        const response = await fetch(path);
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${path}`);
+        await cache.put(new URL(path, self.location.href).href, await stampResponse(response));
+    }));
+}
+
+/**
+ * Answer from the cache when possible and refresh the cached copy from the
+ * network either way
+ */
+async function staleWhileRevalidate(event, cacheName, { stamp = false } = {}) {
+    const cache = await caches.open(cacheName);
+    const key = cacheKey(event.request);
+    const cached = await cache.match(key);
+
+    const network = fetch(event.request).then(async response => {
+        // Cross-origin scripts and fonts come back opaque (status 0)
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(key, stamp ? await stampResponse(response.clone()) : response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    try {
+        return await network;
+    } catch (error) {
+        // A page never opened before: the home page is better than the browser's error
+        if (event.request.mode === 'navigate') {
+            const home = await caches.match(new URL('index.html', self.location.href).href);
+            if (home) return home;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_PAGES))
+            .then(precacheData)
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('reviewsrealty-') && name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (!STATIC_FILE.test(url.pathname) || NETWORK_ONLY.test(url.pathname)) return;
+        event.respondWith(url.pathname.endsWith('.json')
+            ? staleWhileRevalidate(event, DATA_CACHE, { stamp: true })
+            : staleWhileRevalidate(event, SHELL_CACHE));
+    } else if (CACHED_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+});